@@ -1,22 +1,108 @@
 import json
 import os
+import re
+import time
+import uuid
 import boto3
 
-# Initialize Cognito client
+# Initialize Cognito, DynamoDB and S3 clients
 cognito_client = boto3.client('cognito-idp')
+dynamodb_client = boto3.client('dynamodb')
+s3_client = boto3.client('s3')
+
+# How long a reservation can be released (a failed upload or a cancelled job); DynamoDB's TTL removes it later
+RESERVATION_TTL_SECONDS = 24 * 60 * 60
+
+# Key each conversion type's file is uploaded to: <prefix><unique file name>. "both" uploads to
+# the PDF bucket and is copied to the HTML bucket.
+UPLOAD_PREFIXES = {"pdf": "pdf/", "html": "uploads/", "both": "pdf/"}
+PIPELINES = {"pdf": ["pdf"], "html": ["html"], "both": ["pdf", "html"]}
+
+
+def sanitize_email(email):
+    # Same rule as sanitizeEmail in the app's s3Keys module
+    return re.sub(r"[^a-zA-Z0-9]", "_", email)
+
+
+def sanitize_for_s3(name):
+    # Same rule as sanitizeForS3 in the app's s3Keys module (the HTML pipeline's S3 URI rules)
+    sanitized = re.sub(r"\s", "_", name)
+    sanitized = re.sub(r"[\x00-\x1F\x7F{^}%`\]\">\[~<#|&\\*?/$!':@+=]", "_", sanitized)
+    sanitized = re.sub(r"_+", "_", sanitized)
+    return sanitized.strip("_")
+
+
+def is_own_upload_key(upload_key, conversion_type, email):
+    # <prefix><sanitized email>_<timestamp>_<file name>; the timestamp keeps a longer email
+    # with the same beginning from matching, as in listUserFiles
+    if not isinstance(upload_key, str) or not email or ".." in upload_key:
+        return False
+    pattern = rf"^{re.escape(UPLOAD_PREFIXES[conversion_type])}{re.escape(sanitize_email(email))}_\d{{8,}}_"
+    return bool(re.match(pattern, upload_key))
+
+
+def get_pipeline_keys(pipeline, unique_filename):
+    """
+    The upload key in a pipeline's bucket and the prefixes of what a run writes for it
+    (results, temp/ files, status and failure markers), as in the app's s3Keys module
+    """
+    stem = re.sub(r"\.pdf$", "", unique_filename, flags=re.IGNORECASE)
+    markers = [f"status/{unique_filename}.json", f"failed/{unique_filename}.json"]
+    if pipeline == "html":
+        html_stem = sanitize_for_s3(stem)
+        return f"uploads/{unique_filename}", [
+            f"remediated/final_{html_stem}",
+            f"output/{html_stem}",
+            *markers,
+        ]
+    return f"pdf/{unique_filename}", [
+        f"result/COMPLIANT_{unique_filename}",
+        f"temp/{stem}/",
+        *markers,
+    ]
+
+
+def find_processed_object(conversion_type, upload_key):
+    """
+    Why a reservation can't be refunded: the uploaded file exists, so the pipeline was
+    triggered, or a run already wrote something for it. None when neither is the case.
+    """
+    unique_filename = upload_key[len(UPLOAD_PREFIXES[conversion_type]):]
+    buckets = {"pdf": os.environ.get("PDF_BUCKET"), "html": os.environ.get("HTML_BUCKET")}
+    for pipeline in PIPELINES[conversion_type]:
+        bucket = buckets[pipeline]
+        if not bucket:
+            continue
+        pipeline_upload_key, prefixes = get_pipeline_keys(pipeline, unique_filename)
+        listed = s3_client.list_objects_v2(Bucket=bucket, Prefix=pipeline_upload_key, MaxKeys=1)
+        if any(item["Key"] == pipeline_upload_key for item in listed.get("Contents", [])):
+            return f"{bucket}/{pipeline_upload_key}"
+        for prefix in prefixes:
+            if s3_client.list_objects_v2(Bucket=bucket, Prefix=prefix, MaxKeys=1).get("KeyCount", 0) > 0:
+                return f"{bucket}/{prefix}"
+    return None
 
 def handler(event, context):
     """
     AWS Lambda handler to either:
     - Return the user's current total_files_uploaded and max limits (mode='check')
     - Or increment the user's total_files_uploaded by 1 if under their max limit (mode='increment')
-    - Also handles incrementing pdf2pdf or pdf2html conversion counts
+    - Or give back a reservation whose upload failed or whose job was cancelled by decrementing by 1 (mode='release'),
+      as long as nothing was processed: its uploaded file is gone and no run wrote a result, temp/ file or marker
+    - Also handles incrementing/decrementing pdf2pdf or pdf2html conversion counts
+    - conversionType 'both' is one job producing both outputs: total moves by 1, both conversion counts move by 1
+
+    The user is always the caller identified by the Cognito authorizer, never a value from the body.
+    Every increment is recorded as a reservation in the RESERVATIONS_TABLE, with the key the file
+    will be uploaded to (one of the caller's own); release only accepts a reservation id that
+    belongs to the caller, hasn't expired, hasn't been released yet and whose upload wasn't processed.
 
     Expects a POST request with a JSON body containing:
     {
-      "sub": "<User's unique Cognito identifier>",
-      "mode": "check" or "increment",
-      "conversionType": "pdf" or "html" (required for increment mode)
+      "mode": "check", "increment" or "release",
+      "conversionType": "pdf", "html" or "both" (required for increment mode),
+      "uploadKey": "pdf/<unique file name>", or "uploads/..." for html (required for increment mode),
+      "reservationId": "<id returned by increment>" (required for release mode)
     }
 
     Returns:
@@ -25,11 +111,13 @@ def handler(event, context):
         "maxFilesAllowed": <int>,     # Always returned for mode='check'
         "maxPagesAllowed": <int>,     # Always returned for mode='check'
         "maxSizeAllowedMB": <int>,    # Always returned for mode='check'
-        "newCount": <int>,            # Returned for mode='increment'
+        "newCount": <int>,            # Returned for mode='increment' and mode='release'
+        "reservationId": <string>,    # Returned for mode='increment'
         "pdf2pdfCount": <int>,        # Current pdf2pdf conversion count
         "pdf2htmlCount": <int>        # Current pdf2html conversion count
       }
-      or an error message, e.g., 403 if limit reached.
+      or an error message, e.g., 403 if limit reached or the upload key isn't the caller's,
+      409 if a reservation can't be released.
     """
     try:
         print("Received event:", json.dumps(event))
@@ -75,13 +163,27 @@ def handler(event, context):
                 "body": json.dumps({"message": "Invalid JSON in request body."}),
             }
 
-        # Extract required fields
-        user_sub = body.get("sub")
+        # Extract required fields; the user comes from the verified ID token
+        claims = ((event.get("requestContext") or {}).get("authorizer") or {}).get("claims") or {}
+        user_sub = claims.get("sub")
         mode = body.get("mode")
         conversion_type = body.get("conversionType")
+        reservation_id = body.get("reservationId")
+        upload_key = body.get("uploadKey")
 
         if not user_sub:
-            print("Missing required field: sub")
+            print("Missing sub claim from the Cognito authorizer")
+            return {
+                "statusCode": 401,
+                "headers": {
+                    "Access-Control-Allow-Origin": "*",
+                    "Access-Control-Allow-Methods": "POST,OPTIONS",
+                    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                },
+                "body": json.dumps({"message": "Unauthorized."}),
+            }
+        if not mode or mode not in ["check", "increment", "release"]:
+            print("Missing or invalid mode. Must be 'check', 'increment' or 'release'.")
             return {
                 "statusCode": 400,
                 "headers": {
@@ -89,10 +191,10 @@ def handler(event, context):
                     "Access-Control-Allow-Methods": "POST,OPTIONS",
                     "Access-Control-Allow-Headers": "Content-Type,Authorization",
                 },
-                "body": json.dumps({"message": "Missing required field: sub"}),
+                "body": json.dumps({"message": "Missing or invalid mode. Use 'check', 'increment' or 'release'."}),
             }
-        if not mode or mode not in ["check", "increment"]:
-            print("Missing or invalid mode. Must be 'check' or 'increment'.")
+        if mode == "increment" and (not conversion_type or conversion_type not in ["pdf", "html", "both"]):
+            print("Missing or invalid conversionType for increment mode. Must be 'pdf', 'html' or 'both'.")
             return {
                 "statusCode": 400,
                 "headers": {
@@ -100,10 +202,21 @@ def handler(event, context):
                     "Access-Control-Allow-Methods": "POST,OPTIONS",
                     "Access-Control-Allow-Headers": "Content-Type,Authorization",
                 },
-                "body": json.dumps({"message": "Missing or invalid mode. Use 'check' or 'increment'."}),
+                "body": json.dumps({"message": "Missing or invalid conversionType for increment mode. Use 'pdf', 'html' or 'both'."}),
             }
-        if mode == "increment" and (not conversion_type or conversion_type not in ["pdf", "html"]):
-            print("Missing or invalid conversionType for increment mode. Must be 'pdf' or 'html'.")
+        if mode == "increment" and not is_own_upload_key(upload_key, conversion_type, claims.get("email")):
+            print(f"Refusing to reserve quota for {upload_key}: not an upload key of the caller")
+            return {
+                "statusCode": 403,
+                "headers": {
+                    "Access-Control-Allow-Origin": "*",
+                    "Access-Control-Allow-Methods": "POST,OPTIONS",
+                    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                },
+                "body": json.dumps({"message": "Missing or invalid uploadKey: it must be one of your own uploads."}),
+            }
+        if mode == "release" and (not reservation_id or not isinstance(reservation_id, str)):
+            print("Missing reservationId for release mode.")
             return {
                 "statusCode": 400,
                 "headers": {
@@ -111,13 +224,14 @@ def handler(event, context):
                     "Access-Control-Allow-Methods": "POST,OPTIONS",
                     "Access-Control-Allow-Headers": "Content-Type,Authorization",
                 },
-                "body": json.dumps({"message": "Missing or invalid conversionType for increment mode. Use 'pdf' or 'html'."}),
+                "body": json.dumps({"message": "Missing required field for release mode: reservationId"}),
             }
 
-        # Retrieve User Pool ID from environment variables
+        # Retrieve User Pool ID and reservations table from environment variables
         user_pool_id = os.environ.get("USER_POOL_ID")
-        if not user_pool_id:
-            print("Environment variable USER_POOL_ID is not set.")
+        reservations_table = os.environ.get("RESERVATIONS_TABLE")
+        if not user_pool_id or not reservations_table:
+            print("Environment variable USER_POOL_ID or RESERVATIONS_TABLE is not set.")
             return {
                 "statusCode": 500,
                 "headers": {
@@ -239,17 +353,48 @@ def handler(event, context):
 
             # 4) If they have not reached the limit, increment usage and conversion count
             new_count = current_count + 1
+            reservation_id = str(uuid.uuid4())
 
             # Determine which conversion count to increment
             if conversion_type == "pdf":
                 new_pdf2pdf_count = pdf2pdf_count + 1
                 new_pdf2html_count = pdf2html_count
                 print(f"Incrementing PDF2PDF count from {pdf2pdf_count} to {new_pdf2pdf_count}")
+            elif conversion_type == "both":
+                new_pdf2pdf_count = pdf2pdf_count + 1
+                new_pdf2html_count = pdf2html_count + 1
+                print(f"Incrementing PDF2PDF and PDF2HTML counts to {new_pdf2pdf_count} and {new_pdf2html_count}")
             else:  # conversion_type == "html"
                 new_pdf2pdf_count = pdf2pdf_count
                 new_pdf2html_count = pdf2html_count + 1
                 print(f"Incrementing PDF2HTML count from {pdf2html_count} to {new_pdf2html_count}")
 
+            # Recorded first, so every count that goes up has a reservation that can bring it back down
+            now = int(time.time())
+            try:
+                dynamodb_client.put_item(
+                    TableName=reservations_table,
+                    Item={
+                        "reservationId": {"S": reservation_id},
+                        "sub": {"S": user_sub},
+                        "conversionType": {"S": conversion_type},
+                        "uploadKey": {"S": upload_key},
+                        "createdAt": {"N": str(now)},
+                        "expiresAt": {"N": str(now + RESERVATION_TTL_SECONDS)},
+                    },
+                )
+            except Exception as e:
+                print("Error recording quota reservation:", str(e))
+                return {
+                    "statusCode": 500,
+                    "headers": {
+                        "Access-Control-Allow-Origin": "*",
+                        "Access-Control-Allow-Methods": "POST,OPTIONS",
+                        "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                    },
+                    "body": json.dumps({"message": "Failed to record the upload reservation."}),
+                }
+
             try:
                 cognito_client.admin_update_user_attributes(
                     UserPoolId=user_pool_id,
@@ -272,6 +417,14 @@ def handler(event, context):
                 print(f"Successfully updated counts for user {user_sub}: total_files_uploaded={new_count}, pdf2pdf={new_pdf2pdf_count}, pdf2html={new_pdf2html_count}")
             except Exception as e:
                 print("Error updating user attribute in Cognito:", str(e))
+                # Nothing was counted, so the reservation must not be releasable
+                try:
+                    dynamodb_client.delete_item(
+                        TableName=reservations_table,
+                        Key={"reservationId": {"S": reservation_id}},
+                    )
+                except Exception as cleanup_error:
+                    print("Error removing unused quota reservation:", str(cleanup_error))
                 return {
                     "statusCode": 500,
                     "headers": {
@@ -293,6 +446,154 @@ def handler(event, context):
                 "body": json.dumps({
                     "message": f"Upload allowed. New count = {new_count}.",
                     "newCount": new_count,
+                    "reservationId": reservation_id,
+                    "currentUsage": new_count,
+                    "maxFilesAllowed": max_files_allowed,
+                    "maxPagesAllowed": max_pages_allowed,
+                    "maxSizeAllowedMB": max_size_allowed_mb,
+                    "pdf2pdfCount": new_pdf2pdf_count,
+                    "pdf2htmlCount": new_pdf2html_count
+                }),
+            }
+
+        # If mode == release, undo a reservation whose upload did not complete or whose job was cancelled
+        if mode == "release":
+            # Only an upload that never reached the pipeline is refunded, whatever the client says
+            try:
+                reservation = dynamodb_client.get_item(
+                    TableName=reservations_table,
+                    Key={"reservationId": {"S": reservation_id}},
+                ).get("Item")
+                processed = (
+                    find_processed_object(reservation["conversionType"]["S"], reservation["uploadKey"]["S"])
+                    if reservation and reservation["sub"]["S"] == user_sub and "uploadKey" in reservation
+                    else None
+                )
+            except Exception as e:
+                print("Error checking the upload of quota reservation:", str(e))
+                return {
+                    "statusCode": 500,
+                    "headers": {
+                        "Access-Control-Allow-Origin": "*",
+                        "Access-Control-Allow-Methods": "POST,OPTIONS",
+                        "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                    },
+                    "body": json.dumps({"message": "Failed to release the upload reservation."}),
+                }
+            if processed:
+                print(f"Refusing to release reservation {reservation_id}: found {processed}")
+                return {
+                    "statusCode": 409,
+                    "headers": {
+                        "Access-Control-Allow-Origin": "*",
+                        "Access-Control-Allow-Methods": "POST,OPTIONS",
+                        "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                    },
+                    "body": json.dumps({"message": "This upload was already processed, so it still counts toward your quota."}),
+                }
+
+            # Deleting the reservation is what allows the refund, so each one is released at most once.
+            # Unknown, expired, already released or someone else's reservations are all refused, and so
+            # are reservations recorded without an upload key, whose upload can't be checked.
+            try:
+                released = dynamodb_client.delete_item(
+                    TableName=reservations_table,
+                    Key={"reservationId": {"S": reservation_id}},
+                    ConditionExpression="attribute_exists(uploadKey) AND #sub = :sub AND expiresAt > :now",
+                    ExpressionAttributeNames={"#sub": "sub"},
+                    ExpressionAttributeValues={
+                        ":sub": {"S": user_sub},
+                        ":now": {"N": str(int(time.time()))},
+                    },
+                    ReturnValues="ALL_OLD",
+                )
+            except dynamodb_client.exceptions.ConditionalCheckFailedException:
+                print(f"Refusing to release unknown, expired or already released reservation {reservation_id}")
+                return {
+                    "statusCode": 409,
+                    "headers": {
+                        "Access-Control-Allow-Origin": "*",
+                        "Access-Control-Allow-Methods": "POST,OPTIONS",
+                        "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                    },
+                    "body": json.dumps({"message": "This reservation can't be released."}),
+                }
+            except Exception as e:
+                print("Error releasing quota reservation:", str(e))
+                return {
+                    "statusCode": 500,
+                    "headers": {
+                        "Access-Control-Allow-Origin": "*",
+                        "Access-Control-Allow-Methods": "POST,OPTIONS",
+                        "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                    },
+                    "body": json.dumps({"message": "Failed to release the upload reservation."}),
+                }
+
+            # The conversion type is the one recorded at increment time, not whatever the client sends
+            conversion_type = released["Attributes"]["conversionType"]["S"]
+            # Never go below zero, e.g. if counts were reset by an administrator
+            new_count = max(current_count - 1, 0)
+            if conversion_type == "pdf":
+                new_pdf2pdf_count = max(pdf2pdf_count - 1, 0)
+                new_pdf2html_count = pdf2html_count
+            elif conversion_type == "both":
+                new_pdf2pdf_count = max(pdf2pdf_count - 1, 0)
+                new_pdf2html_count = max(pdf2html_count - 1, 0)
+            else:  # conversion_type == "html"
+                new_pdf2pdf_count = pdf2pdf_count
+                new_pdf2html_count = max(pdf2html_count - 1, 0)
+            print(f"Releasing {conversion_type} reservation: total_files_uploaded {current_count} -> {new_count}")
+
+            try:
+                cognito_client.admin_update_user_attributes(
+                    UserPoolId=user_pool_id,
+                    Username=user_sub,
+                    UserAttributes=[
+                        {
+                            "Name": "custom:total_files_uploaded",
+                            "Value": str(new_count)
+                        },
+                        {
+                            "Name": "custom:pdf2pdf",
+                            "Value": str(new_pdf2pdf_count)
+                        },
+                        {
+                            "Name": "custom:pdf2html",
+                            "Value": str(new_pdf2html_count)
+                        }
+                    ]
+                )
+            except Exception as e:
+                print("Error updating user attribute in Cognito:", str(e))
+                # Nothing was refunded, so put the reservation back for a retry
+                try:
+                    dynamodb_client.put_item(
+                        TableName=reservations_table,
+                        Item=released["Attributes"],
+                    )
+                except Exception as restore_error:
+                    print("Error restoring quota reservation:", str(restore_error))
+                return {
+                    "statusCode": 500,
+                    "headers": {
+                        "Access-Control-Allow-Origin": "*",
+                        "Access-Control-Allow-Methods": "POST,OPTIONS",
+                        "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                    },
+                    "body": json.dumps({"message": "Failed to update user attribute."}),
+                }
+
+            return {
+                "statusCode": 200,
+                "headers": {
+                    "Access-Control-Allow-Origin": "*",
+                    "Access-Control-Allow-Methods": "POST,OPTIONS",
+                    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+                },
+                "body": json.dumps({
+                    "message": f"Reservation released. New count = {new_count}.",
+                    "newCount": new_count,
                     "currentUsage": new_count,
                     "maxFilesAllowed": max_files_allowed,
                     "maxPagesAllowed": max_pages_allowed,
@@ -0,0 +1,93 @@
+import json
+import os
+import re
+
+import boto3
+
+# Prefixes the app lists, each followed by the owner's unique file names:
+# <sanitized email>_<timestamp>_<file name>
+OWNED_PREFIXES = ['result/COMPLIANT_', 'remediated/final_', 'output/', 'revisions/', 'temp/']
+
+CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+}
+
+s3 = boto3.client('s3')
+
+
+def respond(status_code, body):
+    return {
+        'statusCode': status_code,
+        'headers': CORS_HEADERS,
+        'body': json.dumps(body),
+    }
+
+
+def get_owner_names(email):
+    # Same rule as sanitizeEmail in the app's s3Keys module. HTML results also go
+    # through the pipeline's S3 URI rules, which collapse repeated underscores.
+    sanitized = re.sub(r'[^a-zA-Z0-9]', '_', email)
+    return {sanitized, re.sub(r'_+', '_', sanitized).strip('_')}
+
+
+def find_owned_prefix(prefix, owners):
+    """The fixed prefix and owner name that make `prefix` one of the caller's, or None"""
+    for owned_prefix in OWNED_PREFIXES:
+        if not prefix.startswith(owned_prefix):
+            continue
+        rest = prefix[len(owned_prefix):] + '_'
+        for owner in owners:
+            if owner and rest.startswith(f'{owner}_'):
+                return owned_prefix, owner
+    return None
+
+
+def handler(event, context):
+    """
+    List objects under one of the caller's own prefixes, e.g. their results or the
+    pipeline's temp/ files of one upload. The identity pool role has no s3:ListBucket,
+    since IAM can't limit listing to the sanitized email the keys start with.
+
+    Expects a GET from the Cognito authorizer with the query parameters
+    bucket (the PDF or HTML bucket) and prefix. Returns
+    { "objects": [{ "key", "lastModified" (ISO 8601), "size" }] }, keeping only keys
+    whose unique file name starts with the caller's sanitized email and a timestamp,
+    so a longer email with the same beginning doesn't match.
+    """
+    claims = ((event.get('requestContext') or {}).get('authorizer') or {}).get('claims') or {}
+    email = claims.get('email')
+    if not email:
+        return respond(401, {'message': 'Unauthorized.'})
+
+    params = event.get('queryStringParameters') or {}
+    bucket = params.get('bucket')
+    prefix = params.get('prefix')
+    allowed_buckets = {os.environ.get('PDF_BUCKET'), os.environ.get('HTML_BUCKET')} - {None, ''}
+    if bucket not in allowed_buckets or not isinstance(prefix, str):
+        return respond(400, {'message': 'Missing or invalid bucket or prefix.'})
+
+    owned = find_owned_prefix(prefix, get_owner_names(email))
+    if not owned:
+        print(f'Refusing to list {prefix}: not a prefix of the caller')
+        return respond(403, {'message': 'You can only list your own files.'})
+    owned_prefix, owner = owned
+    owner_pattern = re.compile(rf'^{re.escape(owner)}_\d{{8,}}_')
+
+    objects = []
+    try:
+        paginator = s3.get_paginator('list_objects_v2')
+        for page in paginator.paginate(Bucket=bucket, Prefix=prefix):
+            for item in page.get('Contents', []):
+                if owner_pattern.match(item['Key'][len(owned_prefix):]):
+                    objects.append({
+                        'key': item['Key'],
+                        'lastModified': item['LastModified'].isoformat(),
+                        'size': item['Size'],
+                    })
+    except Exception as error:
+        print(f'Error listing {bucket}/{prefix}: {error}')
+        return respond(500, {'message': 'Failed to list files.'})
+
+    return respond(200, {'objects': objects})
@@ -0,0 +1,223 @@
+import json
+import os
+import re
+from datetime import datetime, timezone
+
+import boto3
+
+# Upload keys the app creates: pdf/<user>_<timestamp>_<name> in the PDF bucket,
+# uploads/<user>_<timestamp>_<name> in the HTML bucket
+UPLOAD_PREFIXES = {'pdf': 'pdf/', 'html': 'uploads/'}
+
+CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+}
+
+s3 = boto3.client('s3')
+
+
+def respond(status_code, body):
+    return {
+        'statusCode': status_code,
+        'headers': CORS_HEADERS,
+        'body': json.dumps(body),
+    }
+
+
+def sanitize_email(email):
+    # Same rule as sanitizeEmail in the app's s3Keys module
+    return re.sub(r'[^a-zA-Z0-9]', '_', email)
+
+
+def get_pipeline(bucket):
+    return {os.environ.get('PDF_BUCKET'): 'pdf', os.environ.get('HTML_BUCKET'): 'html'}.get(bucket) if bucket else None
+
+
+def is_own_upload(key, pipeline, email):
+    # <prefix><sanitized email>_<timestamp>_<file name>; the timestamp keeps a longer email
+    # with the same beginning from matching, as in listUserFiles
+    if not isinstance(key, str) or '..' in key:
+        return False
+    pattern = rf'^{re.escape(UPLOAD_PREFIXES[pipeline])}{re.escape(sanitize_email(email))}_\d{{8,}}_'
+    return bool(re.match(pattern, key))
+
+
+def sanitize_for_s3(name):
+    # Same rule as sanitizeForS3 in the app's s3Keys module (the HTML pipeline's S3 URI rules)
+    sanitized = re.sub(r'\s', '_', name)
+    sanitized = re.sub(r"[\x00-\x1F\x7F{^}%`\]\">\[~<#|&\\*?/$!':@+=]", '_', sanitized)
+    sanitized = re.sub(r'_+', '_', sanitized)
+    return sanitized.strip('_')
+
+
+def get_stage_prefixes(pipeline, unique_filename):
+    # What a run writes for an upload (results, temp/ files, status and failure markers),
+    # as in the app's s3Keys module and the quota API
+    stem = re.sub(r'\.pdf$', '', unique_filename, flags=re.IGNORECASE)
+    markers = [f'status/{unique_filename}.json', f'failed/{unique_filename}.json']
+    if pipeline == 'html':
+        html_stem = sanitize_for_s3(stem)
+        return [f'remediated/final_{html_stem}', f'output/{html_stem}', *markers]
+    return [f'result/COMPLIANT_{unique_filename}', f'temp/{stem}/', *markers]
+
+
+def find_stage_output(bucket, pipeline, unique_filename):
+    """The prefix of something a run already wrote for the upload, or None if no stage started"""
+    for prefix in get_stage_prefixes(pipeline, unique_filename):
+        if s3.list_objects_v2(Bucket=bucket, Prefix=prefix, MaxKeys=1).get('KeyCount', 0) > 0:
+            return prefix
+    return None
+
+
+def find_listed_object(bucket, key):
+    # The object under exactly `key`, as listed (with its LastModified), or None
+    listed = s3.list_objects_v2(Bucket=bucket, Prefix=key, MaxKeys=1)
+    return next((item for item in listed.get('Contents', []) if item['Key'] == key), None)
+
+
+def has_failed_since(bucket, unique_filename, since):
+    """
+    Whether a run failed after `since`, the upload's latest trigger: it wrote a failure
+    marker, or a status object with an error, as the app's pipelineStatus module reads them
+    """
+    marker = find_listed_object(bucket, f'failed/{unique_filename}.json')
+    if marker and marker['LastModified'] >= since:
+        return True
+    status = find_listed_object(bucket, f'status/{unique_filename}.json')
+    if not status or status['LastModified'] < since:
+        return False
+    try:
+        body = json.loads(s3.get_object(Bucket=bucket, Key=status['Key'])['Body'].read())
+    except ValueError:
+        return False
+    return isinstance(body, dict) and bool(body.get('error'))
+
+
+def retry_upload(bucket, key, pipeline):
+    """
+    Start a failed run again by copying the upload onto itself, which fires the bucket's
+    trigger. Only a run that failed since the upload was last triggered can be retried, so
+    retries can't be used to remediate a file again without a quota reservation.
+    """
+    upload = find_listed_object(bucket, key)
+    if not upload:
+        return 404, {'message': 'The upload no longer exists.'}
+    unique_filename = key[len(UPLOAD_PREFIXES[pipeline]):]
+    if not has_failed_since(bucket, unique_filename, upload['LastModified']):
+        return 409, {'message': 'Only a run that failed can be retried.'}
+
+    head = s3.head_object(Bucket=bucket, Key=key)
+    metadata = head.get('Metadata', {})
+    # The pipeline deletes the password after its first attempt
+    if metadata.get('password-protected') == 'true':
+        return 409, {'message': 'This file is password-protected. Please upload it again and enter its password to retry.'}
+
+    # Same format as the app's toISOString(); S3 timestamps have one-second precision
+    retried_at = datetime.now(timezone.utc).strftime('%Y-%m-%dT%H:%M:%S.000Z')
+    s3.copy_object(
+        Bucket=bucket,
+        Key=key,
+        CopySource={'Bucket': bucket, 'Key': key},
+        Metadata={**metadata, 'retried-at': retried_at},
+        MetadataDirective='REPLACE',
+        ContentType=head.get('ContentType', 'application/pdf'),
+    )
+    return 200, {'retriedAt': retried_at}
+
+
+def list_parts(bucket, key, upload_id):
+    parts = []
+    paginator = s3.get_paginator('list_parts')
+    for page in paginator.paginate(Bucket=bucket, Key=key, UploadId=upload_id):
+        for part in page.get('Parts', []):
+            parts.append({'partNumber': part['PartNumber'], 'etag': part['ETag']})
+    return {'parts': parts}
+
+
+def abort_upload(bucket, key, upload_id):
+    s3.abort_multipart_upload(Bucket=bucket, Key=key, UploadId=upload_id)
+    return {'message': 'Upload aborted.'}
+
+
+def cancel_upload(bucket, key, pipeline):
+    """
+    Check whether a stage has started, then write the cancellation marker, abort unfinished
+    multipart uploads of the key and delete the uploaded file. The caller only refunds quota
+    when `started` is false; the quota API checks again before it does.
+    """
+    unique_filename = key[len(UPLOAD_PREFIXES[pipeline]):]
+    started = find_stage_output(bucket, pipeline, unique_filename)
+    cancelled_at = datetime.now(timezone.utc).isoformat()
+    s3.put_object(
+        Bucket=bucket,
+        Key=f'cancelled/{unique_filename}.json',
+        Body=json.dumps({'cancelledAt': cancelled_at, 'uploadKey': key}),
+        ContentType='application/json',
+    )
+    for upload in s3.list_multipart_uploads(Bucket=bucket, Prefix=key).get('Uploads', []):
+        if upload['Key'] == key:
+            s3.abort_multipart_upload(Bucket=bucket, Key=key, UploadId=upload['UploadId'])
+    # Deleting a key that is already gone succeeds, so this is safe to repeat
+    s3.delete_object(Bucket=bucket, Key=key)
+    if started:
+        print(f'Cancelled {key} after the pipeline started (found {started})')
+    return {'cancelledAt': cancelled_at, 'started': bool(started)}
+
+
+def handler(event, context):
+    """
+    Change one of the caller's uploads on their behalf. The identity pool role can only put
+    and get objects, so deleting and aborting (which IAM can't limit to the sanitized email
+    the keys start with) happen here, after checking the key is the caller's. Retries are
+    here too, so the rules for when a run may be started again are checked on the server.
+
+    Expects a POST from the Cognito authorizer with the JSON body
+    { "action": "listParts", "bucket": "...", "key": "pdf/<name>", "uploadId": "..." }
+      -> { "parts": [{ "partNumber", "etag" }] }
+    { "action": "abort", "bucket", "key", "uploadId" }
+      -> aborts that multipart upload
+    { "action": "cancel", "bucket", "key" }
+      -> { "cancelledAt", "started" }: see cancel_upload
+    { "action": "retry", "bucket", "key" }
+      -> { "retriedAt" }, or 409 unless a run failed since the last trigger: see retry_upload
+    The bucket must be the PDF or HTML bucket and the key one of the caller's uploads to it.
+    """
+    try:
+        body = json.loads(event.get('body') or '{}')
+    except json.JSONDecodeError:
+        return respond(400, {'message': 'Invalid JSON in request body.'})
+
+    claims = ((event.get('requestContext') or {}).get('authorizer') or {}).get('claims') or {}
+    email = claims.get('email')
+    if not email:
+        return respond(401, {'message': 'Unauthorized.'})
+
+    action = body.get('action')
+    bucket = body.get('bucket')
+    key = body.get('key')
+    upload_id = body.get('uploadId')
+    pipeline = get_pipeline(bucket)
+    if action not in ('listParts', 'abort', 'cancel', 'retry') or not pipeline:
+        return respond(400, {'message': 'Missing or invalid action or bucket.'})
+    if action in ('listParts', 'abort') and not isinstance(upload_id, str):
+        return respond(400, {'message': 'Missing uploadId.'})
+
+    if not is_own_upload(key, pipeline, email):
+        print(f'Refusing to {action} {bucket}/{key}: not an upload of the caller')
+        return respond(403, {'message': 'This upload does not belong to you.'})
+
+    try:
+        if action == 'listParts':
+            return respond(200, list_parts(bucket, key, upload_id))
+        if action == 'abort':
+            return respond(200, abort_upload(bucket, key, upload_id))
+        if action == 'retry':
+            return respond(*retry_upload(bucket, key, pipeline))
+        return respond(200, cancel_upload(bucket, key, pipeline))
+    except s3.exceptions.NoSuchUpload:
+        return respond(404, {'message': 'The upload no longer exists.'})
+    except Exception as error:
+        print(f'Error during {action} of {bucket}/{key}: {error}')
+        return respond(500, {'message': f'Failed to {action} the upload.'})
@@ -0,0 +1,81 @@
+import os
+import re
+from urllib.parse import unquote_plus
+
+import boto3
+
+# Result keys look like result/COMPLIANT_<email>_<timestamp>_<name>.pdf or
+# remediated/final_<email>_<timestamp>_<name>.zip, where <email> has every
+# non-alphanumeric character replaced with "_"
+RESULT_KEY_PATTERN = re.compile(
+    r'^(?:result/COMPLIANT_|remediated/final_)(?P<user>[A-Za-z0-9_]+?)_\d{8,}_(?P<name>.+)$'
+)
+
+cognito_idp = boto3.client('cognito-idp')
+ses = boto3.client('ses')
+
+
+def sanitize_email(email):
+    # Same rule as the upload form; the HTML pipeline also collapses repeated underscores
+    sanitized = re.sub(r'[^a-zA-Z0-9]', '_', email)
+    return re.sub(r'_+', '_', sanitized).strip('_')
+
+
+def find_user_email(sanitized_user):
+    """Look up the address whose sanitized form starts the result key."""
+    target = re.sub(r'_+', '_', sanitized_user).strip('_')
+    # Everything up to the first "_" is a literal prefix of the address
+    prefix = target.split('_')[0]
+    paginator = cognito_idp.get_paginator('list_users')
+    pages = paginator.paginate(
+        UserPoolId=os.environ['USER_POOL_ID'],
+        AttributesToGet=['email'],
+        Filter=f'email ^= "{prefix}"'
+    )
+    for page in pages:
+        for user in page['Users']:
+            for attribute in user.get('Attributes', []):
+                if attribute['Name'] == 'email' and sanitize_email(attribute['Value']) == target:
+                    return attribute['Value']
+    return None
+
+
+def send_email(recipient, file_name, is_html):
+    app_url = os.environ.get('APP_URL', '')
+    output = 'accessible HTML (ZIP)' if is_html else 'accessible PDF'
+    body = (
+        f'Your document "{file_name}" has been remediated.\n\n'
+        f'The {output} is ready to download from the PDF Accessibility app:\n'
+        f'{app_url}/app\n\n'
+        'Downloads are available from "Your Jobs" and "Remediated Files".'
+    )
+    ses.send_email(
+        Source=os.environ['SENDER_EMAIL'],
+        Destination={'ToAddresses': [recipient]},
+        Message={
+            'Subject': {'Data': f'Your remediated file is ready: {file_name}'},
+            'Body': {'Text': {'Data': body}}
+        }
+    )
+
+
+def handler(event, context):
+    for record in event.get('Records', []):
+        key = unquote_plus(record['s3']['object']['key'])
+        match = RESULT_KEY_PATTERN.match(key)
+        if not match:
+            print(f'Skipping {key}: not a remediation result')
+            continue
+
+        try:
+            recipient = find_user_email(match.group('user'))
+            if not recipient:
+                print(f'No user found for {key}')
+                continue
+            send_email(recipient, match.group('name'), key.startswith('remediated/'))
+            print(f'Sent completion email for {key}')
+        except Exception as error:
+            # One failed email must not block the others in the batch
+            print(f'Error sending completion email for {key}: {error}')
+
+    return {'statusCode': 200}
@@ -0,0 +1,98 @@
+import base64
+import json
+import os
+import re
+
+import boto3
+
+# Upload keys the app creates: pdf/<user>_<timestamp>_<name> or uploads/<user>_<timestamp>_<name>
+UPLOAD_PREFIXES = {'pdf': 'pdf/', 'html': 'uploads/'}
+
+CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST,OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+}
+
+kms = boto3.client('kms')
+s3 = boto3.client('s3')
+
+
+def respond(status_code, message):
+    return {
+        'statusCode': status_code,
+        'headers': CORS_HEADERS,
+        'body': json.dumps({'message': message}),
+    }
+
+
+def sanitize_email(email):
+    # Same rule as sanitizeEmail in the app's s3Keys module
+    return re.sub(r'[^a-zA-Z0-9]', '_', email)
+
+
+def is_own_upload(upload_key, pipeline, email):
+    # <prefix><sanitized email>_<timestamp>_<file name>: the timestamp keeps a longer email
+    # with the same beginning (a_b_com_au for a@b.com) from matching, as in listUserFiles
+    pattern = rf'^{re.escape(UPLOAD_PREFIXES[pipeline])}{re.escape(sanitize_email(email))}_\d{{8,}}_'
+    return bool(re.match(pattern, upload_key)) and '..' not in upload_key
+
+
+def handler(event, context):
+    """
+    Store the password of a protected PDF for the pipeline, e.g.
+    pdf/<name>.pdf -> passwords/pdf/<name>.pdf.json in that pipeline's bucket.
+
+    The password is encrypted with the KMS key in PASSWORD_KEY_ID (encryption context
+    {"uploadKey": <upload key>}), and the identity pool role can't read passwords/,
+    so only the pipeline (granted kms:Decrypt) can recover it. It should delete the
+    object once the file has been opened.
+
+    Expects a POST from the Cognito authorizer with the JSON body
+    { "pipeline": "pdf" or "html", "uploadKey": "<key the file is uploaded to>", "password": "..." }.
+    The upload key must belong to the caller.
+    """
+    try:
+        body = json.loads(event.get('body') or '{}')
+    except json.JSONDecodeError:
+        return respond(400, 'Invalid JSON in request body.')
+
+    claims = ((event.get('requestContext') or {}).get('authorizer') or {}).get('claims') or {}
+    email = claims.get('email')
+    if not email:
+        return respond(401, 'Unauthorized.')
+
+    pipeline = body.get('pipeline')
+    upload_key = body.get('uploadKey')
+    password = body.get('password')
+    bucket = {'pdf': os.environ.get('PDF_BUCKET'), 'html': os.environ.get('HTML_BUCKET')}.get(pipeline)
+    if not bucket or not isinstance(upload_key, str) or not isinstance(password, str) or not password:
+        return respond(400, "Missing or invalid pipeline, uploadKey or password.")
+
+    # Only the caller's own uploads: the unique file name starts with their sanitized email
+    if not is_own_upload(upload_key, pipeline, email):
+        print(f'Refusing to store a password for {upload_key}: not an upload of the caller')
+        return respond(403, 'This upload does not belong to you.')
+
+    try:
+        ciphertext = kms.encrypt(
+            KeyId=os.environ['PASSWORD_KEY_ID'],
+            Plaintext=password.encode('utf-8'),
+            EncryptionContext={'uploadKey': upload_key},
+        )['CiphertextBlob']
+        s3.put_object(
+            Bucket=bucket,
+            Key=f'passwords/{upload_key}.json',
+            Body=json.dumps({
+                'ciphertext': base64.b64encode(ciphertext).decode('ascii'),
+                'encryptionContext': {'uploadKey': upload_key},
+            }),
+            ContentType='application/json',
+            ServerSideEncryption='AES256',
+        )
+    except Exception as error:
+        print(f'Error storing password for {upload_key}: {error}')
+        return respond(500, 'Failed to store the PDF password.')
+
+    print(f'Stored password for {upload_key}')
+    return respond(200, 'Password stored.')
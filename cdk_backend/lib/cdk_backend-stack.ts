@@ -2,9 +2,12 @@ import * as amplify from "@aws-cdk/aws-amplify-alpha";
 import * as cdk from "aws-cdk-lib";
 import * as apigateway from "aws-cdk-lib/aws-apigateway";
 import * as cognito from "aws-cdk-lib/aws-cognito";
+import * as dynamodb from "aws-cdk-lib/aws-dynamodb";
 import * as iam from "aws-cdk-lib/aws-iam";
+import * as kms from "aws-cdk-lib/aws-kms";
 import * as lambda from "aws-cdk-lib/aws-lambda";
 import * as s3 from "aws-cdk-lib/aws-s3";
+import * as s3n from "aws-cdk-lib/aws-s3-notifications";
 import { Construct } from "constructs";
 
 import * as cloudtrail from "aws-cdk-lib/aws-cloudtrail";
@@ -19,6 +22,15 @@ export class CdkBackendStack extends cdk.Stack {
       this.node.tryGetContext("PDF_TO_PDF_BUCKET") || "Null";
     const PDF_TO_HTML_BUCKET =
       this.node.tryGetContext("PDF_TO_HTML_BUCKET") || "Null";
+    // How a "both formats" upload counts against the quota: "separate" (two jobs) or "combined" (one job)
+    const BOTH_FORMATS_USAGE =
+      this.node.tryGetContext("BOTH_FORMATS_USAGE") || "separate";
+    // Shown to users when remediation fails; the app falls back to its built-in address
+    const SUPPORT_EMAIL = this.node.tryGetContext("SUPPORT_EMAIL");
+    // SES-verified sender; when set, users are emailed as their remediated files are written
+    const NOTIFICATION_SENDER_EMAIL = this.node.tryGetContext(
+      "NOTIFICATION_SENDER_EMAIL"
+    );
 
     // Validate that at least one bucket is provided
     if (!PDF_TO_PDF_BUCKET && !PDF_TO_HTML_BUCKET) {
@@ -328,6 +340,35 @@ export class CdkBackendStack extends cdk.Stack {
       })
     );
 
+    // No s3:ListBucket, s3:DeleteObject or multipart abort and list: keys start with the user's
+    // sanitized email, which an s3:prefix condition can't express, so listing goes through the
+    // ListUserFilesFn Lambda and cancelling or resuming an upload through ManageUploadsFn below
+    const s3BucketArns: string[] = [];
+    if (pdfBucket) {
+      s3BucketArns.push(pdfBucket.bucketArn);
+    }
+    if (htmlBucket) {
+      s3BucketArns.push(htmlBucket.bucketArn);
+    }
+
+    // Passwords of protected PDFs are only for the pipeline; see the storePdfPassword Lambda
+    const passwordObjectArns: string[] = [];
+    if (pdfBucket) {
+      passwordObjectArns.push(pdfBucket.arnForObjects("passwords/*"));
+    }
+    if (htmlBucket) {
+      passwordObjectArns.push(htmlBucket.arnForObjects("passwords/*"));
+    }
+    if (passwordObjectArns.length > 0) {
+      authenticatedRole.addToPolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.DENY,
+          actions: ["s3:GetObject", "s3:PutObject", "s3:DeleteObject"],
+          resources: passwordObjectArns,
+        })
+      );
+    }
+
     new cognito.CfnIdentityPoolRoleAttachment(
       this,
       "IdentityPoolRoleAttachment",
@@ -373,6 +414,37 @@ export class CdkBackendStack extends cdk.Stack {
       })
     );
 
+    // Every quota increment is recorded here so only real, unreleased reservations can be refunded
+    const quotaReservationsTable = new dynamodb.Table(
+      this,
+      "QuotaReservationsTable",
+      {
+        partitionKey: {
+          name: "reservationId",
+          type: dynamodb.AttributeType.STRING,
+        },
+        billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+        timeToLiveAttribute: "expiresAt",
+        removalPolicy: cdk.RemovalPolicy.DESTROY,
+      }
+    );
+    quotaReservationsTable.grant(
+      checkUploadQuotaLambdaRole,
+      "dynamodb:GetItem",
+      "dynamodb:PutItem",
+      "dynamodb:DeleteItem"
+    );
+    // A release is refused once the reserved upload exists or a run wrote anything for it
+    if (s3BucketArns.length > 0) {
+      checkUploadQuotaLambdaRole.addToPolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["s3:ListBucket"],
+          resources: s3BucketArns,
+        })
+      );
+    }
+
     // 3) Create the Lambda function
     const checkOrIncrementQuotaFn = new lambda.Function(
       this,
@@ -385,6 +457,9 @@ export class CdkBackendStack extends cdk.Stack {
         role: checkUploadQuotaLambdaRole,
         environment: {
           USER_POOL_ID: userPool.userPoolId,
+          RESERVATIONS_TABLE: quotaReservationsTable.tableName,
+          PDF_BUCKET: pdfBucket ? pdfBucket.bucketName : "",
+          HTML_BUCKET: htmlBucket ? htmlBucket.bucketName : "",
         },
       }
     );
@@ -417,6 +492,10 @@ export class CdkBackendStack extends cdk.Stack {
       "update-first-sign-in"
     );
     const quotaResource = updateAttributesApi.root.addResource("upload-quota");
+    const pdfPasswordResource =
+      updateAttributesApi.root.addResource("pdf-password");
+    const filesResource = updateAttributesApi.root.addResource("files");
+    const uploadsResource = updateAttributesApi.root.addResource("uploads");
     // We attach the Cognito authorizer and set the authorizationType to COGNITO
     UpdateFirstSignIn.addMethod(
       "POST",
@@ -436,6 +515,128 @@ export class CdkBackendStack extends cdk.Stack {
       }
     );
 
+    // ------------------- Passwords of protected PDFs -------------------
+    // Encrypted for the pipeline, which needs kms:Decrypt on this key to read them
+    const pdfPasswordKey = new kms.Key(this, "PdfPasswordKey", {
+      description: "Encrypts passwords of protected PDFs for the pipeline",
+      enableKeyRotation: true,
+    });
+
+    const storePdfPasswordFn = new lambda.Function(this, "StorePdfPasswordFn", {
+      runtime: lambda.Runtime.PYTHON_3_9,
+      handler: "index.handler",
+      code: lambda.Code.fromAsset("lambda/storePdfPassword/"),
+      timeout: cdk.Duration.seconds(30),
+      environment: {
+        PASSWORD_KEY_ID: pdfPasswordKey.keyId,
+        PDF_BUCKET: pdfBucket ? pdfBucket.bucketName : "",
+        HTML_BUCKET: htmlBucket ? htmlBucket.bucketName : "",
+      },
+    });
+    pdfPasswordKey.grantEncrypt(storePdfPasswordFn);
+    if (passwordObjectArns.length > 0) {
+      storePdfPasswordFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["s3:PutObject"],
+          resources: passwordObjectArns,
+        })
+      );
+    }
+
+    pdfPasswordResource.addMethod(
+      "POST",
+      new apigateway.LambdaIntegration(storePdfPasswordFn),
+      {
+        authorizer: userPoolAuthorizer,
+        authorizationType: apigateway.AuthorizationType.COGNITO,
+      }
+    );
+
+    // ------------------- Listing the user's own files -------------------
+    const listUserFilesFn = new lambda.Function(this, "ListUserFilesFn", {
+      runtime: lambda.Runtime.PYTHON_3_9,
+      handler: "index.handler",
+      code: lambda.Code.fromAsset("lambda/listUserFiles/"),
+      timeout: cdk.Duration.seconds(30),
+      environment: {
+        PDF_BUCKET: pdfBucket ? pdfBucket.bucketName : "",
+        HTML_BUCKET: htmlBucket ? htmlBucket.bucketName : "",
+      },
+    });
+    if (s3BucketArns.length > 0) {
+      listUserFilesFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["s3:ListBucket"],
+          resources: s3BucketArns,
+        })
+      );
+    }
+
+    filesResource.addMethod(
+      "GET",
+      new apigateway.LambdaIntegration(listUserFilesFn),
+      {
+        authorizer: userPoolAuthorizer,
+        authorizationType: apigateway.AuthorizationType.COGNITO,
+      }
+    );
+
+    // ------------------- Cancelling and resuming the user's uploads -------------------
+    const manageUploadsFn = new lambda.Function(this, "ManageUploadsFn", {
+      runtime: lambda.Runtime.PYTHON_3_9,
+      handler: "index.handler",
+      code: lambda.Code.fromAsset("lambda/manageUploads/"),
+      timeout: cdk.Duration.seconds(30),
+      environment: {
+        PDF_BUCKET: pdfBucket ? pdfBucket.bucketName : "",
+        HTML_BUCKET: htmlBucket ? htmlBucket.bucketName : "",
+      },
+    });
+    if (s3BucketArns.length > 0) {
+      manageUploadsFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["s3:ListBucket", "s3:ListBucketMultipartUploads"],
+          resources: s3BucketArns,
+        })
+      );
+      manageUploadsFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: [
+            // Retrying reads the run's status and copies the upload onto itself
+            "s3:GetObject",
+            "s3:DeleteObject",
+            "s3:AbortMultipartUpload",
+            "s3:ListMultipartUploadParts",
+          ],
+          resources: s3Resources,
+        })
+      );
+      manageUploadsFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["s3:PutObject"],
+          resources: [
+            ...s3BucketArns.map((arn) => `${arn}/cancelled/*`),
+            ...(pdfBucket ? [pdfBucket.arnForObjects("pdf/*")] : []),
+            ...(htmlBucket ? [htmlBucket.arnForObjects("uploads/*")] : []),
+          ],
+        })
+      );
+    }
+
+    uploadsResource.addMethod(
+      "POST",
+      new apigateway.LambdaIntegration(manageUploadsFn),
+      {
+        authorizer: userPoolAuthorizer,
+        authorizationType: apigateway.AuthorizationType.COGNITO,
+      }
+    );
+
     // const hostedUiDomain = `https://pdf-ui-auth.auth.${this.region}.amazoncognito.com/login/continue?client_id=${userPoolClient.userPoolClientId}&redirect_uri=https%3A%2F%2Fmain.${amplifyApp.appId}.amplifyapp.com&response_type=code&scope=email+openid+phone+profile`
     const Authority = `cognito-idp.${this.region}.amazonaws.com/${userPool.userPoolId}`;
 
@@ -455,6 +656,14 @@ export class CdkBackendStack extends cdk.Stack {
       );
     }
 
+    mainBranch.addEnvironment(
+      "REACT_APP_BOTH_FORMATS_USAGE",
+      BOTH_FORMATS_USAGE
+    );
+    if (SUPPORT_EMAIL) {
+      mainBranch.addEnvironment("REACT_APP_SUPPORT_EMAIL", SUPPORT_EMAIL);
+    }
+
     mainBranch.addEnvironment("REACT_APP_USER_POOL_ID", userPool.userPoolId);
     mainBranch.addEnvironment("REACT_APP_AUTHORITY", Authority);
 
@@ -474,6 +683,18 @@ export class CdkBackendStack extends cdk.Stack {
       "REACT_APP_UPLOAD_QUOTA_API",
       updateAttributesApi.urlForPath("/upload-quota")
     );
+    mainBranch.addEnvironment(
+      "REACT_APP_PDF_PASSWORD_API",
+      updateAttributesApi.urlForPath("/pdf-password")
+    );
+    mainBranch.addEnvironment(
+      "REACT_APP_FILES_API",
+      updateAttributesApi.urlForPath("/files")
+    );
+    mainBranch.addEnvironment(
+      "REACT_APP_UPLOADS_API",
+      updateAttributesApi.urlForPath("/uploads")
+    );
 
     // ------------------- Integration of UpdateAttributesGroups Lambda -------------------
     // 1. Create IAM Role
@@ -553,6 +774,57 @@ export class CdkBackendStack extends cdk.Stack {
       sourceArn: cognitoGroupChangeRule.ruleArn,
     });
 
+    // ------------------- Completion emails (optional) -------------------
+    if (NOTIFICATION_SENDER_EMAIL) {
+      const notifyOnCompletionFn = new lambda.Function(
+        this,
+        "NotifyOnCompletionFn",
+        {
+          runtime: lambda.Runtime.PYTHON_3_9,
+          handler: "index.handler",
+          code: lambda.Code.fromAsset("lambda/notifyOnCompletion/"),
+          timeout: cdk.Duration.seconds(60),
+          environment: {
+            USER_POOL_ID: userPool.userPoolId,
+            SENDER_EMAIL: NOTIFICATION_SENDER_EMAIL,
+            APP_URL: appUrl,
+          },
+        }
+      );
+
+      notifyOnCompletionFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["cognito-idp:ListUsers"],
+          resources: [userPool.userPoolArn],
+        })
+      );
+      notifyOnCompletionFn.addToRolePolicy(
+        new iam.PolicyStatement({
+          effect: iam.Effect.ALLOW,
+          actions: ["ses:SendEmail"],
+          resources: ["*"],
+        })
+      );
+
+      // Imported buckets keep their existing (pipeline) notifications; these are added alongside
+      const notifyDestination = new s3n.LambdaDestination(notifyOnCompletionFn);
+      if (pdfBucket) {
+        pdfBucket.addEventNotification(
+          s3.EventType.OBJECT_CREATED,
+          notifyDestination,
+          { prefix: "result/COMPLIANT_" }
+        );
+      }
+      if (htmlBucket) {
+        htmlBucket.addEventNotification(
+          s3.EventType.OBJECT_CREATED,
+          notifyDestination,
+          { prefix: "remediated/final_" }
+        );
+      }
+    }
+
     // --------------------------- Outputs ------------------------------
     new cdk.CfnOutput(this, "UserPoolId", { value: userPool.userPoolId });
     new cdk.CfnOutput(this, "UserPoolClientId", {
@@ -577,6 +849,11 @@ export class CdkBackendStack extends cdk.Stack {
       description: "POST requests to this URL to update attributes.",
     });
 
+    new cdk.CfnOutput(this, "PdfPasswordKeyArn", {
+      value: pdfPasswordKey.keyArn,
+      description:
+        "Grant the pipeline kms:Decrypt on this key to read passwords of protected PDFs",
+    });
     new cdk.CfnOutput(this, "CheckUploadQuotaEndpoint", {
       value: updateAttributesApi.urlForPath("/upload-quota"),
     });
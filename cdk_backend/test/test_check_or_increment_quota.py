@@ -0,0 +1,247 @@
+"""Tests for the checkOrIncrementQuota Lambda.
+
+Run from cdk_backend with: python3 -m unittest discover -s test -p "test_*.py"
+boto3 is replaced by in-memory fakes, so no AWS access (or boto3 install) is needed.
+"""
+import importlib.util
+import json
+import os
+import sys
+import types
+import unittest
+
+LAMBDA_PATH = os.path.join(
+    os.path.dirname(__file__), "..", "lambda", "checkOrIncrementQuota", "index.py"
+)
+
+
+class ConditionalCheckFailedException(Exception):
+    pass
+
+
+class UserNotFoundException(Exception):
+    pass
+
+
+class FakeCognito:
+    exceptions = types.SimpleNamespace(UserNotFoundException=UserNotFoundException)
+
+    def __init__(self):
+        self.users = {}
+
+    def admin_get_user(self, UserPoolId, Username):
+        if Username not in self.users:
+            raise UserNotFoundException()
+        return {
+            "UserAttributes": [
+                {"Name": name, "Value": value}
+                for name, value in self.users[Username].items()
+            ]
+        }
+
+    def admin_update_user_attributes(self, UserPoolId, Username, UserAttributes):
+        for attribute in UserAttributes:
+            self.users[Username][attribute["Name"]] = attribute["Value"]
+
+
+class FakeDynamoDB:
+    """Only the put/delete calls the Lambda makes, including its release condition."""
+
+    exceptions = types.SimpleNamespace(
+        ConditionalCheckFailedException=ConditionalCheckFailedException
+    )
+
+    def __init__(self):
+        self.items = {}
+
+    def put_item(self, TableName, Item):
+        self.items[Item["reservationId"]["S"]] = dict(Item)
+
+    def get_item(self, TableName, Key):
+        item = self.items.get(Key["reservationId"]["S"])
+        return {"Item": dict(item)} if item else {}
+
+    def delete_item(self, TableName, Key, ReturnValues=None, ConditionExpression=None,
+                    ExpressionAttributeNames=None, ExpressionAttributeValues=None):
+        reservation_id = Key["reservationId"]["S"]
+        item = self.items.get(reservation_id)
+        if ConditionExpression:
+            values = ExpressionAttributeValues
+            if (
+                item is None
+                or "uploadKey" not in item
+                or item["sub"]["S"] != values[":sub"]["S"]
+                or int(item["expiresAt"]["N"]) <= int(values[":now"]["N"])
+            ):
+                raise ConditionalCheckFailedException()
+        self.items.pop(reservation_id, None)
+        return {"Attributes": item} if item and ReturnValues == "ALL_OLD" else {}
+
+
+class FakeS3:
+    """Keys per bucket; only the prefix listing the Lambda uses to find processed uploads."""
+
+    def __init__(self):
+        self.keys = {"pdf-bucket": set(), "html-bucket": set()}
+
+    def list_objects_v2(self, Bucket, Prefix, MaxKeys=1000):
+        keys = sorted(key for key in self.keys[Bucket] if key.startswith(Prefix))[:MaxKeys]
+        return {"KeyCount": len(keys), "Contents": [{"Key": key} for key in keys]}
+
+
+def load_handler(cognito, dynamodb, s3):
+    fake_boto3 = types.ModuleType("boto3")
+    fake_boto3.client = lambda name: {"cognito-idp": cognito, "dynamodb": dynamodb, "s3": s3}[name]
+    sys.modules["boto3"] = fake_boto3
+    spec = importlib.util.spec_from_file_location("check_or_increment_quota", LAMBDA_PATH)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+EMAILS = {"user-1": "jane.doe@example.com", "user-2": "jane.doe@example.com.au"}
+UNIQUE_FILENAME = "jane_doe_example_com_20250102093015123_report.pdf"
+
+
+def make_event(body, sub="user-1"):
+    return {
+        "httpMethod": "POST",
+        "resource": "/upload-quota",
+        "requestContext": {"authorizer": {"claims": {"sub": sub, "email": EMAILS[sub]}}},
+        "body": json.dumps(body),
+    }
+
+
+class CheckOrIncrementQuotaTest(unittest.TestCase):
+    def setUp(self):
+        os.environ["USER_POOL_ID"] = "pool"
+        os.environ["RESERVATIONS_TABLE"] = "reservations"
+        os.environ["PDF_BUCKET"] = "pdf-bucket"
+        os.environ["HTML_BUCKET"] = "html-bucket"
+        self.cognito = FakeCognito()
+        self.dynamodb = FakeDynamoDB()
+        self.s3 = FakeS3()
+        for sub in ["user-1", "user-2"]:
+            self.cognito.users[sub] = {
+                "custom:total_files_uploaded": "0",
+                "custom:max_files_allowed": "3",
+                "custom:pdf2pdf": "0",
+                "custom:pdf2html": "0",
+            }
+        self.module = load_handler(self.cognito, self.dynamodb, self.s3)
+
+    def call(self, body, sub="user-1"):
+        response = self.module.handler(make_event(body, sub), None)
+        return response["statusCode"], json.loads(response["body"])
+
+    def reserve(self, conversion_type="pdf", sub="user-1"):
+        prefix = "uploads/" if conversion_type == "html" else "pdf/"
+        owner = EMAILS[sub].replace(".", "_").replace("@", "_")
+        status, body = self.call({
+            "mode": "increment",
+            "conversionType": conversion_type,
+            "uploadKey": f"{prefix}{owner}_20250102093015123_report.pdf",
+        }, sub)
+        self.assertEqual(status, 200)
+        return body["reservationId"]
+
+    def release(self, reservation_id, sub="user-1"):
+        return self.call({"mode": "release", "reservationId": reservation_id}, sub)[0]
+
+    def usage(self, sub="user-1"):
+        return int(self.cognito.users[sub]["custom:total_files_uploaded"])
+
+    def test_user_comes_from_the_authorizer_not_the_body(self):
+        self.call({
+            "mode": "increment",
+            "conversionType": "pdf",
+            "uploadKey": f"pdf/{UNIQUE_FILENAME}",
+            "sub": "user-2",
+        })
+        self.assertEqual(self.usage("user-1"), 1)
+        self.assertEqual(self.usage("user-2"), 0)
+
+    def test_missing_claims_are_rejected(self):
+        event = make_event({"mode": "check"})
+        del event["requestContext"]
+        self.assertEqual(self.module.handler(event, None)["statusCode"], 401)
+
+    def test_increment_requires_an_upload_key_of_the_caller(self):
+        for conversion_type, upload_key in [
+            ("pdf", None),
+            ("pdf", f"uploads/{UNIQUE_FILENAME}"),
+            ("html", f"pdf/{UNIQUE_FILENAME}"),
+            # jane.doe@example.com.au's uploads begin with jane_doe_example_com too
+            ("pdf", "pdf/jane_doe_example_com_au_20250102093015123_report.pdf"),
+        ]:
+            status, _body = self.call({"mode": "increment", "conversionType": conversion_type, "uploadKey": upload_key})
+            self.assertEqual(status, 403)
+        self.assertEqual(self.usage(), 0)
+        self.assertEqual(self.dynamodb.items, {})
+
+    def test_release_is_refused_once_the_file_was_uploaded(self):
+        reservation_id = self.reserve()
+        self.s3.keys["pdf-bucket"].add(f"pdf/{UNIQUE_FILENAME}")
+        self.assertEqual(self.release(reservation_id), 409)
+        self.assertEqual(self.usage(), 1)
+
+    def test_release_is_refused_once_a_run_wrote_anything(self):
+        self.cognito.users["user-1"]["custom:max_files_allowed"] = "10"
+        for bucket, key in [
+            ("pdf-bucket", "temp/jane_doe_example_com_20250102093015123_report/report_chunk_1.pdf"),
+            ("pdf-bucket", f"result/COMPLIANT_{UNIQUE_FILENAME}"),
+            ("pdf-bucket", f"status/{UNIQUE_FILENAME}.json"),
+            # "both" runs the HTML pipeline on a copy of the upload too
+            ("html-bucket", "remediated/final_jane_doe_example_com_20250102093015123_report.zip"),
+        ]:
+            self.s3.keys = {"pdf-bucket": set(), "html-bucket": set()}
+            reservation_id = self.reserve("both")
+            self.s3.keys[bucket].add(key)
+            self.assertEqual(self.release(reservation_id), 409, key)
+        self.assertEqual(self.usage(), 4)
+
+    def test_release_without_a_recorded_upload_key_is_refused(self):
+        reservation_id = self.reserve()
+        del self.dynamodb.items[reservation_id]["uploadKey"]
+        self.assertEqual(self.release(reservation_id), 409)
+        self.assertEqual(self.usage(), 1)
+
+    def test_release_refunds_the_reserved_conversion_type(self):
+        reservation_id = self.reserve("html")
+        status, body = self.call({"mode": "release", "reservationId": reservation_id, "conversionType": "pdf"})
+        self.assertEqual(status, 200)
+        self.assertEqual(body["newCount"], 0)
+        self.assertEqual(body["pdf2htmlCount"], 0)
+        self.assertEqual(body["pdf2pdfCount"], 0)
+
+    def test_repeated_release_only_refunds_once(self):
+        first = self.reserve()
+        self.reserve()
+        self.assertEqual(self.usage(), 2)
+
+        self.assertEqual(self.call({"mode": "release", "reservationId": first})[0], 200)
+        for _ in range(3):
+            status, _body = self.call({"mode": "release", "reservationId": first})
+            self.assertEqual(status, 409)
+        self.assertEqual(self.usage(), 1)
+
+    def test_release_requires_a_known_reservation(self):
+        self.reserve()
+        self.assertEqual(self.call({"mode": "release", "reservationId": "made-up"})[0], 409)
+        self.assertEqual(self.call({"mode": "release", "conversionType": "pdf"})[0], 400)
+        self.assertEqual(self.usage(), 1)
+
+    def test_release_of_another_users_reservation_is_refused(self):
+        reservation_id = self.reserve(sub="user-2")
+        self.assertEqual(self.call({"mode": "release", "reservationId": reservation_id}, "user-1")[0], 409)
+        self.assertEqual(self.usage("user-2"), 1)
+
+    def test_expired_reservation_is_refused(self):
+        reservation_id = self.reserve()
+        self.dynamodb.items[reservation_id]["expiresAt"] = {"N": "0"}
+        self.assertEqual(self.call({"mode": "release", "reservationId": reservation_id})[0], 409)
+        self.assertEqual(self.usage(), 1)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,117 @@
+"""Tests for the listUserFiles Lambda.
+
+Run from cdk_backend with: python3 -m unittest discover -s test -p "test_*.py"
+boto3 is replaced by in-memory fakes, so no AWS access (or boto3 install) is needed.
+"""
+import datetime
+import importlib.util
+import json
+import os
+import sys
+import types
+import unittest
+
+LAMBDA_PATH = os.path.join(
+    os.path.dirname(__file__), "..", "lambda", "listUserFiles", "index.py"
+)
+
+MODIFIED = datetime.datetime(2025, 1, 2, 9, 30, tzinfo=datetime.timezone.utc)
+
+
+class FakePaginator:
+    def __init__(self, s3):
+        self.s3 = s3
+
+    def paginate(self, Bucket, Prefix):
+        keys = sorted(key for bucket, key in self.s3.objects if bucket == Bucket and key.startswith(Prefix))
+        # Two keys per page, to cover pagination
+        for start in range(0, len(keys), 2):
+            yield {
+                "Contents": [
+                    {"Key": key, "LastModified": MODIFIED, "Size": 10}
+                    for key in keys[start:start + 2]
+                ]
+            }
+
+
+class FakeS3:
+    def __init__(self):
+        self.objects = set()
+
+    def get_paginator(self, name):
+        assert name == "list_objects_v2"
+        return FakePaginator(self)
+
+
+def load_handler(s3):
+    fake_boto3 = types.ModuleType("boto3")
+    fake_boto3.client = lambda name: {"s3": s3}[name]
+    sys.modules["boto3"] = fake_boto3
+    spec = importlib.util.spec_from_file_location("list_user_files", LAMBDA_PATH)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+def make_event(params, email="jane.doe@example.com"):
+    claims = {"email": email} if email else {}
+    return {
+        "httpMethod": "GET",
+        "resource": "/files",
+        "requestContext": {"authorizer": {"claims": claims}},
+        "queryStringParameters": params,
+    }
+
+
+class ListUserFilesTest(unittest.TestCase):
+    def setUp(self):
+        os.environ["PDF_BUCKET"] = "pdf-bucket"
+        os.environ["HTML_BUCKET"] = "html-bucket"
+        self.s3 = FakeS3()
+        self.s3.objects = {
+            ("pdf-bucket", "result/COMPLIANT_jane_doe_example_com_20250102093015123_a.pdf"),
+            ("pdf-bucket", "result/COMPLIANT_jane_doe_example_com_20250103093015123_b.pdf"),
+            ("pdf-bucket", "result/COMPLIANT_jane_doe_example_com_20250104093015123_c.pdf"),
+            # A different user whose sanitized email starts with Jane's
+            ("pdf-bucket", "result/COMPLIANT_jane_doe_example_com_au_20250102093015123_d.pdf"),
+            ("pdf-bucket", "result/COMPLIANT_john_example_com_20250102093015123_e.pdf"),
+            ("pdf-bucket", "temp/jane_doe_example_com_20250102093015123_a/split/page1.pdf"),
+        }
+        self.module = load_handler(self.s3)
+
+    def call(self, params, email="jane.doe@example.com"):
+        response = self.module.handler(make_event(params, email), None)
+        return response["statusCode"], json.loads(response["body"])
+
+    def test_lists_only_the_callers_files(self):
+        status, body = self.call({"bucket": "pdf-bucket", "prefix": "result/COMPLIANT_jane_doe_example_com"})
+        self.assertEqual(status, 200)
+        self.assertEqual(
+            [item["key"] for item in body["objects"]],
+            [
+                "result/COMPLIANT_jane_doe_example_com_20250102093015123_a.pdf",
+                "result/COMPLIANT_jane_doe_example_com_20250103093015123_b.pdf",
+                "result/COMPLIANT_jane_doe_example_com_20250104093015123_c.pdf",
+            ],
+        )
+        self.assertEqual(body["objects"][0]["lastModified"], "2025-01-02T09:30:00+00:00")
+        self.assertEqual(body["objects"][0]["size"], 10)
+
+    def test_lists_one_uploads_pipeline_files(self):
+        status, body = self.call({"bucket": "pdf-bucket", "prefix": "temp/jane_doe_example_com_20250102093015123_a/"})
+        self.assertEqual(status, 200)
+        self.assertEqual(len(body["objects"]), 1)
+
+    def test_refuses_other_users_and_broad_prefixes(self):
+        for prefix in ["result/COMPLIANT_", "result/COMPLIANT_jane", "result/COMPLIANT_john_example_com", "", "pdf/"]:
+            status, _body = self.call({"bucket": "pdf-bucket", "prefix": prefix})
+            self.assertEqual(status, 403, prefix)
+
+    def test_rejects_unknown_buckets_and_missing_claims(self):
+        self.assertEqual(self.call({"bucket": "other-bucket", "prefix": "temp/jane_doe_example_com_"})[0], 400)
+        self.assertEqual(self.call({"bucket": "pdf-bucket"})[0], 400)
+        self.assertEqual(self.call({"bucket": "pdf-bucket", "prefix": "temp/x_"}, email=None)[0], 401)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,205 @@
+"""Tests for the manageUploads Lambda.
+
+Run from cdk_backend with: python3 -m unittest discover -s test -p "test_*.py"
+boto3 is replaced by in-memory fakes, so no AWS access (or boto3 install) is needed.
+"""
+import datetime
+import importlib.util
+import io
+import json
+import os
+import sys
+import types
+import unittest
+
+LAMBDA_PATH = os.path.join(
+    os.path.dirname(__file__), "..", "lambda", "manageUploads", "index.py"
+)
+
+UNIQUE_FILENAME = "jane_doe_example_com_20250102093015123_a.pdf"
+UPLOAD_KEY = f"pdf/{UNIQUE_FILENAME}"
+BASE_TIME = datetime.datetime(2025, 1, 2, 9, 30, tzinfo=datetime.timezone.utc)
+# A different user whose sanitized email starts with Jane's
+OTHER_UPLOAD_KEY = "pdf/jane_doe_example_com_au_20250102093015123_a.pdf"
+
+
+class NoSuchUpload(Exception):
+    pass
+
+
+class FakePaginator:
+    def __init__(self, s3):
+        self.s3 = s3
+
+    def paginate(self, Bucket, Key, UploadId):
+        parts = self.s3.multipart_uploads.get((Bucket, Key, UploadId))
+        if parts is None:
+            raise NoSuchUpload()
+        yield {"Parts": [{"PartNumber": number, "ETag": etag} for number, etag in parts]}
+
+
+class FakeS3:
+    def __init__(self):
+        self.objects = {}
+        # (bucket, key) -> LastModified; objects without one were written at BASE_TIME
+        self.modified = {}
+        self.metadata = {}
+        self.now = BASE_TIME
+        # (bucket, key, upload id) -> [(part number, etag)]
+        self.multipart_uploads = {}
+        self.exceptions = types.SimpleNamespace(NoSuchUpload=NoSuchUpload)
+
+    def write(self, bucket, key, body, minutes_later=0):
+        self.now += datetime.timedelta(minutes=minutes_later)
+        self.objects[(bucket, key)] = body
+        self.modified[(bucket, key)] = self.now
+
+    def list_objects_v2(self, Bucket, Prefix, MaxKeys):
+        keys = sorted(key for bucket, key in self.objects if bucket == Bucket and key.startswith(Prefix))[:MaxKeys]
+        return {
+            "KeyCount": len(keys),
+            "Contents": [
+                {"Key": key, "LastModified": self.modified.get((Bucket, key), BASE_TIME)}
+                for key in keys
+            ],
+        }
+
+    def get_object(self, Bucket, Key):
+        return {"Body": io.BytesIO(self.objects[(Bucket, Key)])}
+
+    def head_object(self, Bucket, Key):
+        return {"Metadata": dict(self.metadata.get((Bucket, Key), {})), "ContentType": "application/pdf"}
+
+    def put_object(self, Bucket, Key, Body, ContentType):
+        self.write(Bucket, Key, Body)
+
+    def copy_object(self, Bucket, Key, CopySource, Metadata, MetadataDirective, ContentType):
+        self.write(Bucket, Key, self.objects[(CopySource["Bucket"], CopySource["Key"])], minutes_later=1)
+        self.metadata[(Bucket, Key)] = Metadata
+
+    def delete_object(self, Bucket, Key):
+        self.objects.pop((Bucket, Key), None)
+
+    def get_paginator(self, name):
+        assert name == "list_parts"
+        return FakePaginator(self)
+
+    def list_multipart_uploads(self, Bucket, Prefix):
+        return {
+            "Uploads": [
+                {"Key": key, "UploadId": upload_id}
+                for bucket, key, upload_id in self.multipart_uploads
+                if bucket == Bucket and key.startswith(Prefix)
+            ]
+        }
+
+    def abort_multipart_upload(self, Bucket, Key, UploadId):
+        if self.multipart_uploads.pop((Bucket, Key, UploadId), None) is None:
+            raise NoSuchUpload()
+
+
+def load_handler(s3):
+    fake_boto3 = types.ModuleType("boto3")
+    fake_boto3.client = lambda name: {"s3": s3}[name]
+    sys.modules["boto3"] = fake_boto3
+    spec = importlib.util.spec_from_file_location("manage_uploads", LAMBDA_PATH)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+def make_event(body, email="jane.doe@example.com"):
+    claims = {"email": email} if email else {}
+    return {
+        "httpMethod": "POST",
+        "resource": "/uploads",
+        "requestContext": {"authorizer": {"claims": claims}},
+        "body": json.dumps(body),
+    }
+
+
+class ManageUploadsTest(unittest.TestCase):
+    def setUp(self):
+        os.environ["PDF_BUCKET"] = "pdf-bucket"
+        os.environ["HTML_BUCKET"] = "html-bucket"
+        self.s3 = FakeS3()
+        self.s3.objects = {("pdf-bucket", UPLOAD_KEY): b"%PDF", ("pdf-bucket", OTHER_UPLOAD_KEY): b"%PDF"}
+        self.s3.multipart_uploads = {("pdf-bucket", UPLOAD_KEY, "upload-1"): [(1, '"etag-1"')]}
+        self.module = load_handler(self.s3)
+
+    def call(self, body, email="jane.doe@example.com"):
+        response = self.module.handler(make_event(body, email), None)
+        return response["statusCode"], json.loads(response["body"])
+
+    def test_cancels_an_upload_no_stage_started_for(self):
+        status, body = self.call({"action": "cancel", "bucket": "pdf-bucket", "key": UPLOAD_KEY})
+        self.assertEqual(status, 200)
+        self.assertFalse(body["started"])
+        self.assertNotIn(("pdf-bucket", UPLOAD_KEY), self.s3.objects)
+        self.assertEqual(self.s3.multipart_uploads, {})
+        marker = json.loads(self.s3.objects[("pdf-bucket", f"cancelled/{UNIQUE_FILENAME}.json")])
+        self.assertEqual(marker, {"cancelledAt": body["cancelledAt"], "uploadKey": UPLOAD_KEY})
+
+    def test_reports_a_started_stage_when_cancelling(self):
+        self.s3.objects[("pdf-bucket", "temp/jane_doe_example_com_20250102093015123_a/split/page1.pdf")] = b""
+        status, body = self.call({"action": "cancel", "bucket": "pdf-bucket", "key": UPLOAD_KEY})
+        self.assertEqual(status, 200)
+        self.assertTrue(body["started"])
+        self.assertNotIn(("pdf-bucket", UPLOAD_KEY), self.s3.objects)
+
+    def test_lists_and_aborts_the_callers_multipart_upload(self):
+        request = {"bucket": "pdf-bucket", "key": UPLOAD_KEY, "uploadId": "upload-1"}
+        status, body = self.call({**request, "action": "listParts"})
+        self.assertEqual(status, 200)
+        self.assertEqual(body["parts"], [{"partNumber": 1, "etag": '"etag-1"'}])
+
+        self.assertEqual(self.call({**request, "action": "abort"})[0], 200)
+        self.assertEqual(self.call({**request, "action": "listParts"})[0], 404)
+
+    def test_retries_a_run_that_failed_after_its_last_trigger(self):
+        self.s3.write("pdf-bucket", f"failed/{UNIQUE_FILENAME}.json", b"{}", minutes_later=5)
+        status, body = self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})
+        self.assertEqual(status, 200)
+        self.assertEqual(self.s3.metadata[("pdf-bucket", UPLOAD_KEY)], {"retried-at": body["retriedAt"]})
+
+        # The marker is now older than the retry, so the new run has to fail first
+        self.assertEqual(self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 409)
+
+    def test_retries_a_run_whose_status_reports_an_error(self):
+        status_key = f"status/{UNIQUE_FILENAME}.json"
+        self.s3.write("pdf-bucket", status_key, b'{"stages": []}', minutes_later=5)
+        self.assertEqual(self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 409)
+
+        self.s3.write("pdf-bucket", status_key, b'{"error": {"stage": "merge"}}')
+        self.assertEqual(self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 200)
+
+    def test_refuses_to_retry_without_a_failure_or_a_password(self):
+        self.assertEqual(self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 409)
+
+        self.s3.write("pdf-bucket", f"failed/{UNIQUE_FILENAME}.json", b"{}", minutes_later=5)
+        self.s3.metadata[("pdf-bucket", UPLOAD_KEY)] = {"password-protected": "true"}
+        status, body = self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})
+        self.assertEqual(status, 409)
+        self.assertIn("password", body["message"])
+
+        del self.s3.objects[("pdf-bucket", UPLOAD_KEY)]
+        self.assertEqual(self.call({"action": "retry", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 404)
+
+    def test_refuses_other_users_uploads(self):
+        for key in [OTHER_UPLOAD_KEY, "pdf/john_example_com_20250102093015123_a.pdf", "result/COMPLIANT_" + UNIQUE_FILENAME]:
+            for action in ["cancel", "retry"]:
+                status, _body = self.call({"action": action, "bucket": "pdf-bucket", "key": key})
+                self.assertEqual(status, 403, key)
+        self.assertIn(("pdf-bucket", OTHER_UPLOAD_KEY), self.s3.objects)
+        # An HTML upload key is only accepted in the HTML bucket
+        self.assertEqual(self.call({"action": "cancel", "bucket": "pdf-bucket", "key": f"uploads/{UNIQUE_FILENAME}"})[0], 403)
+
+    def test_rejects_invalid_requests_and_missing_claims(self):
+        self.assertEqual(self.call({"action": "delete", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 400)
+        self.assertEqual(self.call({"action": "cancel", "bucket": "other-bucket", "key": UPLOAD_KEY})[0], 400)
+        self.assertEqual(self.call({"action": "abort", "bucket": "pdf-bucket", "key": UPLOAD_KEY})[0], 400)
+        self.assertEqual(self.call({"action": "cancel", "bucket": "pdf-bucket", "key": UPLOAD_KEY}, email=None)[0], 401)
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,110 @@
+"""Tests for the storePdfPassword Lambda.
+
+Run from cdk_backend with: python3 -m unittest discover -s test -p "test_*.py"
+boto3 is replaced by in-memory fakes, so no AWS access (or boto3 install) is needed.
+"""
+import base64
+import importlib.util
+import json
+import os
+import sys
+import types
+import unittest
+
+LAMBDA_PATH = os.path.join(
+    os.path.dirname(__file__), "..", "lambda", "storePdfPassword", "index.py"
+)
+
+
+class FakeKMS:
+    def __init__(self):
+        self.calls = []
+
+    def encrypt(self, KeyId, Plaintext, EncryptionContext):
+        self.calls.append(EncryptionContext)
+        return {"CiphertextBlob": b"sealed:" + Plaintext[::-1]}
+
+
+class FakeS3:
+    def __init__(self):
+        self.objects = {}
+
+    def put_object(self, Bucket, Key, Body, ContentType, ServerSideEncryption):
+        self.objects[(Bucket, Key)] = json.loads(Body)
+
+
+def load_handler(kms, s3):
+    fake_boto3 = types.ModuleType("boto3")
+    fake_boto3.client = lambda name: {"kms": kms, "s3": s3}[name]
+    sys.modules["boto3"] = fake_boto3
+    spec = importlib.util.spec_from_file_location("store_pdf_password", LAMBDA_PATH)
+    module = importlib.util.module_from_spec(spec)
+    spec.loader.exec_module(module)
+    return module
+
+
+def make_event(body, email="jane.doe@example.com"):
+    claims = {"email": email} if email else {}
+    return {
+        "httpMethod": "POST",
+        "resource": "/pdf-password",
+        "requestContext": {"authorizer": {"claims": claims}},
+        "body": json.dumps(body),
+    }
+
+
+class StorePdfPasswordTest(unittest.TestCase):
+    def setUp(self):
+        os.environ["PASSWORD_KEY_ID"] = "key"
+        os.environ["PDF_BUCKET"] = "pdf-bucket"
+        os.environ["HTML_BUCKET"] = "html-bucket"
+        self.kms = FakeKMS()
+        self.s3 = FakeS3()
+        self.module = load_handler(self.kms, self.s3)
+
+    def call(self, body, email="jane.doe@example.com"):
+        return self.module.handler(make_event(body, email), None)["statusCode"]
+
+    def test_stores_only_ciphertext_for_the_callers_upload(self):
+        key = "pdf/jane_doe_example_com_1700000000_report.pdf"
+        self.assertEqual(self.call({"pipeline": "pdf", "uploadKey": key, "password": "secret"}), 200)
+
+        stored = self.s3.objects[("pdf-bucket", f"passwords/{key}.json")]
+        self.assertNotIn("secret", json.dumps(stored))
+        self.assertEqual(base64.b64decode(stored["ciphertext"]), b"sealed:terces")
+        self.assertEqual(stored["encryptionContext"], {"uploadKey": key})
+        self.assertEqual(self.kms.calls, [{"uploadKey": key}])
+
+    def test_refuses_another_users_upload(self):
+        key = "uploads/someone_else_com_1700000000_report.pdf"
+        self.assertEqual(self.call({"pipeline": "html", "uploadKey": key, "password": "secret"}), 403)
+        self.assertEqual(self.s3.objects, {})
+
+    def test_refuses_an_upload_of_a_longer_email_with_the_same_beginning(self):
+        # a@b.com sanitizes to a_b_com, which also begins a_b_com_au's uploads
+        key = "pdf/a_b_com_au_1700000000_report.pdf"
+        self.assertEqual(
+            self.call({"pipeline": "pdf", "uploadKey": key, "password": "secret"}, email="a@b.com"), 403
+        )
+        self.assertEqual(self.s3.objects, {})
+        self.assertEqual(
+            self.call({"pipeline": "pdf", "uploadKey": key, "password": "secret"}, email="a@b.com.au"), 200
+        )
+
+    def test_refuses_keys_outside_the_pipelines_upload_prefix(self):
+        for pipeline, key in [
+            ("html", "pdf/jane_doe_example_com_1700000000_report.pdf"),
+            ("pdf", "pdf/jane_doe_example_com_/../other.pdf"),
+        ]:
+            self.assertEqual(self.call({"pipeline": pipeline, "uploadKey": key, "password": "x"}), 403)
+        self.assertEqual(self.s3.objects, {})
+
+    def test_rejects_missing_claims_and_fields(self):
+        key = "pdf/jane_doe_example_com_1700000000_report.pdf"
+        self.assertEqual(self.call({"pipeline": "pdf", "uploadKey": key, "password": "x"}, email=None), 401)
+        self.assertEqual(self.call({"pipeline": "pdf", "uploadKey": key}), 400)
+        self.assertEqual(self.call({"pipeline": "other", "uploadKey": key, "password": "x"}), 400)
+
+
+if __name__ == "__main__":
+    unittest.main()
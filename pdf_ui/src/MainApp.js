@@ -7,16 +7,24 @@ import { useNavigate } from "react-router-dom";
 import FirstSignInDialog from "./components/FirstSignInDialog";
 import Header from "./components/Header";
 import HeroSection from "./components/HeroSection";
+import JobsDashboard from "./components/JobsDashboard";
 import LeftNav from "./components/LeftNav";
 import ProcessingContainer from "./components/ProcessingContainer";
 import RemediatedFilesContainer from "./components/RemediatedFilesContainer";
-import ResultsContainer from "./components/ResultsContainer";
 import UploadSection from "./components/UploadSection";
 import theme from "./theme";
 
 import DeploymentPopup from "./components/DeploymentPopup";
-import { Authority, CheckAndIncrementQuota } from "./utilities/constants";
+import { Authority } from "./utilities/constants";
 import CustomCredentialsProvider from "./utilities/CustomCredentialsProvider";
+import { useJobStore } from "./utilities/jobStore";
+import {
+  notifyJobFinished,
+  useAttentionBadge,
+} from "./utilities/notifications";
+import { recordProcessingRun } from "./utilities/processingEstimates";
+import { fetchUsage, releaseQuota } from "./utilities/quotaApi";
+import { cancelJob } from "./utilities/useJobStatus";
 
 function MainApp({ isLoggingOut, setIsLoggingOut }) {
   const auth = useAuth();
@@ -24,13 +32,15 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
 
   // AWS & file states
   const [awsCredentials, setAwsCredentials] = useState(null);
-  const [currentPage, setCurrentPage] = useState("upload");
-  const [uploadedFile, setUploadedFile] = useState(null);
-  const [processedResult, setProcessedResult] = useState(null);
-  const [processingStartTime, setProcessingStartTime] = useState(null);
+  // Job shown in the details view below the upload card
+  const [openJobId, setOpenJobId] = useState(null);
 
   // Centralized Usage State
   const [usageCount, setUsageCount] = useState(0);
+  const [conversionCounts, setConversionCounts] = useState({
+    pdf2pdf: 0,
+    pdf2html: 0,
+  });
   const [maxFilesAllowed, setMaxFilesAllowed] = useState(3); // Default value
   const [maxPagesAllowed, setMaxPagesAllowed] = useState(10); // Default value
   const [maxSizeAllowedMB, setMaxSizeAllowedMB] = useState(25); // Default value
@@ -41,6 +51,14 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
   const [showDeploymentPopup, setShowDeploymentPopup] = useState(false);
   const [bucketValidation, setBucketValidation] = useState(null);
 
+  // Uploads being remediated, persisted so they survive a reload
+  const { jobs, addJob, updateJob, removeJob } = useJobStore(
+    auth.user?.profile?.sub
+  );
+  const openJob = jobs.find((job) => job.updatedName === openJobId);
+  // Title/favicon badge for jobs that finish while the user is in another tab
+  const flagJobFinished = useAttentionBadge();
+
   // For refreshing remediated files list after upload
   const [refreshFilesFlag, setRefreshFilesFlag] = useState(false);
 
@@ -66,6 +84,8 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
             accessKeyId: c.accessKeyId,
             secretAccessKey: c.secretAccessKey,
             sessionToken: c.sessionToken,
+            // For the files API, which lists the user's files (see storage.jsx)
+            idToken: token,
           });
         } catch (error) {
           console.error("Error fetching Cognito credentials:", error);
@@ -96,31 +116,23 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
     }
 
     try {
-      const res = await fetch(CheckAndIncrementQuota, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${auth.user?.id_token}`,
-        },
-        body: JSON.stringify({ sub: userSub, mode: "check" }),
-      });
-
-      if (!res.ok) {
-        const errData = await res.json();
-        setUsageError(errData.message || "Error fetching usage");
-        setLoadingUsage(false);
-        return;
-      }
-
-      const data = await res.json();
+      const data = await fetchUsage({ idToken: auth.user?.id_token });
       setUsageCount(data.currentUsage ?? 0);
+      setConversionCounts({
+        pdf2pdf: data.pdf2pdfCount ?? 0,
+        pdf2html: data.pdf2htmlCount ?? 0,
+      });
       setMaxFilesAllowed(data.maxFilesAllowed ?? 3);
       //setMaxPagesAllowed(data.maxPagesAllowed ?? 10);
       setMaxPagesAllowed(100);
       //setMaxSizeAllowedMB(data.maxSizeAllowedMB ?? 25);
       setMaxSizeAllowedMB(50);
     } catch (err) {
-      setUsageError(`Failed to fetch usage: ${err.message}`);
+      setUsageError(
+        err.status
+          ? err.message || "Error fetching usage"
+          : `Failed to fetch usage: ${err.message}`
+      );
     } finally {
       setLoadingUsage(false);
     }
@@ -161,47 +173,124 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
   const handleUploadComplete = (
     updated_filename,
     original_fileName,
-    format = "pdf"
+    format = "pdf",
+    pageCount,
+    { quotaReservations, reused, fileSize } = {}
   ) => {
     console.log("Upload completed, new file name:", updated_filename);
     console.log("Original file name:", original_fileName);
     console.log("Selected format:", format);
 
-    const fileData = {
+    addJob({
       name: original_fileName,
       updatedName: updated_filename,
-      format: format,
-      size: 0, // We'll get this from the upload component if needed
-    };
-
-    setUploadedFile(fileData);
-    setProcessingStartTime(Date.now()); // Track when processing starts
-    setCurrentPage("processing");
+      format,
+      pageCount, // Pages sent for remediation, used to pace status checks
+      startedAt: Date.now(),
+      fileSize, // Bytes sent, used with pageCount to estimate processing time
+      quotaReservations, // Refunded if the job is cancelled
+      reused,
+    });
+    // Show its progress; the upload card stays available for the next file
+    setOpenJobId(updated_filename);
 
     // After a successful upload (and increment usage),
     // refresh usage so the new count shows up
     refreshUsage();
   };
 
-  const handleProcessingComplete = (result) => {
-    // Calculate processing time
-    const processingTime = processingStartTime
-      ? Math.round((Date.now() - processingStartTime) / 1000) // Convert to seconds
-      : null;
+  // Batch uploads are tracked in the jobs list without opening any of them
+  const handleBatchUploadComplete = (uploadedFiles) => {
+    console.log("Batch upload completed:", uploadedFiles);
+    uploadedFiles.forEach((file) =>
+      addJob({
+        name: file.name,
+        updatedName: file.updatedName,
+        format: file.format,
+        pageCount: file.pageCount,
+        fileSize: file.fileSize,
+        startedAt: Date.now(),
+        quotaReservations: file.quotaReservations,
+        reused: file.reused,
+      })
+    );
+    refreshUsage();
+    setRefreshFilesFlag((prev) => !prev);
+  };
 
-    setProcessedResult({ ...result, processingTime });
-    setCurrentPage("results");
+  const handleJobFinished = (job, status, finishedAt = Date.now()) => {
+    updateJob(job.updatedName, { status, finishedAt });
+    // Reused uploads finish instantly, so they say nothing about processing time
+    if (status === "completed" && !job.reused) {
+      const runStartedAt = job.retriedAt || job.startedAt;
+      recordProcessingRun(auth.user?.profile?.sub, {
+        id: `${job.updatedName}|${runStartedAt}`,
+        format: job.format,
+        pageCount: job.pageCount,
+        fileSize: job.fileSize,
+        durationMs: finishedAt - runStartedAt,
+      });
+    }
+    notifyJobFinished(job, status);
+    flagJobFinished(status);
+    if (status === "completed") {
+      setRefreshFilesFlag((prev) => !prev); // Trigger refresh of remediated files
+    }
+  };
 
-    setRefreshFilesFlag((prev) => !prev); // Trigger refresh of remediated files
+  const handleJobRetried = (job, retriedAt) => {
+    updateJob(job.updatedName, {
+      status: "processing",
+      retriedAt: retriedAt.getTime(),
+      finishedAt: null,
+    });
   };
 
-  const handleNewUpload = () => {
-    setCurrentPage("upload");
-    setUploadedFile(null);
-    setProcessedResult(null);
-    setProcessingStartTime(null);
+  // Stops the pipeline and deletes the upload. Its quota is only refunded when no stage had
+  // started; otherwise the job is marked so the dashboard tells the user it still counts.
+  // A reused earlier upload belongs to another job, so only its tracking is dropped.
+  const handleCancelJob = async (job) => {
+    let quotaKept = false;
+    if (!job.reused) {
+      let started;
+      try {
+        ({ started } = await cancelJob(job, awsCredentials));
+      } catch (error) {
+        console.error("Error cancelling job:", error);
+        throw new Error(
+          "The job could not be cancelled. Please check your connection and try again."
+        );
+      }
+
+      // Jobs saved before reservations had ids only list conversion types; those can't be refunded
+      const reservationIds = (job.quotaReservations || [])
+        .map((reservation) => reservation?.reservationId)
+        .filter(Boolean);
+      quotaKept = started;
+      for (const reservationId of started ? [] : reservationIds) {
+        try {
+          await releaseQuota({ idToken: auth.user?.id_token, reservationId });
+        } catch (error) {
+          // 409: the quota API found that a run had started after all
+          if (error.status === 409) quotaKept = true;
+          console.error("Failed to refund quota for cancelled job:", error);
+        }
+      }
+      refreshUsage();
+    }
+
+    updateJob(job.updatedName, {
+      status: "cancelled",
+      finishedAt: Date.now(),
+      quotaKept,
+    });
+    if (job.updatedName === openJobId) setOpenJobId(null);
   };
 
+  const handleOpenJob = (job) => setOpenJobId(job.updatedName);
+
+  const handleCloseJob = () => setOpenJobId(null);
+
   // Handle authentication loading and errors
   if (auth.isLoading) {
     return <div>Loading...</div>;
@@ -242,6 +331,8 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
           <Header
             handleSignOut={() => auth.removeUser()}
             usageCount={usageCount}
+            pdf2pdfCount={conversionCounts.pdf2pdf}
+            pdf2htmlCount={conversionCounts.pdf2html}
             refreshUsage={refreshUsage}
             usageError={usageError}
             loadingUsage={loadingUsage}
@@ -266,52 +357,52 @@ function MainApp({ isLoggingOut, setIsLoggingOut }) {
             maxWidth="lg"
             sx={{ marginTop: 0, padding: { xs: 0, sm: 1 } }}
           >
-            {currentPage === "upload" && (
-              <UploadSection
-                onUploadComplete={handleUploadComplete}
-                awsCredentials={awsCredentials}
-                currentUsage={usageCount}
-                maxFilesAllowed={maxFilesAllowed}
-                maxPagesAllowed={maxPagesAllowed}
-                maxSizeAllowedMB={maxSizeAllowedMB}
-                onUsageRefresh={refreshUsage}
-                setUsageCount={setUsageCount}
-                isFileUploaded={!!uploadedFile}
-                onShowDeploymentPopup={handleShowDeploymentPopup}
-              />
-            )}
+            <UploadSection
+              onUploadComplete={handleUploadComplete}
+              awsCredentials={awsCredentials}
+              currentUsage={usageCount}
+              maxFilesAllowed={maxFilesAllowed}
+              maxPagesAllowed={maxPagesAllowed}
+              maxSizeAllowedMB={maxSizeAllowedMB}
+              onUsageRefresh={refreshUsage}
+              setUsageCount={setUsageCount}
+              isFileUploaded={!!openJob}
+              onShowDeploymentPopup={handleShowDeploymentPopup}
+              onBatchUploadComplete={handleBatchUploadComplete}
+            />
 
-            {currentPage === "processing" && uploadedFile && (
+            {openJob && (
               <ProcessingContainer
-                originalFileName={uploadedFile.name}
-                updatedFilename={uploadedFile.updatedName}
-                onFileReady={(downloadUrl) =>
-                  handleProcessingComplete({ url: downloadUrl })
+                key={openJob.updatedName}
+                originalFileName={openJob.name}
+                updatedFilename={openJob.updatedName}
+                onFileReady={(url, htmlUrl, completedAt) =>
+                  handleJobFinished(openJob, "completed", completedAt)
                 }
+                onFailed={() => handleJobFinished(openJob, "failed")}
+                onRetried={(retriedAt) => handleJobRetried(openJob, retriedAt)}
                 awsCredentials={awsCredentials}
-                selectedFormat={uploadedFile.format}
-                onNewUpload={handleNewUpload}
+                selectedFormat={openJob.format}
+                pageCount={openJob.pageCount}
+                fileSize={openJob.fileSize}
+                startedAt={openJob.retriedAt || openJob.startedAt}
+                retriedAt={openJob.retriedAt}
+                reused={openJob.reused}
+                onCancel={() => handleCancelJob(openJob)}
+                onNewUpload={handleCloseJob}
               />
             )}
 
-            {currentPage === "processing" && !uploadedFile && (
-              <div style={{ padding: "40px", textAlign: "center" }}>
-                <p>Loading processing page...</p>
-              </div>
-            )}
-
-            {currentPage === "results" && (
-              <ResultsContainer
-                fileName={uploadedFile?.name}
-                processedResult={processedResult}
-                format={uploadedFile?.format}
-                processingTime={processedResult?.processingTime}
-                originalFileName={uploadedFile?.name}
-                updatedFilename={uploadedFile?.updatedName}
-                awsCredentials={awsCredentials}
-                onNewUpload={handleNewUpload}
-              />
-            )}
+            <JobsDashboard
+              jobs={jobs}
+              openJobId={openJobId}
+              awsCredentials={awsCredentials}
+              onOpenJob={handleOpenJob}
+              onUpdateJob={updateJob}
+              onRemoveJob={removeJob}
+              onCancelJob={handleCancelJob}
+              onJobFinished={handleJobFinished}
+            />
 
             <RemediatedFilesContainer
               awsCredentials={awsCredentials}
@@ -1,10 +1,4 @@
 // src/components/AccessibilityChecker.js
-import {
-  GetObjectCommand,
-  HeadObjectCommand,
-  S3Client,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import CloseIcon from "@mui/icons-material/Close";
 import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
 import {
@@ -27,8 +21,24 @@ import {
   TableRow,
   Typography,
 } from "@mui/material";
-import { useCallback, useEffect, useMemo, useState } from "react";
-import { PDFBucket, region } from "../utilities/constants";
+import { useCallback, useMemo, useState } from "react";
+import { PDFBucket } from "../utilities/constants";
+import {
+  buildReportCsv,
+  buildReportHtml,
+  compareReports,
+  downloadTextFile,
+  getReportExportName,
+  printReportHtml,
+} from "../utilities/reportExport";
+import { getReportDownloadNames, getReportKeys } from "../utilities/s3Keys";
+import { createStorage } from "../utilities/storage";
+import { usePolling } from "../utilities/usePolling";
+
+const REPORT_FETCH_ATTEMPTS = 3;
+
+const getStatusColor = (status) =>
+  status === "Passed" ? "success" : status === "Failed" ? "error" : "warning";
 
 function AccessibilityChecker({
   originalFileName,
@@ -49,51 +59,34 @@ function AccessibilityChecker({
   const [isBeforeUrlLoading, setIsBeforeUrlLoading] = useState(false);
   const [isAfterUrlLoading, setIsAfterUrlLoading] = useState(false);
 
-  const UpdatedFileKeyWithoutExtension = updatedFilename
-    ? updatedFilename.replace(/\.pdf$/i, "")
-    : "";
-  const beforeReportKey = `temp/${UpdatedFileKeyWithoutExtension}/accessability-report/${UpdatedFileKeyWithoutExtension}_accessibility_report_before_remidiation.json`;
-  const afterReportKey = `temp/${UpdatedFileKeyWithoutExtension}/accessability-report/COMPLIANT_${UpdatedFileKeyWithoutExtension}_accessibility_report_after_remidiation.json`;
-
-  const OriginalFileKeyWithoutExtension = originalFileName
-    ? originalFileName.replace(/\.pdf$/i, "")
-    : "";
-  const desiredFilenameBefore = `COMPLIANT_${OriginalFileKeyWithoutExtension}_before_remediation_accessibility_report.json`;
-  const desiredFilenameAfter = `COMPLIANT_${OriginalFileKeyWithoutExtension}_after_remediation_accessibility_report.json`;
+  const { before: beforeReportKey, after: afterReportKey } = getReportKeys(
+    updatedFilename || ""
+  );
+  const { before: desiredFilenameBefore, after: desiredFilenameAfter } =
+    getReportDownloadNames(originalFileName);
 
-  const s3 = useMemo(() => {
+  const storage = useMemo(() => {
     if (!awsCredentials?.accessKeyId) {
       console.warn("AWS credentials not available yet");
       return null;
     }
-    return new S3Client({
-      region,
-      credentials: {
-        accessKeyId: awsCredentials.accessKeyId,
-        secretAccessKey: awsCredentials.secretAccessKey,
-        sessionToken: awsCredentials.sessionToken,
-      },
-    });
+    return createStorage(awsCredentials);
   }, [awsCredentials]);
 
   /**
-   * Utility to fetch the JSON file from S3 (assuming it exists).
+   * Utility to fetch the JSON file from storage (assuming it exists).
    */
-  const fetchJsonFromS3 = useCallback(
+  const fetchJsonFromStorage = useCallback(
     async (key) => {
-      if (!s3) {
+      if (!storage) {
         throw new Error(
-          "S3 client not initialized - check environment variables and AWS credentials"
+          "Storage not initialized - check environment variables and AWS credentials"
         );
       }
-      await s3.send(new HeadObjectCommand({ Bucket: PDFBucket, Key: key }));
-      const getObjRes = await s3.send(
-        new GetObjectCommand({ Bucket: PDFBucket, Key: key })
-      );
-      const bodyString = await getObjRes.Body.transformToString();
-      return JSON.parse(bodyString);
+      const { body } = await storage.getObjectText({ bucket: PDFBucket, key });
+      return JSON.parse(body);
     },
-    [s3]
+    [storage]
   );
 
   /**
@@ -101,103 +94,126 @@ function AccessibilityChecker({
    */
   const generatePresignedUrl = useCallback(
     async (key, filename) => {
-      if (!s3) {
+      if (!storage) {
         throw new Error(
-          "S3 client not initialized - check environment variables and AWS credentials"
+          "Storage not initialized - check environment variables and AWS credentials"
         );
       }
-      const command = new GetObjectCommand({
-        Bucket: PDFBucket,
-        Key: key,
-        ResponseContentDisposition: `attachment; filename="${filename}"`,
+      return await storage.getDownloadUrl({
+        bucket: PDFBucket,
+        key,
+        fileName: filename,
+        expiresIn: 30000, // 8.3 hours
       });
-      return await getSignedUrl(s3, command, { expiresIn: 30000 }); // 8.3 hours
     },
-    [s3]
+    [storage]
   );
 
   /**
-   * Fetch BEFORE report
+   * Fetch BEFORE report; returns true once it has been loaded
    */
   const fetchBeforeReport = useCallback(
-    async (retries = 3) => {
-      if (!s3) return;
-      for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-          const data = await fetchJsonFromS3(beforeReportKey);
-          setBeforeReport(data);
-          setIsBeforeUrlLoading(true);
-          const presignedUrl = await generatePresignedUrl(
-            beforeReportKey,
-            desiredFilenameBefore
-          );
-          setBeforeReportUrl(presignedUrl);
-          return;
-        } catch (error) {
-          console.log(
-            `Attempt ${attempt}/${retries} failed for BEFORE report:`,
-            error.message
-          );
-          if (attempt < retries) await new Promise((r) => setTimeout(r, 2000));
-        } finally {
-          setIsBeforeUrlLoading(false);
-        }
+    async ({ attempt }) => {
+      try {
+        const data = await fetchJsonFromStorage(beforeReportKey);
+        setBeforeReport(data);
+        setIsBeforeUrlLoading(true);
+        const presignedUrl = await generatePresignedUrl(
+          beforeReportKey,
+          desiredFilenameBefore
+        );
+        setBeforeReportUrl(presignedUrl);
+        return true;
+      } catch (error) {
+        console.log(
+          `Attempt ${attempt}/${REPORT_FETCH_ATTEMPTS} failed for BEFORE report:`,
+          error.message
+        );
+        return false;
+      } finally {
+        setIsBeforeUrlLoading(false);
       }
     },
     [
       beforeReportKey,
       desiredFilenameBefore,
-      fetchJsonFromS3,
+      fetchJsonFromStorage,
       generatePresignedUrl,
-      s3,
     ]
   );
 
   /**
-   * Fetch AFTER report
+   * Fetch AFTER report; returns true once it has been loaded
    */
   const fetchAfterReport = useCallback(
-    async (retries = 3) => {
-      if (!s3) return;
-      for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-          const data = await fetchJsonFromS3(afterReportKey);
-          setAfterReport(data);
-          setIsAfterUrlLoading(true);
-          const presignedUrl = await generatePresignedUrl(
-            afterReportKey,
-            desiredFilenameAfter
-          );
-          setAfterReportUrl(presignedUrl);
-          return;
-        } catch (error) {
-          console.log(
-            `Attempt ${attempt}/${retries} failed for AFTER report:`,
-            error.message
-          );
-          if (attempt < retries) await new Promise((r) => setTimeout(r, 2000));
-        } finally {
-          setIsAfterUrlLoading(false);
-        }
+    async ({ attempt }) => {
+      try {
+        const data = await fetchJsonFromStorage(afterReportKey);
+        setAfterReport(data);
+        setIsAfterUrlLoading(true);
+        const presignedUrl = await generatePresignedUrl(
+          afterReportKey,
+          desiredFilenameAfter
+        );
+        setAfterReportUrl(presignedUrl);
+        return true;
+      } catch (error) {
+        console.log(
+          `Attempt ${attempt}/${REPORT_FETCH_ATTEMPTS} failed for AFTER report:`,
+          error.message
+        );
+        return false;
+      } finally {
+        setIsAfterUrlLoading(false);
       }
     },
     [
       afterReportKey,
       desiredFilenameAfter,
-      fetchJsonFromS3,
+      fetchJsonFromStorage,
       generatePresignedUrl,
-      s3,
     ]
   );
 
+  // Reports can lag slightly behind the remediated file, so each is retried a few times
+  const reportPolling = {
+    enabled: !!(open && updatedFilename && storage),
+    immediate: true,
+    interval: 2000,
+    backoff: 1.5,
+    maxAttempts: REPORT_FETCH_ATTEMPTS,
+    resetKey: updatedFilename,
+  };
+  usePolling(fetchBeforeReport, reportPolling);
+  usePolling(fetchAfterReport, reportPolling);
+
   const handleClose = () => onClose();
 
-  useEffect(() => {
-    if (open && updatedFilename && s3) {
-      fetchBeforeReport();
-      fetchAfterReport();
-    }
-  }, [open, updatedFilename, fetchBeforeReport, fetchAfterReport, s3]);
+  const getExportOptions = () => ({
+    documentName: originalFileName,
+    beforeReport,
+    afterReport,
+    generatedAt: new Date(),
+  });
+
+  const handleExportCsv = () =>
+    downloadTextFile(
+      buildReportCsv(getExportOptions()),
+      getReportExportName(originalFileName, "csv"),
+      "text/csv;charset=utf-8"
+    );
+
+  const handleExportHtml = () =>
+    downloadTextFile(
+      buildReportHtml(getExportOptions()),
+      getReportExportName(originalFileName, "html"),
+      "text/html;charset=utf-8"
+    );
+
+  const handlePrint = () =>
+    printReportHtml(buildReportHtml(getExportOptions()));
+
+  const isExportReady = !!(beforeReport && afterReport);
 
   /**
    * Summary block renderer (Before / After)
@@ -267,20 +283,8 @@ function AccessibilityChecker({
   const renderDetailedReport = () => {
     if (!beforeReport) return <CircularProgress />;
 
-    const categories = Object.keys(beforeReport["Detailed Report"] || {});
-    return categories.map((category) => {
-      const beforeItems = beforeReport["Detailed Report"][category] || [];
-      const afterItems = afterReport?.["Detailed Report"]?.[category] || [];
-      const allRules = new Set([
-        ...beforeItems.map((i) => i.Rule),
-        ...afterItems.map((i) => i.Rule),
-      ]);
-      const afterMap = afterItems.reduce((acc, i) => {
-        acc[i.Rule] = i;
-        return acc;
-      }, {});
-
-      return (
+    return compareReports(beforeReport, afterReport).map(
+      ({ category, rules }) => (
         <Accordion
           key={category}
           sx={{ border: "1px solid #ddd", mt: "0.5rem" }}
@@ -304,50 +308,30 @@ function AccessibilityChecker({
                 </TableRow>
               </TableHead>
               <TableBody>
-                {Array.from(allRules).map((rule) => {
-                  const beforeItem = beforeItems.find((i) => i.Rule === rule);
-                  const afterItem = afterMap[rule];
-                  return (
-                    <TableRow key={rule}>
-                      <TableCell>{rule}</TableCell>
-                      <TableCell>
-                        {afterItem
-                          ? afterItem.Description
-                          : beforeItem?.Description}
-                      </TableCell>
-                      <TableCell>
-                        <Chip
-                          label={beforeItem?.Status || "—"}
-                          color={
-                            beforeItem?.Status === "Passed"
-                              ? "success"
-                              : beforeItem?.Status === "Failed"
-                              ? "error"
-                              : "warning"
-                          }
-                        />
-                      </TableCell>
-                      <TableCell>
-                        <Chip
-                          label={afterItem?.Status || "—"}
-                          color={
-                            afterItem?.Status === "Passed"
-                              ? "success"
-                              : afterItem?.Status === "Failed"
-                              ? "error"
-                              : "warning"
-                          }
-                        />
-                      </TableCell>
-                    </TableRow>
-                  );
-                })}
+                {rules.map(({ rule, description, before, after }) => (
+                  <TableRow key={rule}>
+                    <TableCell>{rule}</TableCell>
+                    <TableCell>{description}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={before || "—"}
+                        color={getStatusColor(before)}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        label={after || "—"}
+                        color={getStatusColor(after)}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
               </TableBody>
             </Table>
           </AccordionDetails>
         </Accordion>
-      );
-    });
+      )
+    );
   };
 
   return (
@@ -437,6 +421,29 @@ function AccessibilityChecker({
           p: "1rem",
         }}
       >
+        <Box sx={{ display: "flex", gap: 1, mr: "auto", flexWrap: "wrap" }}>
+          <Button
+            variant="outlined"
+            disabled={!isExportReady}
+            onClick={handleExportCsv}
+          >
+            Export CSV
+          </Button>
+          <Button
+            variant="outlined"
+            disabled={!isExportReady}
+            onClick={handleExportHtml}
+          >
+            Export HTML
+          </Button>
+          <Button
+            variant="outlined"
+            disabled={!isExportReady}
+            onClick={handlePrint}
+          >
+            Print / Save as PDF
+          </Button>
+        </Box>
         <Button onClick={handleClose} variant="contained">
           Close
         </Button>
@@ -0,0 +1,466 @@
+import CloseIcon from "@mui/icons-material/Close";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  Radio,
+  RadioGroup,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { useEffect, useMemo, useState } from "react";
+import {
+  ALT_TEXT_DECISIONS,
+  applyAltTextDecisions,
+  getFigureElements,
+} from "../utilities/altText";
+import { PDFBucket } from "../utilities/constants";
+import {
+  cropPageRegions,
+  isPasswordError,
+  loadPdfDocument,
+} from "../utilities/pdfRendering";
+import { getMarkedContentRects } from "../utilities/pdfTags";
+import { S3_ERROR_KINDS, classifyS3Error } from "../utilities/s3Errors";
+import { findLatestRevision } from "../utilities/revisions";
+import {
+  getResultKey,
+  getRevisionDownloadName,
+  getRevisionKey,
+} from "../utilities/s3Keys";
+import { createStorage } from "../utilities/storage";
+import { getElementContent, loadStructureTree } from "../utilities/structTree";
+import "./AltTextReview.css";
+
+const EMPTY_SOURCE = { bytes: null, pdf: null, figures: [], revision: 0 };
+
+const describeLoadError = (error) => {
+  if (isPasswordError(error)) {
+    return "The remediated file is password-protected and can't be reviewed.";
+  }
+  if (classifyS3Error(error) === S3_ERROR_KINDS.NOT_FOUND) {
+    return "The remediated file is no longer available.";
+  }
+  return "The remediated file could not be loaded.";
+};
+
+const unionRects = (rects) => {
+  if (rects.length === 0) return null;
+  const x0 = Math.min(...rects.map((rect) => rect.x));
+  const y0 = Math.min(...rects.map((rect) => rect.y));
+  const x1 = Math.max(...rects.map((rect) => rect.x + rect.width));
+  const y1 = Math.max(...rects.map((rect) => rect.y + rect.height));
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+};
+
+// 1-based number of the first page a figure is drawn on, or null
+const getFigurePage = (figure) => {
+  const content = getElementContent(figure);
+  return content.length > 0 ? content[0].pageIndex + 1 : null;
+};
+
+/**
+ * Review of the alt text generated for every Figure tag of the remediated PDF.
+ * Each image can be approved, given new alt text or marked decorative (an artifact);
+ * changes are written into the PDF in the browser and saved as a new revision.
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the review is shown
+ * @param {Function} props.onClose - Called when the review is closed
+ * @param {string} props.fileName - Original file name shown to the user
+ * @param {string} props.updatedFilename - Unique file name of the upload
+ * @param {Object} props.awsCredentials - The user's temporary AWS credentials
+ * @param {Function} [props.onSaved] - Called with the new revision number after saving,
+ *   so downloads outside the review can switch to it
+ */
+const AltTextReview = ({
+  open,
+  onClose,
+  fileName,
+  updatedFilename,
+  awsCredentials,
+  onSaved,
+}) => {
+  const [source, setSource] = useState(EMPTY_SOURCE);
+  const [loadError, setLoadError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [crops, setCrops] = useState({});
+  const [decisions, setDecisions] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
+  const [saved, setSaved] = useState(null);
+  // Bumped after saving, so the new revision is what gets reviewed next
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const storage = useMemo(
+    () => (awsCredentials?.accessKeyId ? createStorage(awsCredentials) : null),
+    [awsCredentials]
+  );
+
+  useEffect(() => {
+    if (!open || !updatedFilename || !storage) return;
+    let cancelled = false;
+    let loadedPdf = null;
+
+    const load = async () => {
+      setIsLoading(true);
+      setLoadError("");
+      try {
+        const revision = await findLatestRevision(
+          storage,
+          updatedFilename
+        ).catch((error) => {
+          console.warn("Unable to list revisions:", error);
+          return 0;
+        });
+        const { body } = await storage.getObject({
+          bucket: PDFBucket,
+          key: revision
+            ? getRevisionKey(updatedFilename, revision)
+            : getResultKey(updatedFilename, "pdf"),
+        });
+        const figures = getFigureElements(await loadStructureTree(body));
+        // pdf.js takes over the buffer it's given; the original is kept for editing
+        loadedPdf = await loadPdfDocument(body.slice());
+        if (cancelled) return;
+        setSource({ bytes: body, pdf: loadedPdf, figures, revision });
+      } catch (error) {
+        console.warn("Unable to load the remediated file:", error);
+        if (!cancelled) setLoadError(describeLoadError(error));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      loadedPdf?.destroy();
+      setSource(EMPTY_SOURCE);
+      setCrops({});
+      setDecisions({});
+    };
+  }, [open, updatedFilename, storage, reloadCount]);
+
+  useEffect(() => {
+    if (!open) {
+      setSaved(null);
+      setSaveError("");
+    }
+  }, [open]);
+
+  // Crop each figure out of its page, one page at a time
+  useEffect(() => {
+    const { pdf, figures } = source;
+    if (!pdf || figures.length === 0) return;
+    let cancelled = false;
+
+    const byPage = new Map();
+    figures.forEach((figure) => {
+      const pageNumber = getFigurePage(figure);
+      if (pageNumber) {
+        byPage.set(pageNumber, [...(byPage.get(pageNumber) || []), figure]);
+      }
+    });
+
+    const cropAll = async () => {
+      for (const [pageNumber, pageFigures] of byPage) {
+        if (cancelled) return;
+        const urlsById = {};
+        try {
+          const page = await pdf.getPage(pageNumber);
+          const located = [];
+          for (const figure of pageFigures) {
+            const mcids = getElementContent(figure)
+              .filter((item) => item.pageIndex + 1 === pageNumber)
+              .map((item) => item.mcid);
+            const rect = unionRects(await getMarkedContentRects(page, mcids));
+            if (rect) located.push({ id: figure.id, rect });
+          }
+          const urls = await cropPageRegions(
+            pdf,
+            pageNumber,
+            located.map(({ rect }) => rect)
+          );
+          located.forEach(({ id }, i) => {
+            urlsById[id] = urls[i];
+          });
+        } catch (error) {
+          console.warn(
+            `Unable to crop the figures on page ${pageNumber}:`,
+            error
+          );
+        }
+        if (cancelled) return;
+        // null marks a figure whose image couldn't be located
+        setCrops((current) => {
+          const next = { ...current };
+          pageFigures.forEach(({ id }) => {
+            next[id] = urlsById[id] || null;
+          });
+          return next;
+        });
+      }
+    };
+    cropAll();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  const setDecision = (figure, decision) =>
+    setDecisions((current) => ({
+      ...current,
+      [figure.id]: {
+        decision,
+        alt: current[figure.id]?.alt ?? figure.alt ?? "",
+      },
+    }));
+
+  const setEditedAlt = (figure, alt) =>
+    setDecisions((current) => ({
+      ...current,
+      [figure.id]: { decision: ALT_TEXT_DECISIONS.EDIT, alt },
+    }));
+
+  const decisionList = Object.values(decisions);
+  const reviewedCount = decisionList.length;
+  const changeCount = decisionList.filter(
+    ({ decision }) => decision !== ALT_TEXT_DECISIONS.APPROVE
+  ).length;
+  const hasEmptyEdit = decisionList.some(
+    ({ decision, alt }) => decision === ALT_TEXT_DECISIONS.EDIT && !alt?.trim()
+  );
+  const nextRevision = source.revision + 1;
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setSaveError("");
+    try {
+      const result = await applyAltTextDecisions(source.bytes, decisions);
+      const key = getRevisionKey(updatedFilename, nextRevision);
+      await storage.putObject({
+        bucket: PDFBucket,
+        key,
+        body: result.bytes,
+        contentType: "application/pdf",
+        metadata: {
+          "based-on": source.revision
+            ? getRevisionKey(updatedFilename, source.revision)
+            : getResultKey(updatedFilename, "pdf"),
+          "alt-text-approved": String(
+            decisionList.filter(
+              ({ decision }) => decision === ALT_TEXT_DECISIONS.APPROVE
+            ).length
+          ),
+          "alt-text-edited": String(result.edited),
+          "alt-text-decorative": String(result.decorative),
+        },
+      });
+      const downloadUrl = await storage.getDownloadUrl({
+        bucket: PDFBucket,
+        key,
+        fileName: getRevisionDownloadName(fileName, nextRevision),
+      });
+      setSaved({
+        revision: nextRevision,
+        downloadUrl,
+        failedCount: result.failed.length,
+      });
+      setReloadCount((count) => count + 1);
+      onSaved?.(nextRevision);
+    } catch (error) {
+      console.error("Unable to save the reviewed PDF:", error);
+      setSaveError(
+        "The changes could not be saved. Please try again in a moment."
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  let content;
+  if (loadError) {
+    content = <Alert severity="error">{loadError}</Alert>;
+  } else if (isLoading || !source.pdf) {
+    content = (
+      <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}>
+        <CircularProgress aria-label="Loading the remediated file" />
+      </Box>
+    );
+  } else if (source.figures.length === 0) {
+    content = (
+      <Typography variant="body2" color="textSecondary">
+        The remediated PDF has no Figure tags, so there is no alt text to
+        review.
+      </Typography>
+    );
+  } else {
+    content = (
+      <ol className="figure-list">
+        {source.figures.map((figure, index) => {
+          const current = decisions[figure.id];
+          const pageNumber = getFigurePage(figure);
+          return (
+            <li key={figure.id} className="figure-card">
+              <div className="figure-crop">
+                {crops[figure.id] ? (
+                  <img
+                    src={crops[figure.id]}
+                    alt={`Figure ${index + 1} as drawn on page ${pageNumber}`}
+                  />
+                ) : (
+                  <span className="figure-crop-missing">
+                    {!pageNumber
+                      ? "Not drawn on any page"
+                      : crops[figure.id] === null
+                      ? "Image location not found"
+                      : "Locating image…"}
+                  </span>
+                )}
+              </div>
+              <div className="figure-review">
+                <Typography variant="subtitle2" component="h3">
+                  Figure {index + 1}
+                  {pageNumber && ` · Page ${pageNumber}`}
+                </Typography>
+                <p
+                  className={`figure-alt ${
+                    figure.alt ? "" : "figure-alt-missing"
+                  }`}
+                >
+                  {figure.alt || "No alt text was generated"}
+                </p>
+                <RadioGroup
+                  row
+                  aria-label={`Decision for figure ${index + 1}`}
+                  value={current?.decision || ""}
+                  onChange={(e) => setDecision(figure, e.target.value)}
+                >
+                  <FormControlLabel
+                    value={ALT_TEXT_DECISIONS.APPROVE}
+                    control={<Radio size="small" />}
+                    label="Approve"
+                    disabled={!figure.alt}
+                  />
+                  <FormControlLabel
+                    value={ALT_TEXT_DECISIONS.EDIT}
+                    control={<Radio size="small" />}
+                    label="Edit"
+                  />
+                  <FormControlLabel
+                    value={ALT_TEXT_DECISIONS.DECORATIVE}
+                    control={<Radio size="small" />}
+                    label="Decorative"
+                  />
+                </RadioGroup>
+                {current?.decision === ALT_TEXT_DECISIONS.EDIT && (
+                  <TextField
+                    label="Alt text"
+                    value={current.alt}
+                    onChange={(e) => setEditedAlt(figure, e.target.value)}
+                    error={!current.alt.trim()}
+                    helperText={
+                      current.alt.trim()
+                        ? "Describe what the image shows or why it's there"
+                        : "Alt text can't be empty; mark the image decorative instead"
+                    }
+                    multiline
+                    minRows={2}
+                    fullWidth
+                    size="small"
+                  />
+                )}
+                {current?.decision === ALT_TEXT_DECISIONS.DECORATIVE && (
+                  <p className="figure-note">
+                    Screen readers will skip this image. Its Figure tag is
+                    removed and the image is marked as an artifact.
+                  </p>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="lg">
+      <DialogTitle
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <Typography variant="h6" component="span" sx={{ flex: 1 }}>
+          Review Alt Text: {fileName}
+          {source.revision > 0 && ` (revision ${source.revision})`}
+        </Typography>
+        <IconButton onClick={onClose} aria-label="Close review">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        {saved && (
+          <Alert
+            severity={saved.failedCount ? "warning" : "success"}
+            sx={{ mb: 2 }}
+            action={
+              <Button
+                color="inherit"
+                size="small"
+                href={saved.downloadUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                Download
+              </Button>
+            }
+          >
+            Saved as revision {saved.revision}.
+            {saved.failedCount > 0 &&
+              ` ${saved.failedCount} ${
+                saved.failedCount === 1 ? "image" : "images"
+              } couldn't be changed and kept ${
+                saved.failedCount === 1 ? "its" : "their"
+              } Figure tag.`}
+          </Alert>
+        )}
+        {saveError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {saveError}
+          </Alert>
+        )}
+        {content}
+      </DialogContent>
+
+      <DialogActions sx={{ gap: 2, p: "1rem" }}>
+        {source.figures.length > 0 && (
+          <Typography variant="body2" color="textSecondary" sx={{ mr: "auto" }}>
+            {reviewedCount} of {source.figures.length} reviewed
+          </Typography>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={isSaving || changeCount === 0 || hasEmptyEdit}
+        >
+          {isSaving ? "Saving..." : `Save as Revision ${nextRevision}`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AltTextReview;
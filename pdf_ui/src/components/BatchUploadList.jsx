@@ -0,0 +1,101 @@
+import "./UploadSection.css";
+
+const STATUS_LABELS = {
+  pending: "Queued",
+  uploading: "Uploading...",
+  uploaded: "Uploaded",
+  failed: "Failed",
+};
+
+// Format a byte count the same way the single-file upload card does
+const formatFileSize = (bytes) => {
+  const size = (bytes || 0) / (1024 * 1024);
+  return `${size >= 0.1 ? size.toFixed(1) : size.toFixed(2)} MB`;
+};
+
+function BatchUploadList({
+  items,
+  formatAvailability,
+  isUploading,
+  onFormatChange,
+  onRemove,
+}) {
+  const uploadedCount = items.filter((i) => i.status === "uploaded").length;
+  const failedCount = items.filter((i) => i.status === "failed").length;
+
+  return (
+    <div className="batch-list">
+      <p className="upload-sub-text" aria-live="polite">
+        {items.length} file{items.length === 1 ? "" : "s"} queued •{" "}
+        {uploadedCount} uploaded • {failedCount} failed
+      </p>
+
+      <ul className="batch-items">
+        {items.map((item) => (
+          <li key={item.id} className={`batch-item ${item.status}`}>
+            <div className="batch-item-info">
+              <span className="file-name" title={item.file.name}>
+                {item.file.webkitRelativePath || item.file.name}
+              </span>
+              <span className="batch-item-meta">
+                {formatFileSize(item.file.size)} •{" "}
+                <span className={`batch-status ${item.status}`}>
+                  {item.status === "uploading"
+                    ? `Uploading ${item.progress || 0}%`
+                    : item.reused
+                    ? "Already remediated – existing result reused"
+                    : STATUS_LABELS[item.status]}
+                </span>
+                {item.error && ` – ${item.error}`}
+              </span>
+              {item.status === "uploading" && (
+                <div
+                  className="progress-bar"
+                  role="progressbar"
+                  aria-label={`Upload progress for ${item.file.name}`}
+                  aria-valuenow={item.progress || 0}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                >
+                  <div
+                    className="progress-fill"
+                    style={{ width: `${item.progress || 0}%` }}
+                  ></div>
+                </div>
+              )}
+            </div>
+
+            <select
+              className="batch-format-select"
+              aria-label={`Output format for ${item.file.name}`}
+              value={item.format}
+              onChange={(e) => onFormatChange(item.id, e.target.value)}
+              disabled={isUploading || item.status === "uploaded"}
+            >
+              <option value="pdf" disabled={!formatAvailability.pdf}>
+                PDF to PDF
+              </option>
+              <option value="html" disabled={!formatAvailability.html}>
+                PDF to HTML
+              </option>
+              <option value="both" disabled={!formatAvailability.both}>
+                PDF to PDF + HTML
+              </option>
+            </select>
+
+            <button
+              className="batch-remove-btn"
+              aria-label={`Remove ${item.file.name} from batch`}
+              onClick={() => onRemove(item.id)}
+              disabled={isUploading || item.status === "uploading"}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default BatchUploadList;
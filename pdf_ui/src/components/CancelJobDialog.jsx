@@ -0,0 +1,78 @@
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from "@mui/material";
+import { useState } from "react";
+
+/**
+ * Confirms cancelling a job, then waits for the cancellation to go through
+ * @param {Object} props
+ * @param {Object|null} props.job - Job to cancel; the dialog is open while set
+ * @param {Function} props.onClose - Called when the dialog is dismissed or the job was cancelled
+ * @param {Function} props.onConfirm - async (job) => void; a thrown error is shown in the dialog
+ */
+const CancelJobDialog = ({ job, onClose, onConfirm }) => {
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleClose = () => {
+    if (isCancelling) return;
+    setError("");
+    onClose();
+  };
+
+  const handleConfirm = async () => {
+    setIsCancelling(true);
+    setError("");
+    try {
+      await onConfirm(job);
+      onClose();
+    } catch (err) {
+      console.error("Error cancelling job:", err);
+      setError(err.message || "The job could not be cancelled.");
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!job} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Cancel this job?</DialogTitle>
+      <DialogContent>
+        <Typography variant="body1">
+          {job?.reused
+            ? `${job?.name} will stop being tracked here.`
+            : `Remediation of ${job?.name} will stop and the uploaded file will be deleted. If remediation hasn't started yet, the upload will no longer count against your quota. This can't be undone.`}
+        </Typography>
+        {error && (
+          <Typography variant="body2" color="error" role="alert" sx={{ mt: 2 }}>
+            {error}
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ gap: 2, p: "1rem" }}>
+        <Button
+          onClick={handleClose}
+          variant="outlined"
+          disabled={isCancelling}
+        >
+          Keep Processing
+        </Button>
+        <Button
+          onClick={handleConfirm}
+          variant="contained"
+          color="error"
+          disabled={isCancelling}
+        >
+          {isCancelling ? "Cancelling..." : "Cancel Job"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CancelJobDialog;
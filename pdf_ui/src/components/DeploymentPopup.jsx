@@ -14,6 +14,12 @@ import {
 import WarningIcon from '@mui/icons-material/Warning';
 import BuildIcon from '@mui/icons-material/Build';
 
+const FORMAT_LABELS = {
+  pdf: 'PDF to PDF',
+  html: 'PDF to HTML',
+  both: 'PDF to PDF + HTML',
+};
+
 const DeploymentPopup = ({ open, onClose, validation }) => {
   const handleVisitRepo = () => {
     window.open(validation.deploymentUrl, '_blank');
@@ -50,7 +56,7 @@ const DeploymentPopup = ({ open, onClose, validation }) => {
         <Box sx={{ mb: 3 }}>
           <Typography variant="body1" sx={{ mb: 2, color: '#374151' }}>
             {validation.specificFormat
-              ? `The ${validation.specificBucket} for ${validation.specificFormat === 'pdf' ? 'PDF to PDF' : 'PDF to HTML'} processing is not configured.`
+              ? `The ${validation.specificBucket} for ${FORMAT_LABELS[validation.specificFormat]} processing is not configured.`
               : 'The PDF Accessibility backend infrastructure has not been deployed yet. This is required for the application to function properly.'
             }
           </Typography>
@@ -92,7 +98,7 @@ const DeploymentPopup = ({ open, onClose, validation }) => {
               </Typography>
               <Typography variant="body2" sx={{ color: '#6b7280', mb: 2 }}>
                 {validation.specificFormat
-                  ? `Install the ${validation.specificBucket} and related infrastructure for ${validation.specificFormat === 'pdf' ? 'PDF to PDF' : 'PDF to HTML'} processing.`
+                  ? `Install the ${validation.specificBucket} and related infrastructure for ${FORMAT_LABELS[validation.specificFormat]} processing.`
                   : 'Install the complete AWS infrastructure using CDK. This will create all necessary resources including S3 buckets, Lambda functions, and ECS tasks.'
                 }
               </Typography>
@@ -122,7 +128,7 @@ const DeploymentPopup = ({ open, onClose, validation }) => {
                 If you already have the backend deployed, add the bucket name to your Amplify environment variables:
               </Typography>
               <Box sx={{ fontFamily: 'monospace', fontSize: '0.875rem', backgroundColor: '#f1f5f9', padding: 2, borderRadius: 1 }}>
-                {validation.specificFormat ? (
+                {validation.specificFormat && validation.specificFormat !== 'both' ? (
                   <div>
                     {validation.specificFormat === 'pdf'
                       ? 'REACT_APP_PDF_BUCKET_NAME=your-pdf-bucket-name'
@@ -0,0 +1,92 @@
+import { Autocomplete, TextField } from "@mui/material";
+import {
+  LANGUAGE_OPTIONS,
+  getLanguageLabel,
+} from "../utilities/documentMetadata";
+import "./UploadSection.css";
+
+// Optional title, language, author and subject sent with the upload so the pipeline doesn't have to guess them
+function DocumentMetadataForm({ values, errors = {}, disabled, onChange }) {
+  const handleFieldChange = (field) => (e) =>
+    onChange({ ...values, [field]: e.target.value });
+
+  return (
+    <section className="document-metadata" aria-labelledby="metadata-title">
+      <h3 id="metadata-title" className="preflight-title">
+        Document details (optional)
+      </h3>
+      <p className="upload-sub-text">
+        Pre-filled from the PDF. Remediation uses these values for the document
+        title and language instead of guessing them.
+      </p>
+
+      <TextField
+        fullWidth
+        size="small"
+        label="Title"
+        value={values.title}
+        onChange={handleFieldChange("title")}
+        disabled={disabled}
+        margin="dense"
+      />
+
+      <Autocomplete
+        freeSolo
+        options={LANGUAGE_OPTIONS}
+        getOptionLabel={(option) => option}
+        renderOption={(props, option) => (
+          <li {...props} key={option}>
+            {getLanguageLabel(option)}
+          </li>
+        )}
+        inputValue={values.language}
+        onInputChange={(event, newValue) =>
+          onChange({ ...values, language: newValue })
+        }
+        disabled={disabled}
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            size="small"
+            label="Language"
+            placeholder="e.g. en-US"
+            margin="dense"
+            error={!!errors.language}
+            helperText={
+              errors.language ||
+              (values.language ? getLanguageLabel(values.language) : "")
+            }
+          />
+        )}
+      />
+
+      <TextField
+        fullWidth
+        size="small"
+        label="Author"
+        value={values.author}
+        onChange={handleFieldChange("author")}
+        disabled={disabled}
+        margin="dense"
+      />
+
+      <TextField
+        fullWidth
+        size="small"
+        label="Subject"
+        value={values.subject}
+        onChange={handleFieldChange("subject")}
+        disabled={disabled}
+        margin="dense"
+      />
+
+      {errors.form && (
+        <p className="upload-sub-text metadata-error" role="alert">
+          {errors.form}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default DocumentMetadataForm;
@@ -0,0 +1,45 @@
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Typography,
+} from "@mui/material";
+
+// Offered when the selected file has the same contents as an earlier remediated upload
+function DuplicateUploadDialog({
+  match,
+  fileName,
+  onReuse,
+  onProcessAgain,
+  onClose,
+}) {
+  const uploadedAt = match?.uploadedAt
+    ? new Date(match.uploadedAt).toLocaleString()
+    : null;
+
+  return (
+    <Dialog open={!!match} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>This file has already been remediated</DialogTitle>
+      <DialogContent>
+        <Typography variant="body1" sx={{ mb: 2 }}>
+          {fileName} has the same contents as{" "}
+          <strong>{match?.sanitizedFileName}</strong>
+          {uploadedAt && `, uploaded ${uploadedAt}`}. You can open the existing
+          result without using another upload, or process the file again.
+        </Typography>
+      </DialogContent>
+      <DialogActions sx={{ gap: 2, p: "1rem" }}>
+        <Button onClick={onProcessAgain} variant="outlined">
+          Process Again
+        </Button>
+        <Button onClick={onReuse} variant="contained">
+          Use Existing Result
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default DuplicateUploadDialog;
@@ -1,4 +1,6 @@
 // src/components/Header.js
+import ExpandLessIcon from "@mui/icons-material/ExpandLess";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
 import MenuIcon from "@mui/icons-material/Menu";
 import {
   AppBar,
@@ -19,6 +21,8 @@ import { HEADER_BACKGROUND } from "../utilities/constants";
 function Header({
   handleSignOut,
   usageCount,
+  pdf2pdfCount = 0,
+  pdf2htmlCount = 0,
   maxFilesAllowed,
   refreshUsage,
   usageError,
@@ -117,7 +121,7 @@ function Header({
           }}
         >
           {/* Display usage + progress bar */}
-          {/* {isMobile ? (
+          {isMobile ? (
             <Box
               sx={{
                 display: "flex",
@@ -213,9 +217,20 @@ function Header({
                     usageCount
                   )} out of ${formatNumber(maxFilesAllowed)} files uploaded`}
                 />
-              )} 
+              )}
+
+              {!usageError && !loadingUsage && (
+                <Typography
+                  variant="caption"
+                  sx={{ display: "block", mt: 0.5, whiteSpace: "nowrap" }}
+                >
+                  {`PDF: ${formatNumber(pdf2pdfCount)} • HTML: ${formatNumber(
+                    pdf2htmlCount
+                  )}`}
+                </Typography>
+              )}
             </Box>
-          )}*/}
+          )}
 
           {/* Optional: "Refresh Usage" button */}
           {/* Uncomment the button below if you want to allow manual refreshing from the header */}
@@ -309,6 +324,14 @@ function Header({
                 )} out of ${formatNumber(maxFilesAllowed)} files uploaded`}
               />
             )}
+
+            {!usageError && !loadingUsage && (
+              <Typography variant="body2" sx={{ mt: 1 }}>
+                {`PDF to PDF: ${formatNumber(
+                  pdf2pdfCount
+                )} • PDF to HTML: ${formatNumber(pdf2htmlCount)}`}
+              </Typography>
+            )}
           </Box>
         </Collapse>
       )}
@@ -319,6 +342,8 @@ function Header({
 Header.propTypes = {
   handleSignOut: PropTypes.func.isRequired,
   usageCount: PropTypes.number.isRequired,
+  pdf2pdfCount: PropTypes.number,
+  pdf2htmlCount: PropTypes.number,
   maxFilesAllowed: PropTypes.number.isRequired,
   refreshUsage: PropTypes.func.isRequired,
   usageError: PropTypes.string,
@@ -0,0 +1,330 @@
+import CloseIcon from "@mui/icons-material/Close";
+import DescriptionOutlinedIcon from "@mui/icons-material/DescriptionOutlined";
+import FolderOutlinedIcon from "@mui/icons-material/FolderOutlined";
+import ImageOutlinedIcon from "@mui/icons-material/ImageOutlined";
+import InsertDriveFileOutlinedIcon from "@mui/icons-material/InsertDriveFileOutlined";
+import {
+  Box,
+  Button,
+  CircularProgress,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Typography,
+} from "@mui/material";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { HTMLBucket } from "../utilities/constants";
+import {
+  ZIP_FILE_KINDS,
+  buildFileTree,
+  getStartPage,
+  openHtmlZip,
+} from "../utilities/htmlZip";
+import { S3_ERROR_KINDS, classifyS3Error } from "../utilities/s3Errors";
+import { getResultKey } from "../utilities/s3Keys";
+import { createStorage } from "../utilities/storage";
+import "./HtmlPreviewDialog.css";
+
+const KIND_ICONS = {
+  [ZIP_FILE_KINDS.PAGE]: DescriptionOutlinedIcon,
+  [ZIP_FILE_KINDS.IMAGE]: ImageOutlinedIcon,
+};
+
+const describeLoadError = (error) => {
+  if (classifyS3Error(error) === S3_ERROR_KINDS.NOT_FOUND) {
+    return "The HTML output is no longer available.";
+  }
+  if (error?.message?.includes("zip")) {
+    return "The HTML output is not a readable zip file.";
+  }
+  return "The HTML output could not be loaded.";
+};
+
+function FileTree({ nodes, selectedPath, onSelect, depth = 0 }) {
+  return (
+    <ul className="file-tree">
+      {nodes.map((node) => {
+        if (node.children) {
+          return (
+            <li key={node.path}>
+              <span
+                className="file-tree-folder"
+                style={{ paddingLeft: 8 + depth * 16 }}
+              >
+                <FolderOutlinedIcon fontSize="small" aria-hidden="true" />
+                {node.name}
+              </span>
+              <FileTree
+                nodes={node.children}
+                selectedPath={selectedPath}
+                onSelect={onSelect}
+                depth={depth + 1}
+              />
+            </li>
+          );
+        }
+        const Icon = KIND_ICONS[node.kind] || InsertDriveFileOutlinedIcon;
+        const isSelected = node.path === selectedPath;
+        return (
+          <li key={node.path} className={isSelected ? "selected" : ""}>
+            <button
+              type="button"
+              aria-current={isSelected ? "page" : undefined}
+              className="file-tree-file"
+              style={{ paddingLeft: 8 + depth * 16 }}
+              onClick={() => onSelect(node.path)}
+            >
+              <Icon fontSize="small" aria-hidden="true" />
+              {node.name}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Sandboxed without scripts or popups; same origin only so link clicks can be handled here
+function PagePreview({ html, title, scrollTo, onNavigate }) {
+  const iframeRef = useRef(null);
+
+  const handleLoad = () => {
+    const doc = iframeRef.current?.contentDocument;
+    if (!doc) return;
+    if (scrollTo) doc.getElementById(scrollTo)?.scrollIntoView();
+
+    doc.addEventListener("click", (event) => {
+      const link = event.target.closest?.("a[href]");
+      if (!link) return;
+      const href = link.getAttribute("href");
+      if (link.hasAttribute("data-preview-page")) {
+        event.preventDefault();
+        onNavigate(
+          link.getAttribute("data-preview-page"),
+          link.getAttribute("data-preview-hash")
+        );
+      } else if (link.hasAttribute("data-preview-external")) {
+        // Opened from this window, so the new tab isn't sandboxed and can't reach the preview
+        event.preventDefault();
+        window.open(href, "_blank", "noopener,noreferrer");
+      } else if (href.startsWith("#")) {
+        // srcdoc documents can't navigate to their own fragments
+        event.preventDefault();
+        doc.getElementById(decodeURIComponent(href.slice(1)))?.scrollIntoView();
+      }
+    });
+  };
+
+  return (
+    <iframe
+      ref={iframeRef}
+      className="html-preview-frame"
+      title={title}
+      srcDoc={html}
+      sandbox="allow-same-origin"
+      onLoad={handleLoad}
+    />
+  );
+}
+
+/**
+ * Preview of the HTML pipeline's zip: its pages in a sandboxed iframe, with a
+ * file tree to move between pages and view the images it contains
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the preview is shown
+ * @param {Function} props.onClose - Called when the preview is closed
+ * @param {string} props.fileName - Original file name shown to the user
+ * @param {string} props.updatedFilename - Unique file name of the upload
+ * @param {Object} props.awsCredentials - The user's temporary AWS credentials
+ * @param {Function} [props.onDownload] - Downloads the zip; shown as a button when given
+ */
+const HtmlPreviewDialog = ({
+  open,
+  onClose,
+  fileName,
+  updatedFilename,
+  awsCredentials,
+  onDownload,
+}) => {
+  const [archive, setArchive] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [selected, setSelected] = useState({ path: null, hash: "" });
+  const [content, setContent] = useState(null);
+
+  useEffect(() => {
+    if (!open || !updatedFilename || !awsCredentials?.accessKeyId) return;
+    let cancelled = false;
+    let opened = null;
+
+    const load = async () => {
+      setLoadError("");
+      try {
+        const { body } = await createStorage(awsCredentials).getObject({
+          bucket: HTMLBucket,
+          key: getResultKey(updatedFilename, "html"),
+        });
+        opened = await openHtmlZip(body);
+        if (cancelled) {
+          opened.dispose();
+          return;
+        }
+        setArchive(opened);
+        setSelected({ path: getStartPage(opened.files), hash: "" });
+      } catch (error) {
+        console.warn("Unable to load the HTML output:", error);
+        if (!cancelled) setLoadError(describeLoadError(error));
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      opened?.dispose();
+      setArchive(null);
+      setSelected({ path: null, hash: "" });
+      setContent(null);
+    };
+  }, [open, updatedFilename, awsCredentials]);
+
+  const selectedFile = useMemo(
+    () => archive?.files.find((file) => file.path === selected.path) || null,
+    [archive, selected.path]
+  );
+
+  useEffect(() => {
+    if (!archive || !selectedFile) return;
+    let cancelled = false;
+    setContent(null);
+
+    const read =
+      selectedFile.kind === ZIP_FILE_KINDS.PAGE
+        ? archive.getPage(selectedFile.path).then((html) => ({ html }))
+        : selectedFile.kind === ZIP_FILE_KINDS.IMAGE
+        ? archive.getFileUrl(selectedFile.path).then((url) => ({ url }))
+        : Promise.resolve({});
+    read
+      .then((result) => !cancelled && setContent(result))
+      .catch((error) => {
+        console.warn(`Unable to show ${selectedFile.path}:`, error);
+        if (!cancelled) setContent({ error: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [archive, selectedFile]);
+
+  const tree = useMemo(
+    () => (archive ? buildFileTree(archive.files) : []),
+    [archive]
+  );
+  const pageCount = archive
+    ? archive.files.filter((file) => file.kind === ZIP_FILE_KINDS.PAGE).length
+    : 0;
+  const imageCount = archive
+    ? archive.files.filter((file) => file.kind === ZIP_FILE_KINDS.IMAGE).length
+    : 0;
+
+  const handleSelect = (path, hash = "") => setSelected({ path, hash });
+
+  let preview;
+  if (!selectedFile) {
+    preview = (
+      <p className="html-preview-message">The zip has no HTML pages.</p>
+    );
+  } else if (!content) {
+    preview = (
+      <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}>
+        <CircularProgress aria-label={`Loading ${selectedFile.path}`} />
+      </Box>
+    );
+  } else if (content.error) {
+    preview = (
+      <p className="html-preview-message">
+        {selectedFile.path} could not be shown.
+      </p>
+    );
+  } else if (content.html !== undefined) {
+    preview = (
+      <PagePreview
+        key={`${selected.path}#${selected.hash}`}
+        html={content.html}
+        title={`Preview of ${selectedFile.path}`}
+        scrollTo={selected.hash}
+        onNavigate={handleSelect}
+      />
+    );
+  } else if (content.url) {
+    preview = (
+      <div className="html-preview-image">
+        <img src={content.url} alt={`${selectedFile.path} from the zip`} />
+      </div>
+    );
+  } else {
+    preview = (
+      <p className="html-preview-message">
+        {selectedFile.path} can't be previewed. Download the zip to open it.
+      </p>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen>
+      <DialogTitle
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: 2,
+        }}
+      >
+        <Typography variant="h6" component="span" sx={{ flex: 1 }}>
+          HTML Preview: {fileName}
+        </Typography>
+        {onDownload && (
+          <Button variant="contained" onClick={onDownload}>
+            Download ZIP
+          </Button>
+        )}
+        <IconButton onClick={onClose} aria-label="Close preview">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent className="html-preview" sx={{ p: 0 }}>
+        {loadError ? (
+          <p className="html-preview-message">{loadError}</p>
+        ) : !archive ? (
+          <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}>
+            <CircularProgress aria-label="Loading the HTML output" />
+          </Box>
+        ) : (
+          <>
+            <nav className="html-preview-files" aria-label="Files in the zip">
+              <p className="html-preview-summary">
+                {pageCount} {pageCount === 1 ? "page" : "pages"}, {imageCount}{" "}
+                {imageCount === 1 ? "image" : "images"}
+              </p>
+              <FileTree
+                nodes={tree}
+                selectedPath={selected.path}
+                onSelect={handleSelect}
+              />
+            </nav>
+            <section
+              className="html-preview-main"
+              aria-label={selectedFile?.path || "Preview"}
+            >
+              {selectedFile && (
+                <h3 className="html-preview-path">{selectedFile.path}</h3>
+              )}
+              {preview}
+            </section>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default HtmlPreviewDialog;
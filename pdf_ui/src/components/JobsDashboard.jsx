@@ -0,0 +1,404 @@
+import { Button, Chip } from "@mui/material";
+import { motion } from "framer-motion";
+import { useEffect, useMemo, useState } from "react";
+import { useAuth } from "react-oidc-context";
+import {
+  describeRemainingTime,
+  estimateProcessingSeconds,
+  loadProcessingRuns,
+} from "../utilities/processingEstimates";
+import {
+  describeRetryError,
+  getJobOutputs,
+  getOutputDownloadUrl,
+  retryJob,
+  useJobStatus,
+} from "../utilities/useJobStatus";
+import AccessibilityChecker from "./AccessibilityChecker";
+import CancelJobDialog from "./CancelJobDialog";
+import "./RemediatedFilesContainer.css";
+
+const FORMAT_LABELS = {
+  pdf: "PDF → PDF",
+  html: "PDF → HTML",
+  both: "PDF → PDF + HTML",
+};
+
+const STATUS_CHIPS = {
+  processing: { label: "Processing", color: "primary" },
+  completed: { label: "Completed", color: "success" },
+  failed: { label: "Failed", color: "error" },
+  cancelled: { label: "Cancelled", color: "default" },
+  stalled: { label: "Stopped checking", color: "warning" },
+};
+
+const textStyle = {
+  margin: 0,
+  fontFamily: "Geist, sans-serif",
+  fontWeight: 400,
+  fontSize: "12px",
+  color: "#64748b",
+};
+
+const outlinedButtonSx = {
+  borderColor: "#004c97",
+  color: "#004c97",
+  textTransform: "none",
+  fontWeight: 500,
+  "&:hover": {
+    borderColor: "#004c97",
+    backgroundColor: "#e0f2fe",
+  },
+};
+
+const containedButtonSx = {
+  backgroundColor: "#004c97",
+  textTransform: "none",
+  fontWeight: 500,
+  "&:hover": { backgroundColor: "#1868b7" },
+};
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const mins = Math.floor(totalSeconds / 60);
+  const secs = totalSeconds % 60;
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
+};
+
+// Ticks once a second while a job runs
+const useNow = (isRunning) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!isRunning) return undefined;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [isRunning]);
+  return now;
+};
+
+const describeProgress = ({ pipelineStatus, error, hasConnectionIssue }) => {
+  if (error) return "We stopped checking on this job. Open it for details.";
+  if (hasConnectionIssue) return "Having trouble reaching AWS...";
+  const runningStage = pipelineStatus?.stages.find(
+    (stage) => stage.status === "running"
+  );
+  return runningStage ? `${runningStage.title}...` : "Processing...";
+};
+
+function JobRow({
+  job,
+  isOpen,
+  awsCredentials,
+  onOpen,
+  onFinished,
+  onRetry,
+  onCancel,
+  onRemove,
+  onViewReport,
+}) {
+  const auth = useAuth();
+  const isProcessing = job.status === "processing";
+  // The job open in the details view polls there instead
+  const status = useJobStatus(job, {
+    awsCredentials,
+    enabled: isProcessing && !isOpen,
+  });
+  const { isReady, error } = status;
+  const now = useNow(isProcessing);
+  const [isBusy, setIsBusy] = useState(false);
+  const [actionError, setActionError] = useState("");
+
+  // Report each job once, when it finishes
+  useEffect(() => {
+    if (isReady) onFinished(job, "completed", status.completedAt);
+    else if (error?.kind === "pipeline") onFinished(job, "failed");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isReady, error]);
+
+  const runningSince = job.retriedAt || job.startedAt;
+  const expectedSeconds = useMemo(
+    () =>
+      estimateProcessingSeconds(
+        job,
+        loadProcessingRuns(auth.user?.profile?.sub)
+      ),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [job.format, job.pageCount, job.fileSize, auth.user?.profile?.sub]
+  );
+  const displayStatus =
+    isProcessing && error && !isOpen ? "stalled" : job.status;
+  const chip = STATUS_CHIPS[displayStatus] || STATUS_CHIPS.processing;
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    setActionError("");
+    try {
+      await action();
+    } catch (err) {
+      console.error("Job action failed:", err);
+      setActionError(err.message || "Something went wrong. Please try again.");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDownload = (output) =>
+    runAction(async () => {
+      const url = await getOutputDownloadUrl(output, awsCredentials);
+      window.open(url, "_blank");
+    });
+
+  const outputs = getJobOutputs(job);
+
+  return (
+    <div className="remediated-file" style={{ flexWrap: "wrap", gap: "8px" }}>
+      <div style={{ flex: 1, minWidth: "200px", overflow: "hidden" }}>
+        <p
+          style={{
+            ...textStyle,
+            fontWeight: 500,
+            fontSize: "14px",
+            color: "#020617",
+            textOverflow: "ellipsis",
+            overflow: "hidden",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {job.name}
+        </p>
+        <p style={textStyle}>
+          {FORMAT_LABELS[job.format] || job.format} ·{" "}
+          {isProcessing
+            ? `${formatDuration(now - runningSince)} elapsed${
+                error
+                  ? ""
+                  : ` · ${describeRemainingTime({
+                      expectedSeconds,
+                      elapsedSeconds: (now - runningSince) / 1000,
+                      pipelineStatus: status.pipelineStatus,
+                    })}`
+              }`
+            : job.finishedAt
+            ? `Took ${formatDuration(job.finishedAt - runningSince)}`
+            : `Started ${new Date(job.startedAt).toLocaleString()}`}
+        </p>
+        {isProcessing && !isOpen && (
+          <p style={textStyle} aria-live="polite">
+            {describeProgress(status)}
+          </p>
+        )}
+        {job.status === "cancelled" && job.quotaKept && (
+          <p style={textStyle}>
+            Remediation had already started, so this file still counts toward
+            your quota.
+          </p>
+        )}
+        {actionError && (
+          <p style={{ ...textStyle, color: "#dc2626" }} role="alert">
+            {actionError}
+          </p>
+        )}
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "8px",
+        }}
+      >
+        <Chip label={chip.label} color={chip.color} size="small" />
+
+        {isProcessing && (
+          <>
+            {displayStatus === "stalled" && (
+              <Button
+                variant="outlined"
+                size="small"
+                sx={outlinedButtonSx}
+                onClick={() => status.retry()}
+              >
+                Check Again
+              </Button>
+            )}
+            <Button
+              variant="outlined"
+              size="small"
+              sx={outlinedButtonSx}
+              onClick={() => onOpen(job)}
+              disabled={isOpen}
+            >
+              {isOpen ? "Shown Above" : "Details"}
+            </Button>
+            <Button
+              variant="outlined"
+              size="small"
+              color="error"
+              sx={{ textTransform: "none", fontWeight: 500 }}
+              onClick={() => onCancel(job)}
+            >
+              Cancel
+            </Button>
+          </>
+        )}
+
+        {job.status === "completed" && (
+          <>
+            {job.format !== "html" && (
+              <Button
+                variant="outlined"
+                size="small"
+                sx={outlinedButtonSx}
+                onClick={() => onViewReport(job)}
+              >
+                View Report
+              </Button>
+            )}
+            {outputs.map((output) => (
+              <Button
+                key={output.format}
+                variant="contained"
+                size="small"
+                sx={containedButtonSx}
+                onClick={() => handleDownload(output)}
+                disabled={isBusy}
+              >
+                {outputs.length > 1
+                  ? `Download ${output.format === "html" ? "ZIP" : "PDF"}`
+                  : "Download"}
+              </Button>
+            ))}
+          </>
+        )}
+
+        {job.status === "failed" && (
+          <Button
+            variant="contained"
+            size="small"
+            sx={containedButtonSx}
+            onClick={() => runAction(() => onRetry(job))}
+            disabled={isBusy}
+          >
+            {isBusy ? "Retrying..." : "Retry"}
+          </Button>
+        )}
+
+        {!isProcessing && (
+          <Button
+            variant="text"
+            size="small"
+            sx={{ textTransform: "none", color: "#64748b" }}
+            onClick={() => onRemove(job)}
+            aria-label={`Remove ${job.name} from the list`}
+          >
+            Remove
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Every active and recent job, with actions for each. Jobs come from the
+ * persisted job store, so the list survives reloads.
+ */
+const JobsDashboard = ({
+  jobs,
+  openJobId,
+  awsCredentials,
+  onOpenJob,
+  onUpdateJob,
+  onRemoveJob,
+  onCancelJob,
+  onJobFinished,
+}) => {
+  const [jobToCancel, setJobToCancel] = useState(null);
+  const [reportJob, setReportJob] = useState(null);
+
+  if (jobs.length === 0) return null;
+
+  const handleRetry = async (job) => {
+    let retriedAt;
+    try {
+      retriedAt = await retryJob(job, awsCredentials);
+    } catch (error) {
+      throw new Error(describeRetryError(error));
+    }
+    onUpdateJob(job.updatedName, {
+      status: "processing",
+      retriedAt: retriedAt.getTime(),
+      finishedAt: null,
+    });
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.5 }}
+      style={{ marginTop: "24px" }}
+    >
+      <section className="remediated-container" aria-labelledby="jobs-title">
+        <h2
+          id="jobs-title"
+          style={{
+            fontFamily: "Geist, sans-serif",
+            fontWeight: 600,
+            fontSize: "18px",
+            lineHeight: "28px",
+            color: "#020617",
+            textAlign: "center",
+            marginBottom: "16px",
+          }}
+        >
+          Your Jobs
+        </h2>
+
+        <div
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            gap: "12px",
+            width: "100%",
+          }}
+        >
+          {jobs.map((job) => (
+            <JobRow
+              // A retried job starts over with fresh polling state
+              key={`${job.updatedName}|${job.retriedAt || ""}`}
+              job={job}
+              isOpen={job.updatedName === openJobId}
+              awsCredentials={awsCredentials}
+              onOpen={onOpenJob}
+              onFinished={onJobFinished}
+              onRetry={handleRetry}
+              onCancel={setJobToCancel}
+              onRemove={(j) => onRemoveJob(j.updatedName)}
+              onViewReport={setReportJob}
+            />
+          ))}
+        </div>
+      </section>
+
+      <CancelJobDialog
+        job={jobToCancel}
+        onClose={() => setJobToCancel(null)}
+        onConfirm={onCancelJob}
+      />
+
+      {reportJob && (
+        <AccessibilityChecker
+          originalFileName={reportJob.name}
+          updatedFilename={reportJob.updatedName}
+          awsCredentials={awsCredentials}
+          open={!!reportJob}
+          onClose={() => setReportJob(null)}
+        />
+      )}
+    </motion.div>
+  );
+};
+
+export default JobsDashboard;
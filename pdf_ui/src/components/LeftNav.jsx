@@ -13,6 +13,7 @@ import {
   useMediaQuery,
   useTheme,
 } from "@mui/material";
+import { SupportEmail } from "../utilities/constants";
 
 const LeftNav = ({
   isCollapsed,
@@ -169,7 +170,7 @@ const LeftNav = ({
               <Divider sx={{ marginBottom: 2 }} />
               <Typography variant="body2" gutterBottom>
                 Have questions or need support? Email:{" "}
-                <strong>shakyap@sonoma.edu</strong>
+                <strong>{SupportEmail}</strong>
               </Typography>
             </CardContent>
           </Card>
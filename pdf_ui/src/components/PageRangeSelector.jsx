@@ -0,0 +1,230 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  allPages,
+  formatPageRanges,
+  parsePageRanges,
+} from "../utilities/pageRanges";
+import { loadPdfDocument, renderPageToCanvas } from "../utilities/pdfRendering";
+import "./UploadSection.css";
+
+const THUMBNAIL_WIDTH = 96;
+
+// Renders its page only once scrolled into view, so long documents don't render every page up front
+function PageThumbnail({ pdf, pageNumber, selected, disabled, onToggle }) {
+  const canvasRef = useRef(null);
+  const [isVisible, setIsVisible] = useState(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          setIsVisible(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!pdf || !isVisible) return;
+    renderPageToCanvas(
+      pdf,
+      pageNumber,
+      canvasRef.current,
+      THUMBNAIL_WIDTH
+    ).catch((error) =>
+      console.warn(`Unable to render page ${pageNumber}:`, error)
+    );
+  }, [pdf, pageNumber, isVisible]);
+
+  return (
+    <button
+      type="button"
+      className={`page-thumbnail ${selected ? "selected" : ""}`}
+      aria-pressed={selected}
+      aria-label={`Page ${pageNumber}`}
+      onClick={() => onToggle(pageNumber)}
+      disabled={disabled}
+    >
+      <canvas ref={canvasRef} width={THUMBNAIL_WIDTH} height={124} />
+      <span className="page-thumbnail-number">{pageNumber}</span>
+    </button>
+  );
+}
+
+function PageRangeSelector({
+  file,
+  password,
+  pageCount,
+  selectedPages,
+  maxPagesAllowed,
+  isTagged,
+  disabled,
+  onChange,
+}) {
+  const [pdf, setPdf] = useState(null);
+  const [previewError, setPreviewError] = useState("");
+  const [includeText, setIncludeText] = useState(() =>
+    formatPageRanges(selectedPages)
+  );
+  const [excludeText, setExcludeText] = useState("");
+  const [rangeError, setRangeError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadedPdf = null;
+    setPdf(null);
+    setPreviewError("");
+
+    loadPdfDocument(file, { password })
+      .then((doc) => {
+        loadedPdf = doc;
+        if (cancelled) {
+          doc.destroy();
+          return;
+        }
+        setPdf(doc);
+      })
+      .catch((error) => {
+        console.warn("Unable to load page previews:", error);
+        if (!cancelled) {
+          setPreviewError(
+            "Page previews are unavailable for this file. You can still enter page ranges."
+          );
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      loadedPdf?.destroy();
+    };
+  }, [file, password]);
+
+  // Keep the range field in sync when pages are toggled from the thumbnails
+  useEffect(() => {
+    setIncludeText(formatPageRanges(selectedPages));
+  }, [selectedPages]);
+
+  const applyRanges = () => {
+    const included = includeText.trim()
+      ? parsePageRanges(includeText, pageCount)
+      : { pages: allPages(pageCount), error: "" };
+    const excluded = parsePageRanges(excludeText, pageCount);
+    const error = included.error || excluded.error;
+    setRangeError(error);
+    if (error) return;
+
+    const excludedSet = new Set(excluded.pages);
+    onChange(included.pages.filter((page) => !excludedSet.has(page)));
+  };
+
+  const handleRangeKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      applyRanges();
+    }
+  };
+
+  const togglePage = (pageNumber) => {
+    onChange(
+      selectedPages.includes(pageNumber)
+        ? selectedPages.filter((page) => page !== pageNumber)
+        : [...selectedPages, pageNumber].sort((a, b) => a - b)
+    );
+  };
+
+  const overLimit = maxPagesAllowed && selectedPages.length > maxPagesAllowed;
+  // Only some pages are sent as a new PDF, which can't keep the original's tags
+  const dropsTags =
+    isTagged && selectedPages.length > 0 && selectedPages.length < pageCount;
+
+  return (
+    <section className="page-range-selector" aria-labelledby="page-range-title">
+      <h3 id="page-range-title" className="preflight-title">
+        Pages to remediate
+      </h3>
+
+      <div className="page-range-fields">
+        <label>
+          <span>Include pages</span>
+          <input
+            type="text"
+            value={includeText}
+            placeholder={`1-${pageCount}`}
+            onChange={(e) => setIncludeText(e.target.value)}
+            onBlur={applyRanges}
+            onKeyDown={handleRangeKeyDown}
+            disabled={disabled}
+          />
+        </label>
+        <label>
+          <span>Exclude pages</span>
+          <input
+            type="text"
+            value={excludeText}
+            placeholder="e.g. 2, 40-45"
+            onChange={(e) => setExcludeText(e.target.value)}
+            onBlur={applyRanges}
+            onKeyDown={handleRangeKeyDown}
+            disabled={disabled}
+          />
+        </label>
+        <button
+          type="button"
+          className="troubleshoot-link"
+          onClick={() => {
+            setExcludeText("");
+            onChange(allPages(pageCount));
+          }}
+          disabled={disabled}
+        >
+          Select all
+        </button>
+      </div>
+
+      <p
+        className={`upload-sub-text ${overLimit ? "page-range-error" : ""}`}
+        aria-live="polite"
+      >
+        {selectedPages.length} of {pageCount} pages selected
+        {maxPagesAllowed ? ` (limit ${maxPagesAllowed})` : ""}
+      </p>
+      {dropsTags && (
+        <p className="upload-sub-text page-range-warning" role="status">
+          This PDF is already tagged. Sending only some pages creates a copy
+          without its existing tags, so the selected pages will be tagged again
+          from scratch. Select all pages to keep the current tags as a starting
+          point.
+        </p>
+      )}
+      {rangeError && (
+        <p className="upload-sub-text page-range-error" role="alert">
+          {rangeError}
+        </p>
+      )}
+      {previewError && <p className="upload-sub-text">{previewError}</p>}
+
+      {!previewError && (
+        <div className="page-thumbnails">
+          {allPages(pageCount).map((pageNumber) => (
+            <PageThumbnail
+              key={pageNumber}
+              pdf={pdf}
+              pageNumber={pageNumber}
+              selected={selectedPages.includes(pageNumber)}
+              disabled={disabled}
+              onToggle={togglePage}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default PageRangeSelector;
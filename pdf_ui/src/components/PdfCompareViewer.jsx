@@ -0,0 +1,437 @@
+import CloseIcon from "@mui/icons-material/Close";
+import {
+  Box,
+  CircularProgress,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  IconButton,
+  Switch,
+  Typography,
+} from "@mui/material";
+import { useEffect, useRef, useState } from "react";
+import { PDFBucket } from "../utilities/constants";
+import {
+  isPasswordError,
+  loadPdfDocument,
+  renderPageToCanvas,
+} from "../utilities/pdfRendering";
+import {
+  ROLE_GROUPS,
+  getRoleColor,
+  getTaggedRegions,
+} from "../utilities/pdfTags";
+import { S3_ERROR_KINDS, classifyS3Error } from "../utilities/s3Errors";
+import { getResultKey, getUploadKey } from "../utilities/s3Keys";
+import { createStorage } from "../utilities/storage";
+import "./PdfCompareViewer.css";
+
+// Horizontal padding of a pane around its pages
+const PANE_PADDING = 32;
+
+const EMPTY_DOCUMENT = { pdf: null, error: "" };
+
+const describeLoadError = (error, label) => {
+  if (isPasswordError(error)) {
+    return `The ${label} is password-protected and can't be shown here.`;
+  }
+  if (classifyS3Error(error) === S3_ERROR_KINDS.NOT_FOUND) {
+    return `The ${label} is no longer available.`;
+  }
+  return `The ${label} could not be loaded.`;
+};
+
+// Renders its page once scrolled into view, with the page's tag regions drawn over it when asked
+function ComparePage({ pdf, pageNumber, width, label, scrollRoot, overlay }) {
+  const wrapperRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [aspectRatio, setAspectRatio] = useState(1.294); // US Letter until the page is read
+  const [baseWidth, setBaseWidth] = useState(null);
+  const [isVisible, setIsVisible] = useState(false);
+  const [regions, setRegions] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    pdf.getPage(pageNumber).then((page) => {
+      if (cancelled) return;
+      const viewport = page.getViewport({ scale: 1 });
+      setAspectRatio(viewport.height / viewport.width);
+      setBaseWidth(viewport.width);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber]);
+
+  useEffect(() => {
+    const wrapper = wrapperRef.current;
+    if (!wrapper) return;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          setIsVisible(true);
+          observer.disconnect();
+        }
+      },
+      { root: scrollRoot.current, rootMargin: "400px" }
+    );
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, [scrollRoot]);
+
+  useEffect(() => {
+    if (!isVisible || !width) return;
+    renderPageToCanvas(pdf, pageNumber, canvasRef.current, width).catch(
+      (error) => console.warn(`Unable to render page ${pageNumber}:`, error)
+    );
+  }, [pdf, pageNumber, isVisible, width]);
+
+  const wantsRegions = !!overlay && (overlay.showTags || overlay.showOrder);
+  useEffect(() => {
+    if (!isVisible || !wantsRegions || regions) return;
+    let cancelled = false;
+    pdf
+      .getPage(pageNumber)
+      .then(getTaggedRegions)
+      .then((found) => !cancelled && setRegions(found))
+      .catch((error) => {
+        console.warn(`Unable to read the tags of page ${pageNumber}:`, error);
+        if (!cancelled) setRegions([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber, isVisible, wantsRegions, regions]);
+
+  const scale = baseWidth ? width / baseWidth : 1;
+  const height = Math.floor(width * aspectRatio);
+  const showRegions = wantsRegions && regions && regions.length > 0;
+  const center = ({ rect }) =>
+    `${(rect.x + rect.width / 2) * scale},${
+      (rect.y + rect.height / 2) * scale
+    }`;
+
+  return (
+    <div
+      ref={wrapperRef}
+      className="compare-page"
+      style={{ width, minHeight: height }}
+    >
+      <canvas
+        ref={canvasRef}
+        aria-label={`Page ${pageNumber} of the ${label}`}
+        role="img"
+      />
+      {showRegions && overlay.showOrder && (
+        <svg
+          className="reading-order-path"
+          width={width}
+          height={height}
+          aria-hidden="true"
+        >
+          <polyline points={regions.map(center).join(" ")} />
+        </svg>
+      )}
+      {showRegions &&
+        regions.map((region) => (
+          <div
+            key={region.order}
+            className={`tag-region ${overlay.showTags ? "" : "order-only"}`}
+            style={{
+              left: region.rect.x * scale,
+              top: region.rect.y * scale,
+              width: region.rect.width * scale,
+              height: region.rect.height * scale,
+              borderColor: getRoleColor(region.role),
+            }}
+            title={
+              region.alt ? `${region.role}: ${region.alt}` : `${region.role}`
+            }
+          >
+            {overlay.showTags && (
+              <span
+                className="tag-role"
+                style={{ backgroundColor: getRoleColor(region.role) }}
+              >
+                {region.role}
+              </span>
+            )}
+            {overlay.showOrder && (
+              <span className="tag-order">{region.order}</span>
+            )}
+          </div>
+        ))}
+      {wantsRegions && regions && regions.length === 0 && (
+        <span className="tag-notice">No tagged content on this page</span>
+      )}
+      <span className="compare-page-number">{pageNumber}</span>
+    </div>
+  );
+}
+
+function ComparePane({
+  title,
+  label,
+  document,
+  width,
+  scrollRef,
+  onScroll,
+  overlay,
+}) {
+  const { pdf, error } = document;
+  let content;
+  if (error) {
+    content = <p className="compare-pane-message">{error}</p>;
+  } else if (!pdf || !width) {
+    content = (
+      <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}>
+        <CircularProgress aria-label={`Loading the ${label}`} />
+      </Box>
+    );
+  } else {
+    content = Array.from({ length: pdf.numPages }, (_, i) => (
+      <ComparePage
+        key={i + 1}
+        pdf={pdf}
+        pageNumber={i + 1}
+        width={width}
+        label={label}
+        scrollRoot={scrollRef}
+        overlay={overlay}
+      />
+    ));
+  }
+
+  return (
+    <section className="compare-pane" aria-label={title}>
+      <h3 className="compare-pane-title">
+        {title}
+        {pdf && (
+          <span className="compare-pane-pages">
+            {pdf.numPages} {pdf.numPages === 1 ? "page" : "pages"}
+          </span>
+        )}
+      </h3>
+      <div
+        className="compare-pane-scroll"
+        ref={scrollRef}
+        onScroll={onScroll}
+        tabIndex={0}
+      >
+        {content}
+      </div>
+    </section>
+  );
+}
+
+/**
+ * The original upload and the remediated PDF side by side, with synced scrolling
+ * and tag regions / reading order drawn over the remediated version
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the viewer is shown
+ * @param {Function} props.onClose - Called when the viewer is closed
+ * @param {string} props.fileName - Original file name shown to the user
+ * @param {string} props.updatedFilename - Unique file name of the upload
+ * @param {Object} props.awsCredentials - The user's temporary AWS credentials
+ */
+const PdfCompareViewer = ({
+  open,
+  onClose,
+  fileName,
+  updatedFilename,
+  awsCredentials,
+}) => {
+  const [original, setOriginal] = useState(EMPTY_DOCUMENT);
+  const [remediated, setRemediated] = useState(EMPTY_DOCUMENT);
+  const [isSynced, setIsSynced] = useState(true);
+  const [showTags, setShowTags] = useState(false);
+  const [showOrder, setShowOrder] = useState(false);
+  const [pageWidth, setPageWidth] = useState(0);
+  const originalScrollRef = useRef(null);
+  const remediatedScrollRef = useRef(null);
+  // Pane whose next scroll event comes from syncing it, not from the user
+  const syncedPaneRef = useRef(null);
+
+  useEffect(() => {
+    if (!open || !updatedFilename || !awsCredentials?.accessKeyId) return;
+    let cancelled = false;
+    const loaded = [];
+    const storage = createStorage(awsCredentials);
+
+    const load = async (key, label, setDocument) => {
+      setDocument(EMPTY_DOCUMENT);
+      try {
+        const { body } = await storage.getObject({ bucket: PDFBucket, key });
+        const pdf = await loadPdfDocument(body);
+        loaded.push(pdf);
+        if (!cancelled) setDocument({ pdf, error: "" });
+      } catch (error) {
+        console.warn(`Unable to load the ${label}:`, error);
+        if (!cancelled) {
+          setDocument({ pdf: null, error: describeLoadError(error, label) });
+        }
+      }
+    };
+
+    load(getUploadKey(updatedFilename, "pdf"), "original file", setOriginal);
+    load(
+      getResultKey(updatedFilename, "pdf"),
+      "remediated file",
+      setRemediated
+    );
+
+    return () => {
+      cancelled = true;
+      loaded.forEach((pdf) => pdf.destroy());
+      setOriginal(EMPTY_DOCUMENT);
+      setRemediated(EMPTY_DOCUMENT);
+    };
+  }, [open, updatedFilename, awsCredentials]);
+
+  // Both panes share one page width, measured from the pane so pages line up
+  useEffect(() => {
+    if (!open) return;
+    let observer;
+    const frame = requestAnimationFrame(() => {
+      const pane = remediatedScrollRef.current;
+      if (!pane) return;
+      const measure = () =>
+        setPageWidth(Math.max(pane.clientWidth - PANE_PADDING, 200));
+      measure();
+      if (typeof ResizeObserver !== "undefined") {
+        observer = new ResizeObserver(measure);
+        observer.observe(pane);
+      }
+    });
+    return () => {
+      cancelAnimationFrame(frame);
+      observer?.disconnect();
+    };
+  }, [open]);
+
+  // Scroll the other pane to the same position within the same page number
+  const syncFrom = (source, target, targetName) => {
+    const sourcePages = source.querySelectorAll(".compare-page");
+    const targetPages = target.querySelectorAll(".compare-page");
+    if (!sourcePages.length || !targetPages.length) return;
+
+    let index = Array.from(sourcePages).findIndex(
+      (page) => page.offsetTop + page.offsetHeight > source.scrollTop
+    );
+    if (index < 0) index = sourcePages.length - 1;
+    const page = sourcePages[index];
+    const fraction = Math.min(
+      Math.max((source.scrollTop - page.offsetTop) / page.offsetHeight, 0),
+      1
+    );
+    const targetPage = targetPages[Math.min(index, targetPages.length - 1)];
+    const nextTop = Math.min(
+      targetPage.offsetTop + fraction * targetPage.offsetHeight,
+      target.scrollHeight - target.clientHeight
+    );
+    // No scroll event fires when nothing moves, so only expect one when it will
+    if (Math.abs(target.scrollTop - nextTop) < 1) return;
+    syncedPaneRef.current = targetName;
+    target.scrollTop = nextTop;
+  };
+
+  const handleScroll = (paneName) => () => {
+    if (syncedPaneRef.current === paneName) {
+      syncedPaneRef.current = null;
+      return;
+    }
+    if (!isSynced) return;
+    const [source, target, targetName] =
+      paneName === "original"
+        ? [originalScrollRef.current, remediatedScrollRef.current, "remediated"]
+        : [remediatedScrollRef.current, originalScrollRef.current, "original"];
+    if (source && target) syncFrom(source, target, targetName);
+  };
+
+  const overlay = { showTags, showOrder };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen>
+      <DialogTitle
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <Typography variant="h6" component="span" sx={{ flex: 1 }}>
+          Compare: {fileName}
+        </Typography>
+        <IconButton onClick={onClose} aria-label="Close viewer">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <div className="compare-toolbar">
+        <FormControlLabel
+          control={
+            <Switch
+              checked={isSynced}
+              onChange={(e) => setIsSynced(e.target.checked)}
+            />
+          }
+          label="Sync scrolling"
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={showTags}
+              onChange={(e) => setShowTags(e.target.checked)}
+            />
+          }
+          label="Show tags"
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={showOrder}
+              onChange={(e) => setShowOrder(e.target.checked)}
+            />
+          }
+          label="Show reading order"
+        />
+        {showTags && (
+          <ul className="tag-legend" aria-label="Tag colors">
+            {ROLE_GROUPS.map((group) => (
+              <li key={group.id}>
+                <span
+                  className="tag-legend-swatch"
+                  style={{ backgroundColor: group.color }}
+                />
+                {group.label}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <DialogContent className="compare-panes" sx={{ p: 0 }}>
+        <ComparePane
+          title="Original"
+          label="original file"
+          document={original}
+          width={pageWidth}
+          scrollRef={originalScrollRef}
+          onScroll={handleScroll("original")}
+        />
+        <ComparePane
+          title="Remediated"
+          label="remediated file"
+          document={remediated}
+          width={pageWidth}
+          scrollRef={remediatedScrollRef}
+          onScroll={handleScroll("remediated")}
+          overlay={overlay}
+        />
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PdfCompareViewer;
@@ -0,0 +1,81 @@
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from "@mui/material";
+import React, { useEffect, useState } from "react";
+
+// Asks for the user password of an encrypted PDF; declining means the file can't be remediated
+function PdfPasswordDialog({ open, fileName, onSubmit, onDecline }) {
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [isChecking, setIsChecking] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setPassword("");
+      setError("");
+    }
+  }, [open]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+    setIsChecking(true);
+    try {
+      const accepted = await onSubmit(password);
+      if (!accepted) {
+        setError("Incorrect password. Please try again.");
+      }
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onDecline} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>This PDF is password-protected</DialogTitle>
+        <DialogContent>
+          <Typography variant="body1" sx={{ mb: 2 }}>
+            {fileName} can't be opened without its password. Enter it to
+            continue; it is checked here in your browser and then sent securely
+            to the remediation pipeline, which deletes it after opening the
+            file.
+          </Typography>
+          <TextField
+            fullWidth
+            autoFocus
+            type="password"
+            label="PDF password"
+            autoComplete="off"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            error={!!error}
+            helperText={error}
+            disabled={isChecking}
+            margin="normal"
+          />
+        </DialogContent>
+        <DialogActions sx={{ gap: 2, p: "1rem" }}>
+          <Button onClick={onDecline} variant="outlined" disabled={isChecking}>
+            Don't Use This File
+          </Button>
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={!password || isChecking}
+          >
+            {isChecking ? "Checking..." : "Unlock"}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+}
+
+export default PdfPasswordDialog;
@@ -0,0 +1,113 @@
+import "./UploadSection.css";
+
+const getPasswordFinding = (report, isUnlocked) => {
+  if (report.requiresPassword) {
+    return isUnlocked
+      ? {
+          value:
+            "Unlocked – the password is sent securely to the remediation pipeline. Pages can't be selected, so the whole file is remediated.",
+          status: "info",
+        }
+      : { value: "Password required to open this file", status: "error" };
+  }
+  if (report.isEncrypted) {
+    return {
+      value:
+        "Permissions restricted – the file opens without a password, but pages can't be selected",
+      status: "info",
+    };
+  }
+  return { value: "None", status: "ok" };
+};
+
+// Explain each preflight finding in terms of what the remediation pipeline will do
+const buildFindings = (
+  report,
+  { maxPagesAllowed, selectedPageCount, isUnlocked }
+) => {
+  const pagesToProcess = selectedPageCount ?? report.pageCount;
+  const pagesValue =
+    pagesToProcess === report.pageCount
+      ? `${report.pageCount}`
+      : `${pagesToProcess} of ${report.pageCount} selected`;
+
+  const findings = [
+    {
+      label: "Pages",
+      value: maxPagesAllowed
+        ? `${pagesValue} (limit ${maxPagesAllowed})`
+        : pagesValue,
+      status:
+        maxPagesAllowed && pagesToProcess > maxPagesAllowed ? "error" : "ok",
+    },
+    {
+      label: "Password protection",
+      ...getPasswordFinding(report, isUnlocked),
+    },
+    {
+      label: "Existing tags",
+      value: report.isTagged
+        ? "Already tagged – existing tags will be checked and repaired"
+        : "Untagged – a full tag structure will be added",
+      status: report.isTagged ? "ok" : "info",
+    },
+    {
+      label: "Document language",
+      value: report.language || "Not set – language will be detected",
+      status: report.language ? "ok" : "info",
+    },
+    {
+      label: "Document title",
+      value: report.title || "Not set – a title will be generated",
+      status: report.title ? "ok" : "info",
+    },
+  ];
+
+  if (report.imageOnlyPages.length > 0) {
+    findings.push({
+      label: "Scanned pages",
+      value: report.isLikelyScanned
+        ? "All pages look image-only – text will be recognized with OCR"
+        : `${report.imageOnlyPages.length} of ${report.pageCount} pages look image-only – text will be recognized with OCR`,
+      status: "warning",
+    });
+  }
+
+  return findings;
+};
+
+function PreflightSummary({
+  report,
+  maxPagesAllowed,
+  selectedPageCount,
+  isUnlocked,
+}) {
+  if (!report) return null;
+
+  const findings = buildFindings(report, {
+    maxPagesAllowed,
+    selectedPageCount,
+    isUnlocked,
+  });
+
+  return (
+    <section className="preflight-summary" aria-labelledby="preflight-title">
+      <h3 id="preflight-title" className="preflight-title">
+        Preflight check
+      </h3>
+      <dl className="preflight-findings">
+        {findings.map((finding) => (
+          <div
+            key={finding.label}
+            className={`preflight-finding ${finding.status}`}
+          >
+            <dt>{finding.label}</dt>
+            <dd>{finding.value}</dd>
+          </div>
+        ))}
+      </dl>
+    </section>
+  );
+}
+
+export default PreflightSummary;
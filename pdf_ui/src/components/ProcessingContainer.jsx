@@ -1,55 +1,81 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { S3Client, HeadObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAuth } from 'react-oidc-context';
+import CancelJobDialog from './CancelJobDialog';
 import ResultsContainer from './ResultsContainer';
 import './ProcessingContainer.css';
-import { PDFBucket, HTMLBucket, region } from '../utilities/constants';
+import { SupportEmail } from '../utilities/constants';
+import { useNotificationOptIn } from '../utilities/notifications';
+import { PIPELINE_STAGES } from '../utilities/pipelineStatus';
+import { describeRemainingTime, estimateProcessingSeconds, loadProcessingRuns } from '../utilities/processingEstimates';
+import { getJobUploads, useJobStatus } from '../utilities/useJobStatus';
+
+// What the error screen says for each way processing can stop
+const ERROR_DETAILS = {
+  timeout: {
+    title: 'Remediation is taking longer than expected',
+    text: 'We stopped checking because this is taking much longer than usual. Your file may still finish: retry to keep checking, or contact support if it never does.',
+  },
+  pipeline: {
+    title: 'Remediation failed',
+    text: 'The remediation pipeline could not process this file. You can retry, or start over with a different file.',
+  },
+  'access-denied': {
+    title: 'Access denied',
+    text: 'Your account is not allowed to read the remediated file. Signing out and back in may help; otherwise contact support.',
+  },
+  'missing-bucket': {
+    title: 'Storage not found',
+    text: 'The storage bucket for this format does not exist. The deployment may be incomplete; please contact support.',
+  },
+  network: {
+    title: 'Connection lost',
+    text: 'We could not reach AWS for several checks in a row. Check your internet connection and retry.',
+  },
+};
 
 const ProcessingContainer = ({
   originalFileName,
   updatedFilename,
   onFileReady,
+  onFailed,
   awsCredentials,
   selectedFormat,
+  pageCount,
+  fileSize,
+  startedAt,
+  retriedAt,
+  reused,
+  onRetried,
+  onCancel,
   onNewUpload
 }) => {
-  const [downloadUrl, setDownloadUrl] = useState('');
-  const [isFileReady, setIsFileReady] = useState(false);
-  const [currentStep, setCurrentStep] = useState(0);
+  const auth = useAuth();
+  const userSub = auth.user?.profile?.sub;
   const [elapsedTime, setElapsedTime] = useState(0);
-  const [pollingAttempts, setPollingAttempts] = useState(0);
-
-  const processingSteps = [
-    { title: "Analyzing Document Structure", description: "Scanning PDF for accessibility issues" },
-    { title: "Adding Accessibility Tags", description: "Implementing WCAG 2.1 compliance" },
-    { title: "Adding Metadata", description: "Final accessibility enhancements" },
-    { title: "Generating Accessible PDF", description: "Creating your accessible PDF document" }
-  ];
-
-  const generatePresignedUrl = useCallback(async (bucket, key, filename) => {
-    const s3 = new S3Client({
-      region,
-      credentials: {
-        accessKeyId: awsCredentials?.accessKeyId,
-        secretAccessKey: awsCredentials?.secretAccessKey,
-        sessionToken: awsCredentials?.sessionToken,
-      },
-    });
-
-    const command = new GetObjectCommand({
-      Bucket: bucket,
-      Key: key,
-      ResponseContentDisposition: `attachment; filename="${filename}"`,
-    });
+  const [isCancelDialogOpen, setIsCancelDialogOpen] = useState(false);
+
+  const job = { name: originalFileName, updatedName: updatedFilename, format: selectedFormat, pageCount, retriedAt, reused };
+  const {
+    pipelineStatus,
+    readyUrls,
+    isReady: isFileReady,
+    completedAt,
+    error: processingError,
+    hasConnectionIssue,
+    isRetrying,
+    retry,
+  } = useJobStatus(updatedFilename ? job : null, { awsCredentials });
+  const notifications = useNotificationOptIn();
+
+  const handleRetry = async () => {
+    const retriedAt = await retry();
+    if (retriedAt) onRetried?.(retriedAt);
+  };
 
-    try {
-      const url = await getSignedUrl(s3, command, { expiresIn: 30000 }); // 8.33 hours expiration
-      return url;
-    } catch (error) {
-      console.error('Error generating presigned URL:', error);
-      throw error;
-    }
-  }, [awsCredentials]);
+  const processingSteps = pipelineStatus?.stages || PIPELINE_STAGES.map(({ artifact, ...stage }) => ({ ...stage, status: 'pending' }));
+  const failedStep = pipelineStatus?.failedStage
+    ? processingSteps.find((step) => step.id === pipelineStatus.failedStage) || { title: pipelineStatus.failedStage }
+    : null;
 
   // Function to truncate the filename if it exceeds the threshold
   const truncateFilename = (filename) => {
@@ -63,6 +89,16 @@ const ProcessingContainer = ({
     return filename;
   };
 
+  // Function to format a stage timestamp
+  const formatStageTime = (isoTime) => new Date(isoTime).toLocaleTimeString();
+
+  const describeStepTiming = (step) => {
+    if (step.status === 'failed') return 'Failed';
+    if (step.status === 'completed') return step.completedAt ? `Completed ${formatStageTime(step.completedAt)}` : 'Completed';
+    if (step.status === 'running') return step.startedAt ? `Started ${formatStageTime(step.startedAt)}` : 'In progress';
+    return '';
+  };
+
   // Function to format elapsed time
   const formatElapsedTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
@@ -70,152 +106,48 @@ const ProcessingContainer = ({
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
-  useEffect(() => {
-    let intervalId;
-    let timeIntervalId;
-    let stepIntervalId;
-
-    const checkFileAvailability = async () => {
-      // Maximum polling time: 30 minutes (120 attempts * 15 seconds = 30 minutes)
-      const MAX_POLLING_ATTEMPTS = 120;
-
-      try {
-        // Increment polling attempts
-        setPollingAttempts(prev => {
-          const newAttempts = prev + 1;
-
-          // Stop polling after maximum attempts
-          if (newAttempts >= MAX_POLLING_ATTEMPTS) {
-            console.warn('⚠️ Maximum polling attempts reached. Stopping file check.');
-            clearInterval(intervalId);
-            clearInterval(timeIntervalId);
-            clearInterval(stepIntervalId);
-            return newAttempts;
-          }
-
-          return newAttempts;
-        });
-
-        // Select the correct bucket based on format (same logic as UploadSection)
-        const selectedBucket = selectedFormat === 'html' ? HTMLBucket : PDFBucket;
-
-        // Check if Bucket is available
-        if (!selectedBucket) {
-          console.error('❌ Bucket is not defined! Check environment variables.');
-          clearInterval(intervalId);
-          clearInterval(timeIntervalId);
-          clearInterval(stepIntervalId);
-          return;
-        }
-
-        // Check if AWS credentials are available
-        if (!awsCredentials?.accessKeyId) {
-          console.warn('⚠️ AWS credentials not available. Stopping polling.');
-          clearInterval(intervalId);
-          clearInterval(timeIntervalId);
-          clearInterval(stepIntervalId);
-          return;
-        }
-
-        const s3 = new S3Client({
-          region,
-          credentials: {
-            accessKeyId: awsCredentials.accessKeyId,
-            secretAccessKey: awsCredentials.secretAccessKey,
-            sessionToken: awsCredentials.sessionToken,
-          },
-        });
-
-        // Use different paths based on format - apply comprehensive sanitization for HTML only
-        let objectKey;
-        if (selectedFormat === 'html') {
-          // Sanitize filename for HTML format to match Bedrock Data Automation constraints
-          const sanitizeForS3 = (filename) => {
-            let sanitized = filename;
-            // Replace spaces with underscores
-            sanitized = sanitized.replace(/\s/g, '_');
-            // Replace characters that violate Bedrock Data Automation S3 URI constraints
-            // Pattern disallows: \x00-\x1F (control chars), \x7F (DEL), { ^ } % ` ] " > [ ~ < # |
-            // Also replace other problematic characters: & \ * ? / $ ! ' : @ + =
-            // eslint-disable-next-line no-control-regex
-            const problematicChars = /[\x00-\x1F\x7F{^}%`\]">[~<#|&\\*?/$!'":@+=]/g;
-            sanitized = sanitized.replace(problematicChars, '_');
-            // Replace multiple consecutive underscores with a single one
-            while (sanitized.includes('__')) {
-              sanitized = sanitized.replace(/__/g, '_');
-            }
-            // Remove leading/trailing underscores
-            sanitized = sanitized.replace(/^_+|_+$/g, '');
-            return sanitized;
-          };
-          objectKey = `remediated/final_${sanitizeForS3(updatedFilename.replace('.pdf', '.zip'))}`;
-        } else {
-          // PDF format uses original filename without extra sanitization
-          objectKey = `result/COMPLIANT_${updatedFilename}`;
-        }
-
-        console.log(`🔍 Polling attempt ${pollingAttempts + 1}/${MAX_POLLING_ATTEMPTS} for object key:`, objectKey);
-
-        // Check if the processed file exists
-        await s3.send(
-          new HeadObjectCommand({
-            Bucket: selectedBucket,
-            Key: objectKey,
-          })
-        );
-        const desiredFilename = selectedFormat === 'html'
-          ? `final_${originalFileName.replace('.pdf', '.zip')}`
-          : `COMPLIANT_${originalFileName}`;
-
-        const url = await generatePresignedUrl(selectedBucket, objectKey, desiredFilename);
-
-        setDownloadUrl(url);
-        setIsFileReady(true);
-        setCurrentStep(processingSteps.length - 1); // Set to final step
-        onFileReady(url);
-
-        // Clear all intervals on success
-        clearInterval(intervalId);
-        clearInterval(timeIntervalId);
-        clearInterval(stepIntervalId);
-
-        console.log('✅ File processing completed successfully!');
-      } catch (error) {
-        // Log error for debugging but continue polling (file not ready yet)
-        console.log(`⏳ File not ready yet (attempt ${pollingAttempts + 1}). Retrying in 15 seconds...`);
-
-        // If this is the last attempt, show an error
-        if (pollingAttempts + 1 >= MAX_POLLING_ATTEMPTS) {
-          console.error('❌ File processing timed out after maximum attempts');
-        }
-      }
-    };
-
-    if (updatedFilename && !isFileReady) {
-      // Reset polling attempts for new file
-      setPollingAttempts(0);
-
-      // Start time tracking
-      timeIntervalId = setInterval(() => {
-        setElapsedTime(prev => prev + 1);
-      }, 1000);
-
-      // Microanimation: cycling through steps with cumulative highlighting
-      stepIntervalId = setInterval(() => {
-        setCurrentStep(prev => (prev + 1) % processingSteps.length);
-      }, 1200);
-
-      // File checking with maximum retry limit
-      intervalId = setInterval(checkFileAvailability, 15000);
-    }
+  const isPolling = !!updatedFilename && !isFileReady && !processingError;
+  // Learned from the user's earlier runs in this browser; read once per job
+  const expectedSeconds = useMemo(
+    () => estimateProcessingSeconds({ format: selectedFormat, pageCount, fileSize }, loadProcessingRuns(userSub)),
+    [selectedFormat, pageCount, fileSize, userSub]
+  );
 
-    return () => {
-      clearInterval(intervalId);
-      clearInterval(timeIntervalId);
-      clearInterval(stepIntervalId);
-    };
-  }, [updatedFilename, isFileReady, onFileReady, awsCredentials, originalFileName, selectedFormat, generatePresignedUrl, processingSteps.length, pollingAttempts]);
+  // Elapsed time counts from the upload, so it stays right when a job is resumed after a reload
+  useEffect(() => {
+    if (!isPolling) return undefined;
+    const start = startedAt || Date.now();
+    const updateElapsedTime = () => setElapsedTime(Math.floor((Date.now() - start) / 1000));
+    updateElapsedTime();
+    const timeIntervalId = setInterval(updateElapsedTime, 1000);
+    return () => clearInterval(timeIntervalId);
+  }, [isPolling, startedAt]);
+
+  // Parent callbacks are reported to once, when the job finishes or fails
+  useEffect(() => {
+    if (!isFileReady) return;
+    // The primary download is the PDF when there is one, otherwise the HTML zip
+    onFileReady(readyUrls.pdf || readyUrls.html, selectedFormat === 'both' ? readyUrls.html : undefined, completedAt);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isFileReady]);
 
+  useEffect(() => {
+    if (processingError?.kind === 'pipeline') onFailed?.(processingError);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [processingError]);
+
+  const supportMailto = () => {
+    const details = [
+      `File: ${originalFileName}`,
+      `Upload: ${getJobUploads(job).map(({ key }) => key).join(', ')}`,
+      `Output: ${selectedFormat}`,
+      `Problem: ${processingError?.kind}`,
+      processingError?.message && `Details: ${processingError.message}`,
+      failedStep && `Failed stage: ${failedStep.title}`,
+      `Time elapsed: ${formatElapsedTime(elapsedTime)}`,
+    ].filter(Boolean).join('\n');
+    return `mailto:${SupportEmail}?subject=${encodeURIComponent(`PDF remediation problem: ${originalFileName}`)}&body=${encodeURIComponent(details)}`;
+  };
 
   return (
     <div className="processing-container">
@@ -224,14 +156,30 @@ const ProcessingContainer = ({
           <div className="header-content">
             <h2>{isFileReady ? `File Ready: ${truncateFilename(originalFileName)}` : `Processing: ${truncateFilename(originalFileName)}`}</h2>
             <div className="flow-indicator">
-              {selectedFormat === 'html' ? 'PDF → HTML' : 'PDF → PDF'}
+              {selectedFormat === 'both' ? 'PDF → PDF + HTML' : selectedFormat === 'html' ? 'PDF → HTML' : 'PDF → PDF'}
             </div>
           </div>
         </div>
 
+        {selectedFormat === 'both' && !isFileReady && (
+          <div className="output-status-list" aria-live="polite">
+            <span className={`output-status ${readyUrls.pdf ? 'ready' : ''}`}>
+              Accessible PDF: {readyUrls.pdf ? 'Ready' : 'Processing'}
+            </span>
+            <span className={`output-status ${readyUrls.html ? 'ready' : ''}`}>
+              HTML version: {readyUrls.html ? 'Ready' : 'Processing'}
+            </span>
+          </div>
+        )}
+
         <div className="processing-info">
           <div className="time-info">
             <span>⏱️ Time elapsed: {formatElapsedTime(elapsedTime)}</span>
+            {isPolling && (
+              <span className="time-remaining">
+                · {describeRemainingTime({ expectedSeconds, elapsedSeconds: elapsedTime, pipelineStatus })}
+              </span>
+            )}
           </div>
           <p className="processing-description">
             {isFileReady
@@ -239,36 +187,101 @@ const ProcessingContainer = ({
               : 'Remediation process typically takes a few minutes to complete depending on the document complexity'
             }
           </p>
+          {/* Remediation can take a while; let users leave the tab and hear back when it's done */}
+          {!isFileReady && !processingError && notifications.isSupported && (
+            <div className="notification-opt-in" aria-live="polite">
+              {notifications.isEnabled ? (
+                <>
+                  <span>🔔 We'll notify you when this finishes, even if you switch tabs.</span>
+                  <button type="button" className="notification-opt-in-btn" onClick={notifications.disable}>
+                    Turn off
+                  </button>
+                </>
+              ) : notifications.permission === 'denied' ? (
+                <span>Notifications are blocked for this site. Allow them in your browser settings to be notified when a file is ready.</span>
+              ) : (
+                <>
+                  <span>Don't want to wait here?</span>
+                  <button type="button" className="notification-opt-in-btn" onClick={notifications.enable}>
+                    Notify me when it's done
+                  </button>
+                </>
+              )}
+            </div>
+          )}
         </div>
 
         {!isFileReady ? (
           <div className="progress-section">
-            <div className="steps-list">
+            {processingError ? (
+              <div className="processing-error-panel" role="alert">
+                <h3 className="processing-error-title">{ERROR_DETAILS[processingError.kind].title}</h3>
+                <p className="processing-error">
+                  {processingError.kind === 'pipeline' && failedStep && `Failed during "${failedStep.title}". `}
+                  {processingError.message || ERROR_DETAILS[processingError.kind].text}
+                </p>
+                <div className="processing-error-actions">
+                  <button type="button" className="upload-new-btn" onClick={handleRetry} disabled={isRetrying}>
+                    {isRetrying ? 'Retrying...' : 'Retry'}
+                  </button>
+                  <a className="secondary-action-btn" href={supportMailto()}>
+                    Contact Support
+                  </a>
+                  <button type="button" className="secondary-action-btn" onClick={onNewUpload} disabled={isRetrying}>
+                    Start Over
+                  </button>
+                </div>
+              </div>
+            ) : hasConnectionIssue && (
+              <p className="connection-warning" aria-live="polite">
+                Having trouble reaching AWS. We'll keep trying...
+              </p>
+            )}
+            {!processingError && onCancel && (
+              <div className="processing-cancel">
+                <button type="button" className="secondary-action-btn cancel-job-btn" onClick={() => setIsCancelDialogOpen(true)}>
+                  Cancel Job
+                </button>
+              </div>
+            )}
+            <ol className="steps-list" aria-label="Remediation stages">
               {processingSteps.map((step, index) => (
-                <div key={index} className="step-item">
-                  <div className={`step-number ${index <= currentStep ? 'active' : ''}`}>
-                    {index + 1}
+                <li key={step.id} className={`step-item ${step.status}`}>
+                  <div className={`step-number ${step.status} ${step.status === 'running' || step.status === 'completed' ? 'active' : ''}`}>
+                    {step.status === 'completed' ? '✓' : step.status === 'failed' ? '✕' : index + 1}
                   </div>
                   <div className="step-content">
                     <div className="step-title">{step.title}</div>
-                    <div className="step-description">{step.description}</div>
+                    {step.description && <div className="step-description">{step.description}</div>}
+                    {describeStepTiming(step) && (
+                      <div className="step-timing">{describeStepTiming(step)}</div>
+                    )}
                   </div>
-                </div>
+                </li>
               ))}
-            </div>
+            </ol>
           </div>
         ) : (
           <ResultsContainer
             fileName={originalFileName}
-            processedResult={{ url: downloadUrl }}
+            processedResult={{ url: readyUrls.pdf || readyUrls.html, htmlUrl: selectedFormat === 'both' ? readyUrls.html : undefined }}
             format={selectedFormat}
             fileSize="File processed successfully"
-            processingTime="Processing completed"
+            processingTime={elapsedTime}
+            originalFileName={originalFileName}
+            updatedFilename={updatedFilename}
+            awsCredentials={awsCredentials}
+            onNewUpload={onNewUpload}
           />
         )}
 
       </div>
 
+      <CancelJobDialog
+        job={isCancelDialogOpen ? job : null}
+        onClose={() => setIsCancelDialogOpen(false)}
+        onConfirm={onCancel}
+      />
     </div>
   );
 };
@@ -1,27 +1,21 @@
-import {
-  GetObjectCommand,
-  ListObjectsV2Command,
-  S3Client,
-} from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import Button from "@mui/material/Button";
 import { motion } from "framer-motion";
-import { useCallback, useEffect, useState } from "react";
+import { useCallback, useState } from "react";
 import { useAuth } from "react-oidc-context";
 import AccessibilityChecker from "../components/AccessibilityChecker"; // ✅ import added
-import { HTMLBucket, PDFBucket, region } from "../utilities/constants";
+import { HTMLBucket, PDFBucket } from "../utilities/constants";
+import { getLatestRevisions, getPdfVersion } from "../utilities/revisions";
+import {
+  getUserResultsPrefix,
+  getUserRevisionsPrefix,
+  parseResultKey,
+  sanitizeEmail,
+  toReadableFileName,
+} from "../utilities/s3Keys";
+import { createStorage } from "../utilities/storage";
+import { usePolling } from "../utilities/usePolling";
 import "./RemediatedFilesContainer.css";
 
-// Convert S3 sanitized filename back to readable
-const normalizePdfFilename = (sanitized) => {
-  if (!sanitized) return sanitized;
-  let name = sanitized.replace(/^COMPLIANT_/, "");
-  name = name.replace(/^[A-Za-z0-9_]+_\d{8,}_/, ""); // remove user/timestamp prefix
-  name = name.replace(/_/g, " ");
-  name = name.replace(/%20/g, " ").trim();
-  return name;
-};
-
 // 📅 Format the S3 "LastModified" date nicely
 const formatDate = (dateString) => {
   if (!dateString) return "";
@@ -56,22 +50,12 @@ const RemediatedFilesContainer = ({ awsCredentials, refreshFlag }) => {
   const generatePresignedUrl = useCallback(
     async (bucket, key, filename) => {
       try {
-        const s3 = new S3Client({
-          region,
-          credentials: {
-            accessKeyId: awsCredentials?.accessKeyId,
-            secretAccessKey: awsCredentials?.secretAccessKey,
-            sessionToken: awsCredentials?.sessionToken,
-          },
-        });
-
-        const command = new GetObjectCommand({
-          Bucket: bucket,
-          Key: key,
-          ResponseContentDisposition: `attachment; filename="${filename}"`,
+        const url = await createStorage(awsCredentials).getDownloadUrl({
+          bucket,
+          key,
+          fileName: filename,
+          expiresIn: 3600, // 1 hour
         });
-
-        const url = await getSignedUrl(s3, command, { expiresIn: 3600 }); // 1 hour
         return url;
       } catch (error) {
         console.error("Error generating presigned URL:", error);
@@ -81,68 +65,80 @@ const RemediatedFilesContainer = ({ awsCredentials, refreshFlag }) => {
     [awsCredentials]
   );
 
-  useEffect(() => {
-    if (!awsCredentials || !auth.user) return;
+  // Reload the list of finished files; never "done", the list is refreshed for as long as it is shown
+  const loadFiles = useCallback(async () => {
+    if (!awsCredentials || !auth.user) return false;
 
-    const userEmail = auth.user?.profile?.email;
-    const sanitizedEmail = userEmail.replace(/[^a-zA-Z0-9]/g, "_");
+    const sanitizedEmail = sanitizeEmail(auth.user?.profile?.email);
 
-    const s3 = new S3Client({
-      region,
-      credentials: awsCredentials,
-    });
+    const storage = createStorage(awsCredentials);
 
     const pdfParams = {
-      Bucket: PDFBucket,
-      Prefix: `result/COMPLIANT_${sanitizedEmail}`,
+      bucket: PDFBucket,
+      prefix: getUserResultsPrefix(sanitizedEmail, "pdf"),
     };
     const htmlParams = {
-      Bucket: HTMLBucket,
-      Prefix: `output/${sanitizedEmail}`,
+      bucket: HTMLBucket,
+      prefix: getUserResultsPrefix(sanitizedEmail, "html"),
     };
 
     const fetchPDF = async () => {
-      const response = await s3.send(new ListObjectsV2Command(pdfParams));
-      if (!response.Contents) return [];
+      const [objects, revisionObjects] = await Promise.all([
+        storage.listObjects(pdfParams),
+        // Revisions saved from the alt text review replace the pipeline's PDF
+        storage
+          .listObjects({
+            bucket: PDFBucket,
+            prefix: getUserRevisionsPrefix(sanitizedEmail),
+          })
+          .catch((error) => {
+            console.warn("Unable to list reviewed revisions:", error);
+            return [];
+          }),
+      ]);
+      const latestRevisions = getLatestRevisions(revisionObjects);
       return Promise.all(
-        response.Contents.map(async (item) => {
-          const fileName = item.Key.split("/").pop();
-          const readableName = normalizePdfFilename(fileName);
+        objects.map(async (item) => {
+          const { fileName, uniqueFilename, name } = parseResultKey(item.key);
+          const readableName = toReadableFileName(fileName);
+          const revision = latestRevisions.get(uniqueFilename) || 0;
+          const download = revision
+            ? getPdfVersion(uniqueFilename, name || uniqueFilename, revision)
+            : { key: item.key, fileName: readableName };
           const url = await generatePresignedUrl(
             PDFBucket,
-            item.Key,
-            readableName
+            download.key,
+            download.fileName
           );
           return {
-            key: item.Key,
+            key: item.key,
             name: readableName,
-            date: formatDate(item.LastModified),
+            date: formatDate(item.lastModified),
             download_link: url,
-            originalFileName: fileName
-              .replace(/^COMPLIANT_/, "")
-              .replace(sanitizedEmail, ""),
-            updatedFilename: fileName.replace(/^COMPLIANT_/, ""),
+            revision,
+            originalFileName: name || uniqueFilename,
+            updatedFilename: uniqueFilename,
           };
         })
       );
     };
 
     const fetchHTML = async () => {
-      const response = await s3.send(new ListObjectsV2Command(htmlParams));
-      if (!response.Contents) return [];
+      const objects = await storage.listObjects(htmlParams);
       return Promise.all(
-        response.Contents.map(async (item) => {
-          const fileName = item.Key.split("/").pop();
-          const readableName = normalizePdfFilename(fileName);
+        objects.map(async (item) => {
+          const readableName = toReadableFileName(
+            parseResultKey(item.key).fileName
+          );
           const url = await generatePresignedUrl(
             HTMLBucket,
-            item.Key,
+            item.key,
             readableName
           );
           return {
-            key: item.Key,
+            key: item.key,
             name: readableName,
-            date: formatDate(item.LastModified),
+            date: formatDate(item.lastModified),
             download_link: url,
           };
         })
@@ -164,8 +160,20 @@ const RemediatedFilesContainer = ({ awsCredentials, refreshFlag }) => {
       }
     };
 
-    loadAll();
-  }, [awsCredentials, auth.user, generatePresignedUrl, refreshFlag]);
+    await loadAll();
+    return false;
+  }, [awsCredentials, auth.user, generatePresignedUrl]);
+
+  // Load right away (and again whenever a new job finishes), then refresh less
+  // often the longer nothing happens, so files finished in other tabs show up too
+  usePolling(loadFiles, {
+    enabled: !!(awsCredentials && auth.user),
+    immediate: true,
+    interval: 30000,
+    maxInterval: 5 * 60000,
+    backoff: 1.5,
+    resetKey: refreshFlag,
+  });
 
   return (
     <motion.div
@@ -239,6 +247,8 @@ const RemediatedFilesContainer = ({ awsCredentials, refreshFlag }) => {
                     }}
                   >
                     {file.date}
+                    {file.revision > 0 &&
+                      ` · Downloads reviewed revision ${file.revision}`}
                   </p>
                 </div>
 
@@ -1,5 +1,12 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import AccessibilityChecker from "./AccessibilityChecker";
+import AltTextReview from "./AltTextReview";
+import HtmlPreviewDialog from "./HtmlPreviewDialog";
+import PdfCompareViewer from "./PdfCompareViewer";
+import TagInspector from "./TagInspector";
+import { PDFBucket } from "../utilities/constants";
+import { findLatestRevision, getPdfVersion } from "../utilities/revisions";
+import { createStorage } from "../utilities/storage";
 import "./ResultsContainer.css";
 
 const ResultsContainer = ({
@@ -15,6 +22,13 @@ const ResultsContainer = ({
 }) => {
   const [isDownloading, setIsDownloading] = useState(false);
   const [showReportDialog, setShowReportDialog] = useState(false);
+  const [showCompareViewer, setShowCompareViewer] = useState(false);
+  const [showHtmlPreview, setShowHtmlPreview] = useState(false);
+  const [showTagInspector, setShowTagInspector] = useState(false);
+  const [showAltTextReview, setShowAltTextReview] = useState(false);
+  // Set by the alt text review after saving; until then the latest revision is listed
+  const [savedRevision, setSavedRevision] = useState(0);
+  const [revisionDownload, setRevisionDownload] = useState(null);
   //const [showConfirmDialog, setShowConfirmDialog] = useState(false);
 
   // Function to format processing time
@@ -30,7 +44,50 @@ const ResultsContainer = ({
     return `${secs}s`;
   };
 
-  const handleDownload = async () => {
+  // Both-format results carry the HTML zip separately in processedResult.htmlUrl
+  const hasPdfReport = format === "pdf" || format === "both";
+  const hasHtmlOutput = format === "html" || format === "both";
+  const htmlDownloadUrl =
+    format === "both" ? processedResult?.htmlUrl : processedResult?.url;
+  // A reviewed revision supersedes the pipeline's PDF
+  const mainDownloadUrl = revisionDownload?.url || processedResult?.url;
+
+  useEffect(() => {
+    if (!hasPdfReport || !updatedFilename) return undefined;
+    let cancelled = false;
+    const storage = createStorage(awsCredentials);
+    (async () => {
+      const revision =
+        savedRevision || (await findLatestRevision(storage, updatedFilename));
+      if (!revision) return;
+      const { key, fileName: downloadName } = getPdfVersion(
+        updatedFilename,
+        originalFileName || fileName,
+        revision
+      );
+      const url = await storage.getDownloadUrl({
+        bucket: PDFBucket,
+        key,
+        fileName: downloadName,
+        expiresIn: 30000,
+      });
+      if (!cancelled) setRevisionDownload({ revision, url });
+    })().catch((error) =>
+      console.warn("Unable to find reviewed revisions:", error)
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    hasPdfReport,
+    updatedFilename,
+    originalFileName,
+    fileName,
+    awsCredentials,
+    savedRevision,
+  ]);
+
+  const handleDownload = async (downloadUrl) => {
     if (!processedResult || !format || !fileName) {
       alert("Download information not available");
       return;
@@ -41,8 +98,6 @@ const ResultsContainer = ({
       console.log("Starting download for:", { fileName, format });
 
       // Use the download URL passed from ProcessingContainer
-      const downloadUrl = processedResult.url;
-
       if (!downloadUrl) {
         throw new Error("No download URL received");
       }
@@ -106,7 +161,11 @@ const ResultsContainer = ({
           <div className="results-header">
             <h2>PDF Remediation Successful</h2>
             <div className="flow-indicator">
-              {format === "html" ? "PDF → HTML" : "PDF → PDF"}
+              {format === "both"
+                ? "PDF → PDF + HTML"
+                : format === "html"
+                ? "PDF → HTML"
+                : "PDF → PDF"}
             </div>
           </div>
 
@@ -140,7 +199,7 @@ const ResultsContainer = ({
           </div>
 
           <div className="button-group">
-            {format === "pdf" && (
+            {hasPdfReport && (
               <button
                 className="view-report-btn"
                 onClick={() => setShowReportDialog(true)}
@@ -148,23 +207,73 @@ const ResultsContainer = ({
                 View Report
               </button>
             )}
+            {hasPdfReport && (
+              <button
+                className="view-report-btn"
+                onClick={() => setShowCompareViewer(true)}
+              >
+                Compare Side by Side
+              </button>
+            )}
+            {hasPdfReport && (
+              <button
+                className="view-report-btn"
+                onClick={() => setShowTagInspector(true)}
+              >
+                Inspect Tags
+              </button>
+            )}
+            {hasPdfReport && (
+              <button
+                className="view-report-btn"
+                onClick={() => setShowAltTextReview(true)}
+              >
+                Review Alt Text
+              </button>
+            )}
+            {hasHtmlOutput && (
+              <button
+                className="view-report-btn"
+                onClick={() => setShowHtmlPreview(true)}
+              >
+                Preview HTML
+              </button>
+            )}
             <button
               className="download-btn"
-              onClick={handleDownload}
+              onClick={() => handleDownload(mainDownloadUrl)}
               disabled={isDownloading || !processedResult}
               title={
-                isDownloading ? "Downloading..." : "Download the processed file"
+                isDownloading
+                  ? "Downloading..."
+                  : revisionDownload
+                  ? `Download revision ${revisionDownload.revision}, saved from the alt text review`
+                  : "Download the processed file"
               }
             >
               {isDownloading
                 ? "Downloading..."
+                : revisionDownload
+                ? `Download PDF (Revision ${revisionDownload.revision})`
                 : `Download ${format === "html" ? "ZIP" : "PDF"} File`}
             </button>
+            {format === "both" && (
+              <button
+                className="download-btn"
+                onClick={() => handleDownload(processedResult?.htmlUrl)}
+                disabled={isDownloading || !processedResult?.htmlUrl}
+                title={
+                  isDownloading ? "Downloading..." : "Download the HTML version"
+                }
+              >
+                {isDownloading ? "Downloading..." : "Download ZIP File"}
+              </button>
+            )}
           </div>
         </div>
 
-        {/* Accessibility Report Dialog - Only for PDF-PDF format */}
-        {format === "pdf" && (
+        {/* Accessibility Report Dialog - Only when a remediated PDF was produced */}
+        {hasPdfReport && (
           <AccessibilityChecker
             originalFileName={originalFileName || fileName}
             updatedFilename={updatedFilename}
@@ -174,6 +283,56 @@ const ResultsContainer = ({
           />
         )}
 
+        {/* Original and remediated PDF side by side */}
+        {hasPdfReport && (
+          <PdfCompareViewer
+            open={showCompareViewer}
+            onClose={() => setShowCompareViewer(false)}
+            fileName={originalFileName || fileName}
+            updatedFilename={updatedFilename}
+            awsCredentials={awsCredentials}
+          />
+        )}
+
+        {/* Structure tags of the remediated PDF */}
+        {hasPdfReport && (
+          <TagInspector
+            open={showTagInspector}
+            onClose={() => setShowTagInspector(false)}
+            fileName={originalFileName || fileName}
+            updatedFilename={updatedFilename}
+            awsCredentials={awsCredentials}
+          />
+        )}
+
+        {/* Generated alt text, saved back as a new revision */}
+        {hasPdfReport && (
+          <AltTextReview
+            open={showAltTextReview}
+            onClose={() => setShowAltTextReview(false)}
+            fileName={originalFileName || fileName}
+            updatedFilename={updatedFilename}
+            awsCredentials={awsCredentials}
+            onSaved={setSavedRevision}
+          />
+        )}
+
+        {/* Generated HTML pages, before downloading the zip */}
+        {hasHtmlOutput && (
+          <HtmlPreviewDialog
+            open={showHtmlPreview}
+            onClose={() => setShowHtmlPreview(false)}
+            fileName={originalFileName || fileName}
+            updatedFilename={updatedFilename}
+            awsCredentials={awsCredentials}
+            onDownload={
+              htmlDownloadUrl
+                ? () => handleDownload(htmlDownloadUrl)
+                : undefined
+            }
+          />
+        )}
+
         <div className="upload-new-section">
           <button className="upload-new-btn" onClick={() => onNewUpload()}>
             Upload a New PDF
@@ -0,0 +1,556 @@
+import ChevronLeftIcon from "@mui/icons-material/ChevronLeft";
+import ChevronRightIcon from "@mui/icons-material/ChevronRight";
+import CloseIcon from "@mui/icons-material/Close";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+import WarningAmberIcon from "@mui/icons-material/WarningAmber";
+import {
+  Box,
+  CircularProgress,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Typography,
+} from "@mui/material";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { PDFBucket } from "../utilities/constants";
+import {
+  isPasswordError,
+  loadPdfDocument,
+  renderPageToCanvas,
+} from "../utilities/pdfRendering";
+import {
+  getMarkedContentRects,
+  getMarkedContentText,
+  getRoleColor,
+} from "../utilities/pdfTags";
+import { S3_ERROR_KINDS, classifyS3Error } from "../utilities/s3Errors";
+import { getResultKey } from "../utilities/s3Keys";
+import { createStorage } from "../utilities/storage";
+import {
+  STRUCTURE_ISSUE_KINDS,
+  findStructureIssues,
+  flattenStructureTree,
+  getElementContent,
+  loadStructureTree,
+} from "../utilities/structTree";
+import "./TagInspector.css";
+
+// Horizontal padding of the page area around the page
+const PAGE_PADDING = 48;
+const MAX_PAGE_WIDTH = 900;
+const MAX_TEXT_LENGTH = 300;
+
+const EMPTY_STATE = { tree: null, pdf: null, error: "" };
+
+const describeLoadError = (error) => {
+  if (isPasswordError(error)) {
+    return "The remediated file is password-protected and can't be inspected.";
+  }
+  if (classifyS3Error(error) === S3_ERROR_KINDS.NOT_FOUND) {
+    return "The remediated file is no longer available.";
+  }
+  return "The remediated file could not be loaded.";
+};
+
+// "0.3.1" -> ["0", "0.3"]
+const getAncestorIds = (id) =>
+  id
+    .split(".")
+    .slice(0, -1)
+    .map((_, i, parts) => parts.slice(0, i + 1).join("."));
+
+// Top-level elements and their children start expanded
+const getInitialExpanded = (tree) =>
+  new Set(
+    flattenStructureTree(tree)
+      .filter((element) => element.id.split(".").length <= 2)
+      .map((element) => element.id)
+  );
+
+const getElementLabel = (element) =>
+  element.title || element.alt || element.actualText || "";
+
+function TagTree({
+  elements,
+  expanded,
+  onToggle,
+  selectedId,
+  onSelect,
+  issuesById,
+}) {
+  return (
+    <ul className="tag-tree">
+      {elements.map((element) => {
+        const hasChildren = element.children.length > 0;
+        const isExpanded = expanded.has(element.id);
+        const issues = issuesById.get(element.id) || [];
+        const label = getElementLabel(element);
+        return (
+          <li key={element.id}>
+            <div
+              className={`tag-tree-row ${
+                element.id === selectedId ? "selected" : ""
+              }`}
+            >
+              {hasChildren ? (
+                <IconButton
+                  size="small"
+                  onClick={() => onToggle(element.id)}
+                  aria-expanded={isExpanded}
+                  aria-label={`${isExpanded ? "Collapse" : "Expand"} ${
+                    element.type
+                  }`}
+                >
+                  {isExpanded ? (
+                    <ExpandMoreIcon fontSize="small" />
+                  ) : (
+                    <ChevronRightIcon fontSize="small" />
+                  )}
+                </IconButton>
+              ) : (
+                <span className="tag-tree-spacer" />
+              )}
+              <button
+                type="button"
+                className="tag-tree-label"
+                onClick={() => onSelect(element.id)}
+                aria-current={element.id === selectedId ? "true" : undefined}
+              >
+                <span
+                  className="tag-tree-role"
+                  style={{ backgroundColor: getRoleColor(element.role) }}
+                >
+                  {element.type || "?"}
+                </span>
+                {label && <span className="tag-tree-text">{label}</span>}
+                {issues.length > 0 && (
+                  <WarningAmberIcon
+                    className="tag-tree-warning"
+                    fontSize="small"
+                    titleAccess={issues
+                      .map((issue) => issue.message)
+                      .join(". ")}
+                  />
+                )}
+              </button>
+            </div>
+            {hasChildren && isExpanded && (
+              <TagTree
+                elements={element.children}
+                expanded={expanded}
+                onToggle={onToggle}
+                selectedId={selectedId}
+                onSelect={onSelect}
+                issuesById={issuesById}
+              />
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// One page with the selected element's content highlighted
+function InspectorPage({ pdf, pageNumber, width, highlight }) {
+  const canvasRef = useRef(null);
+  const [scale, setScale] = useState(1);
+  const [rects, setRects] = useState([]);
+
+  useEffect(() => {
+    if (!width) return;
+    let cancelled = false;
+    renderPageToCanvas(pdf, pageNumber, canvasRef.current, width)
+      .then((viewport) => !cancelled && setScale(viewport.scale))
+      .catch((error) =>
+        console.warn(`Unable to render page ${pageNumber}:`, error)
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber, width]);
+
+  useEffect(() => {
+    setRects([]);
+    if (!highlight || highlight.mcids.length === 0) return;
+    let cancelled = false;
+    pdf
+      .getPage(pageNumber)
+      .then((page) => getMarkedContentRects(page, highlight.mcids))
+      .then((found) => !cancelled && setRects(found))
+      .catch((error) =>
+        console.warn(
+          `Unable to locate tagged content on page ${pageNumber}:`,
+          error
+        )
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, pageNumber, highlight]);
+
+  const firstRectRef = useRef(null);
+  useEffect(() => {
+    firstRectRef.current?.scrollIntoView({ block: "nearest" });
+  }, [rects]);
+
+  return (
+    <div className="inspector-page" style={{ width }}>
+      <canvas ref={canvasRef} aria-label={`Page ${pageNumber}`} role="img" />
+      {rects.map((rect, i) => (
+        <div
+          key={i}
+          ref={i === 0 ? firstRectRef : undefined}
+          className="tag-highlight"
+          style={{
+            left: rect.x * scale,
+            top: rect.y * scale,
+            width: rect.width * scale,
+            height: rect.height * scale,
+            borderColor: highlight.color,
+            backgroundColor: `${highlight.color}26`,
+          }}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * The remediated PDF's structure tree next to its pages: select a tag to highlight
+ * its content, with heading-level skips and empty tags flagged
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the inspector is shown
+ * @param {Function} props.onClose - Called when the inspector is closed
+ * @param {string} props.fileName - Original file name shown to the user
+ * @param {string} props.updatedFilename - Unique file name of the upload
+ * @param {Object} props.awsCredentials - The user's temporary AWS credentials
+ */
+const TagInspector = ({
+  open,
+  onClose,
+  fileName,
+  updatedFilename,
+  awsCredentials,
+}) => {
+  const [{ tree, pdf, error }, setDocument] = useState(EMPTY_STATE);
+  const [expanded, setExpanded] = useState(new Set());
+  const [selectedId, setSelectedId] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [selectedText, setSelectedText] = useState("");
+  const [pageWidth, setPageWidth] = useState(0);
+  const pageAreaRef = useRef(null);
+
+  useEffect(() => {
+    if (!open || !updatedFilename || !awsCredentials?.accessKeyId) return;
+    let cancelled = false;
+    let loadedPdf = null;
+
+    const load = async () => {
+      try {
+        const { body } = await createStorage(awsCredentials).getObject({
+          bucket: PDFBucket,
+          key: getResultKey(updatedFilename, "pdf"),
+        });
+        const structure = await loadStructureTree(body);
+        // pdf.js takes over the buffer it's given, so it gets a copy
+        loadedPdf = await loadPdfDocument(body.slice());
+        if (cancelled) return;
+        setDocument({ tree: structure, pdf: loadedPdf, error: "" });
+        setExpanded(getInitialExpanded(structure || []));
+      } catch (loadError) {
+        console.warn("Unable to load the remediated file:", loadError);
+        if (!cancelled) {
+          setDocument({ ...EMPTY_STATE, error: describeLoadError(loadError) });
+        }
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      loadedPdf?.destroy();
+      setDocument(EMPTY_STATE);
+      setSelectedId(null);
+      setPageNumber(1);
+    };
+  }, [open, updatedFilename, awsCredentials]);
+
+  // The page is as wide as the area allows, up to a readable size
+  useEffect(() => {
+    if (!pdf) return;
+    const area = pageAreaRef.current;
+    if (!area) return;
+    const measure = () =>
+      setPageWidth(
+        Math.min(Math.max(area.clientWidth - PAGE_PADDING, 200), MAX_PAGE_WIDTH)
+      );
+    measure();
+    if (typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(area);
+    return () => observer.disconnect();
+  }, [pdf]);
+
+  const elementsById = useMemo(
+    () =>
+      new Map(
+        flattenStructureTree(tree || []).map((element) => [element.id, element])
+      ),
+    [tree]
+  );
+  const issues = useMemo(() => findStructureIssues(tree || []), [tree]);
+  const issuesById = useMemo(() => {
+    const byId = new Map();
+    issues.forEach((issue) => {
+      byId.set(issue.elementId, [...(byId.get(issue.elementId) || []), issue]);
+    });
+    return byId;
+  }, [issues]);
+
+  const selected = selectedId ? elementsById.get(selectedId) : null;
+  const selectedContent = useMemo(
+    () => (selected ? getElementContent(selected) : []),
+    [selected]
+  );
+  const selectedPages = useMemo(
+    () =>
+      Array.from(
+        new Set(selectedContent.map((item) => item.pageIndex + 1))
+      ).sort((a, b) => a - b),
+    [selectedContent]
+  );
+
+  const highlight = useMemo(
+    () =>
+      selected && {
+        color: getRoleColor(selected.role),
+        mcids: selectedContent
+          .filter((item) => item.pageIndex + 1 === pageNumber)
+          .map((item) => item.mcid),
+      },
+    [selected, selectedContent, pageNumber]
+  );
+
+  // Text of the selected tag, read from the pages it's on
+  useEffect(() => {
+    setSelectedText("");
+    if (!pdf || selectedContent.length === 0) return;
+    let cancelled = false;
+    Promise.all(
+      selectedPages.map((number) =>
+        pdf.getPage(number).then(getMarkedContentText)
+      )
+    )
+      .then((pageTexts) => {
+        if (cancelled) return;
+        const text = selectedContent
+          .map(
+            (item) =>
+              pageTexts[selectedPages.indexOf(item.pageIndex + 1)].get(
+                item.mcid
+              ) || ""
+          )
+          .join("")
+          .replace(/\s+/g, " ")
+          .trim();
+        setSelectedText(
+          text.length > MAX_TEXT_LENGTH
+            ? `${text.slice(0, MAX_TEXT_LENGTH)}…`
+            : text
+        );
+      })
+      .catch((textError) =>
+        console.warn("Unable to read the text of the tag:", textError)
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf, selectedContent, selectedPages]);
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    setExpanded((current) => new Set([...current, ...getAncestorIds(id)]));
+    const pages = Array.from(
+      new Set(
+        getElementContent(elementsById.get(id)).map(
+          (item) => item.pageIndex + 1
+        )
+      )
+    );
+    if (pages.length > 0 && !pages.includes(pageNumber)) {
+      setPageNumber(Math.min(...pages));
+    }
+  };
+
+  const handleToggle = (id) =>
+    setExpanded((current) => {
+      const next = new Set(current);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const headingSkips = issues.filter(
+    (issue) => issue.kind === STRUCTURE_ISSUE_KINDS.HEADING_SKIP
+  ).length;
+  const emptyTags = issues.length - headingSkips;
+
+  let sidebar;
+  if (!tree || tree.length === 0) {
+    sidebar = (
+      <p className="tag-inspector-message">
+        This PDF has no tags, so screen readers can't tell its headings,
+        paragraphs, lists and tables apart.
+      </p>
+    );
+  } else {
+    sidebar = (
+      <>
+        <section className="tag-issues" aria-label="Structure issues">
+          <h3 className="tag-inspector-heading">
+            {issues.length === 0
+              ? "No heading skips or empty tags"
+              : `${headingSkips} heading ${
+                  headingSkips === 1 ? "skip" : "skips"
+                }, ${emptyTags} empty ${emptyTags === 1 ? "tag" : "tags"}`}
+          </h3>
+          {issues.length > 0 && (
+            <ul className="tag-issue-list">
+              {issues.map((issue, i) => (
+                <li key={i}>
+                  <button
+                    type="button"
+                    className="tag-issue"
+                    onClick={() => handleSelect(issue.elementId)}
+                  >
+                    <WarningAmberIcon fontSize="small" aria-hidden="true" />
+                    {issue.message}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+        <nav aria-label="Tag tree">
+          <h3 className="tag-inspector-heading">Tags</h3>
+          <TagTree
+            elements={tree}
+            expanded={expanded}
+            onToggle={handleToggle}
+            selectedId={selectedId}
+            onSelect={handleSelect}
+            issuesById={issuesById}
+          />
+        </nav>
+      </>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} fullScreen>
+      <DialogTitle
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <Typography variant="h6" component="span" sx={{ flex: 1 }}>
+          Tags: {fileName}
+        </Typography>
+        <IconButton onClick={onClose} aria-label="Close inspector">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent className="tag-inspector" sx={{ p: 0 }}>
+        {error ? (
+          <p className="tag-inspector-message">{error}</p>
+        ) : !pdf ? (
+          <Box
+            sx={{ display: "flex", justifyContent: "center", p: 4, flex: 1 }}
+          >
+            <CircularProgress aria-label="Loading the remediated file" />
+          </Box>
+        ) : (
+          <>
+            <div className="tag-inspector-sidebar">{sidebar}</div>
+            <section className="tag-inspector-main" aria-label="Page preview">
+              {selected && (
+                <dl className="tag-details">
+                  <dt>Tag</dt>
+                  <dd>
+                    {selected.type}
+                    {selected.role !== selected.type &&
+                      ` (mapped to ${selected.role})`}
+                  </dd>
+                  {selected.alt && (
+                    <>
+                      <dt>Alt text</dt>
+                      <dd>{selected.alt}</dd>
+                    </>
+                  )}
+                  {selected.actualText && (
+                    <>
+                      <dt>Actual text</dt>
+                      <dd>{selected.actualText}</dd>
+                    </>
+                  )}
+                  {selected.lang && (
+                    <>
+                      <dt>Language</dt>
+                      <dd>{selected.lang}</dd>
+                    </>
+                  )}
+                  <dt>{selectedPages.length === 1 ? "Page" : "Pages"}</dt>
+                  <dd>
+                    {selectedPages.length > 0
+                      ? selectedPages.join(", ")
+                      : "No content on any page"}
+                  </dd>
+                  {selectedText && (
+                    <>
+                      <dt>Text</dt>
+                      <dd>{selectedText}</dd>
+                    </>
+                  )}
+                </dl>
+              )}
+              <div className="tag-page-nav">
+                <IconButton
+                  onClick={() => setPageNumber((n) => n - 1)}
+                  disabled={pageNumber <= 1}
+                  aria-label="Previous page"
+                >
+                  <ChevronLeftIcon />
+                </IconButton>
+                <span>
+                  Page {pageNumber} of {pdf.numPages}
+                </span>
+                <IconButton
+                  onClick={() => setPageNumber((n) => n + 1)}
+                  disabled={pageNumber >= pdf.numPages}
+                  aria-label="Next page"
+                >
+                  <ChevronRightIcon />
+                </IconButton>
+              </div>
+              <div className="tag-inspector-page-area" ref={pageAreaRef}>
+                <InspectorPage
+                  pdf={pdf}
+                  pageNumber={pageNumber}
+                  width={pageWidth}
+                  highlight={highlight}
+                />
+              </div>
+            </section>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TagInspector;
@@ -1,53 +1,136 @@
-import { PutObjectCommand, S3Client } from "@aws-sdk/client-s3";
 import { Alert, Snackbar } from "@mui/material";
 import { motion } from "framer-motion";
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useAuth } from "react-oidc-context"; // to get user sub if needed
 import imgCodeXml from "../assets/pdf-html.svg";
 import imgFileText from "../assets/pdf-icon.svg";
 import imgFileQuestion from "../assets/pdf-question.svg";
+import {
+  discardInterruptedUpload,
+  findResumableUpload,
+  listInterruptedUploads,
+  uploadFileMultipart,
+} from "../utilities/multipartUpload";
+import {
+  getDocumentMetadataDefaults,
+  toS3Metadata,
+  validateDocumentMetadata,
+} from "../utilities/documentMetadata";
+import {
+  computeFileSha256,
+  findExistingResult,
+  recordUploadHash,
+} from "../utilities/duplicateDetection";
+import {
+  allPages,
+  buildTrimmedPdf,
+  formatPageRanges,
+} from "../utilities/pageRanges";
+import {
+  readProtectedPdfInfo,
+  storePdfPassword,
+} from "../utilities/pdfPassword";
+import {
+  analyzePdf,
+  getFileSizeIssue,
+  getPreflightIssues,
+} from "../utilities/pdfPreflight";
+import { createStorage } from "../utilities/storage";
+import {
+  buildUniqueFilename,
+  formatUploadTimestamp,
+  getUploadKey,
+  parseUploadKey,
+  sanitizeEmail,
+  sanitizeFilename,
+} from "../utilities/s3Keys";
+import {
+  isQuotaExceeded,
+  releaseQuota,
+  reserveQuota,
+} from "../utilities/quotaApi";
+import BatchUploadList from "./BatchUploadList";
+import DocumentMetadataForm from "./DocumentMetadataForm";
+import DuplicateUploadDialog from "./DuplicateUploadDialog";
+import PageRangeSelector from "./PageRangeSelector";
+import PdfPasswordDialog from "./PdfPasswordDialog";
+import PreflightSummary from "./PreflightSummary";
 import "./UploadSection.css";
 
 import {
+  BothFormatsUsageMode,
   HTMLBucket,
   PDFBucket,
-  region,
   validateBucketConfiguration,
   validateFormatBucket,
 } from "../utilities/constants";
 
-function sanitizeFilename(filename, format = "pdf") {
-  // Normalize the filename to decompose accented characters
-  const normalized = filename.normalize("NFD");
-  // Remove combining diacritical marks
-  const withoutDiacritics = normalized.replace(/[\u0300-\u036f]/g, "");
-  // Remove any characters outside of the ISO-8859-1 range.
-  // eslint-disable-next-line
-  let sanitized = withoutDiacritics.replace(/[^\u0000-\u00FF]/g, "");
-
-  // For PDF2HTML, apply comprehensive sanitization to match Bedrock Data Automation constraints
-  if (format === "html") {
-    // Replace spaces with underscores
-    sanitized = sanitized.replace(/\s/g, "_");
-
-    // Replace characters that violate Bedrock Data Automation S3 URI constraints
-    // Pattern disallows: \x00-\x1F (control chars), \x7F (DEL), { ^ } % ` ] " > [ ~ < # |
-    // Also replace other problematic characters: & \ * ? / $ ! ' : @ + =
-    // eslint-disable-next-line no-control-regex
-    const problematicChars = /[\x00-\x1F\x7F{^}%`\]">[~<#|&\\*?/$!'":@+=]/g;
-    sanitized = sanitized.replace(problematicChars, "_");
-
-    // Replace multiple consecutive underscores with a single one
-    while (sanitized.includes("__")) {
-      sanitized = sanitized.replace(/__/g, "_");
-    }
-
-    // Remove leading/trailing underscores
-    sanitized = sanitized.replace(/^_+|_+$/g, "");
+const FORMAT_TITLES = {
+  pdf: "PDF to PDF",
+  html: "PDF to HTML",
+  both: "PDF to PDF + HTML",
+};
+
+// A "both" upload whose copy to the HTML bucket failed goes on as a PDF-only job
+const HTML_COPY_FAILED_MESSAGE =
+  "Your file is being remediated as a PDF, but it couldn't be sent for HTML conversion. Upload it again as PDF to HTML to get the HTML version.";
+
+// Quota reservations needed for one upload; "both" is one job or two depending on configuration
+function getQuotaConversionTypes(format) {
+  if (format !== "both") return [format];
+  return BothFormatsUsageMode === "combined" ? ["both"] : ["pdf", "html"];
+}
+
+// Browsers leave the type empty for some files (e.g. from dropped folders), so the extension counts too
+function isPdfFile(file) {
+  return file.type === "application/pdf" || /\.pdf$/i.test(file.name || "");
+}
+
+// Read every file out of a dropped folder entry (recursively)
+function readDirectoryEntry(entry) {
+  return new Promise((resolve) => {
+    if (entry.isFile) {
+      entry.file(
+        (file) => resolve([file]),
+        () => resolve([])
+      );
+      return;
+    }
+
+    const reader = entry.createReader();
+    const entries = [];
+    // readEntries returns results in chunks, so keep reading until it comes back empty
+    const readChunk = () => {
+      reader.readEntries(
+        async (chunk) => {
+          if (chunk.length === 0) {
+            const nested = await Promise.all(entries.map(readDirectoryEntry));
+            resolve(nested.flat());
+            return;
+          }
+          entries.push(...chunk);
+          readChunk();
+        },
+        () => resolve([])
+      );
+    };
+    readChunk();
+  });
+}
+
+// Collect files from a drop, expanding any dropped folders
+async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
   }
 
-  // If the sanitized filename is empty, return a default value.
-  return sanitized.trim() ? sanitized : "default.pdf";
+  const files = await Promise.all(entries.map(readDirectoryEntry));
+  return files.flat();
 }
 
 function UploadSection({
@@ -61,9 +144,14 @@ function UploadSection({
   setUsageCount,
   isFileUploaded,
   onShowDeploymentPopup,
+  onBatchUploadComplete,
 }) {
   const auth = useAuth();
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const dragDepthRef = useRef(0);
+  const handleFilesRef = useRef(null);
+  const uploadAbortRef = useRef(null);
 
   const [selectedFile, setSelectedFile] = useState(null);
   const [selectedFormat, setSelectedFormat] = useState(null);
@@ -71,11 +159,44 @@ function UploadSection({
   const [isUploading, setIsUploading] = useState(false);
   const [errorMessage, setErrorMessage] = useState("");
   const [openSnackbar, setOpenSnackbar] = useState(false);
+  const [batchItems, setBatchItems] = useState([]);
+  // e.g. "3 non-PDF files skipped." after a folder with other file types was added
+  const [skippedFilesNotice, setSkippedFilesNotice] = useState("");
+  const [isBatchUploading, setIsBatchUploading] = useState(false);
+  const [isDragActive, setIsDragActive] = useState(false);
+  const [dropZoneStatus, setDropZoneStatus] = useState("");
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [preflightReport, setPreflightReport] = useState(null);
+  const [quotaExceeded, setQuotaExceeded] = useState(false);
+  const [fileHash, setFileHash] = useState(null);
+  const [duplicateMatch, setDuplicateMatch] = useState(null);
+  const [isPreparingUpload, setIsPreparingUpload] = useState(false);
+  const [selectedPages, setSelectedPages] = useState([]);
+  const [showPageSelector, setShowPageSelector] = useState(false);
+  const [documentPassword, setDocumentPassword] = useState(null);
+  const [isPasswordPromptOpen, setIsPasswordPromptOpen] = useState(false);
+  const [documentMetadata, setDocumentMetadata] = useState(() =>
+    getDocumentMetadataDefaults(null)
+  );
+  const [metadataErrors, setMetadataErrors] = useState({});
+  // Interrupted uploads are kept per user, so a shared browser doesn't offer another account's
+  const userSub = auth.user?.profile?.sub;
+  const [interruptedUploads, setInterruptedUploads] = useState(() =>
+    listInterruptedUploads(userSub)
+  );
   const [formatAvailability, setFormatAvailability] = useState({
     pdf: false,
     html: false,
+    both: false,
   });
 
+  const isAtUploadLimit = quotaExceeded || currentUsage >= maxFilesAllowed;
+
+  useEffect(() => {
+    setInterruptedUploads(listInterruptedUploads(userSub));
+  }, [userSub]);
+
   // Check format availability on component mount
   React.useEffect(() => {
     const pdfValidation = validateFormatBucket("pdf");
@@ -84,6 +205,7 @@ function UploadSection({
     setFormatAvailability({
       pdf: pdfValidation.isConfigured,
       html: htmlValidation.isConfigured,
+      both: validateFormatBucket("both").isConfigured,
     });
   }, []);
 
@@ -91,6 +213,12 @@ function UploadSection({
     setSelectedFile(null);
     setSelectedFormat(null);
     setFileSizeMB(0);
+    setPreflightReport(null);
+    setFileHash(null);
+    setMetadataErrors({});
+    setSelectedPages([]);
+    setShowPageSelector(false);
+    setDocumentPassword(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = null;
     }
@@ -133,84 +261,546 @@ function UploadSection({
     setErrorMessage("");
   };
 
-  const handleFileInput = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Returns an error message for files that can't be remediated, or "" if the file is acceptable
+  const validateFile = (file) => {
+    if (!isPdfFile(file)) {
+      return "Only PDF files are allowed.";
+    }
+    return "";
+  };
+
+  // Single entry point for files from the picker, drag-and-drop and paste
+  const handleFiles = async (files) => {
+    if (files.length === 0) return;
+
+    // Multi-select, folder selection and additions to an existing batch go through the batch queue
+    if (files.length > 1 || batchItems.length > 0) {
+      handleBatchSelect(files);
+      return;
+    }
+
+    const file = files[0];
 
     // Reset any existing error messages
     setErrorMessage("");
 
     // **1. Basic PDF Checks**
-    if (file.type !== "application/pdf") {
-      setErrorMessage("Only PDF files are allowed.");
+    const validationError = validateFile(file);
+    if (validationError) {
+      setErrorMessage(validationError);
       setOpenSnackbar(true);
       resetFileInput();
       return;
     }
 
-    // if (file.size > maxSizeAllowedMB * 1024 * 1024) {
-    //   setErrorMessage(`File size exceeds the ${maxSizeAllowedMB} MB limit.`);
-    //   setOpenSnackbar(true);
-    //   resetFileInput();
-    //   return;
-    // }
+    // **2. Size limit, checked before the file is read into memory**
+    const sizeIssue = getFileSizeIssue(file, maxSizeAllowedMB);
+    if (sizeIssue) {
+      setErrorMessage(sizeIssue);
+      setOpenSnackbar(true);
+      resetFileInput();
+      return;
+    }
 
-    // **2. Page Count Check with pdf-lib**
+    // **3. Preflight analysis with pdf-lib (page count, tagging, scans)**
+    // Long documents aren't rejected here: the user can pick which pages to remediate,
+    // except in encrypted files, which are always sent whole
+    setIsAnalyzing(true);
     try {
-      //const arrayBuffer = await file.arrayBuffer();
-      //const pdfDoc = await PDFDocument.load(arrayBuffer);
-      //const numPages = pdfDoc.getPageCount();
-
-      // if (numPages > maxPagesAllowed) {
-      //   setErrorMessage(`PDF file cannot exceed ${maxPagesAllowed} pages.`);
-      //   setOpenSnackbar(true);
-      //   resetFileInput();
-      //   return;
-      // }
+      const report = await analyzePdf(file);
+      const issues = getPreflightIssues(report, {
+        maxSizeAllowedMB,
+        ...(report.isEncrypted ? { maxPagesAllowed } : {}),
+      });
+      if (issues.length > 0) {
+        setErrorMessage(issues.join(" "));
+        setOpenSnackbar(true);
+        resetFileInput();
+        return;
+      }
 
+      const overPageLimit =
+        maxPagesAllowed && report.pageCount > maxPagesAllowed;
       setSelectedFile(file);
-      console.log("File object details:", {
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified,
-      });
-      const sizeInBytes = file.size || 0;
-      const sizeInMB = sizeInBytes / (1024 * 1024);
+      setPreflightReport(report);
+      setSelectedPages(
+        allPages(overPageLimit ? maxPagesAllowed : report.pageCount)
+      );
+      setShowPageSelector(!!overPageLimit);
+      setDocumentPassword(null);
+      // Encrypted files with a user password can't be remediated until it's provided
+      setIsPasswordPromptOpen(report.requiresPassword);
+      setDocumentMetadata(getDocumentMetadataDefaults(report));
+      setMetadataErrors({});
+      setFileHash(await hashFile(file));
+      const sizeInMB = (file.size || 0) / (1024 * 1024);
       const displaySize =
         sizeInMB >= 0.1
           ? parseFloat(sizeInMB.toFixed(1))
           : parseFloat(sizeInMB.toFixed(2));
       setFileSizeMB(displaySize);
-      console.log(
-        "File size set to:",
-        sizeInMB,
-        "MB for file:",
-        file.name,
-        "(raw size:",
-        file.size,
-        "bytes)"
-      );
-      // Pass the file directly to handleUpload
-      handleUpload(file);
+      // Upload starts once the user has reviewed the preflight summary
     } catch (error) {
+      console.error("Preflight analysis failed:", error);
       setErrorMessage("Unable to read the PDF file.");
       setOpenSnackbar(true);
       resetFileInput();
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  // Content hash used to spot re-uploads of an already remediated file; null if hashing isn't available
+  const hashFile = async (file) => {
+    try {
+      return await computeFileSha256(file);
+    } catch (error) {
+      console.warn("Unable to hash file, skipping duplicate detection:", error);
+      return null;
+    }
+  };
+
+  const handleFileInput = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Clear the input so choosing the same file again still fires onChange
+    e.target.value = null;
+    handleFiles(files);
+  };
+
+  const handleFileSelect = () => fileInputRef.current?.click();
+
+  const handleFolderSelect = () => folderInputRef.current?.click();
+
+  const announceFiles = (files) => {
+    setDropZoneStatus(
+      files.length === 1
+        ? `Received ${files[0].name}.`
+        : `Received ${files.length} files.`
+    );
+  };
+
+  const handleDragEnter = (e) => {
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    if (!isDragActive) {
+      setIsDragActive(true);
+      setDropZoneStatus("Release to upload your files.");
     }
   };
 
-  const handleFileSelect = () => {
-    const input = document.createElement("input");
-    input.type = "file";
-    input.accept = ".pdf";
-    input.onchange = (e) => {
-      handleFileInput(e);
+  const handleDragOver = (e) => {
+    // Required for the browser to allow a drop here
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isUploading ? "none" : "copy";
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) {
+      setIsDragActive(false);
+      setDropZoneStatus("");
+    }
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDragActive(false);
+    if (isUploading || isBatchUploading || isAtUploadLimit) return;
+
+    const files = await collectDroppedFiles(e.dataTransfer);
+    if (files.length === 0) {
+      setDropZoneStatus("No files were found in the drop.");
+      return;
+    }
+    announceFiles(files);
+    handleFiles(files);
+  };
+
+  const handleDropZoneKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      handleFileSelect();
+    }
+  };
+
+  handleFilesRef.current = handleFiles;
+
+  // Paste-to-upload for PDFs copied from the OS file manager
+  useEffect(() => {
+    if (!selectedFormat || selectedFile) return;
+
+    const handlePaste = (e) => {
+      if (isUploading || isBatchUploading || isAtUploadLimit) return;
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length === 0) return;
+
+      e.preventDefault();
+      announceFiles(files);
+      handleFilesRef.current(files);
     };
-    input.click();
+
+    document.addEventListener("paste", handlePaste);
+    return () => document.removeEventListener("paste", handlePaste);
+  }, [
+    selectedFormat,
+    selectedFile,
+    isUploading,
+    isBatchUploading,
+    isAtUploadLimit,
+  ]);
+
+  const dropZoneHandlers = {
+    onDragEnter: handleDragEnter,
+    onDragOver: handleDragOver,
+    onDragLeave: handleDragLeave,
+    onDrop: handleDrop,
   };
 
-  const handleUpload = async (file = selectedFile) => {
+  // Persistent pickers shared by the upload card and the batch view
+  const hiddenFileInputs = (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".pdf,application/pdf"
+        multiple
+        hidden
+        onChange={handleFileInput}
+      />
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        multiple
+        hidden
+        onChange={handleFileInput}
+      />
+    </>
+  );
+
+  // Queue every selected PDF with the currently chosen format; each file can be changed individually.
+  // Other files (e.g. .DS_Store or images from a folder) are left out with a single notice.
+  const handleBatchSelect = (files) => {
+    const pdfFiles = files.filter(isPdfFile);
+    const skippedCount = files.length - pdfFiles.length;
+    const notice =
+      skippedCount > 0
+        ? `${skippedCount} non-PDF ${
+            skippedCount === 1 ? "file" : "files"
+          } skipped.`
+        : "";
+    setErrorMessage("");
+    // Without any PDFs there is no batch to show the notice in
+    if (pdfFiles.length === 0 && batchItems.length === 0) {
+      setErrorMessage(`No PDF files were found. ${notice}`.trim());
+      setOpenSnackbar(true);
+      return;
+    }
+    setSkippedFilesNotice(notice);
+    if (pdfFiles.length === 0) return;
+    setBatchItems((prev) => [
+      ...prev,
+      ...pdfFiles.map((file, index) => ({
+        id: `${Date.now()}_${prev.length + index}`,
+        file,
+        format: selectedFormat || "pdf",
+        status: "pending",
+        error: "",
+        updatedName: null,
+      })),
+    ]);
+  };
+
+  const updateBatchItem = (id, changes) => {
+    setBatchItems((prev) =>
+      prev.map((item) => (item.id === id ? { ...item, ...changes } : item))
+    );
+  };
+
+  const handleBatchFormatChange = (id, format) => {
+    updateBatchItem(id, { format });
+  };
+
+  const handleBatchRemove = (id) => {
+    setBatchItems((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  const handleBatchClear = () => {
+    setBatchItems([]);
+    setErrorMessage("");
+    setSkippedFilesNotice("");
+  };
+
+  // Returns an error message if the upload can't start for reasons unrelated to the file itself
+  const getUploadPreconditionError = () => {
+    if (!awsCredentials) {
+      return "AWS credentials not available yet. Please wait...";
+    }
+    if (!auth.user?.profile?.sub) {
+      return "User identifier not found. Are you logged in?";
+    }
+    return "";
+  };
+
+  // Use email for unique filename, fallback to 'user'
+  const getSanitizedEmail = () => sanitizeEmail(auth.user?.profile?.email);
+
+  // Returns an earlier upload of the same file contents whose output still exists, or null
+  const findDuplicate = async (sha256, format) => {
+    if (!sha256) return null;
+    try {
+      return await findExistingResult({
+        storage: createStorage(awsCredentials),
+        sanitizedEmail: getSanitizedEmail(),
+        sha256,
+        format,
+      });
+    } catch (error) {
+      console.warn("Duplicate check failed, uploading normally:", error);
+      return null;
+    }
+  };
+
+  // Where a file will be uploaded, worked out before the quota is reserved so the reservation
+  // can name its upload. An interrupted upload of the same file and details keeps its original key.
+  const planUpload = (
+    file,
+    format,
+    { sha256, sourcePages, password, documentMetadata: docMetadata } = {}
+  ) => {
+    // "both" uses the stricter HTML rules so the same name is valid in both pipelines
+    const sanitizedFileName = sanitizeFilename(
+      file.name,
+      format === "both" ? "html" : format
+    );
+
+    // Select bucket and directory based on format; "both" uploads to the PDF pipeline first
+    const pipeline = format === "html" ? "html" : "pdf";
+    const bucket = pipeline === "html" ? HTMLBucket : PDFBucket;
+    const metadata = {
+      ...(sha256 ? { sha256 } : {}),
+      // Original page numbers kept in a trimmed upload, e.g. "1-20, 45"
+      ...(sourcePages ? { "source-pages": sourcePages } : {}),
+      ...(password ? { "password-protected": "true" } : {}),
+      ...toS3Metadata(docMetadata),
+    };
+
+    const resumable = findResumableUpload({
+      owner: userSub,
+      bucket,
+      file,
+      metadata,
+    });
+    const key =
+      resumable?.key ||
+      getUploadKey(
+        buildUniqueFilename({
+          sanitizedEmail: getSanitizedEmail(),
+          timestamp: formatUploadTimestamp(),
+          fileName: sanitizedFileName,
+        }),
+        pipeline
+      );
+    return {
+      pipeline,
+      bucket,
+      key,
+      metadata,
+      uniqueFilename: parseUploadKey(key).uniqueFilename,
+      sanitizedFileName,
+    };
+  };
+
+  // Uploads a single file as planned by planUpload and returns the key names and the format sent.
+  // For "both", the file is uploaded once to the PDF bucket and copied server-side to the HTML bucket.
+  // The PDF run has started by then, so if the copy still fails after a retry the job goes on as
+  // PDF only (format "pdf") instead of failing.
+  const uploadFile = async (
+    file,
+    format,
+    plan,
+    { onProgress, signal, sha256, password } = {}
+  ) => {
+    const storage = createStorage(awsCredentials);
+    const { pipeline, uniqueFilename, sanitizedFileName } = plan;
+
+    try {
+      await uploadFileMultipart({
+        storage,
+        owner: userSub,
+        bucket: plan.bucket,
+        key: plan.key,
+        file,
+        metadata: plan.metadata,
+        onProgress,
+        // The password must be in place before the upload completes and triggers the pipeline
+        onBeforeComplete: password
+          ? async (uploadKey) => {
+              const idToken = auth.user?.id_token;
+              await storePdfPassword({
+                idToken,
+                pipeline,
+                uploadKey,
+                password,
+              });
+              if (format === "both") {
+                await storePdfPassword({
+                  idToken,
+                  pipeline: "html",
+                  uploadKey: getUploadKey(uniqueFilename, "html"),
+                  password,
+                });
+              }
+            }
+          : undefined,
+        signal,
+      });
+
+      let uploadedFormat = format;
+      if (format === "both") {
+        for (let attempt = 1; ; attempt++) {
+          try {
+            await storage.copyObject({
+              sourceBucket: PDFBucket,
+              sourceKey: plan.key,
+              bucket: HTMLBucket,
+              key: getUploadKey(uniqueFilename, "html"),
+              signal,
+            });
+            break;
+          } catch (error) {
+            console.error(
+              "Unable to copy the upload to the HTML bucket:",
+              error
+            );
+            if (attempt >= 2 || signal?.aborted) {
+              uploadedFormat = "pdf";
+              break;
+            }
+          }
+        }
+      }
+
+      if (sha256) {
+        await recordUploadHash({
+          storage,
+          sanitizedEmail: getSanitizedEmail(),
+          sha256,
+          format: uploadedFormat,
+          uniqueFilename,
+          sanitizedFileName,
+        });
+      }
+
+      return { uniqueFilename, sanitizedFileName, format: uploadedFormat };
+    } finally {
+      setInterruptedUploads(listInterruptedUploads(userSub));
+    }
+  };
+
+  // Reserves quota for the planned upload before sending it, and releases the reservation if
+  // the upload doesn't complete. The quota API refuses the release once the file has arrived.
+  // A "both" upload that only reached the PDF pipeline gives back just its HTML reservation.
+  const uploadWithQuota = async (file, format, options) => {
+    const idToken = auth.user?.id_token;
+    const plan = planUpload(file, format, options);
+    const reserved = [];
+
+    try {
+      for (const conversionType of getQuotaConversionTypes(format)) {
+        const reservation = await reserveQuota({
+          idToken,
+          conversionType,
+          uploadKey: getUploadKey(
+            plan.uniqueFilename,
+            conversionType === "html" ? "html" : "pdf"
+          ),
+        });
+        reserved.push({
+          conversionType,
+          reservationId: reservation.reservationId,
+        });
+        if (setUsageCount && reservation.newCount !== undefined) {
+          setUsageCount(reservation.newCount);
+        }
+      }
+
+      const uploaded = await uploadFile(file, format, plan, options);
+      const htmlCopyFailed = uploaded.format !== format;
+      if (htmlCopyFailed) {
+        const htmlReservation = reserved.find(
+          ({ conversionType }) => conversionType === "html"
+        );
+        if (htmlReservation) {
+          try {
+            await releaseQuota({
+              idToken,
+              reservationId: htmlReservation.reservationId,
+            });
+            reserved.splice(reserved.indexOf(htmlReservation), 1);
+          } catch (releaseError) {
+            console.error("Failed to release quota reservation:", releaseError);
+          }
+          if (onUsageRefresh) onUsageRefresh();
+        }
+      }
+      // Kept with the job so cancelling it can give back exactly what was reserved
+      return { ...uploaded, htmlCopyFailed, quotaReservations: reserved };
+    } catch (error) {
+      for (const { reservationId } of reserved) {
+        try {
+          await releaseQuota({ idToken, reservationId });
+        } catch (releaseError) {
+          console.error("Failed to release quota reservation:", releaseError);
+        }
+      }
+      if (onUsageRefresh && reserved.length > 0) {
+        onUsageRefresh();
+      }
+      throw error;
+    }
+  };
+
+  // Pages the pipeline will work on, if the preflight check could count them
+  const getRemediatedPageCount = () =>
+    selectedPages.length || preflightReport?.pageCount || undefined;
+
+  // The file that is actually sent: the original, or a copy containing only the selected pages.
+  // pdf-lib can't copy pages out of an encrypted file, so that is always sent whole.
+  const prepareUpload = async (file) => {
+    const pageCount = preflightReport?.pageCount || 0;
+    if (
+      !pageCount ||
+      preflightReport.isEncrypted ||
+      selectedPages.length === pageCount
+    ) {
+      return { file, sha256: fileHash, sourcePages: null };
+    }
+    const trimmed = await buildTrimmedPdf(file, selectedPages);
+    return {
+      file: trimmed,
+      sha256: await hashFile(trimmed),
+      sourcePages: formatPageRanges(selectedPages),
+    };
+  };
+
+  const handleCancelUpload = () => {
+    uploadAbortRef.current?.abort();
+  };
+
+  const handleDiscardInterrupted = async (upload) => {
+    if (awsCredentials) {
+      await discardInterruptedUpload(createStorage(awsCredentials), upload);
+    }
+    setInterruptedUploads(listInterruptedUploads(userSub));
+  };
+
+  const handleUpload = async (
+    file = selectedFile,
+    { skipDuplicateCheck = false } = {}
+  ) => {
     // **1. Check if the bucket for selected format is configured**
     const formatValidation = validateFormatBucket(selectedFormat);
     if (formatValidation.needsDeployment) {
@@ -222,13 +812,13 @@ function UploadSection({
     }
 
     // **2. Check if user has reached the upload limit**
-    // if (currentUsage >= maxFilesAllowed) {
-    //   setErrorMessage(
-    //     "You have reached your upload limit. Please contact support for further assistance."
-    //   );
-    //   setOpenSnackbar(true);
-    //   return;
-    // }
+    if (isAtUploadLimit) {
+      setErrorMessage(
+        "You have reached your upload limit. Please contact support for further assistance."
+      );
+      setOpenSnackbar(true);
+      return;
+    }
 
     // **3. Basic Guards**
     if (!file) {
@@ -236,121 +826,468 @@ function UploadSection({
       setOpenSnackbar(true);
       return;
     }
-    if (!awsCredentials) {
-      setErrorMessage("AWS credentials not available yet. Please wait...");
+    const preconditionError = getUploadPreconditionError();
+    if (preconditionError) {
+      setErrorMessage(preconditionError);
       setOpenSnackbar(true);
       return;
     }
 
-    // **3. Attempt to Increment Usage First**
-    const userSub = auth.user?.profile?.sub;
-    if (!userSub) {
-      setErrorMessage("User identifier not found. Are you logged in?");
+    const errors = validateDocumentMetadata(documentMetadata);
+    setMetadataErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setErrorMessage(errors.language || errors.form);
       setOpenSnackbar(true);
       return;
     }
-    const idToken = auth.user?.id_token;
-    setIsUploading(true);
 
-    try {
-      // // **4. Call the Usage API to Increment**
-      // const usageRes = await fetch(CheckAndIncrementQuota, {
-      //   method: 'POST',
-      //   headers: {
-      //     'Content-Type': 'application/json',
-      //     Authorization: `Bearer ${idToken}`
-      //   },
-      //   body: JSON.stringify({
-      //     sub: userSub,
-      //     mode: 'increment',
-      //     conversionType: selectedFormat
-      //   }),
-      // });
-
-      // if (!usageRes.ok) {
-      //   // e.g., 403 if user at limit, or other error
-      //   const errData = await usageRes.json();
-
-      //   // **Dynamic Error Message Based on Status Code**
-      //   const quotaExceeded = usageRes.status === 403; // Assuming 403 indicates quota limit
-      //   const message = quotaExceeded
-      //     ? 'You have reached the upload limit. Please contact support for further assistance.'
-      //     : errData.message || 'An error occurred while checking your upload quota. Please try again later.';
-
-      //   setErrorMessage(message);
-      //   setOpenSnackbar(true);
-      //   setIsUploading(false);
-      //   return;
-      // }
-
-      // const usageData = await usageRes.json();
-      // const updatedUsage = usageData.newCount; // Updated usage count from the backend
-      // setUsageCount(updatedUsage);
-
-      // **5. Proceed with S3 Upload**
-      const client = new S3Client({
-        region,
-        credentials: {
-          accessKeyId: awsCredentials.accessKeyId,
-          secretAccessKey: awsCredentials.secretAccessKey,
-          sessionToken: awsCredentials.sessionToken,
-        },
-      });
+    // **4. Only the selected pages count against the page limit**
+    const pageIssues = preflightReport
+      ? getPreflightIssues(preflightReport, {
+          maxPagesAllowed,
+          selectedPageCount: selectedPages.length,
+        })
+      : [];
+    if (pageIssues.length > 0) {
+      if (!preflightReport.isEncrypted) setShowPageSelector(true);
+      setErrorMessage(pageIssues.join(" "));
+      setOpenSnackbar(true);
+      return;
+    }
+
+    // **5. Password-protected files need their password first**
+    if (preflightReport?.requiresPassword && !documentPassword) {
+      setIsPasswordPromptOpen(true);
+      return;
+    }
 
-      const timestamp = new Date().toISOString().replace(/[-:.TZ]/g, ""); // YYYYMMDDTHHMMSS format
-      const userEmail = auth.user?.profile?.email || "user"; // Use email for unique filename, fallback to 'user'
-      const sanitizedEmail = userEmail.replace(/[^a-zA-Z0-9]/g, "_"); // Replace non-alphanumerics with underscores
-      const sanitizedFileName =
-        sanitizeFilename(file.name, selectedFormat) || "default.pdf"; // Fallback to 'default.pdf' if sanitization fails
-      const uniqueFilename = `${sanitizedEmail}_${timestamp}_${sanitizedFileName}`; // Combined unique filename
+    setIsPreparingUpload(true);
+    let upload;
+    try {
+      upload = await prepareUpload(file);
 
-      // Select bucket and directory based on format
-      const selectedBucket = selectedFormat === "html" ? HTMLBucket : PDFBucket;
-      const keyPrefix = selectedFormat === "html" ? "uploads/" : "pdf/";
+      // **6. Offer the existing result if this exact file was remediated before**
+      if (!skipDuplicateCheck) {
+        const match = await findDuplicate(upload.sha256, selectedFormat);
+        if (match) {
+          setDuplicateMatch(match);
+          return;
+        }
+      }
+    } catch (error) {
+      console.error("Unable to prepare upload:", error);
+      setErrorMessage("Unable to extract the selected pages from the PDF.");
+      setOpenSnackbar(true);
+      return;
+    } finally {
+      setIsPreparingUpload(false);
+    }
 
-      const params = {
-        Bucket: selectedBucket,
-        Key: `${keyPrefix}${uniqueFilename}`,
-        Body: file,
-      };
+    setIsUploading(true);
+    setUploadProgress({ loaded: 0, total: upload.file.size });
+    const abortController = new AbortController();
+    uploadAbortRef.current = abortController;
 
-      const command = new PutObjectCommand(params);
-      await client.send(command);
+    try {
+      // **7. Reserve quota, then upload to S3 (the reservation is released if the upload fails)**
+      const {
+        uniqueFilename,
+        sanitizedFileName,
+        format,
+        htmlCopyFailed,
+        quotaReservations,
+      } = await uploadWithQuota(upload.file, selectedFormat, {
+        onProgress: setUploadProgress,
+        signal: abortController.signal,
+        sha256: upload.sha256,
+        sourcePages: upload.sourcePages,
+        password: documentPassword,
+        documentMetadata,
+      });
 
       console.log("Upload complete, new file name:", uniqueFilename);
 
-      // **6. Notify Parent of Completion with format**
+      // **8. Notify Parent of Completion with format**
       onUploadComplete(
         uniqueFilename,
         sanitizedFileName,
-        selectedFormat || "pdf"
+        format || "pdf",
+        getRemediatedPageCount(),
+        { quotaReservations, fileSize: upload.file.size }
       );
 
-      // **7. Refresh Usage**
-      // if (onUsageRefresh) {
-      //   onUsageRefresh();
-      // }
-
-      // **8. Don't reset automatically - let parent component handle flow**
+      // **9. Clear the form so the next file can be uploaded right away**
+      resetFileInput();
+      if (htmlCopyFailed) {
+        setErrorMessage(HTML_COPY_FAILED_MESSAGE);
+        setOpenSnackbar(true);
+      }
     } catch (error) {
-      console.error("Error uploading file:", error);
-      setErrorMessage("Error uploading file. Please try again.");
+      if (isQuotaExceeded(error)) {
+        setQuotaExceeded(true);
+        setErrorMessage(
+          "You have reached the upload limit. Please contact support for further assistance."
+        );
+      } else if (error.status) {
+        setErrorMessage(
+          error.message ||
+            "An error occurred while checking your upload quota. Please try again later."
+        );
+      } else if (error.name === "AbortError") {
+        setErrorMessage("Upload cancelled.");
+      } else {
+        console.error("Error uploading file:", error);
+        setErrorMessage(
+          "Error uploading file. Select the same file again to resume the upload."
+        );
+      }
       setOpenSnackbar(true);
     } finally {
       setIsUploading(false);
+      uploadAbortRef.current = null;
     }
   };
 
+  // Returns true if the password opens the file; its Info dictionary then fills the metadata form
+  const handlePasswordSubmit = async (password) => {
+    let info;
+    try {
+      info = await readProtectedPdfInfo(selectedFile, password);
+    } catch (error) {
+      console.error("Unable to open protected PDF:", error);
+      return false;
+    }
+    if (!info) return false;
+
+    setDocumentPassword(password);
+    setIsPasswordPromptOpen(false);
+    setDocumentMetadata((current) => ({
+      ...current,
+      title: current.title || info.title || "",
+      author: current.author || info.author || "",
+      subject: current.subject || info.subject || "",
+    }));
+    return true;
+  };
+
+  const handlePasswordDecline = () => {
+    setIsPasswordPromptOpen(false);
+    resetFileInput();
+    setErrorMessage(
+      "This PDF is password-protected and can't be remediated without its password. Remove the protection or upload it again and enter the password."
+    );
+    setOpenSnackbar(true);
+  };
+
+  // Open the earlier output instead of uploading again; no quota is used
+  const handleReuseExisting = () => {
+    const match = duplicateMatch;
+    setDuplicateMatch(null);
+    onUploadComplete(
+      match.uniqueFilename,
+      match.sanitizedFileName,
+      selectedFormat || "pdf",
+      getRemediatedPageCount(),
+      { reused: true }
+    );
+    resetFileInput();
+  };
+
+  const handleProcessAgain = () => {
+    setDuplicateMatch(null);
+    handleUpload(selectedFile, { skipDuplicateCheck: true });
+  };
+
+  // Uploads queued files one at a time; a failing file is marked and the batch moves on.
+  // Files that were already remediated reuse their existing output.
+  const handleBatchUpload = async () => {
+    const preconditionError = getUploadPreconditionError();
+    if (preconditionError) {
+      setErrorMessage(preconditionError);
+      setOpenSnackbar(true);
+      return;
+    }
+
+    setIsBatchUploading(true);
+    const uploaded = [];
+    const abortController = new AbortController();
+    uploadAbortRef.current = abortController;
+
+    let limitReached = isAtUploadLimit;
+
+    for (const item of batchItems) {
+      if (item.status === "uploaded") continue;
+      if (abortController.signal.aborted) {
+        updateBatchItem(item.id, { status: "pending", progress: 0 });
+        continue;
+      }
+      if (limitReached) {
+        updateBatchItem(item.id, {
+          status: "failed",
+          error: "Upload limit reached.",
+        });
+        continue;
+      }
+
+      const validationError = validateFile(item.file);
+      if (validationError) {
+        updateBatchItem(item.id, { status: "failed", error: validationError });
+        continue;
+      }
+
+      const formatValidation = validateFormatBucket(item.format);
+      if (formatValidation.needsDeployment) {
+        updateBatchItem(item.id, {
+          status: "failed",
+          error: `${formatValidation.bucketType} not configured.`,
+        });
+        continue;
+      }
+
+      const sizeIssue = getFileSizeIssue(item.file, maxSizeAllowedMB);
+      if (sizeIssue) {
+        updateBatchItem(item.id, { status: "failed", error: sizeIssue });
+        continue;
+      }
+
+      let report;
+      try {
+        report = await analyzePdf(item.file);
+      } catch (error) {
+        updateBatchItem(item.id, {
+          status: "failed",
+          error: "Unable to read the PDF file.",
+        });
+        continue;
+      }
+      const issues = getPreflightIssues(report, {
+        maxPagesAllowed,
+        maxSizeAllowedMB,
+      });
+      if (report.requiresPassword) {
+        issues.push(
+          "Password-protected – upload it on its own to enter the password."
+        );
+      }
+      if (issues.length > 0) {
+        updateBatchItem(item.id, { status: "failed", error: issues.join(" ") });
+        continue;
+      }
+
+      const sha256 = await hashFile(item.file);
+      const match = await findDuplicate(sha256, item.format);
+      if (match) {
+        updateBatchItem(item.id, {
+          status: "uploaded",
+          reused: true,
+          updatedName: match.uniqueFilename,
+        });
+        uploaded.push({
+          name: match.sanitizedFileName,
+          updatedName: match.uniqueFilename,
+          format: item.format,
+          pageCount: report.pageCount,
+          reused: true,
+        });
+        continue;
+      }
+
+      updateBatchItem(item.id, { status: "uploading", error: "", progress: 0 });
+      try {
+        const {
+          uniqueFilename,
+          sanitizedFileName,
+          format,
+          htmlCopyFailed,
+          quotaReservations,
+        } = await uploadWithQuota(item.file, item.format, {
+          onProgress: ({ loaded, total }) =>
+            updateBatchItem(item.id, {
+              progress: total > 0 ? Math.round((loaded / total) * 100) : 0,
+            }),
+          signal: abortController.signal,
+          sha256,
+        });
+        updateBatchItem(item.id, {
+          status: "uploaded",
+          updatedName: uniqueFilename,
+          error: htmlCopyFailed
+            ? "Only the PDF version is being remediated."
+            : "",
+        });
+        uploaded.push({
+          name: sanitizedFileName,
+          updatedName: uniqueFilename,
+          format,
+          pageCount: report.pageCount,
+          fileSize: item.file.size,
+          quotaReservations,
+        });
+      } catch (error) {
+        if (error.name === "AbortError") {
+          updateBatchItem(item.id, { status: "pending", progress: 0 });
+          continue;
+        }
+        if (isQuotaExceeded(error)) {
+          limitReached = true;
+          setQuotaExceeded(true);
+          updateBatchItem(item.id, {
+            status: "failed",
+            error: "Upload limit reached.",
+          });
+          continue;
+        }
+        console.error(`Error uploading ${item.file.name}:`, error);
+        updateBatchItem(item.id, {
+          status: "failed",
+          error: error.status ? error.message : "Error uploading file.",
+        });
+      }
+    }
+
+    setIsBatchUploading(false);
+    uploadAbortRef.current = null;
+
+    if (uploaded.length > 0 && onBatchUploadComplete) {
+      onBatchUploadComplete(uploaded);
+    }
+  };
+
+  // Shown instead of the upload controls once the quota API reports the limit (403)
+  const uploadLimitNotice = isAtUploadLimit && (
+    <div className="upload-limit-notice" role="alert">
+      <p className="upload-main-text">Upload limit reached</p>
+      <p className="upload-sub-text">
+        You have used {currentUsage} of {maxFilesAllowed} uploads. Please
+        contact support if you need to remediate more files.
+      </p>
+    </div>
+  );
+
   const handleCloseSnackbar = (_, reason) => {
     if (reason === "clickaway") return;
     setOpenSnackbar(false);
   };
 
-  if (selectedFormat === "pdf" || selectedFormat === "html") {
-    const formatTitle = selectedFormat === "pdf" ? "PDF to PDF" : "PDF to HTML";
-    const formatIcon = selectedFormat === "pdf" ? imgFileText : imgCodeXml;
+  if (FORMAT_TITLES[selectedFormat]) {
+    const formatTitle = FORMAT_TITLES[selectedFormat];
+    const formatIcon = selectedFormat === "html" ? imgCodeXml : imgFileText;
+
+    if (batchItems.length > 0) {
+      return (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ duration: 0.5 }}
+        >
+          <div className="upload-container-selected">
+            {hiddenFileInputs}
+            <div className="visually-hidden" role="status" aria-live="polite">
+              {dropZoneStatus}
+            </div>
+            <div
+              className={`upload-content ${isDragActive ? "drag-active" : ""}`}
+              {...dropZoneHandlers}
+            >
+              <div className="upload-header">
+                <div className="file-icon">
+                  <img src={formatIcon} alt="" />
+                </div>
+                <div className="upload-title">
+                  <h2>Batch Upload</h2>
+                </div>
+              </div>
+
+              {uploadLimitNotice}
+
+              <BatchUploadList
+                items={batchItems}
+                formatAvailability={formatAvailability}
+                isUploading={isBatchUploading}
+                onFormatChange={handleBatchFormatChange}
+                onRemove={handleBatchRemove}
+              />
+
+              {skippedFilesNotice && (
+                <p
+                  className="upload-sub-text batch-skipped-notice"
+                  role="status"
+                >
+                  {skippedFilesNotice}
+                </p>
+              )}
+
+              {errorMessage && (
+                <div className="upload-error">
+                  <p>{errorMessage}</p>
+                </div>
+              )}
+
+              <div className="upload-buttons">
+                {isBatchUploading ? (
+                  <button
+                    className="change-format-btn"
+                    onClick={handleCancelUpload}
+                  >
+                    Cancel Upload
+                  </button>
+                ) : (
+                  <button
+                    className="change-format-btn"
+                    onClick={handleBatchClear}
+                  >
+                    Clear Batch
+                  </button>
+                )}
+                <button
+                  className="change-format-btn"
+                  onClick={handleFileSelect}
+                  disabled={isBatchUploading}
+                >
+                  Add More PDFs
+                </button>
+                <button
+                  className="upload-btn"
+                  onClick={handleBatchUpload}
+                  disabled={
+                    isBatchUploading ||
+                    isAtUploadLimit ||
+                    batchItems.every((item) => item.status === "uploaded")
+                  }
+                >
+                  {isBatchUploading ? "Uploading..." : "Upload All"}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Snackbar for error messages */}
+          <Snackbar
+            open={openSnackbar}
+            autoHideDuration={6000}
+            onClose={handleCloseSnackbar}
+            anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+          >
+            <Alert
+              onClose={handleCloseSnackbar}
+              severity="error"
+              sx={{ width: "100%" }}
+              elevation={6}
+              variant="filled"
+            >
+              {errorMessage}
+            </Alert>
+          </Snackbar>
+        </motion.div>
+      );
+    }
 
     if (selectedFile) {
+      const uploadPercent =
+        uploadProgress?.total > 0
+          ? Math.round((uploadProgress.loaded / uploadProgress.total) * 100)
+          : 0;
+
       return (
         <motion.div
           initial={{ opacity: 0 }}
@@ -385,17 +1322,67 @@ function UploadSection({
                     MB
                   </span>
                   <span className="progress-percent">
-                    {isUploading ? "Uploading..." : "Ready"}
+                    {isUploading ? `Uploading ${uploadPercent}%` : "Ready"}
                   </span>
                 </div>
-                <div className="progress-bar">
+                {isUploading && (
                   <div
-                    className="progress-fill"
-                    style={{ width: isUploading ? "50%" : "100%" }}
-                  ></div>
-                </div>
+                    className="progress-bar"
+                    role="progressbar"
+                    aria-label={`Upload progress for ${selectedFile.name}`}
+                    aria-valuenow={uploadPercent}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                  >
+                    <div
+                      className="progress-fill"
+                      style={{ width: `${uploadPercent}%` }}
+                    ></div>
+                  </div>
+                )}
               </div>
 
+              <PreflightSummary
+                report={preflightReport}
+                maxPagesAllowed={maxPagesAllowed}
+                selectedPageCount={selectedPages.length}
+                isUnlocked={!!documentPassword}
+              />
+
+              {showPageSelector ? (
+                <PageRangeSelector
+                  file={selectedFile}
+                  password={documentPassword}
+                  pageCount={preflightReport?.pageCount || 0}
+                  selectedPages={selectedPages}
+                  maxPagesAllowed={maxPagesAllowed}
+                  isTagged={!!preflightReport?.isTagged}
+                  disabled={isUploading || isPreparingUpload}
+                  onChange={setSelectedPages}
+                />
+              ) : (
+                // pdf-lib can't copy pages out of an encrypted file, so it is sent whole
+                preflightReport?.pageCount > 1 &&
+                !preflightReport.isEncrypted && (
+                  <button
+                    className="troubleshoot-link"
+                    onClick={() => setShowPageSelector(true)}
+                    disabled={isUploading}
+                  >
+                    Remediate only some pages
+                  </button>
+                )
+              )}
+
+              <DocumentMetadataForm
+                values={documentMetadata}
+                errors={metadataErrors}
+                disabled={isUploading}
+                onChange={setDocumentMetadata}
+              />
+
+              {uploadLimitNotice}
+
               {errorMessage && (
                 <div className="upload-error">
                   <p>Upload failed: {errorMessage}</p>
@@ -403,20 +1390,59 @@ function UploadSection({
               )}
 
               <div className="upload-buttons">
-                <button
-                  className="change-file-btn"
-                  onClick={() => {
-                    setSelectedFile(null);
-                    setErrorMessage("");
-                    setIsUploading(false);
-                  }}
-                  disabled={isUploading}
-                >
-                  Choose New PDF
-                </button>
+                {isUploading ? (
+                  <button
+                    className="change-file-btn"
+                    onClick={handleCancelUpload}
+                  >
+                    Cancel Upload
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      className="change-format-btn"
+                      onClick={() => {
+                        setSelectedFile(null);
+                        setPreflightReport(null);
+                        setFileHash(null);
+                        setSelectedPages([]);
+                        setShowPageSelector(false);
+                        setDocumentPassword(null);
+                        setErrorMessage("");
+                        setIsUploading(false);
+                      }}
+                    >
+                      Choose New PDF
+                    </button>
+                    <button
+                      className="upload-btn"
+                      onClick={() => handleUpload(selectedFile)}
+                      disabled={isAtUploadLimit || isPreparingUpload}
+                    >
+                      {isPreparingUpload
+                        ? "Preparing upload..."
+                        : "Start Remediation"}
+                    </button>
+                  </>
+                )}
               </div>
             </div>
 
+            <PdfPasswordDialog
+              open={isPasswordPromptOpen}
+              fileName={selectedFile.name}
+              onSubmit={handlePasswordSubmit}
+              onDecline={handlePasswordDecline}
+            />
+
+            <DuplicateUploadDialog
+              match={duplicateMatch}
+              fileName={selectedFile.name}
+              onReuse={handleReuseExisting}
+              onProcessAgain={handleProcessAgain}
+              onClose={() => setDuplicateMatch(null)}
+            />
+
             {/* <div className="disclaimer">
               <p>
                 * Make sure to check the Document Requirements before you start!
@@ -452,7 +1478,14 @@ function UploadSection({
         transition={{ duration: 0.5 }}
       >
         <div className="upload-container-selected">
-          <div className="upload-content">
+          {hiddenFileInputs}
+          <div className="visually-hidden" role="status" aria-live="polite">
+            {dropZoneStatus}
+          </div>
+          <div
+            className={`upload-content ${isDragActive ? "drag-active" : ""}`}
+            {...dropZoneHandlers}
+          >
             <div className="upload-header">
               <div className="file-icon">
                 <img src={formatIcon} alt="" />
@@ -462,15 +1495,71 @@ function UploadSection({
               </div>
             </div>
 
-            <div className="upload-instructions">
-              <p className="upload-main-text">
-                Drop your PDF here or click to browse
-              </p>
-              {/* <p className="upload-sub-text">
+            {uploadLimitNotice || (
+              <div
+                className={`upload-instructions upload-drop-zone ${
+                  isDragActive ? "drag-active" : ""
+                }`}
+                role="button"
+                tabIndex={isUploading || isAnalyzing ? -1 : 0}
+                aria-disabled={isUploading || isAnalyzing}
+                aria-busy={isAnalyzing}
+                aria-describedby="upload-drop-zone-hint"
+                onClick={() =>
+                  !isUploading && !isAnalyzing && handleFileSelect()
+                }
+                onKeyDown={handleDropZoneKeyDown}
+              >
+                <p className="upload-main-text">
+                  {isAnalyzing
+                    ? "Analyzing PDF..."
+                    : isDragActive
+                    ? "Release to upload"
+                    : "Drop your PDF here or click to browse"}
+                </p>
+                <p className="upload-sub-text" id="upload-drop-zone-hint">
+                  Select several PDFs or a whole folder to upload them as a
+                  batch. You can also paste a PDF copied from your file manager.
+                </p>
+                {/* <p className="upload-sub-text">
                 Maximum file size: {maxSizeAllowedMB}MB • Maximum pages:{" "}
                 {maxPagesAllowed}
               </p> */}
-            </div>
+              </div>
+            )}
+
+            {interruptedUploads.length > 0 && (
+              <div className="interrupted-uploads">
+                <p className="upload-sub-text">
+                  Interrupted uploads — select the same file again to resume:
+                </p>
+                <ul>
+                  {interruptedUploads.map((upload) => (
+                    <li key={upload.resumeKey}>
+                      <span className="file-name">
+                        {upload.fileName} (
+                        {Math.round(
+                          (Math.min(
+                            upload.parts.length * upload.partSize,
+                            upload.fileSize
+                          ) /
+                            (upload.fileSize || 1)) *
+                            100
+                        )}
+                        % uploaded)
+                      </span>
+                      <button
+                        className="troubleshoot-link"
+                        onClick={() => handleDiscardInterrupted(upload)}
+                        aria-label={`Discard interrupted upload of ${upload.fileName}`}
+                      >
+                        Discard
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
 
             {errorMessage && (
               <div className="upload-error">
@@ -485,10 +1574,17 @@ function UploadSection({
               >
                 Change Output Format
               </button>
+              <button
+                className="change-format-btn"
+                onClick={handleFolderSelect}
+                disabled={isUploading || isAtUploadLimit}
+              >
+                Upload Folder
+              </button>
               <button
                 className="upload-btn"
                 onClick={handleFileSelect}
-                disabled={isUploading}
+                disabled={isUploading || isAtUploadLimit}
               >
                 {isUploading ? "Uploading..." : "Upload PDF"}
               </button>
@@ -596,6 +1692,36 @@ function UploadSection({
                 Convert document to accessible HTML version
               </p>
             </div>
+
+            <div
+              className={`format-option ${
+                selectedFormat === "both" ? "selected" : ""
+              }`}
+              onClick={() => handleFormatSelect("both")}
+            >
+              <div className="format-header">
+                <div className="format-icon">
+                  <img src={imgFileText} alt="" />
+                </div>
+                <div className="format-info">
+                  <span className="format-name">PDF to PDF + HTML</span>
+                  <span
+                    className={`format-status ${
+                      formatAvailability.both ? "available" : "unavailable"
+                    }`}
+                  >
+                    {formatAvailability.both
+                      ? "✓ Available"
+                      : "⚠ Install Required"}
+                  </span>
+                </div>
+              </div>
+              <p className="format-description">
+                Upload once and get both an accessible PDF and HTML version
+                {BothFormatsUsageMode === "separate" &&
+                  " (counts as two uploads)"}
+              </p>
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,210 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNull,
+  PDFNumber,
+  PDFRawStream,
+  PDFRef,
+  decodePDFRawStream,
+} from "pdf-lib";
+import {
+  flattenStructureTree,
+  getElementContent,
+  readStructureTree,
+} from "./structTree";
+
+export const ALT_TEXT_DECISIONS = {
+  APPROVE: "approve",
+  EDIT: "edit",
+  DECORATIVE: "decorative",
+};
+
+// Content streams are binary (inline images); one char per byte keeps them intact
+const bytesToLatin1 = (bytes) => {
+  let text = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+};
+
+const latin1ToBytes = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+};
+
+// "/Figure <</MCID 3>> BDC", possibly with more entries in the property list
+const MARKED_CONTENT_PATTERN =
+  /\/[^\s/<>[\]()]+\s*<<((?:(?!>>)[\s\S])*?)\/MCID\s+(\d+)((?:(?!>>)[\s\S])*?)>>\s*BDC/g;
+
+/**
+ * Figure tags of a document, in reading order
+ * @param {Array<Object>} tree - From readStructureTree
+ * @returns {Array<Object>} Elements whose standard role is Figure
+ */
+export const getFigureElements = (tree) =>
+  flattenStructureTree(tree || []).filter(
+    (element) => element.role === "Figure"
+  );
+
+/**
+ * Turn the marked content with the given MCIDs into artifacts in a page's content streams
+ * @param {boolean} dryRun - Only look for the MCIDs
+ * @returns {Set<number>} MCIDs that were found (and converted)
+ */
+const convertToArtifacts = (pdfDoc, page, mcids, dryRun) => {
+  const converted = new Set();
+  const contents = page.node.get(PDFName.of("Contents"));
+  const refs =
+    contents instanceof PDFRef
+      ? [contents]
+      : pdfDoc.context.lookup(contents) instanceof PDFArray
+      ? pdfDoc.context.lookup(contents).asArray()
+      : [];
+
+  refs.forEach((ref) => {
+    const stream = pdfDoc.context.lookup(ref);
+    if (!(ref instanceof PDFRef) || !(stream instanceof PDFRawStream)) return;
+    const text = bytesToLatin1(decodePDFRawStream(stream).decode());
+    let changed = false;
+    const updated = text.replace(
+      MARKED_CONTENT_PATTERN,
+      (match, before, mcid) => {
+        if (!mcids.has(Number(mcid))) return match;
+        converted.add(Number(mcid));
+        changed = true;
+        // BMC takes no property list; the sequence's EMC still closes it
+        return "/Artifact BMC";
+      }
+    );
+    if (changed && !dryRun) {
+      pdfDoc.context.assign(
+        ref,
+        pdfDoc.context.flateStream(latin1ToBytes(updated))
+      );
+    }
+  });
+  return converted;
+};
+
+// Value stored under a key of a number tree (Nums / Kids)
+const lookupNumberTree = (pdfDoc, node, key) => {
+  if (!(node instanceof PDFDict)) return null;
+  const nums = node.lookupMaybe(PDFName.of("Nums"), PDFArray);
+  if (nums) {
+    for (let i = 0; i + 1 < nums.size(); i += 2) {
+      const number = nums.lookup(i);
+      if (number instanceof PDFNumber && number.asNumber() === key) {
+        return nums.lookup(i + 1);
+      }
+    }
+  }
+  const kids = node.lookupMaybe(PDFName.of("Kids"), PDFArray);
+  if (!kids) return null;
+  for (let i = 0; i < kids.size(); i++) {
+    const found = lookupNumberTree(pdfDoc, kids.lookup(i), key);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Artifacts don't belong to the structure tree, so the page's ParentTree entries are cleared
+const clearParentTreeEntries = (pdfDoc, page, mcids) => {
+  const root = pdfDoc.catalog.lookupMaybe(
+    PDFName.of("StructTreeRoot"),
+    PDFDict
+  );
+  const parentTree = root?.lookupMaybe(PDFName.of("ParentTree"), PDFDict);
+  const structParents = page.node.lookup(PDFName.of("StructParents"));
+  if (!parentTree || !(structParents instanceof PDFNumber)) return;
+  const parents = lookupNumberTree(
+    pdfDoc,
+    parentTree,
+    structParents.asNumber()
+  );
+  if (!(parents instanceof PDFArray)) return;
+  mcids.forEach((mcid) => {
+    if (mcid < parents.size()) parents.set(mcid, PDFNull);
+  });
+};
+
+const removeFromParent = (pdfDoc, dict) => {
+  const parent = dict.lookup(PDFName.of("P"));
+  if (!(parent instanceof PDFDict)) return;
+  const kids = parent.get(PDFName.of("K"));
+  const kidsArray = pdfDoc.context.lookup(kids);
+  if (kidsArray instanceof PDFArray) {
+    const index = kidsArray
+      .asArray()
+      .findIndex((kid) => pdfDoc.context.lookup(kid) === dict);
+    if (index >= 0) kidsArray.remove(index);
+  } else if (pdfDoc.context.lookup(kids) === dict) {
+    parent.delete(PDFName.of("K"));
+  }
+};
+
+// A decorative image is drawn as an artifact and its Figure tag is dropped
+const markDecorative = (pdfDoc, figure) => {
+  const content = getElementContent(figure);
+  if (content.length === 0 || figure.objectCount > 0) return false;
+
+  const pages = pdfDoc.getPages();
+  const byPage = new Map();
+  content.forEach(({ pageIndex, mcid }) => {
+    byPage.set(pageIndex, new Set([...(byPage.get(pageIndex) || []), mcid]));
+  });
+
+  // Marked content referenced by name (/Figure /MC0 BDC) can't be rewritten here,
+  // so nothing is changed unless every piece of the figure can be
+  const canConvert = Array.from(byPage.entries()).every(
+    ([pageIndex, mcids]) =>
+      convertToArtifacts(pdfDoc, pages[pageIndex], mcids, true).size ===
+      mcids.size
+  );
+  if (!canConvert) return false;
+
+  byPage.forEach((mcids, pageIndex) => {
+    convertToArtifacts(pdfDoc, pages[pageIndex], mcids, false);
+    clearParentTreeEntries(pdfDoc, pages[pageIndex], mcids);
+  });
+  removeFromParent(pdfDoc, figure.dict);
+  return true;
+};
+
+/**
+ * Apply a reviewer's alt text decisions to a tagged PDF
+ * @param {Uint8Array|ArrayBuffer} bytes - The PDF that was reviewed
+ * @param {Object} decisions - Figure element id -> { decision, alt }; alt is used for EDIT
+ * @returns {Promise<Object>} {
+ *   bytes (the edited PDF), edited, decorative (counts of applied changes),
+ *   failed (ids of figures whose EDIT had no alt text or that couldn't be made decorative;
+ *   their tags are left as they were)
+ * }
+ */
+export const applyAltTextDecisions = async (bytes, decisions) => {
+  const pdfDoc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const figures = getFigureElements(readStructureTree(pdfDoc));
+  const result = { edited: 0, decorative: 0, failed: [] };
+
+  figures.forEach((figure) => {
+    const { decision, alt } = decisions[figure.id] || {};
+    if (decision === ALT_TEXT_DECISIONS.EDIT) {
+      const text = typeof alt === "string" ? alt.trim() : "";
+      if (!text) {
+        result.failed.push(figure.id);
+        return;
+      }
+      figure.dict.set(PDFName.of("Alt"), PDFHexString.fromText(text));
+      result.edited += 1;
+    } else if (decision === ALT_TEXT_DECISIONS.DECORATIVE) {
+      if (markDecorative(pdfDoc, figure)) result.decorative += 1;
+      else result.failed.push(figure.id);
+    }
+  });
+
+  return { ...result, bytes: await pdfDoc.save() };
+};
@@ -0,0 +1,100 @@
+import {
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  decodePDFRawStream,
+} from "pdf-lib";
+import {
+  ALT_TEXT_DECISIONS,
+  applyAltTextDecisions,
+  getFigureElements,
+} from "./altText";
+import { readStructureTree } from "./structTree";
+
+// One page with two tagged images, drawn as marked content with MCIDs 0 and 1
+const buildTaggedPdf = async () => {
+  const pdfDoc = await PDFDocument.create();
+  const { context } = pdfDoc;
+  const page = pdfDoc.addPage([200, 200]);
+  page.node.set(
+    PDFName.of("Contents"),
+    context.register(
+      context.flateStream(
+        "/Figure <</MCID 0>> BDC\n0 0 10 10 re f\nEMC\n" +
+          "/Figure <</MCID 1>> BDC\n20 20 10 10 re f\nEMC\n"
+      )
+    )
+  );
+  page.node.set(PDFName.of("StructParents"), PDFNumber.of(0));
+
+  const rootRef = context.register(context.obj({ Type: "StructTreeRoot" }));
+  const documentRef = context.register(
+    context.obj({ Type: "StructElem", S: "Document", P: rootRef })
+  );
+  const figureRefs = [0, 1].map((mcid) =>
+    context.register(
+      context.obj({
+        Type: "StructElem",
+        S: "Figure",
+        P: documentRef,
+        Pg: page.ref,
+        K: mcid,
+        Alt: PDFHexString.fromText("Old description"),
+      })
+    )
+  );
+  context.lookup(documentRef).set(PDFName.of("K"), context.obj(figureRefs));
+  const root = context.lookup(rootRef);
+  root.set(PDFName.of("K"), documentRef);
+  root.set(PDFName.of("ParentTree"), context.obj({ Nums: [0, figureRefs] }));
+  pdfDoc.catalog.set(PDFName.of("StructTreeRoot"), rootRef);
+  return pdfDoc.save();
+};
+
+const readPageContent = (pdfDoc) => {
+  const stream = pdfDoc.context.lookup(
+    pdfDoc.getPages()[0].node.get(PDFName.of("Contents"))
+  );
+  return Buffer.from(decodePDFRawStream(stream).decode()).toString("latin1");
+};
+
+const countOperators = (content, pattern) =>
+  (content.match(pattern) || []).length;
+
+test("saves decorative images as valid artifacts", async () => {
+  const result = await applyAltTextDecisions(await buildTaggedPdf(), {
+    "0.0": { decision: ALT_TEXT_DECISIONS.DECORATIVE },
+    0.1: { decision: ALT_TEXT_DECISIONS.EDIT, alt: "  A bar chart  " },
+  });
+  expect(result).toMatchObject({ edited: 1, decorative: 1, failed: [] });
+
+  const saved = await PDFDocument.load(result.bytes);
+  const content = readPageContent(saved);
+  expect(content).toContain("/Artifact BMC");
+  expect(content).not.toMatch(/\/Artifact\s+BDC/);
+  // Every marked-content sequence is still closed by its own EMC
+  expect(countOperators(content, /\b(BMC|BDC)\b/g)).toBe(
+    countOperators(content, /\bEMC\b/g)
+  );
+  expect(
+    getFigureElements(readStructureTree(saved)).map((figure) => figure.alt)
+  ).toEqual(["A bar chart"]);
+});
+
+test("reports edits without alt text and leaves those images as they were", async () => {
+  const result = await applyAltTextDecisions(await buildTaggedPdf(), {
+    "0.0": { decision: ALT_TEXT_DECISIONS.EDIT },
+    0.1: { decision: ALT_TEXT_DECISIONS.EDIT, alt: "   " },
+  });
+  expect(result).toMatchObject({
+    edited: 0,
+    decorative: 0,
+    failed: ["0.0", "0.1"],
+  });
+
+  const saved = await PDFDocument.load(result.bytes);
+  expect(
+    getFigureElements(readStructureTree(saved)).map((figure) => figure.alt)
+  ).toEqual(["Old description", "Old description"]);
+});
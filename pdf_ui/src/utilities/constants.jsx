@@ -16,6 +16,11 @@ export const Bucket_Region = process.env.REACT_APP_BUCKET_REGION;
 export const PDFBucket = process.env.REACT_APP_PDF_BUCKET_NAME || 'Null';
 export const HTMLBucket = process.env.REACT_APP_HTML_BUCKET_NAME || 'Null';
 
+// Where files are stored: 'aws' (default), 'local' (an S3-compatible server such as MinIO) or 'memory'
+export const StorageBackend = process.env.REACT_APP_STORAGE_BACKEND || 'aws';
+// Endpoint of the 'local' backend, e.g. http://localhost:9000
+export const StorageEndpoint = process.env.REACT_APP_STORAGE_ENDPOINT;
+
 /**
  * Validate bucket configuration and return deployment status
  * @returns {Object} Validation result with deployment status and missing buckets
@@ -42,34 +47,57 @@ export const validateBucketConfiguration = () => {
 
 /**
  * Validate bucket configuration for a specific format
- * @param {string} format - 'pdf' or 'html'
+ * @param {string} format - 'pdf', 'html' or 'both'
  * @returns {Object} Validation result for the specific format
  */
 export const validateFormatBucket = (format) => {
-  const isPdfFormat = format === 'pdf';
-  const bucketConfigured = isPdfFormat
-    ? (process.env.REACT_APP_PDF_BUCKET_NAME && process.env.REACT_APP_PDF_BUCKET_NAME !== 'Null')
-    : (process.env.REACT_APP_HTML_BUCKET_NAME && process.env.REACT_APP_HTML_BUCKET_NAME !== 'Null');
+  const pdfBucketConfigured = process.env.REACT_APP_PDF_BUCKET_NAME && process.env.REACT_APP_PDF_BUCKET_NAME !== 'Null';
+  const htmlBucketConfigured = process.env.REACT_APP_HTML_BUCKET_NAME && process.env.REACT_APP_HTML_BUCKET_NAME !== 'Null';
+
+  let bucketConfigured;
+  let bucketType;
+  if (format === 'both') {
+    bucketConfigured = pdfBucketConfigured && htmlBucketConfigured;
+    bucketType = 'PDF and HTML Buckets';
+  } else if (format === 'pdf') {
+    bucketConfigured = pdfBucketConfigured;
+    bucketType = 'PDF Bucket';
+  } else {
+    bucketConfigured = htmlBucketConfigured;
+    bucketType = 'HTML Bucket';
+  }
 
   return {
     isConfigured: bucketConfigured,
     needsDeployment: !bucketConfigured,
     format: format,
-    bucketType: isPdfFormat ? 'PDF Bucket' : 'HTML Bucket',
+    bucketType,
     deploymentUrl: 'https://github.com/ASUCICREPO/PDF_Accessibility'
   };
 };
 
+// How a "both formats" upload counts against the quota: 'separate' (one PDF and one HTML job) or 'combined' (one job)
+export const BothFormatsUsageMode = process.env.REACT_APP_BOTH_FORMATS_USAGE === 'combined' ? 'combined' : 'separate';
+
 export const DomainPrefix = process.env.REACT_APP_DOMAIN_PREFIX;
 export const HostedUIUrl = process.env.REACT_APP_HOSTED_UI_URL;
 export const IndentityPoolId = process.env.REACT_APP_IDENTITY_POOL_ID;
 
 export const FirstSignInAPI = process.env.REACT_APP_UPDATE_FIRST_SIGN_IN;
 export const CheckAndIncrementQuota = process.env.REACT_APP_UPLOAD_QUOTA_API;
+// Stores passwords of protected PDFs for the pipeline (storePdfPassword Lambda)
+export const PdfPasswordAPI = process.env.REACT_APP_PDF_PASSWORD_API;
+// Lists the user's own files (listUserFiles Lambda); the identity pool role can't list the buckets
+export const FilesAPI = process.env.REACT_APP_FILES_API;
+// Cancels the user's uploads and resumes or aborts their multipart uploads (manageUploads Lambda)
+export const UploadsAPI = process.env.REACT_APP_UPLOADS_API;
 
 export const UserPoolClientId = process.env.REACT_APP_USER_POOL_CLIENT_ID;
 export const UserPoolId = process.env.REACT_APP_USER_POOL_ID;
 
+// Where users are sent when remediation fails or they need help
+export const SupportEmail = process.env.REACT_APP_SUPPORT_EMAIL || 'shakyap@sonoma.edu';
+
 
 
 
@@ -0,0 +1,106 @@
+// Primary languages offered in the picker; any other valid BCP-47 tag can be typed in
+export const LANGUAGE_OPTIONS = [
+  "en",
+  "en-US",
+  "en-GB",
+  "es",
+  "es-MX",
+  "fr",
+  "fr-CA",
+  "de",
+  "it",
+  "pt",
+  "pt-BR",
+  "nl",
+  "pl",
+  "ru",
+  "uk",
+  "ar",
+  "hi",
+  "vi",
+  "tl",
+  "ko",
+  "ja",
+  "zh-Hans",
+  "zh-Hant",
+];
+
+// S3 allows 2 KB of user metadata per object; leave room for the other keys we send
+const MAX_METADATA_BYTES = 1800;
+
+/**
+ * Normalize a language tag, e.g. "EN-us" -> "en-US"
+ * @param {string} tag - Tag typed or picked by the user
+ * @returns {string|null} Canonical BCP-47 tag, or null if the tag is not valid
+ */
+export const canonicalizeLanguageTag = (tag) => {
+  if (!tag || !tag.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {string} tag - BCP-47 tag
+ * @returns {string} Human readable name with the tag, e.g. "English (United States) – en-US"
+ */
+export const getLanguageLabel = (tag) => {
+  try {
+    const name = new Intl.DisplayNames(["en"], { type: "language" }).of(tag);
+    return name && name !== tag ? `${name} – ${tag}` : tag;
+  } catch (error) {
+    return tag;
+  }
+};
+
+/**
+ * Form values pre-filled from the PDF's Info dictionary and catalog
+ * @param {Object} report - Result of analyzePdf
+ * @returns {Object} { title, language, author, subject }
+ */
+export const getDocumentMetadataDefaults = (report) => ({
+  title: report?.title || "",
+  language: canonicalizeLanguageTag(report?.language) || "",
+  author: report?.author || "",
+  subject: report?.subject || "",
+});
+
+/**
+ * Encode the non-empty fields as S3 object metadata. Header values must be
+ * ASCII, so values are URI-encoded and the backend decodes them.
+ * @param {Object} values - Form values
+ * @returns {Object} Metadata entries (title, language, author, subject)
+ */
+export const toS3Metadata = (values) => {
+  const metadata = {};
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const trimmed = (value || "").trim();
+    if (!trimmed) return;
+    metadata[key] = encodeURIComponent(
+      key === "language" ? canonicalizeLanguageTag(trimmed) : trimmed
+    );
+  });
+  return metadata;
+};
+
+/**
+ * @param {Object} values - Form values
+ * @returns {Object} Error message per field; empty when the values can be sent
+ */
+export const validateDocumentMetadata = (values) => {
+  const errors = {};
+  if (values.language?.trim() && !canonicalizeLanguageTag(values.language)) {
+    errors.language = "Enter a valid language tag, such as en or es-MX.";
+  }
+
+  const size = Object.entries(toS3Metadata(values)).reduce(
+    (total, [key, value]) => total + key.length + value.length,
+    0
+  );
+  if (!errors.language && size > MAX_METADATA_BYTES) {
+    errors.form = "Document details are too long. Please shorten them.";
+  }
+  return errors;
+};
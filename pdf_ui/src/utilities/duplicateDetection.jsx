@@ -0,0 +1,112 @@
+import { HTMLBucket, PDFBucket } from "./constants";
+import { getHashIndexKey, getJobPipelines, getResultKey } from "./s3Keys";
+
+/**
+ * SHA-256 of the file contents, computed in the browser
+ * @param {File} file - File selected by the user
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export const computeFileSha256 = async (file) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await file.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Bucket each pipeline uploads to and writes its results in
+const PIPELINE_BUCKETS = {
+  pdf: () => PDFBucket,
+  html: () => HTMLBucket,
+};
+
+const readHashIndex = async (storage, bucket, key) => {
+  try {
+    const { body } = await storage.getObjectText({ bucket, key });
+    return JSON.parse(body);
+  } catch (error) {
+    // Missing objects come back as 403 without s3:ListBucket, so any failure means "no entry"
+    return null;
+  }
+};
+
+const objectExists = async (storage, bucket, key) => {
+  try {
+    await storage.headObject({ bucket, key });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Look for a finished remediation of the same file contents by this user.
+ * For "both", a match requires both outputs of the same earlier upload.
+ * @param {Object} options - { storage, sanitizedEmail, sha256, format }
+ * @returns {Promise<Object|null>} { uniqueFilename, sanitizedFileName, uploadedAt } or null
+ */
+export const findExistingResult = async ({
+  storage,
+  sanitizedEmail,
+  sha256,
+  format,
+}) => {
+  const key = getHashIndexKey(sanitizedEmail, sha256);
+  let match = null;
+
+  for (const pipeline of getJobPipelines(format)) {
+    const bucket = PIPELINE_BUCKETS[pipeline]();
+    const entry = await readHashIndex(storage, bucket, key);
+    if (!entry || (match && entry.uniqueFilename !== match.uniqueFilename)) {
+      return null;
+    }
+    if (
+      !(await objectExists(
+        storage,
+        bucket,
+        getResultKey(entry.uniqueFilename, pipeline)
+      ))
+    ) {
+      return null;
+    }
+    match = entry;
+  }
+
+  return match;
+};
+
+/**
+ * Remember which upload a file hash produced so later uploads can reuse it.
+ * Failures are logged only: the upload itself has already succeeded.
+ * @param {Object} options - { storage, sanitizedEmail, sha256, format, uniqueFilename, sanitizedFileName }
+ */
+export const recordUploadHash = async ({
+  storage,
+  sanitizedEmail,
+  sha256,
+  format,
+  uniqueFilename,
+  sanitizedFileName,
+}) => {
+  const body = JSON.stringify({
+    sha256,
+    uniqueFilename,
+    sanitizedFileName,
+    uploadedAt: new Date().toISOString(),
+  });
+
+  for (const pipeline of getJobPipelines(format)) {
+    try {
+      await storage.putObject({
+        bucket: PIPELINE_BUCKETS[pipeline](),
+        key: getHashIndexKey(sanitizedEmail, sha256),
+        body,
+        contentType: "application/json",
+      });
+    } catch (error) {
+      console.warn("Unable to record upload hash:", error);
+    }
+  }
+};
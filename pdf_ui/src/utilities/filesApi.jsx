@@ -0,0 +1,36 @@
+import { FilesAPI } from "./constants";
+
+/**
+ * List the caller's own objects under a prefix through the files API (listUserFiles
+ * Lambda). The identity pool role has no s3:ListBucket, so this replaces
+ * ListObjectsV2 against AWS. Only prefixes that start with the user's unique file
+ * names (results, revisions, temp/ files) are accepted.
+ * @param {Object} options - { idToken, bucket, prefix }
+ * @returns {Promise<Array<Object>>} [{ key, lastModified (Date), size }]
+ * @throws {Error} S3-style error (name and $metadata.httpStatusCode), so
+ *   classifyS3Error treats it like a failed ListObjectsV2 call
+ */
+export const listUserFiles = async ({ idToken, bucket, prefix }) => {
+  if (!FilesAPI) {
+    throw new Error(
+      "Files can't be listed: the files API is not configured (REACT_APP_FILES_API)."
+    );
+  }
+  const url = `${FilesAPI}?${new URLSearchParams({ bucket, prefix })}`;
+  const res = await fetch(url, {
+    headers: { Authorization: `Bearer ${idToken}` },
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.message || "Unable to list files.");
+    error.name = res.status === 403 ? "AccessDenied" : "FilesApiError";
+    error.$metadata = { httpStatusCode: res.status };
+    throw error;
+  }
+  return (data.objects || []).map((item) => ({
+    key: item.key,
+    lastModified: new Date(item.lastModified),
+    size: item.size,
+  }));
+};
@@ -0,0 +1,286 @@
+import JSZip from "jszip";
+
+// Only used to resolve references between files of the zip
+const ZIP_ORIGIN = "https://zip.invalid";
+
+const MIME_TYPES = {
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  js: "text/javascript",
+  json: "application/json",
+  txt: "text/plain",
+  xml: "application/xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+  pdf: "application/pdf",
+};
+
+export const ZIP_FILE_KINDS = {
+  PAGE: "page",
+  IMAGE: "image",
+  STYLESHEET: "stylesheet",
+  OTHER: "other",
+};
+
+const getExtension = (path) => {
+  const match = /\.([^./]+)$/.exec(path);
+  return match ? match[1].toLowerCase() : "";
+};
+
+const getMimeType = (path) =>
+  MIME_TYPES[getExtension(path)] || "application/octet-stream";
+
+const getKind = (path) => {
+  const mimeType = getMimeType(path);
+  if (mimeType === "text/html") return ZIP_FILE_KINDS.PAGE;
+  if (mimeType === "text/css") return ZIP_FILE_KINDS.STYLESHEET;
+  if (mimeType.startsWith("image/")) return ZIP_FILE_KINDS.IMAGE;
+  return ZIP_FILE_KINDS.OTHER;
+};
+
+// macOS archive metadata and hidden files aren't part of the output
+const isHiddenPath = (path) =>
+  path.startsWith("__MACOSX/") ||
+  path.split("/").some((part) => /^\./.test(part));
+
+/**
+ * Zip path a reference in one of the zip's files points to
+ * @param {string} fromPath - Zip path of the file containing the reference
+ * @param {string} reference - href / src / url() value
+ * @returns {Object|null} { path, hash }; null for external, data and fragment-only references
+ */
+export const resolveZipReference = (fromPath, reference) => {
+  const value = (reference || "").trim();
+  if (!value || value.startsWith("#") || value.startsWith("//")) return null;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return null;
+  try {
+    const url = new URL(value, `${ZIP_ORIGIN}/${fromPath}`);
+    if (url.origin !== ZIP_ORIGIN) return null;
+    return {
+      path: decodeURIComponent(url.pathname.slice(1)),
+      hash: url.hash ? decodeURIComponent(url.hash.slice(1)) : "",
+    };
+  } catch {
+    return null;
+  }
+};
+
+const isExternalLink = (reference) =>
+  /^(https?:|mailto:|tel:)/i.test(reference) || reference.startsWith("//");
+
+/**
+ * Open the zip produced by the HTML pipeline for previewing it in a sandboxed iframe.
+ * Pages are rewritten so their images and stylesheets load from blob URLs, and
+ * links between pages carry a data-preview-page attribute instead of navigating.
+ * External links are marked with data-preview-external, and scripts and meta
+ * refreshes are removed. Call dispose() when done to release the blob URLs.
+ * @param {Uint8Array|ArrayBuffer|Blob} data - The zip file
+ * @returns {Promise<Object>} { files, getPage(path), getFileUrl(path), dispose() }
+ *   files - { path, kind } for every file, sorted by path
+ */
+export const openHtmlZip = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const entries = new Map();
+  zip.forEach((path, entry) => {
+    if (!entry.dir && !isHiddenPath(path)) entries.set(path, entry);
+  });
+
+  const files = Array.from(entries.keys())
+    .sort((a, b) => a.localeCompare(b))
+    .map((path) => ({ path, kind: getKind(path) }));
+
+  const urls = new Map();
+  let disposed = false;
+
+  const createUrl = async (path) => {
+    const entry = entries.get(path);
+    let blob;
+    if (getKind(path) === ZIP_FILE_KINDS.STYLESHEET) {
+      const css = await rewriteCss(await entry.async("string"), path);
+      blob = new Blob([css], { type: "text/css" });
+    } else {
+      blob = new Blob([await entry.async("uint8array")], {
+        type: getMimeType(path),
+      });
+    }
+    const url = URL.createObjectURL(blob);
+    if (disposed) URL.revokeObjectURL(url);
+    return url;
+  };
+
+  // One blob URL per file, shared by every page that uses it
+  const getFileUrl = (path) => {
+    if (!entries.has(path)) return Promise.resolve(null);
+    if (!urls.has(path)) urls.set(path, createUrl(path));
+    return urls.get(path);
+  };
+
+  const replaceAsync = async (text, pattern, replacer) => {
+    const matches = Array.from(text.matchAll(pattern));
+    const replacements = await Promise.all(
+      matches.map((match) => replacer(...match))
+    );
+    let result = "";
+    let lastIndex = 0;
+    matches.forEach((match, i) => {
+      result += text.slice(lastIndex, match.index) + replacements[i];
+      lastIndex = match.index + match[0].length;
+    });
+    return result + text.slice(lastIndex);
+  };
+
+  // url(...) in a stylesheet or style attribute; @import "..." is left as is
+  const rewriteCss = (css, fromPath) =>
+    replaceAsync(
+      css,
+      /url\(\s*(['"]?)([^'")]+)\1\s*\)/g,
+      async (match, quote, reference) => {
+        const target = resolveZipReference(fromPath, reference);
+        const url = target && (await getFileUrl(target.path));
+        return url ? `url("${url}")` : match;
+      }
+    );
+
+  const rewriteAttribute = async (element, attribute, fromPath) => {
+    const target = resolveZipReference(
+      fromPath,
+      element.getAttribute(attribute)
+    );
+    const url = target && (await getFileUrl(target.path));
+    if (url) element.setAttribute(attribute, url);
+  };
+
+  /**
+   * @param {string} path - Zip path of an HTML page
+   * @returns {Promise<string>} Document for the iframe's srcdoc
+   */
+  const getPage = async (path) => {
+    const entry = entries.get(path);
+    if (!entry) throw new Error(`${path} is not in the zip`);
+    const doc = new DOMParser().parseFromString(
+      await entry.async("string"),
+      "text/html"
+    );
+
+    // The sandbox blocks scripts; dropping them keeps the preview's console quiet
+    doc.querySelectorAll("script").forEach((script) => script.remove());
+    // A meta refresh would navigate the preview away from the zip's page
+    doc.querySelectorAll("meta[http-equiv]").forEach((meta) => {
+      if (meta.getAttribute("http-equiv").trim().toLowerCase() === "refresh") {
+        meta.remove();
+      }
+    });
+    doc.querySelectorAll("img[srcset], source[srcset]").forEach((element) => {
+      element.removeAttribute("srcset");
+    });
+
+    const pending = [];
+    doc
+      .querySelectorAll("img[src], source[src], video[src], audio[src]")
+      .forEach((element) => {
+        pending.push(rewriteAttribute(element, "src", path));
+      });
+    doc.querySelectorAll("link[href]").forEach((element) => {
+      pending.push(rewriteAttribute(element, "href", path));
+    });
+    doc.querySelectorAll("style").forEach((element) => {
+      pending.push(
+        rewriteCss(element.textContent, path).then((css) => {
+          element.textContent = css;
+        })
+      );
+    });
+    doc.querySelectorAll("[style]").forEach((element) => {
+      pending.push(
+        rewriteCss(element.getAttribute("style"), path).then((css) => {
+          element.setAttribute("style", css);
+        })
+      );
+    });
+    doc.querySelectorAll("a[href]").forEach((link) => {
+      const reference = link.getAttribute("href");
+      const target = resolveZipReference(path, reference);
+      if (target && entries.has(target.path)) {
+        link.setAttribute("data-preview-page", target.path);
+        link.setAttribute("data-preview-hash", target.hash);
+      } else if (isExternalLink(reference)) {
+        // Opened by the preview in a new tab; the sandbox allows no popups
+        link.setAttribute("data-preview-external", "");
+      }
+    });
+    await Promise.all(pending);
+
+    return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+  };
+
+  const dispose = () => {
+    disposed = true;
+    urls.forEach((url) =>
+      url.then((value) => value && URL.revokeObjectURL(value)).catch(() => {})
+    );
+    urls.clear();
+  };
+
+  return { files, getPage, getFileUrl, dispose };
+};
+
+/**
+ * Page to show first: the shallowest index.html, otherwise the first page
+ * @param {Array<Object>} files - From openHtmlZip
+ * @returns {string|null} Zip path
+ */
+export const getStartPage = (files) => {
+  const pages = files.filter((file) => file.kind === ZIP_FILE_KINDS.PAGE);
+  const depth = (path) => path.split("/").length;
+  const index = pages
+    .filter((file) => /(^|\/)index\.html?$/i.test(file.path))
+    .sort((a, b) => depth(a.path) - depth(b.path))[0];
+  return (index || pages[0])?.path || null;
+};
+
+/**
+ * Files of the zip as a folder tree
+ * @param {Array<Object>} files - From openHtmlZip
+ * @returns {Array<Object>} Nodes { name, path, children } for folders and
+ *   { name, path, kind } for files; folders first, then by name
+ */
+export const buildFileTree = (files) => {
+  const root = { children: [] };
+  files.forEach((file) => {
+    const parts = file.path.split("/");
+    let folder = root;
+    parts.slice(0, -1).forEach((name, i) => {
+      const path = parts.slice(0, i + 1).join("/");
+      let child = folder.children.find(
+        (node) => node.children && node.path === path
+      );
+      if (!child) {
+        child = { name, path, children: [] };
+        folder.children.push(child);
+      }
+      folder = child;
+    });
+    folder.children.push({ ...file, name: parts[parts.length - 1] });
+  });
+
+  const sortNodes = (nodes) =>
+    nodes
+      .map((node) =>
+        node.children ? { ...node, children: sortNodes(node.children) } : node
+      )
+      .sort(
+        (a, b) =>
+          Number(!!b.children) - Number(!!a.children) ||
+          a.name.localeCompare(b.name)
+      );
+  return sortNodes(root.children);
+};
@@ -0,0 +1,139 @@
+import { useCallback, useEffect, useState } from "react";
+
+const STORAGE_PREFIX = "pdfAccessibility.jobs.";
+// Same-tab updates; other tabs are notified through the "storage" event
+const JOBS_CHANGED_EVENT = "pdfAccessibility:jobsChanged";
+const MAX_STORED_JOBS = 50;
+const FINISHED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * A job is one upload being (or having been) remediated:
+ * {
+ *   updatedName: "<sanitized email>_<timestamp>_<name>.pdf",  // unique upload file name, also the job id
+ *   name: "<original file name>",
+ *   format: "pdf" | "html" | "both",
+ *   pageCount: 12,                                            // pages sent, if known
+ *   fileSize: 482133,                                         // bytes sent, if known
+ *   startedAt: 1700000000000,
+ *   status: "processing" | "completed" | "failed" | "cancelled",
+ *   finishedAt: 1700000300000,                                // finished jobs only
+ *   retriedAt: 1700000100000,                                 // start of the latest retry, if any
+ *   quotaReservations: [{ conversionType: "pdf", reservationId: "…" }], // reserved for the upload
+ *   reused: true,                                             // shows an earlier upload; nothing was reserved
+ * }
+ */
+const getStorageKey = (userSub) => `${STORAGE_PREFIX}${userSub}`;
+
+/**
+ * @param {string} userSub - Cognito user id the jobs belong to
+ * @returns {Array<Object>} Stored jobs, newest first
+ */
+export const loadJobs = (userSub) => {
+  if (!userSub) return [];
+  try {
+    const raw = localStorage.getItem(getStorageKey(userSub));
+    const jobs = raw ? JSON.parse(raw) : [];
+    return Array.isArray(jobs) ? jobs : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Finished jobs are forgotten after a week; unfinished ones only if the list overflows
+const pruneJobs = (jobs) => {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  return jobs
+    .filter(
+      (job) => job.status === "processing" || (job.finishedAt || 0) > cutoff
+    )
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, MAX_STORED_JOBS);
+};
+
+const saveJobs = (userSub, jobs) => {
+  try {
+    localStorage.setItem(
+      getStorageKey(userSub),
+      JSON.stringify(pruneJobs(jobs))
+    );
+  } catch (error) {
+    // Storage full or disabled: jobs are still tracked until the page is reloaded
+    console.warn("Unable to persist jobs:", error);
+  }
+  window.dispatchEvent(
+    new CustomEvent(JOBS_CHANGED_EVENT, { detail: userSub })
+  );
+};
+
+/**
+ * Jobs of the signed-in user, kept in sync across components and tabs
+ * @param {string} userSub - Cognito user id (auth.user.profile.sub)
+ * @returns {Object} { jobs, addJob, updateJob, removeJob }
+ */
+export const useJobStore = (userSub) => {
+  const [jobs, setJobs] = useState(() => loadJobs(userSub));
+
+  useEffect(() => {
+    setJobs(loadJobs(userSub));
+    if (!userSub) return undefined;
+
+    const reload = () => setJobs(loadJobs(userSub));
+    const handleStorage = (e) => {
+      if (e.key === getStorageKey(userSub)) reload();
+    };
+    const handleJobsChanged = (e) => {
+      if (e.detail === userSub) reload();
+    };
+
+    window.addEventListener("storage", handleStorage);
+    window.addEventListener(JOBS_CHANGED_EVENT, handleJobsChanged);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+      window.removeEventListener(JOBS_CHANGED_EVENT, handleJobsChanged);
+    };
+  }, [userSub]);
+
+  // Each update re-reads storage so changes made by other tabs aren't overwritten.
+  // Reusing an earlier upload that is still tracked keeps its job as it is, with the
+  // reservations a cancel refunds and the time of its latest retry.
+  const addJob = useCallback(
+    (job) => {
+      if (!userSub) return;
+      const tracked = loadJobs(userSub).some(
+        (j) => j.updatedName === job.updatedName
+      );
+      if (job.reused && tracked) return;
+      saveJobs(userSub, [
+        { status: "processing", startedAt: Date.now(), ...job },
+        ...loadJobs(userSub).filter((j) => j.updatedName !== job.updatedName),
+      ]);
+    },
+    [userSub]
+  );
+
+  const updateJob = useCallback(
+    (updatedName, changes) => {
+      if (!userSub) return;
+      saveJobs(
+        userSub,
+        loadJobs(userSub).map((job) =>
+          job.updatedName === updatedName ? { ...job, ...changes } : job
+        )
+      );
+    },
+    [userSub]
+  );
+
+  const removeJob = useCallback(
+    (updatedName) => {
+      if (!userSub) return;
+      saveJobs(
+        userSub,
+        loadJobs(userSub).filter((job) => job.updatedName !== updatedName)
+      );
+    },
+    [userSub]
+  );
+
+  return { jobs, addJob, updateJob, removeJob };
+};
@@ -0,0 +1,63 @@
+import { act, renderHook } from "@testing-library/react";
+import { loadJobs, useJobStore } from "./jobStore";
+
+const userSub = "user-1";
+const updatedName = "jane_20250102093015123_report.pdf";
+const quotaReservations = [{ conversionType: "pdf", reservationId: "r-1" }];
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+test("reusing a tracked upload keeps its job", () => {
+  const { result } = renderHook(() => useJobStore(userSub));
+  act(() => {
+    result.current.addJob({
+      name: "report.pdf",
+      updatedName,
+      format: "pdf",
+      startedAt: 1000,
+      quotaReservations,
+    });
+    result.current.updateJob(updatedName, { retriedAt: 2000 });
+  });
+
+  act(() => {
+    result.current.addJob({
+      name: "report.pdf",
+      updatedName,
+      format: "pdf",
+      reused: true,
+    });
+  });
+
+  expect(loadJobs(userSub)).toEqual([
+    expect.objectContaining({
+      updatedName,
+      startedAt: 1000,
+      retriedAt: 2000,
+      quotaReservations,
+    }),
+  ]);
+  expect(loadJobs(userSub)[0].reused).toBeUndefined();
+});
+
+test("tracks a reused upload that isn't tracked yet", () => {
+  const { result } = renderHook(() => useJobStore(userSub));
+  act(() => {
+    result.current.addJob({
+      name: "report.pdf",
+      updatedName,
+      format: "pdf",
+      reused: true,
+    });
+  });
+
+  expect(result.current.jobs).toEqual([
+    expect.objectContaining({
+      updatedName,
+      reused: true,
+      status: "processing",
+    }),
+  ]);
+});
@@ -0,0 +1,208 @@
+// Shared by every storage instance in the page and lost on reload: bucket -> key -> object,
+// where an object is { blob, contentType, metadata, lastModified, url }
+const buckets = new Map();
+// Multipart uploads in progress: upload id -> { bucket, key, contentType, metadata, parts }
+const multipartUploads = new Map();
+let nextUploadId = 1;
+
+// Errors shaped like the SDK's, so classifyS3Error treats both backends alike
+const createStorageError = (name, status, message) => {
+  const error = new Error(message);
+  error.name = name;
+  error.$metadata = { httpStatusCode: status };
+  return error;
+};
+
+const createAbortError = () =>
+  new DOMException("The upload was cancelled.", "AbortError");
+
+const getBucket = (bucket) => {
+  if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+  return buckets.get(bucket);
+};
+
+const findObject = (bucket, key, errorName) => {
+  const object = getBucket(bucket).get(key);
+  if (!object) {
+    throw createStorageError(errorName, 404, `No object at ${bucket}/${key}`);
+  }
+  return object;
+};
+
+const findUpload = (uploadId) => {
+  const upload = multipartUploads.get(uploadId);
+  if (!upload) {
+    throw createStorageError("NoSuchUpload", 404, `No upload ${uploadId}`);
+  }
+  return upload;
+};
+
+// FileReader rather than Blob.arrayBuffer/text, which older test environments lack
+const readBlob = (blob, as) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () =>
+      resolve(as === "text" ? reader.result : new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    if (as === "text") reader.readAsText(blob);
+    else reader.readAsArrayBuffer(blob);
+  });
+
+// Strings, byte arrays and blobs are all kept as a Blob
+const toBlob = (body, contentType) =>
+  new Blob(body === undefined ? [] : [body], { type: contentType || "" });
+
+const writeObject = (bucket, key, object) => {
+  const objects = getBucket(bucket);
+  const previous = objects.get(key);
+  if (previous?.url) URL.revokeObjectURL(previous.url);
+  objects.set(key, {
+    ...object,
+    metadata: { ...(object.metadata || {}) },
+    lastModified: new Date(),
+    url: null,
+  });
+};
+
+const readObject = async (bucket, key, as) => {
+  const { blob, lastModified, contentType, metadata } = findObject(
+    bucket,
+    key,
+    "NoSuchKey"
+  );
+  return {
+    body: await readBlob(blob, as),
+    lastModified,
+    contentType,
+    metadata: { ...metadata },
+  };
+};
+
+/**
+ * Storage kept in the page's memory, for running the UI without any S3 at all.
+ * Nothing processes the uploads, so results have to be put in place by hand
+ * (or by a test) with putObject. Implements the interface described in storage.jsx.
+ * @returns {Object} Storage service
+ */
+export const createMemoryStorage = () => ({
+  getObject: ({ bucket, key }) => readObject(bucket, key, "bytes"),
+
+  getObjectText: ({ bucket, key }) => readObject(bucket, key, "text"),
+
+  headObject: async ({ bucket, key }) => {
+    const { blob, lastModified, contentType, metadata } = findObject(
+      bucket,
+      key,
+      "NotFound"
+    );
+    return {
+      lastModified,
+      contentType,
+      size: blob.size,
+      metadata: { ...metadata },
+    };
+  },
+
+  putObject: async ({ bucket, key, body, contentType, metadata }) => {
+    writeObject(bucket, key, {
+      blob: toBlob(body, contentType),
+      contentType,
+      metadata,
+    });
+  },
+
+  copyObject: async ({
+    sourceBucket,
+    sourceKey,
+    bucket,
+    key,
+    contentType,
+    metadata,
+  }) => {
+    const source = findObject(sourceBucket || bucket, sourceKey, "NoSuchKey");
+    writeObject(bucket, key, {
+      blob: source.blob,
+      contentType: metadata ? contentType : source.contentType,
+      metadata: metadata || source.metadata,
+    });
+  },
+
+  deleteObject: async ({ bucket, key }) => {
+    const objects = getBucket(bucket);
+    const object = objects.get(key);
+    if (object?.url) URL.revokeObjectURL(object.url);
+    objects.delete(key);
+  },
+
+  listObjects: async ({ bucket, prefix = "" }) =>
+    [...getBucket(bucket).entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, object]) => ({
+        key,
+        lastModified: object.lastModified,
+        size: object.blob.size,
+      })),
+
+  // A blob URL per object version; the file name can't be carried by a blob URL
+  getDownloadUrl: async ({ bucket, key }) => {
+    const object = findObject(bucket, key, "NoSuchKey");
+    if (!object.url) object.url = URL.createObjectURL(object.blob);
+    return object.url;
+  },
+
+  createMultipartUpload: async ({ bucket, key, contentType, metadata }) => {
+    const uploadId = `memory-upload-${nextUploadId++}`;
+    multipartUploads.set(uploadId, {
+      bucket,
+      key,
+      contentType,
+      metadata,
+      parts: new Map(),
+    });
+    return uploadId;
+  },
+
+  listParts: async ({ uploadId }) =>
+    [...findUpload(uploadId).parts.entries()].map(([partNumber, part]) => ({
+      partNumber,
+      etag: part.etag,
+    })),
+
+  uploadPart: async ({ uploadId, partNumber, body, onProgress, signal }) => {
+    if (signal?.aborted) throw createAbortError();
+    const upload = findUpload(uploadId);
+    const etag = `"${uploadId}-${partNumber}"`;
+    upload.parts.set(partNumber, { etag, blob: toBlob(body) });
+    onProgress?.(upload.parts.get(partNumber).blob.size);
+    return etag;
+  },
+
+  completeMultipartUpload: async ({ uploadId, parts }) => {
+    const upload = findUpload(uploadId);
+    writeObject(upload.bucket, upload.key, {
+      blob: toBlob(
+        new Blob(
+          parts.map(({ partNumber }) => upload.parts.get(partNumber).blob)
+        ),
+        upload.contentType
+      ),
+      contentType: upload.contentType,
+      metadata: upload.metadata,
+    });
+    multipartUploads.delete(uploadId);
+  },
+
+  abortMultipartUpload: async ({ uploadId }) => {
+    multipartUploads.delete(uploadId);
+  },
+});
+
+/** Forget every stored object and upload, e.g. between tests */
+export const clearMemoryStorage = () => {
+  buckets.forEach((objects) =>
+    objects.forEach((object) => object.url && URL.revokeObjectURL(object.url))
+  );
+  buckets.clear();
+  multipartUploads.clear();
+};
@@ -0,0 +1,164 @@
+import { clearMemoryStorage, createMemoryStorage } from "./memoryStorage";
+import {
+  findResumableUpload,
+  listInterruptedUploads,
+  uploadFileMultipart,
+} from "./multipartUpload";
+import {
+  cancelPipeline,
+  fetchPipelineStatus,
+  retriggerPipeline,
+} from "./pipelineStatus";
+import { S3_ERROR_KINDS, classifyS3Error } from "./s3Errors";
+import { getFailureMarkerKey, getUploadKey } from "./s3Keys";
+
+const bucket = "pdf-bucket";
+const uniqueFilename = "jane_20250102093015123_report.pdf";
+const uploadKey = getUploadKey(uniqueFilename, "pdf");
+
+const file = new File(["%PDF-1.7"], "report.pdf", { type: "application/pdf" });
+
+const upload = (storage, { owner = "user-1", key = uploadKey } = {}) =>
+  uploadFileMultipart({
+    storage,
+    owner,
+    bucket,
+    key,
+    file,
+    metadata: { sha256: "abc" },
+  });
+
+afterEach(() => {
+  clearMemoryStorage();
+  localStorage.clear();
+});
+
+test("stores a multipart upload as one object", async () => {
+  const storage = createMemoryStorage();
+  const { key } = await upload(storage);
+
+  expect(key).toBe(uploadKey);
+  expect(await storage.headObject({ bucket, key })).toMatchObject({
+    contentType: "application/pdf",
+    size: 8,
+    metadata: { sha256: "abc" },
+  });
+  expect((await storage.getObjectText({ bucket, key })).body).toBe("%PDF-1.7");
+  expect(await storage.listObjects({ bucket, prefix: "pdf/" })).toEqual([
+    expect.objectContaining({ key: uploadKey, size: 8 }),
+  ]);
+});
+
+test("is shared by every instance", async () => {
+  await upload(createMemoryStorage());
+  expect(
+    await createMemoryStorage().listObjects({ bucket, prefix: "pdf/" })
+  ).toHaveLength(1);
+});
+
+test("only resumes interrupted uploads of the same user", async () => {
+  const storage = createMemoryStorage();
+  const failing = {
+    ...storage,
+    completeMultipartUpload: async () => {
+      throw new Error("Network error");
+    },
+  };
+  await expect(upload(failing)).rejects.toThrow("Network error");
+  expect(listInterruptedUploads("user-1")).toEqual([
+    expect.objectContaining({ key: uploadKey, fileName: "report.pdf" }),
+  ]);
+  expect(listInterruptedUploads("user-2")).toEqual([]);
+  // Known before uploading, so the quota reservation can name the key
+  expect(
+    findResumableUpload({
+      owner: "user-1",
+      bucket,
+      file,
+      metadata: { sha256: "abc" },
+    })
+  ).toMatchObject({ key: uploadKey });
+  expect(
+    findResumableUpload({ owner: "user-1", bucket, file, metadata: {} })
+  ).toBeNull();
+  expect(
+    findResumableUpload({
+      owner: "user-2",
+      bucket,
+      file,
+      metadata: { sha256: "abc" },
+    })
+  ).toBeNull();
+
+  const otherKey = getUploadKey("joe_20250102093015123_report.pdf", "pdf");
+  const { key, resumed } = await upload(storage, {
+    owner: "user-2",
+    key: otherKey,
+  });
+  expect({ key, resumed }).toEqual({ key: otherKey, resumed: false });
+  expect(listInterruptedUploads("user-1")).toHaveLength(1);
+});
+
+test("reports missing objects like S3", async () => {
+  const storage = createMemoryStorage();
+  const error = await storage
+    .headObject({ bucket, key: "result/missing.pdf" })
+    .catch((err) => err);
+  expect(classifyS3Error(error)).toBe(S3_ERROR_KINDS.NOT_FOUND);
+});
+
+test("supports retrying, failure markers and cancelling", async () => {
+  const storage = createMemoryStorage();
+  await upload(storage);
+
+  await retriggerPipeline({ storage, bucket, uploadKey });
+  const { metadata } = await storage.headObject({ bucket, key: uploadKey });
+  expect(metadata).toMatchObject({ sha256: "abc" });
+  expect(metadata["retried-at"]).toBeDefined();
+
+  await storage.putObject({
+    bucket,
+    key: getFailureMarkerKey(uniqueFilename),
+    body: JSON.stringify({ stage: "merge", message: "Merge failed" }),
+  });
+  const status = await fetchPipelineStatus({
+    storage,
+    bucket,
+    uniqueFilename,
+    format: "pdf",
+  });
+  expect(status).toMatchObject({
+    failedStage: "merge",
+    errorMessage: "Merge failed",
+  });
+
+  // The failure marker shows a run had started, so the quota is kept
+  const { started } = await cancelPipeline({
+    storage,
+    bucket,
+    pipeline: "pdf",
+    uploadKey,
+    uniqueFilename,
+  });
+  expect(started).toBe(true);
+  await expect(
+    storage.headObject({ bucket, key: uploadKey })
+  ).rejects.toMatchObject({ name: "NotFound" });
+});
+
+test("reports cancelling before any stage started", async () => {
+  const storage = createMemoryStorage();
+  await upload(storage);
+
+  const { started } = await cancelPipeline({
+    storage,
+    bucket,
+    pipeline: "pdf",
+    uploadKey,
+    uniqueFilename,
+  });
+  expect(started).toBe(false);
+  expect(
+    await storage.listObjects({ bucket, prefix: "cancelled/" })
+  ).toHaveLength(1);
+});
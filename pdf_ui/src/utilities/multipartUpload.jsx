@@ -0,0 +1,304 @@
+// S3 requires every part except the last to be at least 5 MB
+export const PART_SIZE = 8 * 1024 * 1024;
+const PART_CONCURRENCY = 3;
+const MAX_PART_ATTEMPTS = 4;
+const STORAGE_PREFIX = "pdfAccessibility.multipartUpload.";
+
+// Uploads of each signed-in user are kept apart, since their keys contain the user's email
+const getOwnerPrefix = (owner) => `${STORAGE_PREFIX}${owner}:`;
+
+/**
+ * Identify a file across page reloads. A File object can't be persisted,
+ * so a resumed upload is matched when the user selects the same file again.
+ * @param {string} owner - Cognito sub of the signed-in user
+ * @param {string} bucket - Destination bucket
+ * @param {File} file - File being uploaded
+ * @returns {string} Local storage key for the upload state
+ */
+const getResumeKey = (owner, bucket, file) =>
+  `${getOwnerPrefix(owner)}${bucket}:${file.name}:${file.size}:${
+    file.lastModified
+  }`;
+
+const loadUploadState = (resumeKey) => {
+  try {
+    const raw = localStorage.getItem(resumeKey);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const saveUploadState = (resumeKey, state) => {
+  try {
+    localStorage.setItem(resumeKey, JSON.stringify(state));
+  } catch (error) {
+    // Storage full or disabled: the upload still works, it just can't be resumed
+    console.warn("Unable to persist multipart upload state:", error);
+  }
+};
+
+const clearUploadState = (resumeKey) => {
+  localStorage.removeItem(resumeKey);
+};
+
+/**
+ * List a user's uploads that were interrupted (closed tab, lost connection) and
+ * can be resumed by selecting the same file again.
+ * @param {string} owner - Cognito sub of the signed-in user
+ * @returns {Array<Object>} Saved upload states, newest first
+ */
+export const listInterruptedUploads = (owner) => {
+  const uploads = [];
+  if (!owner) return uploads;
+  for (let i = 0; i < localStorage.length; i++) {
+    const resumeKey = localStorage.key(i);
+    if (!resumeKey?.startsWith(getOwnerPrefix(owner))) continue;
+    const state = loadUploadState(resumeKey);
+    if (state) uploads.push({ ...state, resumeKey });
+  }
+  return uploads.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+/**
+ * Abort an interrupted upload in storage and forget it locally.
+ * @param {Object} storage - Storage service from createStorage
+ * @param {Object} upload - Entry returned by listInterruptedUploads
+ */
+export const discardInterruptedUpload = async (storage, upload) => {
+  clearUploadState(upload.resumeKey);
+  try {
+    await storage.abortMultipartUpload({
+      bucket: upload.bucket,
+      key: upload.key,
+      uploadId: upload.uploadId,
+    });
+  } catch (error) {
+    console.warn("Unable to abort multipart upload:", error);
+  }
+};
+
+const createAbortError = () =>
+  new DOMException("The upload was cancelled.", "AbortError");
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Metadata is fixed when a multipart upload is created, so it's compared before resuming
+const serializeMetadata = (metadata) =>
+  JSON.stringify(
+    Object.keys(metadata || {})
+      .sort()
+      .map((name) => [name, metadata[name]])
+  );
+
+/**
+ * The interrupted upload uploadFileMultipart would resume for these arguments, so
+ * callers can tell which key a file will end up under before uploading it.
+ * @param {Object} options - { owner, bucket, file, metadata }, as for uploadFileMultipart
+ * @returns {Object|null} Saved upload state, including its key
+ */
+export const findResumableUpload = ({ owner, bucket, file, metadata }) => {
+  const state = loadUploadState(getResumeKey(owner, bucket, file));
+  return state && state.metadata === serializeMetadata(metadata) ? state : null;
+};
+
+/**
+ * Upload a file to storage in parts, with byte-level progress, automatic retry of
+ * failed parts and resume after a page reload.
+ *
+ * When an unfinished upload of the same file with the same metadata is found in
+ * local storage, it is continued under its original key, so callers should use
+ * the returned key rather than the one they passed in. If the metadata differs
+ * (e.g. the user changed the document details), the old upload is discarded and
+ * a new one is started.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage - Storage service from createStorage
+ * @param {string} options.owner - Cognito sub of the signed-in user; only their own
+ *   interrupted uploads are resumed
+ * @param {string} options.bucket - Destination bucket
+ * @param {string} options.key - Object key for a new upload
+ * @param {File} options.file - File to upload
+ * @param {Object} [options.metadata] - Object metadata
+ * @param {Function} [options.onProgress] - Called with ({ loaded, total })
+ * @param {Function} [options.onBeforeComplete] - Awaited with the final key just before the
+ *   upload is completed, i.e. before the object appears and triggers the pipeline
+ * @param {AbortSignal} [options.signal] - Cancels the upload and aborts it in storage
+ * @returns {Promise<{key: string, resumed: boolean}>}
+ */
+export const uploadFileMultipart = async ({
+  storage,
+  owner,
+  bucket,
+  key,
+  file,
+  metadata,
+  onProgress,
+  onBeforeComplete,
+  signal,
+}) => {
+  const resumeKey = getResumeKey(owner, bucket, file);
+  let state = loadUploadState(resumeKey);
+  let resumed = false;
+
+  if (state && state.metadata !== serializeMetadata(metadata)) {
+    await discardInterruptedUpload(storage, { ...state, resumeKey });
+    state = null;
+  }
+
+  // Confirm a saved upload still exists in storage and take its part list as the source of truth
+  if (state) {
+    try {
+      const parts = await storage.listParts({
+        bucket: state.bucket,
+        key: state.key,
+        uploadId: state.uploadId,
+      });
+      state.parts = parts.map(({ partNumber, etag }) => ({
+        PartNumber: partNumber,
+        ETag: etag,
+      }));
+      resumed = true;
+    } catch (error) {
+      console.warn("Saved multipart upload is no longer available:", error);
+      clearUploadState(resumeKey);
+      state = null;
+    }
+  }
+
+  if (!state) {
+    const uploadId = await storage.createMultipartUpload({
+      bucket,
+      key,
+      contentType: file.type || "application/pdf",
+      metadata,
+    });
+    state = {
+      bucket,
+      key,
+      uploadId,
+      partSize: PART_SIZE,
+      fileName: file.name,
+      fileSize: file.size,
+      metadata: serializeMetadata(metadata),
+      startedAt: Date.now(),
+      parts: [],
+    };
+    saveUploadState(resumeKey, state);
+  }
+
+  const totalParts = Math.max(1, Math.ceil(file.size / state.partSize));
+  const partLength = (partNumber) =>
+    Math.min(state.partSize, file.size - (partNumber - 1) * state.partSize);
+
+  // Bytes already sent, counting finished parts in full and in-flight parts as they report progress
+  const completedBytes = new Map(
+    state.parts.map((p) => [p.PartNumber, partLength(p.PartNumber)])
+  );
+  const inFlightBytes = new Map();
+  const reportProgress = () => {
+    if (!onProgress) return;
+    let loaded = 0;
+    completedBytes.forEach((bytes) => (loaded += bytes));
+    inFlightBytes.forEach((bytes) => (loaded += bytes));
+    onProgress({ loaded: Math.min(loaded, file.size), total: file.size });
+  };
+  reportProgress();
+
+  const remainingParts = [];
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    if (!completedBytes.has(partNumber)) remainingParts.push(partNumber);
+  }
+
+  const uploadPart = async (partNumber) => {
+    const start = (partNumber - 1) * state.partSize;
+    const body = file.slice(start, start + partLength(partNumber));
+
+    for (let attempt = 1; attempt <= MAX_PART_ATTEMPTS; attempt++) {
+      if (signal?.aborted) throw createAbortError();
+      try {
+        const etag = await storage.uploadPart({
+          bucket: state.bucket,
+          key: state.key,
+          uploadId: state.uploadId,
+          partNumber,
+          body,
+          onProgress: (loaded) => {
+            inFlightBytes.set(partNumber, loaded);
+            reportProgress();
+          },
+          signal,
+        });
+
+        inFlightBytes.delete(partNumber);
+        completedBytes.set(partNumber, body.size);
+        state.parts.push({ PartNumber: partNumber, ETag: etag });
+        saveUploadState(resumeKey, state);
+        reportProgress();
+        return;
+      } catch (error) {
+        inFlightBytes.delete(partNumber);
+        reportProgress();
+        if (error.name === "AbortError" || attempt === MAX_PART_ATTEMPTS) {
+          throw error;
+        }
+        console.warn(
+          `Part ${partNumber} failed (attempt ${attempt}/${MAX_PART_ATTEMPTS}), retrying:`,
+          error.message
+        );
+        // Exponential backoff: 1s, 2s, 4s
+        await wait(1000 * 2 ** (attempt - 1), signal);
+      }
+    }
+  };
+
+  try {
+    // A small pool of workers pulling part numbers off the queue
+    const queue = [...remainingParts];
+    const worker = async () => {
+      while (queue.length > 0) {
+        await uploadPart(queue.shift());
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(PART_CONCURRENCY, queue.length) }, worker)
+    );
+
+    if (onBeforeComplete) {
+      await onBeforeComplete(state.key);
+    }
+
+    await storage.completeMultipartUpload({
+      bucket: state.bucket,
+      key: state.key,
+      uploadId: state.uploadId,
+      parts: [...state.parts]
+        .sort((a, b) => a.PartNumber - b.PartNumber)
+        .map(({ PartNumber, ETag }) => ({
+          partNumber: PartNumber,
+          etag: ETag,
+        })),
+    });
+    clearUploadState(resumeKey);
+
+    return { key: state.key, resumed };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      // Cancelled by the user: nothing to resume, so free the stored parts
+      await discardInterruptedUpload(storage, { ...state, resumeKey });
+    }
+    // Any other failure keeps the saved state so the upload can be resumed
+    throw error;
+  }
+};
@@ -0,0 +1,222 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const OPT_IN_KEY = "pdfAccessibility.notifications";
+// Same-tab updates; other tabs are notified through the "storage" event
+const OPT_IN_CHANGED_EVENT = "pdfAccessibility:notificationsChanged";
+const BADGE_COLORS = { completed: "#16a34a", failed: "#dc2626" };
+
+export const isNotificationSupported = () =>
+  typeof window !== "undefined" && "Notification" in window;
+
+const readOptIn = () => {
+  try {
+    return localStorage.getItem(OPT_IN_KEY) === "on";
+  } catch (error) {
+    return false;
+  }
+};
+
+const writeOptIn = (isOn) => {
+  try {
+    if (isOn) localStorage.setItem(OPT_IN_KEY, "on");
+    else localStorage.removeItem(OPT_IN_KEY);
+  } catch (error) {
+    console.warn("Unable to save the notification preference:", error);
+  }
+  window.dispatchEvent(new Event(OPT_IN_CHANGED_EVENT));
+};
+
+/**
+ * @returns {boolean} Whether the user opted in and the browser still allows notifications
+ */
+export const areNotificationsEnabled = () =>
+  isNotificationSupported() &&
+  Notification.permission === "granted" &&
+  readOptIn();
+
+/**
+ * The user's browser notification choice, kept in sync across components and tabs
+ * @returns {Object} {
+ *   isSupported, permission ('default' | 'granted' | 'denied'), isEnabled,
+ *   enable (asks for permission if needed), disable
+ * }
+ */
+export const useNotificationOptIn = () => {
+  const [state, setState] = useState(() => ({
+    permission: isNotificationSupported() ? Notification.permission : "denied",
+    isEnabled: areNotificationsEnabled(),
+  }));
+
+  const refresh = useCallback(
+    () =>
+      setState({
+        permission: isNotificationSupported()
+          ? Notification.permission
+          : "denied",
+        isEnabled: areNotificationsEnabled(),
+      }),
+    []
+  );
+
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === OPT_IN_KEY) refresh();
+    };
+    window.addEventListener("storage", handleStorage);
+    window.addEventListener(OPT_IN_CHANGED_EVENT, refresh);
+    return () => {
+      window.removeEventListener("storage", handleStorage);
+      window.removeEventListener(OPT_IN_CHANGED_EVENT, refresh);
+    };
+  }, [refresh]);
+
+  const enable = useCallback(async () => {
+    if (!isNotificationSupported()) return;
+    const permission =
+      Notification.permission === "default"
+        ? await Notification.requestPermission()
+        : Notification.permission;
+    writeOptIn(permission === "granted");
+  }, []);
+
+  const disable = useCallback(() => writeOptIn(false), []);
+
+  return { isSupported: isNotificationSupported(), ...state, enable, disable };
+};
+
+const isPageInView = () =>
+  document.visibilityState === "visible" && document.hasFocus();
+
+/**
+ * Show a browser notification for a finished job, unless the page is in view
+ * @param {Object} job - { name, updatedName }
+ * @param {string} status - 'completed' or 'failed'
+ */
+export const notifyJobFinished = (job, status) => {
+  if (!areNotificationsEnabled() || isPageInView()) return;
+  try {
+    const notification = new Notification(
+      status === "completed"
+        ? "Your remediated file is ready"
+        : "Remediation failed",
+      {
+        body:
+          status === "completed"
+            ? `${job.name} is ready to download.`
+            : `${job.name} could not be remediated. Open the app to retry.`,
+        icon: `${process.env.PUBLIC_URL}/favicon.svg`,
+        // One notification per job, even if several tabs notice it finishing
+        tag: job.updatedName,
+      }
+    );
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn("Unable to show a notification:", error);
+  }
+};
+
+const getFaviconLink = () => document.querySelector("link[rel~='icon']");
+
+// Favicon with a colored dot in the top right corner, as a data URL
+const drawBadgedFavicon = (href, color) =>
+  new Promise((resolve) => {
+    const size = 64;
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext("2d");
+
+    const drawDot = () => {
+      context.beginPath();
+      context.arc(size * 0.75, size * 0.25, size * 0.22, 0, 2 * Math.PI);
+      context.fillStyle = color;
+      context.fill();
+      context.lineWidth = size * 0.06;
+      context.strokeStyle = "#ffffff";
+      context.stroke();
+      resolve(canvas.toDataURL("image/png"));
+    };
+
+    const image = new Image();
+    image.onload = () => {
+      context.drawImage(image, 0, 0, size, size);
+      drawDot();
+    };
+    image.onerror = drawDot;
+    image.src = href;
+  });
+
+/**
+ * Flag finished jobs in the page title ("(2) PDF Accessibility") and favicon
+ * while the user is away; both are cleared when they come back to the page.
+ * @returns {Function} (status) => void, call when a job completes or fails
+ */
+export const useAttentionBadge = () => {
+  const [badge, setBadge] = useState({ count: 0, hasFailure: false });
+  const originalRef = useRef(null);
+
+  useEffect(() => {
+    const clear = () => {
+      if (isPageInView()) setBadge({ count: 0, hasFailure: false });
+    };
+    document.addEventListener("visibilitychange", clear);
+    window.addEventListener("focus", clear);
+    return () => {
+      document.removeEventListener("visibilitychange", clear);
+      window.removeEventListener("focus", clear);
+    };
+  }, []);
+
+  // Put the page back the way it was when the app unmounts (e.g. on sign-out)
+  useEffect(
+    () => () => {
+      const link = getFaviconLink();
+      if (!originalRef.current) return;
+      document.title = originalRef.current.title;
+      if (link && originalRef.current.favicon) {
+        link.href = originalRef.current.favicon;
+      }
+    },
+    []
+  );
+
+  useEffect(() => {
+    const link = getFaviconLink();
+    if (!originalRef.current) {
+      originalRef.current = { title: document.title, favicon: link?.href };
+    }
+    const { title, favicon } = originalRef.current;
+
+    if (badge.count === 0) {
+      document.title = title;
+      if (link && favicon) link.href = favicon;
+      return undefined;
+    }
+
+    document.title = `(${badge.count}) ${title}`;
+    let cancelled = false;
+    if (link && favicon) {
+      drawBadgedFavicon(
+        favicon,
+        badge.hasFailure ? BADGE_COLORS.failed : BADGE_COLORS.completed
+      ).then((badgedHref) => {
+        if (!cancelled) link.href = badgedHref;
+      });
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [badge]);
+
+  return useCallback((status) => {
+    if (isPageInView()) return;
+    setBadge((current) => ({
+      count: current.count + 1,
+      hasFailure: current.hasFailure || status === "failed",
+    }));
+  }, []);
+};
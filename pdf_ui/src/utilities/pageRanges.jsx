@@ -0,0 +1,96 @@
+import { PDFDocument, PDFName } from "pdf-lib";
+
+/**
+ * Parse a page range list such as "1-5, 8, 10-12"
+ * @param {string} text - Ranges typed by the user
+ * @param {number} pageCount - Number of pages in the document
+ * @returns {{pages: number[], error: string}} Sorted unique page numbers, or an error message
+ */
+export const parsePageRanges = (text, pageCount) => {
+  const pages = new Set();
+  const parts = (text || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const match = part.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) {
+      return { pages: [], error: `"${part}" is not a page or page range.` };
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end > pageCount || start > end) {
+      return {
+        pages: [],
+        error: `"${part}" is outside pages 1-${pageCount}.`,
+      };
+    }
+    for (let page = start; page <= end; page++) pages.add(page);
+  }
+
+  return { pages: [...pages].sort((a, b) => a - b), error: "" };
+};
+
+/**
+ * Compact form of a page list, e.g. [1, 2, 3, 8] -> "1-3, 8"
+ * @param {number[]} pages - Sorted page numbers
+ * @returns {string} Range list
+ */
+export const formatPageRanges = (pages) => {
+  const ranges = [];
+  pages.forEach((page, index) => {
+    if (index > 0 && page === pages[index - 1] + 1) {
+      ranges[ranges.length - 1][1] = page;
+    } else {
+      ranges.push([page, page]);
+    }
+  });
+  return ranges
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(", ");
+};
+
+/**
+ * @param {number} count - Number of pages
+ * @returns {number[]} [1, 2, ..., count]
+ */
+export const allPages = (count) =>
+  Array.from({ length: count }, (_, index) => index + 1);
+
+/**
+ * Copy the selected pages into a new PDF. Title and language are carried over
+ * so the metadata pre-fill and the pipeline see the same values as the original.
+ * The structure tree is not copied, so tags in the original are lost.
+ * @param {File} file - Original PDF
+ * @param {number[]} pages - 1-based page numbers to keep
+ * @returns {Promise<File>} Trimmed PDF with the original file name; its lastModified is
+ *   the time it was built, so it isn't mistaken for the original when resuming uploads
+ */
+export const buildTrimmedPdf = async (file, pages) => {
+  const source = await PDFDocument.load(await file.arrayBuffer(), {
+    updateMetadata: false,
+  });
+  const trimmed = await PDFDocument.create({ updateMetadata: false });
+
+  const copiedPages = await trimmed.copyPages(
+    source,
+    pages.map((page) => page - 1)
+  );
+  copiedPages.forEach((page) => trimmed.addPage(page));
+
+  const title = source.getTitle();
+  if (title) trimmed.setTitle(title);
+  const author = source.getAuthor();
+  if (author) trimmed.setAuthor(author);
+  const subject = source.getSubject();
+  if (subject) trimmed.setSubject(subject);
+  const language = source.catalog.lookup(PDFName.of("Lang"));
+  if (language?.decodeText) trimmed.setLanguage(language.decodeText());
+
+  const bytes = await trimmed.save();
+  return new File([bytes], file.name, {
+    type: "application/pdf",
+    lastModified: Date.now(),
+  });
+};
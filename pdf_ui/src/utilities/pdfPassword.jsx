@@ -0,0 +1,67 @@
+import { PdfPasswordAPI } from "./constants";
+import { isPasswordError, loadPdfDocument } from "./pdfRendering";
+
+const trimmedOrNull = (value) =>
+  typeof value === "string" && value.trim() ? value.trim() : null;
+
+/**
+ * Open a PDF with pdf.js, which (unlike pdf-lib) can decrypt it, and read its Info dictionary
+ * @param {File} file - PDF selected by the user
+ * @param {string} [password] - User password, if the file has one
+ * @returns {Promise<Object|null>} { title, author, subject }, or null if a password is
+ *   required and was missing or wrong
+ */
+export const readProtectedPdfInfo = async (file, password) => {
+  let pdf;
+  try {
+    pdf = await loadPdfDocument(file, { password });
+  } catch (error) {
+    if (isPasswordError(error)) return null;
+    throw error;
+  }
+
+  try {
+    const { info } = await pdf.getMetadata();
+    return {
+      title: trimmedOrNull(info?.Title),
+      author: trimmedOrNull(info?.Author),
+      subject: trimmedOrNull(info?.Subject),
+    };
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * Hand the password to the backend, which encrypts it with a KMS key only the
+ * pipeline can use and stores it next to the upload (see getPasswordSidecarKey).
+ * Users can't read those objects, so the password never sits in the bucket in
+ * the clear. Called before the upload completes so it is in place when the
+ * pipeline is triggered.
+ * @param {Object} options - { idToken, pipeline ('pdf' or 'html'), uploadKey, password }
+ * @throws {Error} If the password API isn't configured or refuses the request
+ */
+export const storePdfPassword = async ({
+  idToken,
+  pipeline,
+  uploadKey,
+  password,
+}) => {
+  if (!PdfPasswordAPI) {
+    throw new Error(
+      "Password-protected PDFs can't be uploaded: the PDF password API is not configured."
+    );
+  }
+  const res = await fetch(PdfPasswordAPI, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify({ pipeline, uploadKey, password }),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.message || "Unable to store the PDF password.");
+  }
+};
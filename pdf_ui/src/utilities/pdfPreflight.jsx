@@ -0,0 +1,139 @@
+import { PDFDict, PDFDocument, PDFName } from "pdf-lib";
+import { readProtectedPdfInfo } from "./pdfPassword";
+
+/**
+ * Decode a PDF text string (PDFString or PDFHexString) if present
+ * @param {PDFObject} value - Value looked up from a PDF dictionary
+ * @returns {string|null} Decoded text, or null when missing or empty
+ */
+const decodeText = (value) => {
+  if (!value || typeof value.decodeText !== "function") return null;
+  const text = value.decodeText().trim();
+  return text || null;
+};
+
+/**
+ * A page "looks scanned" when it paints images but has no fonts, i.e. it
+ * cannot contain any real text. OCR'd scans carry an invisible text layer and
+ * therefore have fonts, so they are not counted.
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {boolean} True if the page appears to be image-only
+ */
+const isImageOnlyPage = (page) => {
+  const resources = page.node.Resources();
+  if (!resources) return false;
+
+  const fonts = resources.lookupMaybe(PDFName.of("Font"), PDFDict);
+  if (fonts && fonts.keys().length > 0) return false;
+
+  const xObjects = resources.lookupMaybe(PDFName.of("XObject"), PDFDict);
+  if (!xObjects) return false;
+
+  return xObjects.keys().some((name) => {
+    const xObject = xObjects.lookup(name);
+    const subtype = xObject?.dict?.get(PDFName.of("Subtype"));
+    return subtype === PDFName.of("Image");
+  });
+};
+
+/**
+ * An encrypted PDF only needs a password to open if it has a user password;
+ * files with just an owner password (permission restrictions) open without one.
+ * @param {File} file - Encrypted PDF
+ * @returns {Promise<boolean>} True if the file can't be opened without a password
+ */
+const requiresUserPassword = async (file) => {
+  try {
+    return (await readProtectedPdfInfo(file)) === null;
+  } catch (error) {
+    console.warn("Unable to check PDF password protection:", error);
+    return false;
+  }
+};
+
+/**
+ * Open a PDF in the browser and report what remediation will have to deal with.
+ * @param {File} file - PDF selected by the user
+ * @returns {Promise<Object>} Preflight report
+ */
+export const analyzePdf = async (file) => {
+  const bytes = await file.arrayBuffer();
+  const pdfDoc = await PDFDocument.load(bytes, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+
+  const pages = pdfDoc.getPages();
+  const imageOnlyPages = pages
+    .map((page, index) => (isImageOnlyPage(page) ? index + 1 : null))
+    .filter((pageNumber) => pageNumber !== null);
+
+  const catalog = pdfDoc.catalog;
+  const isEncrypted = pdfDoc.isEncrypted;
+
+  return {
+    pageCount: pdfDoc.getPageCount(),
+    sizeMB: file.size / (1024 * 1024),
+    isEncrypted,
+    requiresPassword: isEncrypted ? await requiresUserPassword(file) : false,
+    isTagged: !!catalog.get(PDFName.of("StructTreeRoot")),
+    // Strings in an encrypted file are themselves encrypted, so they can't be read here
+    language: isEncrypted
+      ? null
+      : decodeText(catalog.lookup(PDFName.of("Lang"))),
+    title: isEncrypted ? null : pdfDoc.getTitle()?.trim() || null,
+    author: isEncrypted ? null : pdfDoc.getAuthor()?.trim() || null,
+    subject: isEncrypted ? null : pdfDoc.getSubject()?.trim() || null,
+    imageOnlyPages,
+    isLikelyScanned: pages.length > 0 && imageOnlyPages.length === pages.length,
+  };
+};
+
+const getSizeLimitMessage = (maxSizeAllowedMB) =>
+  `File size exceeds the ${maxSizeAllowedMB} MB limit.`;
+
+/**
+ * Check a file's size before it is opened. analyzePdf reads the whole file into
+ * memory, so files over the limit are turned away first.
+ * @param {File} file - PDF selected by the user
+ * @param {number} maxSizeAllowedMB - The user's size limit; no check when missing
+ * @returns {string|null} Reason the file can't be uploaded, or null
+ */
+export const getFileSizeIssue = (file, maxSizeAllowedMB) =>
+  maxSizeAllowedMB && file.size / (1024 * 1024) > maxSizeAllowedMB
+    ? getSizeLimitMessage(maxSizeAllowedMB)
+    : null;
+
+/**
+ * Check a preflight report against the user's limits
+ * @param {Object} report - Result of analyzePdf
+ * @param {Object} limits - { maxPagesAllowed, maxSizeAllowedMB, selectedPageCount }.
+ *   When selectedPageCount is given, only the selected pages count against the page limit,
+ *   except in an encrypted file: pages can't be copied out of it, so it is sent whole.
+ * @returns {string[]} Reasons the file can't be uploaded (empty if it can)
+ */
+export const getPreflightIssues = (
+  report,
+  { maxPagesAllowed, maxSizeAllowedMB, selectedPageCount }
+) => {
+  const issues = [];
+  if (selectedPageCount !== undefined && !report.isEncrypted) {
+    if (selectedPageCount === 0) {
+      issues.push("Select at least one page to remediate.");
+    } else if (maxPagesAllowed && selectedPageCount > maxPagesAllowed) {
+      issues.push(
+        `${selectedPageCount} pages are selected; the limit is ${maxPagesAllowed}.`
+      );
+    }
+  } else if (maxPagesAllowed && report.pageCount > maxPagesAllowed) {
+    issues.push(
+      report.isEncrypted
+        ? `PDF has ${report.pageCount} pages; the limit is ${maxPagesAllowed}. Pages can't be selected in a protected PDF, so remove its protection to remediate part of it.`
+        : `PDF has ${report.pageCount} pages; the limit is ${maxPagesAllowed}.`
+    );
+  }
+  if (maxSizeAllowedMB && report.sizeMB > maxSizeAllowedMB) {
+    issues.push(getSizeLimitMessage(maxSizeAllowedMB));
+  }
+  return issues;
+};
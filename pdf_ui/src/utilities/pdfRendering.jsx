@@ -0,0 +1,96 @@
+import * as pdfjsLib from "pdfjs-dist";
+
+// Bundled by webpack as a separate asset so parsing and rendering run off the main thread
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+  "pdfjs-dist/build/pdf.worker.min.js",
+  import.meta.url
+).toString();
+
+/**
+ * Open a PDF with pdf.js for rendering
+ * @param {File|ArrayBuffer|Uint8Array} source - PDF file or its bytes
+ * @param {Object} [options] - { password }
+ * @returns {Promise<PDFDocumentProxy>} Call destroy() on it when done
+ */
+export const loadPdfDocument = async (source, { password } = {}) => {
+  let data = source;
+  if (!(source instanceof Uint8Array)) {
+    data = new Uint8Array(
+      source instanceof ArrayBuffer ? source : await source.arrayBuffer()
+    );
+  }
+  return pdfjsLib.getDocument({ data, password }).promise;
+};
+
+/**
+ * @param {Error} error - Error thrown by loadPdfDocument
+ * @returns {boolean} True if the document needs a password, or the given one was wrong
+ */
+export const isPasswordError = (error) => error?.name === "PasswordException";
+
+/**
+ * Render one page to a canvas scaled to the given width
+ * @param {PDFDocumentProxy} pdf - Document from loadPdfDocument
+ * @param {number} pageNumber - 1-based page number
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number} width - CSS pixel width to render at
+ * @returns {Promise<PageViewport>} Viewport used for the render
+ */
+export const renderPageToCanvas = async (pdf, pageNumber, canvas, width) => {
+  const page = await pdf.getPage(pageNumber);
+  const baseViewport = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale: width / baseViewport.width });
+  // Render at device resolution so thumbnails stay sharp on high-DPI screens
+  const pixelRatio = window.devicePixelRatio || 1;
+
+  canvas.width = Math.floor(viewport.width * pixelRatio);
+  canvas.height = Math.floor(viewport.height * pixelRatio);
+  canvas.style.width = `${Math.floor(viewport.width)}px`;
+  canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+  await page.render({
+    canvasContext: canvas.getContext("2d"),
+    viewport,
+    transform: pixelRatio !== 1 ? [pixelRatio, 0, 0, pixelRatio, 0, 0] : null,
+  }).promise;
+
+  return viewport;
+};
+
+/**
+ * Crop regions out of a render of a page, e.g. to show a figure on its own
+ * @param {PDFDocumentProxy} pdf - Document from loadPdfDocument
+ * @param {number} pageNumber - 1-based page number
+ * @param {Array<Object>} rects - { x, y, width, height } in CSS pixels at scale 1
+ * @param {number} [scale] - Scale to render the page at
+ * @returns {Promise<Array<string>>} PNG data URLs, one per rect
+ */
+export const cropPageRegions = async (pdf, pageNumber, rects, scale = 2) => {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.floor(viewport.width);
+  canvas.height = Math.floor(viewport.height);
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+    .promise;
+
+  return rects.map((rect) => {
+    const x = Math.max(Math.floor(rect.x * scale), 0);
+    const y = Math.max(Math.floor(rect.y * scale), 0);
+    const width = Math.max(
+      Math.min(Math.ceil(rect.width * scale), canvas.width - x),
+      1
+    );
+    const height = Math.max(
+      Math.min(Math.ceil(rect.height * scale), canvas.height - y),
+      1
+    );
+    const crop = document.createElement("canvas");
+    crop.width = width;
+    crop.height = height;
+    crop
+      .getContext("2d")
+      .drawImage(canvas, x, y, width, height, 0, 0, width, height);
+    return crop.toDataURL("image/png");
+  });
+};
@@ -0,0 +1,293 @@
+import { OPS, Util } from "pdfjs-dist";
+
+// Operators that paint an image into the unit square of the current transform
+const IMAGE_OPS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintInlineImageXObject,
+  OPS.paintImageMaskXObject,
+  OPS.paintImageXObjectRepeat,
+  OPS.paintSolidColorImageMask,
+]);
+
+/**
+ * Colour groups for standard structure roles; the last one catches the rest
+ */
+export const ROLE_GROUPS = [
+  { id: "heading", label: "Headings", color: "#7c3aed", pattern: /^H\d*$/ },
+  {
+    id: "text",
+    label: "Text",
+    color: "#2563eb",
+    pattern: /^(P|Span|Quote|BlockQuote|Note|Caption|Code|TOCI?)$/,
+  },
+  {
+    id: "figure",
+    label: "Figures",
+    color: "#db2777",
+    pattern: /^(Figure|Formula)$/,
+  },
+  {
+    id: "table",
+    label: "Tables",
+    color: "#059669",
+    pattern: /^(Table|THead|TBody|TFoot|TR|TH|TD)$/,
+  },
+  {
+    id: "list",
+    label: "Lists",
+    color: "#d97706",
+    pattern: /^(L|LI|Lbl|LBody)$/,
+  },
+  { id: "link", label: "Links", color: "#0891b2", pattern: /^(Link|Annot)$/ },
+  { id: "other", label: "Other", color: "#64748b", pattern: /.*/ },
+];
+
+/**
+ * @param {string} role - Standard structure role, e.g. "H1"
+ * @returns {string} CSS colour of its group in ROLE_GROUPS
+ */
+export const getRoleColor = (role) =>
+  ROLE_GROUPS.find((group) => group.pattern.test(role || "")).color;
+
+// pdf.js names marked content "<page ref>_mc<MCID>", e.g. "p12R_mc3"
+const parseMarkedContentId = (id) => {
+  const mcid = parseInt(String(id).split("_mc")[1], 10);
+  return Number.isInteger(mcid) ? mcid : null;
+};
+
+// Bounding box [x0, y0, x1, y1] of a rectangle after a transform
+const transformBox = (transform, [x0, y0, x1, y1]) => {
+  const corners = [
+    [x0, y0],
+    [x1, y0],
+    [x0, y1],
+    [x1, y1],
+  ].map((point) => Util.applyTransform(point, transform));
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+const unionBox = (a, b) =>
+  a
+    ? [
+        Math.min(a[0], b[0]),
+        Math.min(a[1], b[1]),
+        Math.max(a[2], b[2]),
+        Math.max(a[3], b[3]),
+      ]
+    : b;
+
+const createBoxCollector = () => {
+  const boxes = new Map();
+  return {
+    boxes,
+    add: (mcid, box) => {
+      if (mcid === null || mcid === undefined || !box.every(Number.isFinite)) {
+        return;
+      }
+      boxes.set(mcid, unionBox(boxes.get(mcid), box));
+    },
+  };
+};
+
+// Innermost marked content with an MCID; the stack also holds untagged sections (null)
+const currentMcid = (stack) => {
+  for (let i = stack.length - 1; i >= 0; i--) {
+    if (stack[i] !== null) return stack[i];
+  }
+  return null;
+};
+
+// Calls onText(item, mcid) for each text item of the page, with the MCID it belongs to (or null)
+const forEachTextItem = async (page, onText) => {
+  const { items } = await page.getTextContent({ includeMarkedContent: true });
+  const stack = [];
+  items.forEach((item) => {
+    if (item.type === "beginMarkedContentProps") {
+      stack.push(item.id ? parseMarkedContentId(item.id) : null);
+    } else if (item.type === "beginMarkedContent") {
+      stack.push(null);
+    } else if (item.type === "endMarkedContent") {
+      stack.pop();
+    } else if (item.str !== undefined) {
+      onText(item, currentMcid(stack));
+    }
+  });
+};
+
+const collectTextBoxes = (page, collector) =>
+  forEachTextItem(page, (item, mcid) => {
+    if (!item.str.trim()) return;
+    const [, , , , x, y] = item.transform;
+    collector.add(mcid, [x, y, x + item.width, y + item.height]);
+  });
+
+// Images and vector graphics, e.g. figures and table rules, aren't in the text content
+const collectGraphicBoxes = async (page, collector) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  let transform = [1, 0, 0, 1, 0, 0];
+  const transforms = [];
+  const stack = [];
+
+  fnArray.forEach((fn, i) => {
+    const args = argsArray[i];
+    switch (fn) {
+      case OPS.save:
+        transforms.push(transform);
+        break;
+      case OPS.restore:
+        transform = transforms.pop() || transform;
+        break;
+      case OPS.transform:
+        transform = Util.transform(transform, args);
+        break;
+      case OPS.paintFormXObjectBegin:
+        transforms.push(transform);
+        if (args?.[0]) transform = Util.transform(transform, args[0]);
+        break;
+      case OPS.paintFormXObjectEnd:
+        transform = transforms.pop() || transform;
+        break;
+      case OPS.beginMarkedContent:
+        stack.push(null);
+        break;
+      case OPS.beginMarkedContentProps:
+        // Optional content sections ("OC") carry an object here instead of an MCID
+        stack.push(Number.isInteger(args?.[1]) ? args[1] : null);
+        break;
+      case OPS.endMarkedContent:
+        stack.pop();
+        break;
+      case OPS.constructPath: {
+        const [minX, maxX, minY, maxY] = args[2];
+        collector.add(
+          currentMcid(stack),
+          transformBox(transform, [minX, minY, maxX, maxY])
+        );
+        break;
+      }
+      default:
+        if (IMAGE_OPS.has(fn)) {
+          collector.add(
+            currentMcid(stack),
+            transformBox(transform, [0, 0, 1, 1])
+          );
+        }
+    }
+  });
+};
+
+/**
+ * Where each piece of tagged content was drawn on a page
+ * @param {PDFPageProxy} page - Page from pdf.getPage
+ * @returns {Promise<Map<number, Array<number>>>} MCID -> [x0, y0, x1, y1] in PDF user space
+ */
+export const getMarkedContentBoxes = async (page) => {
+  const collector = createBoxCollector();
+  await collectTextBoxes(page, collector);
+  try {
+    await collectGraphicBoxes(page, collector);
+  } catch (error) {
+    console.warn("Unable to locate graphics on the page:", error);
+  }
+  return collector.boxes;
+};
+
+// PDF user space box -> { x, y, width, height } in CSS pixels at scale 1, origin top left
+const toViewportRect = (viewport, box) => {
+  const [x0, y0, x1, y1] = viewport.convertToViewportRectangle(box);
+  return {
+    x: Math.min(x0, x1),
+    y: Math.min(y0, y1),
+    width: Math.abs(x1 - x0),
+    height: Math.abs(y1 - y0),
+  };
+};
+
+/**
+ * Where the given marked content was drawn, for highlighting it over a render of the page
+ * @param {PDFPageProxy} page - Page from pdf.getPage
+ * @param {Array<number>} mcids - MCIDs on that page
+ * @returns {Promise<Array<Object>>} { x, y, width, height } in CSS pixels at scale 1,
+ *   one per MCID that could be located
+ */
+export const getMarkedContentRects = async (page, mcids) => {
+  const boxes = await getMarkedContentBoxes(page);
+  const viewport = page.getViewport({ scale: 1 });
+  return mcids
+    .filter((mcid) => boxes.has(mcid))
+    .map((mcid) => toViewportRect(viewport, boxes.get(mcid)));
+};
+
+/**
+ * Text of each piece of tagged content on a page
+ * @param {PDFPageProxy} page - Page from pdf.getPage
+ * @returns {Promise<Map<number, string>>} MCID -> text
+ */
+export const getMarkedContentText = async (page) => {
+  const texts = new Map();
+  await forEachTextItem(page, (item, mcid) => {
+    if (mcid === null) return;
+    texts.set(
+      mcid,
+      (texts.get(mcid) || "") + item.str + (item.hasEOL ? " " : "")
+    );
+  });
+  return texts;
+};
+
+/**
+ * Structure elements that own content on a page, in reading (structure tree) order
+ * @param {PDFPageProxy} page - Page from pdf.getPage
+ * @returns {Promise<Array<Object>>} { role, alt, mcids }; empty for untagged pages
+ */
+export const getPageStructureElements = async (page) => {
+  const tree = await page.getStructTree();
+  const elements = [];
+  const visit = (node) => {
+    const mcids = (node.children || [])
+      .filter((child) => child.type === "content")
+      .map((child) => parseMarkedContentId(child.id))
+      .filter((mcid) => mcid !== null);
+    if (mcids.length > 0) {
+      elements.push({ role: node.role, alt: node.alt || null, mcids });
+    }
+    (node.children || []).forEach((child) => {
+      if (child.role) visit(child);
+    });
+  };
+  if (tree) visit(tree);
+  return elements;
+};
+
+/**
+ * Tagged regions of a page for drawing over a render of it
+ * @param {PDFPageProxy} page - Page from pdf.getPage
+ * @returns {Promise<Array<Object>>} {
+ *   order (1-based reading order), role, alt, mcids,
+ *   rect ({ x, y, width, height } in CSS pixels at scale 1, origin top left)
+ * }; elements whose content couldn't be located are left out
+ */
+export const getTaggedRegions = async (page) => {
+  const [elements, boxes] = await Promise.all([
+    getPageStructureElements(page),
+    getMarkedContentBoxes(page),
+  ]);
+  const viewport = page.getViewport({ scale: 1 });
+
+  return elements
+    .map((element) => ({
+      ...element,
+      box: element.mcids.reduce(
+        (box, mcid) => (boxes.has(mcid) ? unionBox(box, boxes.get(mcid)) : box),
+        null
+      ),
+    }))
+    .filter((element) => element.box)
+    .map(({ box, ...element }, index) => ({
+      ...element,
+      order: index + 1,
+      rect: toViewportRect(viewport, box),
+    }));
+};
@@ -0,0 +1,407 @@
+import { S3_ERROR_KINDS, classifyS3Error } from "./s3Errors";
+import {
+  AFTER_REPORT_PATTERN,
+  getCancellationMarkerKey,
+  getFailureMarkerKey,
+  getResultKey,
+  getStatusObjectKey,
+  getTempPrefix,
+} from "./s3Keys";
+
+/**
+ * Stages of the PDF remediation pipeline, in order. `artifact` matches the
+ * intermediate files each stage leaves under temp/<file name without .pdf>/,
+ * which is how progress is inferred when the pipeline doesn't write a status object.
+ */
+export const PIPELINE_STAGES = [
+  {
+    id: "split",
+    title: "Splitting Document",
+    description: "Breaking the PDF into chunks for parallel processing",
+    artifact: /_chunk_\d+\.pdf$/i,
+  },
+  {
+    id: "auto-tag",
+    title: "Adding Accessibility Tags",
+    description: "Tagging headings, lists, tables and reading order",
+    artifact: /output_autotag\//i,
+  },
+  {
+    id: "alt-text",
+    title: "Generating Alt Text",
+    description: "Describing images, figures and links",
+    artifact: /(^|\/)FINAL_[^/]*\.pdf$/i,
+  },
+  {
+    id: "merge",
+    title: "Merging Document",
+    description: "Combining the remediated chunks and adding metadata",
+    artifact: /(^|\/)merged[^/]*\.pdf$/i,
+  },
+  {
+    id: "accessibility-check",
+    title: "Checking Accessibility",
+    description: "Running the accessibility checker on the result",
+    artifact: AFTER_REPORT_PATTERN,
+  },
+];
+
+// Shown for pipelines that don't report stages (e.g. PDF to HTML without a status object)
+const SINGLE_STAGE = [
+  {
+    id: "convert",
+    title: "Remediating Document",
+    description: "Processing your document",
+  },
+];
+
+/*
+ * Status object the pipeline may write to status/<upload file name>.json:
+ * {
+ *   "stages": [{ "id": "split", "status": "completed", "startedAt": "<ISO>", "completedAt": "<ISO>" }, ...],
+ *   "error": { "stage": "auto-tag", "message": "..." }   // only when the run failed
+ * }
+ * Stage status is one of pending, running, completed, failed.
+ *
+ * Marker the pipeline writes to failed/<upload file name>.json when a run fails
+ * before (or without) updating its status object: { "stage": "auto-tag", "message": "..." }.
+ * Both fields are optional.
+ *
+ * Marker the app writes to cancelled/<upload file name>.json when the user cancels
+ * a job: { "cancelledAt": "<ISO>", "uploadKey": "pdf/<name>.pdf" }. The pipeline
+ * should check for it between stages, stop, and write no further outputs.
+ */
+
+// Objects older than `since` belong to an earlier run of the same upload and are ignored
+const readJsonObject = async (storage, bucket, key, since) => {
+  try {
+    const { body, lastModified } = await storage.getObjectText({ bucket, key });
+    if (since && lastModified && new Date(lastModified) < since) return null;
+    return JSON.parse(body);
+  } catch (error) {
+    const kind = classifyS3Error(error);
+    // A missing bucket or an unreachable S3 is worth reporting; a missing or
+    // unreadable object just means this pipeline version doesn't write it
+    if (
+      kind === S3_ERROR_KINDS.MISSING_BUCKET ||
+      kind === S3_ERROR_KINDS.NETWORK
+    ) {
+      throw error;
+    }
+    return null;
+  }
+};
+
+const listArtifacts = (storage, bucket, uniqueFilename) =>
+  storage.listObjects({ bucket, prefix: getTempPrefix(uniqueFilename) });
+
+const fromStatusObject = (statusObject, stageDefinitions) => {
+  const reported = new Map(
+    (statusObject.stages || []).map((stage) => [stage.id, stage])
+  );
+  const known = new Set(stageDefinitions.map((stage) => stage.id));
+  // Stages the pipeline reports that this UI doesn't know about are shown with their id as title
+  const definitions = [
+    ...stageDefinitions,
+    ...(statusObject.stages || [])
+      .filter((stage) => !known.has(stage.id))
+      .map((stage) => ({ id: stage.id, title: stage.title || stage.id })),
+  ];
+
+  const failedStage = statusObject.error?.stage || null;
+  const stages = definitions.map((definition) => {
+    const stage = reported.get(definition.id) || {};
+    return {
+      ...definition,
+      status:
+        definition.id === failedStage ? "failed" : stage.status || "pending",
+      startedAt: stage.startedAt || null,
+      completedAt: stage.completedAt || null,
+    };
+  });
+
+  return {
+    source: "status",
+    stages,
+    failedStage,
+    errorMessage: statusObject.error?.message || null,
+  };
+};
+
+const fromArtifacts = (artifacts) => {
+  const completedAt = PIPELINE_STAGES.map((stage) => {
+    const times = artifacts
+      .filter((artifact) => stage.artifact.test(artifact.key))
+      .map((artifact) => new Date(artifact.lastModified).getTime());
+    return times.length > 0 ? Math.max(...times) : null;
+  });
+  // Chunks can finish out of order, so a stage counts as done once any later stage has output
+  const lastStageWithOutput = completedAt.reduce(
+    (last, time, index) => (time ? index : last),
+    -1
+  );
+
+  const stages = PIPELINE_STAGES.map(({ artifact, ...stage }, index) => {
+    if (index <= lastStageWithOutput) {
+      return {
+        ...stage,
+        status: "completed",
+        startedAt: null,
+        completedAt: completedAt[index]
+          ? new Date(completedAt[index]).toISOString()
+          : null,
+      };
+    }
+    if (index === lastStageWithOutput + 1) {
+      const previous = completedAt[index - 1];
+      return {
+        ...stage,
+        status: "running",
+        startedAt: previous ? new Date(previous).toISOString() : null,
+        completedAt: null,
+      };
+    }
+    return { ...stage, status: "pending", startedAt: null, completedAt: null };
+  });
+
+  return { source: "artifacts", stages, failedStage: null, errorMessage: null };
+};
+
+const withFailureMarker = (status, marker) => {
+  const failedStage =
+    marker.stage ||
+    status.stages.find((stage) => stage.status === "running")?.id ||
+    status.stages.find((stage) => stage.status !== "completed")?.id ||
+    status.stages[status.stages.length - 1].id;
+  return {
+    ...status,
+    stages: status.stages.map((stage) =>
+      stage.id === failedStage ? { ...stage, status: "failed" } : stage
+    ),
+    failedStage,
+    errorMessage: marker.message || status.errorMessage,
+  };
+};
+
+const readStageProgress = async ({
+  storage,
+  bucket,
+  uniqueFilename,
+  format,
+  since,
+}) => {
+  const stageDefinitions = format === "html" ? SINGLE_STAGE : PIPELINE_STAGES;
+
+  const statusObject = await readJsonObject(
+    storage,
+    bucket,
+    getStatusObjectKey(uniqueFilename),
+    since
+  );
+  if (statusObject) {
+    return fromStatusObject(
+      statusObject,
+      stageDefinitions.map(({ artifact, ...stage }) => stage)
+    );
+  }
+
+  if (format !== "html") {
+    try {
+      const artifacts = await listArtifacts(storage, bucket, uniqueFilename);
+      return fromArtifacts(
+        since
+          ? artifacts.filter(
+              (artifact) => new Date(artifact.lastModified) >= since
+            )
+          : artifacts
+      );
+    } catch (error) {
+      console.warn("Unable to list pipeline artifacts:", error);
+    }
+  }
+
+  return {
+    source: "none",
+    stages: stageDefinitions.map(({ artifact, ...stage }, index) => ({
+      ...stage,
+      status: index === 0 ? "running" : "pending",
+      startedAt: null,
+      completedAt: null,
+    })),
+    failedStage: null,
+    errorMessage: null,
+  };
+};
+
+/**
+ * Current stage-by-stage progress of a remediation job. Reads the pipeline's
+ * status object if there is one, otherwise infers progress from temp/ artifacts
+ * (PDF pipeline only). A failure marker marks the job failed either way.
+ * @param {Object} options
+ * @param {Object} options.storage - Storage service from createStorage
+ * @param {string} options.bucket - Bucket the file was uploaded to
+ * @param {string} options.uniqueFilename - Upload file name (key without pdf/ or uploads/)
+ * @param {string} options.format - 'pdf' or 'html'
+ * @param {Date} [options.since] - Ignore status and failure objects written before this
+ *   time, e.g. by the run that preceded a retry
+ * @returns {Promise<Object>} { source, stages, failedStage, errorMessage }
+ * @throws When the bucket doesn't exist or S3 can't be reached
+ */
+export const fetchPipelineStatus = async (options) => {
+  const status = await readStageProgress(options);
+  if (status.failedStage) return status;
+
+  const { storage, bucket, uniqueFilename, since } = options;
+  const marker = await readJsonObject(
+    storage,
+    bucket,
+    getFailureMarkerKey(uniqueFilename),
+    since
+  );
+  return marker ? withFailureMarker(status, marker) : status;
+};
+
+/**
+ * Run the pipeline again for an upload by copying the uploaded file onto
+ * itself, which fires the bucket's ObjectCreated trigger. S3 only allows an
+ * in-place copy when something changes, so the retry time is added to the metadata.
+ * Against AWS the uploads API does this, and only for a run that failed since the
+ * upload was last triggered, so a retry can't remediate a file again for free.
+ * @param {Object} options - { storage, bucket, uploadKey }
+ * @returns {Promise<Date>} Time of the retry, to pass as `since` to fetchPipelineStatus
+ * @throws When the upload was password-protected, since the pipeline deletes the
+ *   password after its first attempt
+ */
+export const retriggerPipeline = async ({ storage, bucket, uploadKey }) => {
+  if (storage.retryUpload) {
+    return storage.retryUpload({ bucket, key: uploadKey });
+  }
+
+  const { metadata, contentType } = await storage.headObject({
+    bucket,
+    key: uploadKey,
+  });
+  if (metadata["password-protected"] === "true") {
+    throw new Error(
+      "This file is password-protected. Please upload it again and enter its password to retry."
+    );
+  }
+
+  // S3 timestamps have one-second precision
+  const retriedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await storage.copyObject({
+    sourceKey: uploadKey,
+    bucket,
+    key: uploadKey,
+    contentType,
+    metadata: { ...metadata, "retried-at": retriedAt.toISOString() },
+  });
+  return retriedAt;
+};
+
+/**
+ * Whether a run already wrote anything for an upload: temp/ files, a result, its status or failure marker
+ * @param {Object} options - { storage, bucket, pipeline, uniqueFilename }
+ * @returns {Promise<boolean>}
+ */
+const hasPipelineStarted = async ({
+  storage,
+  bucket,
+  pipeline,
+  uniqueFilename,
+}) => {
+  const prefixes = [
+    getResultKey(uniqueFilename, pipeline),
+    getStatusObjectKey(uniqueFilename),
+    getFailureMarkerKey(uniqueFilename),
+  ];
+  if (pipeline !== "html") prefixes.push(getTempPrefix(uniqueFilename));
+  for (const prefix of prefixes) {
+    const objects = await storage.listObjects({ bucket, prefix });
+    if (objects.length > 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Ask the pipeline to stop working on an upload: writes the cancellation marker,
+ * then deletes the uploaded file so a later retry or trigger has nothing to process.
+ * Whether a stage had already started is checked first, since its quota is then kept.
+ * Against AWS the uploads API does all of this after checking the upload is the
+ * user's own. A password sidecar is left for the pipeline to delete; users can't access it.
+ * @param {Object} options - { storage, bucket, pipeline, uploadKey, uniqueFilename }
+ * @returns {Promise<Object>} { cancelledAt (Date), started }
+ */
+export const cancelPipeline = async ({
+  storage,
+  bucket,
+  pipeline,
+  uploadKey,
+  uniqueFilename,
+}) => {
+  if (storage.cancelUpload) {
+    return storage.cancelUpload({ bucket, key: uploadKey });
+  }
+
+  const started = await hasPipelineStarted({
+    storage,
+    bucket,
+    pipeline,
+    uniqueFilename,
+  });
+  const cancelledAt = new Date();
+  await storage.putObject({
+    bucket,
+    key: getCancellationMarkerKey(uniqueFilename),
+    body: JSON.stringify({
+      cancelledAt: cancelledAt.toISOString(),
+      uploadKey,
+    }),
+    contentType: "application/json",
+  });
+  // Deleting a key that is already gone succeeds, so this is safe to repeat
+  await storage.deleteObject({ bucket, key: uploadKey });
+  return { cancelledAt, started };
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Rough remediation time: a fixed startup cost plus time per page. Used when the
+ * page count is unknown too (e.g. a reused earlier upload).
+ * @param {number} [pageCount] - Pages sent for remediation
+ * @returns {number} Expected processing time in seconds
+ */
+export const getExpectedProcessingSeconds = (pageCount) =>
+  pageCount > 0 ? 120 + pageCount * 8 : 300;
+
+/**
+ * usePolling options for waiting on a remediation job. Short documents are
+ * checked often; long ones start slower and back off further, and every job
+ * gets at least 30 minutes before polling gives up.
+ * @param {number} [pageCount] - Pages sent for remediation
+ * @returns {Object} { initialDelay, interval, maxInterval, backoff, maxDuration } in ms
+ */
+export const getRemediationPollingSchedule = (pageCount) => {
+  const expected = getExpectedProcessingSeconds(pageCount);
+  return {
+    initialDelay: clamp(expected * 0.1, 10, 60) * 1000,
+    interval: clamp(expected / 20, 10, 30) * 1000,
+    maxInterval: clamp(expected / 6, 30, 120) * 1000,
+    backoff: 1.3,
+    maxDuration: Math.max(30 * 60, expected * 3) * 1000,
+  };
+};
+
+/**
+ * All stages marked completed, used once the remediated file exists
+ * @param {Object} status - Result of fetchPipelineStatus
+ * @returns {Object} Same status with every stage completed
+ */
+export const markAllStagesCompleted = (status) => ({
+  ...status,
+  stages: status.stages.map((stage) => ({
+    ...stage,
+    status: "completed",
+  })),
+});
@@ -0,0 +1,168 @@
+import { getExpectedProcessingSeconds } from "./pipelineStatus";
+
+// One history per user, like the job list: a shared browser doesn't mix up
+// (or reveal) other users' jobs
+const STORAGE_PREFIX = "pdfAccessibility.processingRuns.";
+// Unkeyed history of earlier versions, which every user of the browser shared
+const LEGACY_STORAGE_KEY = "pdfAccessibility.processingRuns";
+const MAX_STORED_RUNS = 100;
+// How many past runs the built-in estimate is worth
+const PRIOR_WEIGHT = 1;
+// Typical share of a PDF run spent in each stage
+const STAGE_SHARES = {
+  split: 0.05,
+  "auto-tag": 0.4,
+  "alt-text": 0.3,
+  merge: 0.1,
+  "accessibility-check": 0.15,
+};
+
+const getStorageKey = (userSub) => `${STORAGE_PREFIX}${userSub}`;
+
+/**
+ * A run is one completed job:
+ * { id, format, pageCount, fileSize (bytes), seconds, finishedAt }
+ * pageCount and fileSize are null when unknown.
+ * @param {string} userSub - Cognito user id the runs belong to
+ * @returns {Array<Object>} Stored runs, newest first
+ */
+export const loadProcessingRuns = (userSub) => {
+  if (!userSub) return [];
+  try {
+    const runs = JSON.parse(
+      localStorage.getItem(getStorageKey(userSub)) || "[]"
+    );
+    return Array.isArray(runs) ? runs : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Remember how long a completed job took, for the user's later estimates
+ * @param {string} userSub - Cognito user id (auth.user.profile.sub)
+ * @param {Object} run - { id, format, pageCount, fileSize, durationMs }; id keeps
+ *   a job seen finishing by several tabs from being counted twice
+ */
+export const recordProcessingRun = (
+  userSub,
+  { id, format, pageCount, fileSize, durationMs }
+) => {
+  if (!userSub || !(durationMs > 0)) return;
+  const run = {
+    id,
+    format,
+    pageCount: pageCount || null,
+    fileSize: fileSize || null,
+    seconds: Math.round(durationMs / 1000),
+    finishedAt: Date.now(),
+  };
+  try {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    localStorage.setItem(
+      getStorageKey(userSub),
+      JSON.stringify(
+        [run, ...loadProcessingRuns(userSub).filter((r) => r.id !== id)].slice(
+          0,
+          MAX_STORED_RUNS
+        )
+      )
+    );
+  } catch (error) {
+    console.warn("Unable to save processing time:", error);
+  }
+};
+
+// 1 for a run just like the job, approaching 0 as page count and size differ
+const getSimilarity = (run, job) => {
+  const distance = (a, b) => (a && b ? Math.abs(Math.log(a / b)) : 1);
+  return (
+    1 /
+    (1 +
+      2 * distance(run.pageCount, job.pageCount) +
+      distance(run.fileSize, job.fileSize))
+  );
+};
+
+/**
+ * Expected total processing time, learned from past runs of the same format.
+ * Each run is scaled to the job's page count with the built-in per-page model and
+ * weighted by how close its page count and file size are; with no history this is
+ * the built-in estimate.
+ * @param {Object} job - { format, pageCount, fileSize }
+ * @param {Array<Object>} [runs] - The user's past runs, from loadProcessingRuns
+ * @returns {number} Seconds
+ */
+export const estimateProcessingSeconds = (job, runs = []) => {
+  const expected = getExpectedProcessingSeconds(job.pageCount);
+  let weightedTotal = expected * PRIOR_WEIGHT;
+  let totalWeight = PRIOR_WEIGHT;
+
+  runs
+    .filter((run) => run.format === job.format && run.seconds > 0)
+    .forEach((run) => {
+      const weight = getSimilarity(run, job);
+      const scaled =
+        (run.seconds * expected) / getExpectedProcessingSeconds(run.pageCount);
+      weightedTotal += scaled * weight;
+      totalWeight += weight;
+    });
+
+  return weightedTotal / totalWeight;
+};
+
+// Fraction of the work done according to the reported stages, or 0 if they aren't known
+const getStageProgress = (pipelineStatus) => {
+  if (!pipelineStatus || pipelineStatus.source === "none") return 0;
+  const stages = pipelineStatus.stages.filter(
+    (stage) => STAGE_SHARES[stage.id]
+  );
+  const total = stages.reduce((sum, stage) => sum + STAGE_SHARES[stage.id], 0);
+  if (total === 0) return 0;
+
+  const done = stages.reduce((sum, stage) => {
+    if (stage.status === "completed") return sum + STAGE_SHARES[stage.id];
+    // A running stage is assumed to be halfway through
+    if (stage.status === "running") return sum + STAGE_SHARES[stage.id] / 2;
+    return sum;
+  }, 0);
+  return done / total;
+};
+
+/**
+ * Seconds left for a running job. Once stages report progress, the observed pace
+ * counts for more the further along the job is.
+ * @param {Object} options
+ * @param {number} options.expectedSeconds - From estimateProcessingSeconds
+ * @param {number} options.elapsedSeconds - Time since the run started
+ * @param {Object} [options.pipelineStatus] - From fetchPipelineStatus
+ * @returns {number} Seconds, never negative
+ */
+export const estimateRemainingSeconds = ({
+  expectedSeconds,
+  elapsedSeconds,
+  pipelineStatus,
+}) => {
+  const progress = getStageProgress(pipelineStatus);
+  if (progress <= 0 || progress >= 1 || elapsedSeconds <= 0) {
+    return Math.max(expectedSeconds - elapsedSeconds, 0);
+  }
+  const observedTotal = elapsedSeconds / progress;
+  const total = progress * observedTotal + (1 - progress) * expectedSeconds;
+  return Math.max((1 - progress) * total, 0);
+};
+
+/**
+ * @param {Object} options - Same as estimateRemainingSeconds
+ * @returns {string} E.g. "about 6 minutes remaining"
+ */
+export const describeRemainingTime = (options) => {
+  const remaining = estimateRemainingSeconds(options);
+  if (remaining < 45) {
+    return options.elapsedSeconds > options.expectedSeconds
+      ? "taking longer than usual"
+      : "less than a minute remaining";
+  }
+  const minutes = Math.round(remaining / 60);
+  return `about ${minutes} ${minutes === 1 ? "minute" : "minutes"} remaining`;
+};
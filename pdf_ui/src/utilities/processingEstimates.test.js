@@ -0,0 +1,132 @@
+import {
+  describeRemainingTime,
+  estimateProcessingSeconds,
+  loadProcessingRuns,
+  recordProcessingRun,
+} from "./processingEstimates";
+
+// The built-in estimate for 10 pages: 120 s + 8 s per page
+const TEN_PAGE_SECONDS = 200;
+
+const job = { format: "pdf", pageCount: 10, fileSize: 100000 };
+
+const stage = (id, status) => ({ id, status });
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe("estimateProcessingSeconds", () => {
+  test("uses the built-in estimate without history", () => {
+    expect(estimateProcessingSeconds(job)).toBe(TEN_PAGE_SECONDS);
+    expect(estimateProcessingSeconds({ format: "pdf" }, [])).toBe(300);
+  });
+
+  test("averages an identical past run with the built-in estimate", () => {
+    const runs = [{ ...job, seconds: 400 }];
+    expect(estimateProcessingSeconds(job, runs)).toBe(300);
+  });
+
+  test("ignores runs of other formats", () => {
+    const runs = [{ ...job, format: "html", seconds: 4000 }];
+    expect(estimateProcessingSeconds(job, runs)).toBe(TEN_PAGE_SECONDS);
+  });
+
+  test("scales runs to the job's page count and trusts similar ones more", () => {
+    // Twice the built-in estimate, for a document twice as long
+    const longer = {
+      format: "pdf",
+      pageCount: 20,
+      fileSize: 200000,
+      seconds: 560,
+    };
+    const estimate = estimateProcessingSeconds(job, [longer]);
+    expect(estimate).toBeGreaterThan(TEN_PAGE_SECONDS);
+    expect(estimate).toBeLessThan(
+      estimateProcessingSeconds(job, [{ ...job, seconds: 400 }])
+    );
+  });
+});
+
+describe("processing run history", () => {
+  const run = {
+    id: "a|1",
+    format: "pdf",
+    pageCount: 10,
+    fileSize: 1,
+    durationMs: 90000,
+  };
+
+  test("is kept per user", () => {
+    recordProcessingRun("user-a", run);
+
+    expect(loadProcessingRuns("user-a")).toEqual([
+      expect.objectContaining({ id: "a|1", format: "pdf", seconds: 90 }),
+    ]);
+    expect(loadProcessingRuns("user-b")).toEqual([]);
+    expect(loadProcessingRuns(undefined)).toEqual([]);
+  });
+
+  test("counts a run once and skips runs without a user or duration", () => {
+    recordProcessingRun("user-a", run);
+    recordProcessingRun("user-a", run);
+    recordProcessingRun("user-a", { ...run, id: "b|1", durationMs: 0 });
+    recordProcessingRun(undefined, { ...run, id: "c|1" });
+
+    expect(loadProcessingRuns("user-a").map(({ id }) => id)).toEqual(["a|1"]);
+  });
+
+  test("removes the history every user shared", () => {
+    localStorage.setItem("pdfAccessibility.processingRuns", "[]");
+    recordProcessingRun("user-a", run);
+    expect(localStorage.getItem("pdfAccessibility.processingRuns")).toBeNull();
+  });
+});
+
+describe("describeRemainingTime", () => {
+  test("counts down from the expected time without stage progress", () => {
+    expect(
+      describeRemainingTime({ expectedSeconds: 600, elapsedSeconds: 60 })
+    ).toBe("about 9 minutes remaining");
+    expect(
+      describeRemainingTime({ expectedSeconds: 100, elapsedSeconds: 40 })
+    ).toBe("about 1 minute remaining");
+    expect(
+      describeRemainingTime({
+        expectedSeconds: 600,
+        elapsedSeconds: 120,
+        pipelineStatus: { source: "none", stages: [] },
+      })
+    ).toBe("about 8 minutes remaining");
+  });
+
+  test("follows the observed pace once stages report progress", () => {
+    const pipelineStatus = {
+      source: "status",
+      stages: [
+        stage("split", "completed"),
+        stage("auto-tag", "completed"),
+        stage("alt-text", "running"),
+        stage("merge", "pending"),
+        stage("accessibility-check", "pending"),
+      ],
+    };
+    // 60% done in 2 minutes: faster than the 10 minutes expected
+    expect(
+      describeRemainingTime({
+        expectedSeconds: 600,
+        elapsedSeconds: 120,
+        pipelineStatus,
+      })
+    ).toBe("about 2 minutes remaining");
+  });
+
+  test("says when little is left or the job runs late", () => {
+    expect(
+      describeRemainingTime({ expectedSeconds: 300, elapsedSeconds: 280 })
+    ).toBe("less than a minute remaining");
+    expect(
+      describeRemainingTime({ expectedSeconds: 300, elapsedSeconds: 400 })
+    ).toBe("taking longer than usual");
+  });
+});
@@ -0,0 +1,65 @@
+import { CheckAndIncrementQuota } from "./constants";
+
+/**
+ * POST to the upload-quota API (checkOrIncrementQuota Lambda)
+ * @param {Object} body - Request body; always includes mode. The user is taken from the ID token.
+ * @param {string} idToken - Cognito ID token for the API authorizer
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} With `status` set to the HTTP status (403 when the limit is reached)
+ */
+const callQuotaApi = async (body, idToken) => {
+  const res = await fetch(CheckAndIncrementQuota, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(
+      data.message || "Error contacting the upload quota API"
+    );
+    error.status = res.status;
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * Read current usage and limits (mode="check")
+ * @returns {Promise<Object>} { currentUsage, maxFilesAllowed, pdf2pdfCount, pdf2htmlCount, ... }
+ */
+export const fetchUsage = ({ idToken }) =>
+  callQuotaApi({ mode: "check" }, idToken);
+
+/**
+ * Reserve one upload against the user's quota before the file is sent to S3 (mode="increment")
+ * @param {string} conversionType - 'pdf', 'html' or 'both'
+ * @param {string} uploadKey - Key the file will be uploaded to (pdf/... for 'pdf' and 'both',
+ *   uploads/... for 'html'), recorded so a release can check the upload never arrived
+ * @returns {Promise<Object>} Usage after the reservation, including newCount and the
+ *   reservationId needed to release it
+ */
+export const reserveQuota = ({ idToken, conversionType, uploadKey }) =>
+  callQuotaApi({ mode: "increment", conversionType, uploadKey }, idToken);
+
+/**
+ * Give back a reservation when the upload it was made for did not complete or its
+ * job was cancelled (mode="release"). Each reservation can only be released once,
+ * and only while its upload doesn't exist and no run wrote anything for it.
+ * @param {string} reservationId - Returned by reserveQuota
+ * @returns {Promise<Object>} Usage after the release
+ * @throws {Error} With status 409 if the reservation is unknown, expired, already
+ *   released or its upload was processed
+ */
+export const releaseQuota = ({ idToken, reservationId }) =>
+  callQuotaApi({ mode: "release", reservationId }, idToken);
+
+/**
+ * @param {Error} error - Error thrown by one of the quota calls
+ * @returns {boolean} True if the user is at their upload limit
+ */
+export const isQuotaExceeded = (error) => error?.status === 403;
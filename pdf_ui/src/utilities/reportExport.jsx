@@ -0,0 +1,284 @@
+/*
+ * Exports of the accessibility checker's before/after reports for audits:
+ * CSV, a standalone HTML page, and printing that page (print stylesheet included).
+ * All are built from each report's "Summary" and "Detailed Report" sections.
+ */
+
+/**
+ * Pass/fail counts of a report's Summary
+ * @param {Object} report - Accessibility checker report
+ * @returns {Object|null} { passed, failed, needsManualCheck }; null without a Summary
+ */
+export const getReportCounts = (report) => {
+  const summary = report?.Summary;
+  if (!summary) return null;
+  return {
+    passed: Number(summary.Passed) || 0,
+    failed: Number(summary.Failed) || 0,
+    needsManualCheck: Number(summary["Needs manual check"]) || 0,
+  };
+};
+
+/**
+ * Rules of both reports side by side, grouped by category
+ * @param {Object} beforeReport - Report of the original file
+ * @param {Object} [afterReport] - Report of the remediated file
+ * @returns {Array<Object>} { category, rules: [{ rule, description, before, after }] };
+ *   before/after are statuses, or null when the rule is missing from that report
+ */
+export const compareReports = (beforeReport, afterReport) => {
+  const beforeDetails = beforeReport?.["Detailed Report"] || {};
+  const afterDetails = afterReport?.["Detailed Report"] || {};
+  const categories = Array.from(
+    new Set([...Object.keys(beforeDetails), ...Object.keys(afterDetails)])
+  );
+
+  return categories.map((category) => {
+    const beforeItems = beforeDetails[category] || [];
+    const afterItems = afterDetails[category] || [];
+    const rules = Array.from(
+      new Set([...beforeItems, ...afterItems].map((item) => item.Rule))
+    );
+    return {
+      category,
+      rules: rules.map((rule) => {
+        const beforeItem = beforeItems.find((item) => item.Rule === rule);
+        const afterItem = afterItems.find((item) => item.Rule === rule);
+        return {
+          rule,
+          description: (afterItem || beforeItem)?.Description || "",
+          before: beforeItem?.Status || null,
+          after: afterItem?.Status || null,
+        };
+      }),
+    };
+  });
+};
+
+/**
+ * @param {string} name - Original file name shown to the user
+ * @param {string} extension - "csv" or "html"
+ * @returns {string} File name the export is downloaded as
+ */
+export const getReportExportName = (name, extension) =>
+  `COMPLIANT_${(name || "").replace(
+    /\.pdf$/i,
+    ""
+  )}_accessibility_report.${extension}`;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Quote every field; a leading =, +, - or @ is escaped so spreadsheets don't run it as a formula
+const toCsvField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsvRow = (values) => values.map(toCsvField).join(",");
+
+/**
+ * CSV with a short header block (document, date, counts) followed by one row per rule
+ * @param {Object} options - { documentName, beforeReport, afterReport, generatedAt (Date) }
+ * @returns {string}
+ */
+export const buildReportCsv = ({
+  documentName,
+  beforeReport,
+  afterReport,
+  generatedAt = new Date(),
+}) => {
+  const before = getReportCounts(beforeReport);
+  const after = getReportCounts(afterReport);
+  const countsRow = (label, counts) =>
+    toCsvRow([
+      label,
+      counts ? counts.passed : "",
+      counts ? counts.failed : "",
+      counts ? counts.needsManualCheck : "",
+    ]);
+
+  const rows = [
+    toCsvRow(["Document", documentName]),
+    toCsvRow(["Date", formatDate(generatedAt)]),
+    toCsvRow(["Report", "Passed", "Failed", "Needs manual check"]),
+    countsRow("Before", before),
+    countsRow("After", after),
+    "",
+    toCsvRow(["Category", "Rule", "Description", "Before", "After"]),
+    ...compareReports(beforeReport, afterReport).flatMap(
+      ({ category, rules }) =>
+        rules.map(({ rule, description, before: was, after: is }) =>
+          toCsvRow([category, rule, description, was || "", is || ""])
+        )
+    ),
+  ];
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  return `\uFEFF${rows.join("\r\n")}\r\n`;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const statusCell = (status) => {
+  if (!status) return '<td class="status">Not checked</td>';
+  const modifier =
+    status === "Passed" ? "passed" : status === "Failed" ? "failed" : "manual";
+  return `<td class="status status-${modifier}">${escapeHtml(status)}</td>`;
+};
+
+const REPORT_STYLES = `
+  body { margin: 0; padding: 2rem; font-family: Arial, Helvetica, sans-serif; color: #1a1a1a; line-height: 1.5; }
+  main { max-width: 960px; margin: 0 auto; }
+  h1 { margin: 0 0 0.5rem; font-size: 1.75rem; color: #004c97; }
+  h2 { margin: 2rem 0 0.75rem; font-size: 1.25rem; color: #004c97; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+  caption { text-align: left; font-weight: bold; padding: 0.5rem 0; }
+  th, td { border: 1px solid #767676; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  thead th { background-color: #e8eef5; }
+  .status { white-space: nowrap; font-weight: bold; }
+  .status-passed { color: #1b5e20; }
+  .status-failed { color: #b71c1c; }
+  .status-manual { color: #7a4b00; }
+  @media print {
+    body { padding: 0; font-size: 10pt; }
+    h1, h2 { color: #000000; }
+    table { page-break-inside: auto; }
+    tr { page-break-inside: avoid; }
+    thead { display: table-header-group; }
+    .status-passed, .status-failed, .status-manual { color: #000000; }
+  }
+  @page { margin: 1.5cm; }
+`;
+
+/**
+ * Standalone, accessible HTML report (no external resources) that also prints cleanly
+ * @param {Object} options - { documentName, beforeReport, afterReport, generatedAt (Date) }
+ * @returns {string} Complete HTML document
+ */
+export const buildReportHtml = ({
+  documentName,
+  beforeReport,
+  afterReport,
+  generatedAt = new Date(),
+}) => {
+  const title = `Accessibility report: ${documentName}`;
+  const summaryRow = (label, report) => {
+    const counts = getReportCounts(report);
+    if (!counts) {
+      return `<tr><th scope="row">${label}</th><td colspan="3">Not available</td></tr>`;
+    }
+    return `<tr><th scope="row">${label}</th><td>${counts.passed}</td><td>${counts.failed}</td><td>${counts.needsManualCheck}</td></tr>`;
+  };
+
+  const categoryTables = compareReports(beforeReport, afterReport)
+    .map(
+      ({ category, rules }) => `
+    <table>
+      <caption>${escapeHtml(category)}</caption>
+      <thead>
+        <tr><th scope="col">Rule</th><th scope="col">Description</th><th scope="col">Before</th><th scope="col">After</th></tr>
+      </thead>
+      <tbody>
+        ${rules
+          .map(
+            ({ rule, description, before, after }) =>
+              `<tr><th scope="row">${escapeHtml(rule)}</th><td>${escapeHtml(
+                description
+              )}</td>${statusCell(before)}${statusCell(after)}</tr>`
+          )
+          .join("\n        ")}
+      </tbody>
+    </table>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <main>
+    <h1>Accessibility Report</h1>
+    <dl>
+      <dt>Document</dt><dd>${escapeHtml(documentName)}</dd>
+      <dt>Date</dt><dd><time datetime="${generatedAt.toISOString()}">${formatDate(
+    generatedAt
+  )}</time></dd>
+      <dt>Checked by</dt><dd>Adobe Accessibility Checker</dd>
+    </dl>
+
+    <h2>Summary</h2>
+    <table>
+      <caption>Rule results before and after remediation</caption>
+      <thead>
+        <tr><th scope="col">Report</th><th scope="col">Passed</th><th scope="col">Failed</th><th scope="col">Needs manual check</th></tr>
+      </thead>
+      <tbody>
+        ${summaryRow("Before", beforeReport)}
+        ${summaryRow("After", afterReport)}
+      </tbody>
+    </table>
+
+    <h2>Detailed Report</h2>
+    ${categoryTables}
+  </main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Save text as a file in the browser
+ * @param {string} content - File contents
+ * @param {string} fileName - Name to save as
+ * @param {string} type - MIME type
+ */
+export const downloadTextFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoked later; some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+/**
+ * Open the browser's print dialog for an HTML report, e.g. to save it as a PDF.
+ * The report is printed from a hidden frame, so no popup is needed.
+ * @param {string} html - From buildReportHtml
+ */
+export const printReportHtml = (html) => {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.position = "fixed";
+  frame.style.width = "0";
+  frame.style.height = "0";
+  frame.style.border = "0";
+  frame.onload = () => {
+    // Removed once printing is done; print() doesn't block in every browser
+    frame.contentWindow.addEventListener("afterprint", () => frame.remove(), {
+      once: true,
+    });
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,60 @@
+import { buildReportCsv, printReportHtml } from "./reportExport";
+
+const report = (rules, summary = { Passed: 1, Failed: 1 }) => ({
+  Summary: summary,
+  "Detailed Report": { Document: rules },
+});
+
+const csvLines = (options) =>
+  buildReportCsv({ generatedAt: new Date("2025-01-02T09:30:00Z"), ...options })
+    .replace(/^\uFEFF/, "")
+    .split("\r\n");
+
+test("quotes every CSV field and doubles embedded quotes", () => {
+  const lines = csvLines({
+    documentName: 'Budget, "final" draft.pdf',
+    beforeReport: report([
+      {
+        Rule: "Title",
+        Description: 'Says "hello",\nthen goes on',
+        Status: "Failed",
+      },
+    ]),
+  });
+  expect(lines[0]).toBe('"Document","Budget, ""final"" draft.pdf"');
+  expect(lines[1]).toBe('"Date","2025-01-02"');
+  expect(lines[3]).toBe('"Before","1","1","0"');
+  expect(lines[4]).toBe('"After","","",""');
+  expect(lines.slice(7).join("\r\n")).toBe(
+    '"Document","Title","Says ""hello"",\nthen goes on","Failed",""\r\n'
+  );
+});
+
+test("escapes fields spreadsheets would run as formulas", () => {
+  const lines = csvLines({
+    documentName: '=HYPERLINK("http://example.com")',
+    beforeReport: report([
+      { Rule: "+1", Description: "-2", Status: "@SUM(A1)" },
+      { Rule: "a=b", Description: "", Status: "Passed" },
+    ]),
+  });
+  expect(lines[0]).toBe('"Document","\'=HYPERLINK(""http://example.com"")"');
+  expect(lines[7]).toBe('"Document","\'+1","\'-2","\'@SUM(A1)",""');
+  // Only a leading character starts a formula
+  expect(lines[8]).toBe('"Document","a=b","","Passed",""');
+});
+
+test("removes the print frame once printing is done", () => {
+  printReportHtml("<p>Report</p>");
+  const frame = document.querySelector("iframe");
+  const print = jest.fn();
+  // Neither is implemented by jsdom
+  frame.contentWindow.focus = jest.fn();
+  frame.contentWindow.print = print;
+  frame.onload();
+
+  expect(print).toHaveBeenCalled();
+  expect(document.querySelector("iframe")).toBe(frame);
+  frame.contentWindow.dispatchEvent(new Event("afterprint"));
+  expect(document.querySelector("iframe")).toBeNull();
+});
@@ -0,0 +1,58 @@
+import { PDFBucket } from "./constants";
+import {
+  getResultDownloadName,
+  getResultKey,
+  getRevisionDownloadName,
+  getRevisionKey,
+  getRevisionsPrefix,
+  parseRevisionKey,
+} from "./s3Keys";
+
+/*
+ * Revisions are PDFs saved from the alt text review (revisions/<unique file name>/rNNN.pdf).
+ * The newest one supersedes the pipeline's result, so downloads offer it instead.
+ */
+
+/**
+ * @param {Array<Object>} objects - Listed objects, e.g. a user's revisions/ keys
+ * @returns {Map<string, number>} Unique file name -> latest revision number
+ */
+export const getLatestRevisions = (objects) =>
+  objects.reduce((latest, { key }) => {
+    const parsed = parseRevisionKey(key);
+    if (parsed && parsed.revision > (latest.get(parsed.uniqueFilename) || 0)) {
+      latest.set(parsed.uniqueFilename, parsed.revision);
+    }
+    return latest;
+  }, new Map());
+
+/**
+ * @param {Object} storage - Storage service from createStorage
+ * @param {string} updatedFilename - Unique file name of the upload
+ * @returns {Promise<number>} Latest saved revision, or 0 when only the pipeline's result exists
+ */
+export const findLatestRevision = async (storage, updatedFilename) => {
+  const objects = await storage.listObjects({
+    bucket: PDFBucket,
+    prefix: getRevisionsPrefix(updatedFilename),
+  });
+  return getLatestRevisions(objects).get(updatedFilename) || 0;
+};
+
+/**
+ * The remediated PDF to download: a revision, or the pipeline's result for 0
+ * @param {string} updatedFilename - Unique file name of the upload
+ * @param {string} name - Original file name shown to the user
+ * @param {number} revision - From findLatestRevision
+ * @returns {Object} { key, fileName } in the PDF bucket
+ */
+export const getPdfVersion = (updatedFilename, name, revision) =>
+  revision > 0
+    ? {
+        key: getRevisionKey(updatedFilename, revision),
+        fileName: getRevisionDownloadName(name, revision),
+      }
+    : {
+        key: getResultKey(updatedFilename, "pdf"),
+        fileName: getResultDownloadName(name, "pdf"),
+      };
@@ -0,0 +1,54 @@
+/**
+ * Kinds of S3 errors the app reacts to differently:
+ * - NOT_FOUND: the object doesn't exist (yet), e.g. a result that is still being produced
+ * - ACCESS_DENIED: the user's credentials aren't allowed to read or write the object
+ * - MISSING_BUCKET: the configured bucket doesn't exist
+ * - NETWORK: the request never got an answer, or AWS had a temporary problem
+ * - UNKNOWN: anything else
+ */
+export const S3_ERROR_KINDS = {
+  NOT_FOUND: "not-found",
+  ACCESS_DENIED: "access-denied",
+  MISSING_BUCKET: "missing-bucket",
+  NETWORK: "network",
+  UNKNOWN: "unknown",
+};
+
+const TRANSIENT_ERROR_NAMES = [
+  "TypeError", // fetch() rejects with a TypeError when the request can't be sent
+  "NetworkError",
+  "TimeoutError",
+  "RequestTimeout",
+  "SlowDown",
+  "Throttling",
+  "ThrottlingException",
+];
+
+/**
+ * Classify an error thrown by a storage call. HeadObject responses have no
+ * body, so a missing key and a missing bucket both come back as a plain 404
+ * there; other commands name NoSuchBucket explicitly.
+ * @param {Error} error - Error thrown by a storage service (see storage.jsx)
+ * @returns {string} One of S3_ERROR_KINDS
+ */
+export const classifyS3Error = (error) => {
+  const status = error?.$metadata?.httpStatusCode;
+  const name = error?.name || error?.Code;
+
+  if (name === "NoSuchBucket") return S3_ERROR_KINDS.MISSING_BUCKET;
+  if (status === 404 || name === "NotFound" || name === "NoSuchKey") {
+    return S3_ERROR_KINDS.NOT_FOUND;
+  }
+  if (status === 403 || name === "AccessDenied" || name === "Forbidden") {
+    return S3_ERROR_KINDS.ACCESS_DENIED;
+  }
+  if (
+    !status ||
+    status >= 500 ||
+    status === 429 ||
+    TRANSIENT_ERROR_NAMES.includes(name)
+  ) {
+    return S3_ERROR_KINDS.NETWORK;
+  }
+  return S3_ERROR_KINDS.UNKNOWN;
+};
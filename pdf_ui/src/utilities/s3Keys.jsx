@@ -0,0 +1,350 @@
+/**
+ * S3 key naming shared with the backend pipelines. Every key the app reads or
+ * writes is built here, so this file is the contract with the pipelines: change a
+ * key here only together with the pipeline that produces or consumes it.
+ *
+ * An upload is identified by its unique file name:
+ *   <sanitized email>_<timestamp>_<sanitized file name>
+ * e.g. jane_doe_example_com_20250102093015123_Annual_Report.pdf
+ *
+ * Pipelines: "pdf" (PDF to PDF) and "html" (PDF to HTML). A "both" job runs both.
+ */
+
+/** Pipelines a job of the given format runs, in the order their outputs are shown */
+export const getJobPipelines = (format) =>
+  format === "both" ? ["pdf", "html"] : [format];
+
+/**
+ * @param {string} [email] - Address of the signed-in user
+ * @returns {string} Email with every non-alphanumeric character replaced by "_"
+ */
+export const sanitizeEmail = (email) =>
+  (email || "user").replace(/[^a-zA-Z0-9]/g, "_");
+
+/**
+ * Apply the S3 URI rules of the HTML pipeline (Bedrock Data Automation)
+ * @param {string} filename - File name or key segment
+ * @returns {string} Name without characters those URIs disallow
+ */
+export const sanitizeForS3 = (filename) => {
+  let sanitized = filename;
+  // Replace spaces with underscores
+  sanitized = sanitized.replace(/\s/g, "_");
+  // Replace characters that violate Bedrock Data Automation S3 URI constraints
+  // Pattern disallows: \x00-\x1F (control chars), \x7F (DEL), { ^ } % ` ] " > [ ~ < # |
+  // Also replace other problematic characters: & \ * ? / $ ! ' : @ + =
+  // eslint-disable-next-line no-control-regex
+  const problematicChars = /[\x00-\x1F\x7F{^}%`\]">[~<#|&\\*?/$!'":@+=]/g;
+  sanitized = sanitized.replace(problematicChars, "_");
+  // Replace multiple consecutive underscores with a single one
+  while (sanitized.includes("__")) {
+    sanitized = sanitized.replace(/__/g, "_");
+  }
+  // Remove leading/trailing underscores
+  sanitized = sanitized.replace(/^_+|_+$/g, "");
+  return sanitized;
+};
+
+/**
+ * File name part of an upload. "both" uploads should pass "html", whose rules are
+ * stricter, so the same name is valid in both pipelines.
+ * @param {string} filename - Name of the file the user selected
+ * @param {string} [format="pdf"] - 'pdf' or 'html'
+ * @returns {string} Sanitized name, or "default.pdf" if nothing is left
+ */
+export const sanitizeFilename = (filename, format = "pdf") => {
+  // Normalize the filename to decompose accented characters
+  const normalized = filename.normalize("NFD");
+  // Remove combining diacritical marks
+  const withoutDiacritics = normalized.replace(/[\u0300-\u036f]/g, "");
+  // Remove any characters outside of the ISO-8859-1 range.
+  // eslint-disable-next-line
+  let sanitized = withoutDiacritics.replace(/[^\u0000-\u00FF]/g, "");
+
+  // For PDF2HTML, apply comprehensive sanitization to match Bedrock Data Automation constraints
+  if (format === "html") {
+    sanitized = sanitizeForS3(sanitized);
+  }
+
+  // If the sanitized filename is empty, return a default value.
+  return sanitized.trim() ? sanitized : "default.pdf";
+};
+
+/**
+ * @param {Date} [date] - Upload time
+ * @returns {string} UTC digits, e.g. "20250102093015123" (YYYYMMDDHHMMSSmmm)
+ */
+export const formatUploadTimestamp = (date = new Date()) =>
+  date.toISOString().replace(/[-:.TZ]/g, "");
+
+/**
+ * @param {Object} descriptor - { sanitizedEmail, timestamp, fileName }
+ * @returns {string} Unique file name of the upload
+ */
+export const buildUniqueFilename = ({ sanitizedEmail, timestamp, fileName }) =>
+  `${sanitizedEmail}_${timestamp}_${fileName}`;
+
+// The email part is matched lazily, so digits in the file name aren't taken for the timestamp
+const UNIQUE_FILENAME_PATTERN = /^([A-Za-z0-9_]+?)_(\d{8,})_(.+)$/;
+
+/**
+ * @param {string} uniqueFilename - Unique file name of an upload
+ * @returns {Object|null} { sanitizedEmail, timestamp, fileName }, or null if it doesn't follow the convention
+ */
+export const parseUniqueFilename = (uniqueFilename) => {
+  const match = UNIQUE_FILENAME_PATTERN.exec(uniqueFilename || "");
+  if (!match) return null;
+  return { sanitizedEmail: match[1], timestamp: match[2], fileName: match[3] };
+};
+
+// ------------------------------ Uploads ------------------------------
+
+// Writing to these prefixes triggers the pipeline
+const UPLOAD_PREFIXES = { pdf: "pdf/", html: "uploads/" };
+
+/**
+ * @param {string} uniqueFilename - Unique file name of the upload
+ * @param {string} pipeline - 'pdf' or 'html'
+ * @returns {string} Key the file is uploaded to in that pipeline's bucket
+ */
+export const getUploadKey = (uniqueFilename, pipeline) =>
+  `${UPLOAD_PREFIXES[pipeline]}${uniqueFilename}`;
+
+/**
+ * @param {string} key - Upload key, e.g. from a resumed multipart upload
+ * @returns {Object|null} { pipeline, uniqueFilename }, or null for other keys
+ */
+export const parseUploadKey = (key) => {
+  const pipeline = Object.keys(UPLOAD_PREFIXES).find((p) =>
+    key.startsWith(UPLOAD_PREFIXES[p])
+  );
+  if (!pipeline) return null;
+  return {
+    pipeline,
+    uniqueFilename: key.slice(UPLOAD_PREFIXES[pipeline].length),
+  };
+};
+
+// ------------------------------ Results ------------------------------
+
+const PDF_RESULT_PREFIX = "result/COMPLIANT_";
+const HTML_RESULT_PREFIX = "remediated/final_";
+// Where the HTML pipeline also keeps its unpacked output; the remediated files list reads it
+const HTML_OUTPUT_PREFIX = "output/";
+
+const toZipName = (name) => name.replace(".pdf", ".zip");
+
+/**
+ * Remediated output of an upload: the accessible PDF, or the HTML zip. The HTML
+ * pipeline applies its S3 URI rules to the whole name.
+ * @param {string} uniqueFilename - Unique file name of the upload
+ * @param {string} pipeline - 'pdf' or 'html'
+ * @returns {string} Result key in that pipeline's bucket
+ */
+export const getResultKey = (uniqueFilename, pipeline) =>
+  pipeline === "html"
+    ? `${HTML_RESULT_PREFIX}${sanitizeForS3(toZipName(uniqueFilename))}`
+    : `${PDF_RESULT_PREFIX}${uniqueFilename}`;
+
+/**
+ * @param {string} name - Original file name shown to the user
+ * @param {string} pipeline - 'pdf' or 'html'
+ * @returns {string} File name the result is downloaded as
+ */
+export const getResultDownloadName = (name, pipeline) =>
+  pipeline === "html" ? `final_${toZipName(name)}` : `COMPLIANT_${name}`;
+
+/**
+ * Prefix that lists every result of a user
+ * @param {string} sanitizedEmail - From sanitizeEmail
+ * @param {string} pipeline - 'pdf' or 'html'
+ * @returns {string}
+ */
+export const getUserResultsPrefix = (sanitizedEmail, pipeline) =>
+  pipeline === "html"
+    ? `${HTML_OUTPUT_PREFIX}${sanitizedEmail}`
+    : `${PDF_RESULT_PREFIX}${sanitizedEmail}`;
+
+/**
+ * @param {string} key - Any result or HTML output key
+ * @returns {Object|null} {
+ *   pipeline, fileName (last path segment), uniqueFilename (PDF results only),
+ *   sanitizedEmail, timestamp, name (original file name part, if the key follows the convention)
+ * }
+ */
+export const parseResultKey = (key) => {
+  let pipeline;
+  let uniqueFilename = null;
+  if (key.startsWith(PDF_RESULT_PREFIX)) {
+    pipeline = "pdf";
+    uniqueFilename = key.slice(PDF_RESULT_PREFIX.length);
+  } else if (
+    key.startsWith(HTML_RESULT_PREFIX) ||
+    key.startsWith(HTML_OUTPUT_PREFIX)
+  ) {
+    pipeline = "html";
+  } else {
+    return null;
+  }
+
+  const fileName = key.split("/").pop();
+  const parsed = parseUniqueFilename(
+    fileName.replace(/^(COMPLIANT_|final_)/, "")
+  );
+  return {
+    pipeline,
+    fileName,
+    uniqueFilename,
+    sanitizedEmail: parsed?.sanitizedEmail || null,
+    timestamp: parsed?.timestamp || null,
+    name: parsed?.fileName || null,
+  };
+};
+
+/**
+ * Convert an S3 file name back to something readable
+ * @param {string} fileName - Result file name, e.g. "COMPLIANT_<unique file name>"
+ * @returns {string} E.g. "Annual Report.pdf"
+ */
+export const toReadableFileName = (fileName) => {
+  if (!fileName) return fileName;
+  let name = fileName.replace(/^COMPLIANT_/, "");
+  name = name.replace(/^[A-Za-z0-9_]+_\d{8,}_/, ""); // remove user/timestamp prefix
+  name = name.replace(/_/g, " ");
+  name = name.replace(/%20/g, " ").trim();
+  return name;
+};
+
+// ------------------------------ Revisions ------------------------------
+
+/*
+ * PDFs edited in the browser (e.g. after reviewing alt text) are saved as numbered
+ * revisions next to the pipeline's result, which stays untouched. Writing them
+ * under result/COMPLIANT_ would fire the completion notification again.
+ */
+const REVISION_PREFIX = "revisions/";
+const REVISION_PATTERN = /^revisions\/(.+)\/r(\d+)\.pdf$/;
+
+/**
+ * @param {string} uniqueFilename - Unique file name of the upload
+ * @returns {string} Prefix that lists every revision of its remediated PDF
+ */
+export const getRevisionsPrefix = (uniqueFilename) =>
+  `${REVISION_PREFIX}${uniqueFilename}/`;
+
+/**
+ * @param {string} sanitizedEmail - From sanitizeEmail
+ * @returns {string} Prefix that lists every revision of a user's PDFs
+ */
+export const getUserRevisionsPrefix = (sanitizedEmail) =>
+  `${REVISION_PREFIX}${sanitizedEmail}`;
+
+/**
+ * Revision numbers are zero-padded so listing returns them in order
+ * @param {string} uniqueFilename - Unique file name of the upload
+ * @param {number} revision - 1-based revision number
+ * @returns {string} E.g. "revisions/<unique file name>/r002.pdf"
+ */
+export const getRevisionKey = (uniqueFilename, revision) =>
+  `${getRevisionsPrefix(uniqueFilename)}r${String(revision).padStart(
+    3,
+    "0"
+  )}.pdf`;
+
+/**
+ * @param {string} key - Any key
+ * @returns {Object|null} { uniqueFilename, revision } for revision keys, otherwise null
+ */
+export const parseRevisionKey = (key) => {
+  const match = REVISION_PATTERN.exec(key || "");
+  return match
+    ? { uniqueFilename: match[1], revision: Number(match[2]) }
+    : null;
+};
+
+/**
+ * @param {string} name - Original file name shown to the user
+ * @param {number} revision - Revision number
+ * @returns {string} File name the revision is downloaded as
+ */
+export const getRevisionDownloadName = (name, revision) =>
+  `COMPLIANT_${(name || "").replace(/\.pdf$/i, "")}_revision_${revision}.pdf`;
+
+// ------------------------ Accessibility reports ------------------------
+
+/*
+ * The PDF pipeline writes its reports with misspelled names
+ * ("accessability-report", "remidiation"). They are part of the contract and
+ * must stay as they are until the pipeline changes them.
+ */
+const REPORT_DIRECTORY = "accessability-report";
+
+/**
+ * Working directory of the PDF pipeline for one upload (file name without .pdf)
+ * @param {string} uniqueFilename - Unique file name of the upload
+ * @returns {string} E.g. "temp/<name>/"
+ */
+export const getTempPrefix = (uniqueFilename) =>
+  `temp/${uniqueFilename.replace(/\.pdf$/i, "")}/`;
+
+/**
+ * Accessibility checker reports of a PDF upload, in the PDF bucket
+ * @param {string} uniqueFilename - Unique file name of the upload
+ * @returns {Object} { before, after } keys
+ */
+export const getReportKeys = (uniqueFilename) => {
+  const base = uniqueFilename.replace(/\.pdf$/i, "");
+  const directory = `${getTempPrefix(uniqueFilename)}${REPORT_DIRECTORY}/`;
+  return {
+    before: `${directory}${base}_accessibility_report_before_remidiation.json`,
+    after: `${directory}COMPLIANT_${base}_accessibility_report_after_remidiation.json`,
+  };
+};
+
+/** Matches the "after" report among the pipeline's temp/ files */
+export const AFTER_REPORT_PATTERN = new RegExp(
+  `${REPORT_DIRECTORY}/.*_after_remidiation\\.json$`,
+  "i"
+);
+
+/**
+ * @param {string} name - Original file name shown to the user
+ * @returns {Object} { before, after } file names the reports are downloaded as
+ */
+export const getReportDownloadNames = (name) => {
+  const base = (name || "").replace(/\.pdf$/i, "");
+  return {
+    before: `COMPLIANT_${base}_before_remediation_accessibility_report.json`,
+    after: `COMPLIANT_${base}_after_remediation_accessibility_report.json`,
+  };
+};
+
+// --------------------- Bookkeeping (no pipeline trigger) ---------------------
+
+/** Stage-by-stage status the pipeline may write */
+export const getStatusObjectKey = (uniqueFilename) =>
+  `status/${uniqueFilename}.json`;
+
+/** Marker the pipeline writes when a run fails */
+export const getFailureMarkerKey = (uniqueFilename) =>
+  `failed/${uniqueFilename}.json`;
+
+/** Marker the app writes when the user cancels a job */
+export const getCancellationMarkerKey = (uniqueFilename) =>
+  `cancelled/${uniqueFilename}.json`;
+
+/**
+ * Sidecar that carries a PDF's password (KMS-encrypted) to the pipeline, e.g.
+ * pdf/<name>.pdf -> passwords/pdf/<name>.pdf.json. Written by the storePdfPassword
+ * Lambda; the app itself can't read or write it.
+ * @param {string} uploadKey - Key of the uploaded PDF
+ */
+export const getPasswordSidecarKey = (uploadKey) =>
+  `passwords/${uploadKey}.json`;
+
+/**
+ * Index object mapping a user's file hash to the upload it produced.
+ * Kept outside the pdf/ and uploads/ prefixes so it never triggers the pipeline.
+ */
+export const getHashIndexKey = (sanitizedEmail, sha256) =>
+  `hashes/${sanitizedEmail}/${sha256}.json`;
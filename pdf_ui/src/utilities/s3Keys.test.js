@@ -0,0 +1,230 @@
+import {
+  buildUniqueFilename,
+  formatUploadTimestamp,
+  getHashIndexKey,
+  getJobPipelines,
+  getPasswordSidecarKey,
+  getReportDownloadNames,
+  getReportKeys,
+  getResultDownloadName,
+  getResultKey,
+  getRevisionDownloadName,
+  getRevisionKey,
+  getRevisionsPrefix,
+  getTempPrefix,
+  getUploadKey,
+  getUserResultsPrefix,
+  getUserRevisionsPrefix,
+  AFTER_REPORT_PATTERN,
+  parseResultKey,
+  parseRevisionKey,
+  parseUniqueFilename,
+  parseUploadKey,
+  sanitizeEmail,
+  sanitizeFilename,
+  sanitizeForS3,
+  toReadableFileName,
+} from "./s3Keys";
+
+const descriptor = {
+  sanitizedEmail: "jane_doe_example_com",
+  timestamp: "20250102093015123",
+  fileName: "Annual_Report_2024.pdf",
+};
+const uniqueFilename =
+  "jane_doe_example_com_20250102093015123_Annual_Report_2024.pdf";
+
+describe("unique file names", () => {
+  test("sanitizes the email", () => {
+    expect(sanitizeEmail("jane.doe@example.com")).toBe("jane_doe_example_com");
+    expect(sanitizeEmail(undefined)).toBe("user");
+  });
+
+  test("formats the upload timestamp in UTC", () => {
+    expect(
+      formatUploadTimestamp(new Date(Date.UTC(2025, 0, 2, 9, 30, 15, 123)))
+    ).toBe("20250102093015123");
+  });
+
+  test("round-trips a descriptor", () => {
+    expect(buildUniqueFilename(descriptor)).toBe(uniqueFilename);
+    expect(parseUniqueFilename(uniqueFilename)).toEqual(descriptor);
+  });
+
+  test("doesn't take digits in the file name for the timestamp", () => {
+    const name = buildUniqueFilename({
+      ...descriptor,
+      fileName: "20240101_minutes.pdf",
+    });
+    expect(parseUniqueFilename(name).fileName).toBe("20240101_minutes.pdf");
+  });
+
+  test("returns null for names outside the convention", () => {
+    expect(parseUniqueFilename("report.pdf")).toBeNull();
+    expect(parseUniqueFilename(undefined)).toBeNull();
+  });
+});
+
+describe("sanitizeFilename", () => {
+  test("strips diacritics and characters outside ISO-8859-1", () => {
+    expect(sanitizeFilename("Résumé ✓.pdf")).toBe("Resume .pdf");
+  });
+
+  test("applies the S3 URI rules for the HTML pipeline", () => {
+    expect(sanitizeFilename("Q1 & Q2 [draft].pdf", "html")).toBe(
+      "Q1_Q2_draft_.pdf"
+    );
+    expect(sanitizeForS3("__a  b__")).toBe("a_b");
+  });
+
+  test("falls back to a default name", () => {
+    expect(sanitizeFilename("✓✓")).toBe("default.pdf");
+  });
+});
+
+describe("uploads", () => {
+  test("runs both pipelines for a 'both' job", () => {
+    expect(getJobPipelines("both")).toEqual(["pdf", "html"]);
+    expect(getJobPipelines("html")).toEqual(["html"]);
+  });
+
+  test.each([
+    ["pdf", `pdf/${uniqueFilename}`],
+    ["html", `uploads/${uniqueFilename}`],
+  ])("round-trips the %s upload key", (pipeline, key) => {
+    expect(getUploadKey(uniqueFilename, pipeline)).toBe(key);
+    expect(parseUploadKey(key)).toEqual({ pipeline, uniqueFilename });
+  });
+
+  test("ignores keys outside the upload prefixes", () => {
+    expect(parseUploadKey(`result/COMPLIANT_${uniqueFilename}`)).toBeNull();
+  });
+
+  test("keeps bookkeeping keys outside the upload prefixes", () => {
+    const uploadKey = getUploadKey(uniqueFilename, "pdf");
+    expect(getPasswordSidecarKey(uploadKey)).toBe(
+      `passwords/pdf/${uniqueFilename}.json`
+    );
+    expect(parseUploadKey(getPasswordSidecarKey(uploadKey))).toBeNull();
+    expect(parseUploadKey(getHashIndexKey("jane", "abc"))).toBeNull();
+  });
+});
+
+describe("results", () => {
+  test("builds the PDF result key", () => {
+    expect(getResultKey(uniqueFilename, "pdf")).toBe(
+      `result/COMPLIANT_${uniqueFilename}`
+    );
+  });
+
+  test("applies the S3 URI rules to the HTML zip key", () => {
+    expect(
+      getResultKey("jane_20250102093015123_Q1 & Q2 (final).pdf", "html")
+    ).toBe("remediated/final_jane_20250102093015123_Q1_Q2_(final).zip");
+  });
+
+  test("parses a PDF result key back into its descriptor", () => {
+    expect(parseResultKey(getResultKey(uniqueFilename, "pdf"))).toEqual({
+      pipeline: "pdf",
+      fileName: `COMPLIANT_${uniqueFilename}`,
+      uniqueFilename,
+      sanitizedEmail: descriptor.sanitizedEmail,
+      timestamp: descriptor.timestamp,
+      name: descriptor.fileName,
+    });
+  });
+
+  test("parses HTML result and output keys", () => {
+    const parsed = parseResultKey(getResultKey(uniqueFilename, "html"));
+    expect(parsed.pipeline).toBe("html");
+    expect(parsed.name).toBe("Annual_Report_2024.zip");
+    expect(parsed.uniqueFilename).toBeNull();
+    expect(
+      parseResultKey(`output/${uniqueFilename.replace(".pdf", ".zip")}`)
+        .sanitizedEmail
+    ).toBe(descriptor.sanitizedEmail);
+  });
+
+  test("returns null for other keys", () => {
+    expect(parseResultKey(`pdf/${uniqueFilename}`)).toBeNull();
+  });
+
+  test("lists a user's results under their prefix", () => {
+    const prefix = getUserResultsPrefix(descriptor.sanitizedEmail, "pdf");
+    expect(getResultKey(uniqueFilename, "pdf").startsWith(prefix)).toBe(true);
+    expect(getUserResultsPrefix(descriptor.sanitizedEmail, "html")).toBe(
+      "output/jane_doe_example_com"
+    );
+  });
+
+  test("names downloads after the original file", () => {
+    expect(getResultDownloadName("report.pdf", "pdf")).toBe(
+      "COMPLIANT_report.pdf"
+    );
+    expect(getResultDownloadName("report.pdf", "html")).toBe(
+      "final_report.zip"
+    );
+  });
+
+  test("turns a result file name back into a readable name", () => {
+    expect(toReadableFileName(`COMPLIANT_${uniqueFilename}`)).toBe(
+      "Annual Report 2024.pdf"
+    );
+    expect(toReadableFileName("")).toBe("");
+  });
+});
+
+describe("revisions", () => {
+  test("numbers revisions so they list in order", () => {
+    const key = getRevisionKey(uniqueFilename, 2);
+    expect(key).toBe(
+      "revisions/jane_doe_example_com_20250102093015123_Annual_Report_2024.pdf/r002.pdf"
+    );
+    expect(key.startsWith(getRevisionsPrefix(uniqueFilename))).toBe(true);
+    expect(parseRevisionKey(key)).toEqual({ uniqueFilename, revision: 2 });
+    expect(parseRevisionKey(getResultKey(uniqueFilename, "pdf"))).toBeNull();
+  });
+
+  test("keeps revisions away from the completion trigger", () => {
+    expect(getRevisionKey(uniqueFilename, 1).startsWith("result/")).toBe(false);
+  });
+
+  test("lists a user's revisions under one prefix", () => {
+    expect(
+      getRevisionKey(uniqueFilename, 1).startsWith(
+        getUserRevisionsPrefix(descriptor.sanitizedEmail)
+      )
+    ).toBe(true);
+  });
+
+  test("names revision downloads after the original file", () => {
+    expect(getRevisionDownloadName("report.pdf", 3)).toBe(
+      "COMPLIANT_report_revision_3.pdf"
+    );
+  });
+});
+
+describe("accessibility reports", () => {
+  test("keeps the pipeline's report spellings", () => {
+    expect(getReportKeys(uniqueFilename)).toEqual({
+      before:
+        "temp/jane_doe_example_com_20250102093015123_Annual_Report_2024/accessability-report/jane_doe_example_com_20250102093015123_Annual_Report_2024_accessibility_report_before_remidiation.json",
+      after:
+        "temp/jane_doe_example_com_20250102093015123_Annual_Report_2024/accessability-report/COMPLIANT_jane_doe_example_com_20250102093015123_Annual_Report_2024_accessibility_report_after_remidiation.json",
+    });
+  });
+
+  test("recognizes the after report among temp/ files", () => {
+    const { before, after } = getReportKeys(uniqueFilename);
+    expect(before.startsWith(getTempPrefix(uniqueFilename))).toBe(true);
+    expect(AFTER_REPORT_PATTERN.test(after)).toBe(true);
+    expect(AFTER_REPORT_PATTERN.test(before)).toBe(false);
+  });
+
+  test("names report downloads after the original file", () => {
+    expect(getReportDownloadNames("report.pdf")).toEqual({
+      before: "COMPLIANT_report_before_remediation_accessibility_report.json",
+      after: "COMPLIANT_report_after_remediation_accessibility_report.json",
+    });
+  });
+});
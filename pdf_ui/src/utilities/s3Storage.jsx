@@ -0,0 +1,264 @@
+import {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  ListPartsCommand,
+  PutObjectCommand,
+  S3Client,
+  UploadPartCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+const createAbortError = () =>
+  new DOMException("The upload was cancelled.", "AbortError");
+
+/**
+ * PUT a single part through a presigned URL. XMLHttpRequest is used instead of
+ * the SDK because fetch does not report upload progress.
+ */
+const putPart = (url, body, onProgress, signal) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", url);
+
+    // Removed once the request settles, so a signal shared by many parts doesn't collect listeners
+    const onAbort = () => xhr.abort();
+    const cleanUp = () => signal?.removeEventListener("abort", onAbort);
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded);
+    };
+    xhr.onload = () => {
+      cleanUp();
+      if (xhr.status < 200 || xhr.status >= 300) {
+        reject(new Error(`Part upload failed with status ${xhr.status}`));
+        return;
+      }
+      const etag = xhr.getResponseHeader("ETag");
+      if (!etag) {
+        // The bucket CORS configuration must expose the ETag header
+        reject(new Error("ETag header missing from part upload response"));
+        return;
+      }
+      resolve(etag);
+    };
+    xhr.onerror = () => {
+      cleanUp();
+      reject(new Error("Network error during part upload"));
+    };
+    xhr.onabort = () => {
+      cleanUp();
+      reject(createAbortError());
+    };
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    xhr.send(body);
+  });
+
+/**
+ * Storage backed by S3, or by an S3-compatible server such as MinIO when an
+ * endpoint is given. Implements the interface described in storage.jsx.
+ * @param {Object} options
+ * @param {string} options.region - AWS region
+ * @param {Object} options.credentials - { accessKeyId, secretAccessKey, sessionToken }
+ * @param {string} [options.endpoint] - URL of an S3-compatible server; buckets are
+ *   then addressed by path, since local servers rarely resolve bucket subdomains
+ * @returns {Object} Storage service
+ */
+export const createS3Storage = ({ region, credentials, endpoint }) => {
+  const client = new S3Client({
+    region,
+    credentials: {
+      accessKeyId: credentials?.accessKeyId,
+      secretAccessKey: credentials?.secretAccessKey,
+      sessionToken: credentials?.sessionToken,
+    },
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+  });
+
+  const readObject = async ({ bucket, key }, readBody) => {
+    const { Body, LastModified, ContentType, Metadata } = await client.send(
+      new GetObjectCommand({ Bucket: bucket, Key: key })
+    );
+    return {
+      body: await readBody(Body),
+      lastModified: LastModified,
+      contentType: ContentType,
+      metadata: Metadata || {},
+    };
+  };
+
+  return {
+    getObject: (params) =>
+      readObject(params, (Body) => Body.transformToByteArray()),
+
+    getObjectText: (params) =>
+      readObject(params, (Body) => Body.transformToString()),
+
+    headObject: async ({ bucket, key }) => {
+      const { LastModified, ContentType, ContentLength, Metadata } =
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return {
+        lastModified: LastModified,
+        contentType: ContentType,
+        size: ContentLength,
+        metadata: Metadata || {},
+      };
+    },
+
+    putObject: ({ bucket, key, body, contentType, metadata }) =>
+      client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          Metadata: metadata,
+        })
+      ),
+
+    copyObject: ({
+      sourceBucket,
+      sourceKey,
+      bucket,
+      key,
+      contentType,
+      metadata,
+      signal,
+    }) =>
+      client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          CopySource: `${sourceBucket || bucket}/${encodeURIComponent(
+            sourceKey
+          )}`,
+          // New metadata replaces the source's; without it the source's is kept
+          ...(metadata
+            ? {
+                MetadataDirective: "REPLACE",
+                ContentType: contentType,
+                Metadata: metadata,
+              }
+            : {}),
+        }),
+        { abortSignal: signal }
+      ),
+
+    deleteObject: ({ bucket, key }) =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+    listObjects: async ({ bucket, prefix }) => {
+      const objects = [];
+      let ContinuationToken;
+      do {
+        const response = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken,
+          })
+        );
+        (response.Contents || []).forEach((item) =>
+          objects.push({
+            key: item.Key,
+            lastModified: item.LastModified,
+            size: item.Size,
+          })
+        );
+        ContinuationToken = response.IsTruncated
+          ? response.NextContinuationToken
+          : undefined;
+      } while (ContinuationToken);
+      return objects;
+    },
+
+    getDownloadUrl: ({ bucket, key, fileName, expiresIn = 3600 }) =>
+      getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ...(fileName
+            ? {
+                ResponseContentDisposition: `attachment; filename="${fileName}"`,
+              }
+            : {}),
+        }),
+        { expiresIn }
+      ),
+
+    createMultipartUpload: async ({ bucket, key, contentType, metadata }) => {
+      const { UploadId } = await client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          ContentType: contentType,
+          Metadata: metadata,
+        })
+      );
+      return UploadId;
+    },
+
+    listParts: async ({ bucket, key, uploadId }) => {
+      const { Parts = [] } = await client.send(
+        new ListPartsCommand({ Bucket: bucket, Key: key, UploadId: uploadId })
+      );
+      return Parts.map(({ PartNumber, ETag }) => ({
+        partNumber: PartNumber,
+        etag: ETag,
+      }));
+    },
+
+    uploadPart: async ({
+      bucket,
+      key,
+      uploadId,
+      partNumber,
+      body,
+      onProgress,
+      signal,
+    }) => {
+      const url = await getSignedUrl(
+        client,
+        new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+        }),
+        { expiresIn: 3600 }
+      );
+      return putPart(url, body, onProgress, signal);
+    },
+
+    completeMultipartUpload: ({ bucket, key, uploadId, parts }) =>
+      client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: {
+            Parts: parts.map(({ partNumber, etag }) => ({
+              PartNumber: partNumber,
+              ETag: etag,
+            })),
+          },
+        })
+      ),
+
+    abortMultipartUpload: ({ bucket, key, uploadId }) =>
+      client.send(
+        new AbortMultipartUploadCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+        })
+      ),
+  };
+};
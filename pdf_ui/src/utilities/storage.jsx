@@ -0,0 +1,106 @@
+import { StorageBackend, StorageEndpoint, region } from "./constants";
+import { listUserFiles } from "./filesApi";
+import { createMemoryStorage } from "./memoryStorage";
+import { createS3Storage } from "./s3Storage";
+import {
+  abortUpload,
+  cancelUpload,
+  listUploadParts,
+  retryUpload,
+} from "./uploadsApi";
+
+/*
+ * Every file the app reads or writes goes through a storage service, so the UI
+ * can run against AWS, a local S3-compatible server or memory. A backend implements:
+ *
+ *   getObject({ bucket, key })            -> { body (Uint8Array), lastModified, contentType, metadata }
+ *   getObjectText({ bucket, key })        -> same, with the body decoded as UTF-8 text
+ *   headObject({ bucket, key })           -> { lastModified, contentType, size, metadata }
+ *   putObject({ bucket, key, body, contentType, metadata })
+ *   copyObject({ sourceBucket, sourceKey, bucket, key, contentType, metadata, signal })
+ *   deleteObject({ bucket, key })         (succeeds if the key doesn't exist)
+ *   listObjects({ bucket, prefix })       -> [{ key, lastModified, size }]
+ *   getDownloadUrl({ bucket, key, fileName, expiresIn }) -> URL the browser can open
+ *   createMultipartUpload({ bucket, key, contentType, metadata }) -> upload id
+ *   listParts({ bucket, key, uploadId })  -> [{ partNumber, etag }]
+ *   uploadPart({ bucket, key, uploadId, partNumber, body, onProgress, signal }) -> etag
+ *   completeMultipartUpload({ bucket, key, uploadId, parts })
+ *   abortMultipartUpload({ bucket, key, uploadId })
+ *
+ * The AWS backend also has cancelUpload({ bucket, key }) -> { cancelledAt, started }
+ * and retryUpload({ bucket, key }) -> Date: see cancelPipeline and retriggerPipeline,
+ * which do the same themselves with the other backends.
+ *
+ * Failures are thrown as S3-style errors (name and $metadata.httpStatusCode),
+ * which classifyS3Error understands.
+ *
+ * Against AWS, listObjects goes through the files API and deleting or aborting an
+ * upload and listing its parts through the uploads API: the user's role can't list
+ * the buckets or delete objects. Without s3:ListBucket a missing key also comes back as 403, not 404,
+ * so check whether an object exists by listing it rather than with headObject.
+ */
+
+export const STORAGE_BACKENDS = {
+  AWS: "aws",
+  LOCAL: "local",
+  MEMORY: "memory",
+};
+
+// The local server may use its own keys (e.g. MinIO's root user) instead of the user's AWS credentials
+const getLocalCredentials = (awsCredentials) =>
+  process.env.REACT_APP_STORAGE_ACCESS_KEY_ID
+    ? {
+        accessKeyId: process.env.REACT_APP_STORAGE_ACCESS_KEY_ID,
+        secretAccessKey: process.env.REACT_APP_STORAGE_SECRET_ACCESS_KEY,
+      }
+    : awsCredentials;
+
+/**
+ * Storage service for the configured backend (REACT_APP_STORAGE_BACKEND)
+ * @param {Object} awsCredentials - The user's temporary AWS credentials, plus the
+ *   idToken the files API is called with
+ * @returns {Object} Storage service implementing the interface above
+ */
+export const createStorage = (awsCredentials) => {
+  switch (StorageBackend) {
+    case STORAGE_BACKENDS.MEMORY:
+      return createMemoryStorage();
+    case STORAGE_BACKENDS.LOCAL:
+      if (!StorageEndpoint) {
+        throw new Error(
+          "REACT_APP_STORAGE_ENDPOINT must be set to use the local storage backend."
+        );
+      }
+      return createS3Storage({
+        region: region || "us-east-1",
+        credentials: getLocalCredentials(awsCredentials),
+        endpoint: StorageEndpoint,
+      });
+    case STORAGE_BACKENDS.AWS:
+      return {
+        ...createS3Storage({ region, credentials: awsCredentials }),
+        listObjects: ({ bucket, prefix }) =>
+          listUserFiles({ idToken: awsCredentials?.idToken, bucket, prefix }),
+        listParts: ({ bucket, key, uploadId }) =>
+          listUploadParts({
+            idToken: awsCredentials?.idToken,
+            bucket,
+            key,
+            uploadId,
+          }),
+        abortMultipartUpload: ({ bucket, key, uploadId }) =>
+          abortUpload({
+            idToken: awsCredentials?.idToken,
+            bucket,
+            key,
+            uploadId,
+          }),
+        cancelUpload: ({ bucket, key }) =>
+          cancelUpload({ idToken: awsCredentials?.idToken, bucket, key }),
+        retryUpload: ({ bucket, key }) =>
+          retryUpload({ idToken: awsCredentials?.idToken, bucket, key }),
+      };
+    default:
+      throw new Error(`Unknown storage backend "${StorageBackend}".`);
+  }
+};
@@ -0,0 +1,219 @@
+import {
+  PDFArray,
+  PDFDict,
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFRef,
+} from "pdf-lib";
+
+// Enough to follow any sensible RoleMap chain without looping on a circular one
+const MAX_ROLE_MAP_DEPTH = 10;
+
+export const STRUCTURE_ISSUE_KINDS = {
+  HEADING_SKIP: "heading-skip",
+  EMPTY_TAG: "empty-tag",
+};
+
+const getName = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : null;
+};
+
+// Text strings (PDFString or PDFHexString); null when missing or blank
+const getText = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  if (!value || typeof value.decodeText !== "function") return null;
+  return value.decodeText().trim() || null;
+};
+
+// Custom tag names map to standard ones through the RoleMap, possibly in steps
+const resolveRole = (type, roleMap) => {
+  let role = type;
+  for (let i = 0; roleMap && i < MAX_ROLE_MAP_DEPTH; i++) {
+    const mapped = roleMap.lookup(PDFName.of(role));
+    if (!(mapped instanceof PDFName) || mapped.decodeText() === role) break;
+    role = mapped.decodeText();
+  }
+  return role;
+};
+
+/**
+ * Heading level of a standard role
+ * @param {string} role - e.g. "H2"
+ * @returns {number|null} 1-6, or null for anything else (including a plain "H")
+ */
+export const getHeadingLevel = (role) => {
+  const match = /^H([1-6])$/.exec(role || "");
+  return match ? Number(match[1]) : null;
+};
+
+const assignIds = (elements, prefix = "") =>
+  elements.map((element, index) => {
+    const id = prefix ? `${prefix}.${index}` : String(index);
+    return { id, ...element, children: assignIds(element.children, id) };
+  });
+
+/**
+ * Read the structure tree (StructTreeRoot) of a PDF
+ * @param {PDFDocument} pdfDoc - pdf-lib document
+ * @returns {Array<Object>|null} Top-level elements, or null for an untagged PDF. Each is {
+ *   id (position in the tree, e.g. "0.3.1"), type (tag name as written), role (standard role),
+ *   title, alt, actualText, lang,
+ *   content ([{ pageIndex, mcid }] of its own marked content, pageIndex 0-based),
+ *   objectCount (annotations, form XObject content and other objects it owns), children,
+ *   dict (its pdf-lib StructElem dictionary, for editing)
+ * }
+ */
+export const readStructureTree = (pdfDoc) => {
+  const root = pdfDoc.catalog.lookupMaybe(
+    PDFName.of("StructTreeRoot"),
+    PDFDict
+  );
+  if (!root) return null;
+
+  const roleMap = root.lookupMaybe(PDFName.of("RoleMap"), PDFDict);
+  const pageIndexes = new Map(
+    pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+  );
+  const getPageIndex = (dict, inherited) => {
+    const ref = dict.get(PDFName.of("Pg"));
+    return ref instanceof PDFRef && pageIndexes.has(ref.toString())
+      ? pageIndexes.get(ref.toString())
+      : inherited;
+  };
+  // Broken files can point back up the tree
+  const visited = new Set();
+
+  const readKids = (kids, element, pageIndex) => {
+    const kid = kids instanceof PDFRef ? pdfDoc.context.lookup(kids) : kids;
+    if (kid instanceof PDFArray) {
+      kid.asArray().forEach((item) => readKids(item, element, pageIndex));
+    } else if (kid instanceof PDFNumber) {
+      if (pageIndex !== null) {
+        element.content.push({ pageIndex, mcid: kid.asNumber() });
+      }
+    } else if (kid instanceof PDFDict) {
+      const kidType = getName(kid, "Type");
+      if (kidType === "MCR") {
+        const mcid = kid.lookup(PDFName.of("MCID"));
+        const mcrPage = getPageIndex(kid, pageIndex);
+        if (kid.has(PDFName.of("Stm"))) {
+          // Content inside a form XObject isn't part of the page's own marked content
+          element.objectCount += 1;
+        } else if (mcid instanceof PDFNumber && mcrPage !== null) {
+          element.content.push({ pageIndex: mcrPage, mcid: mcid.asNumber() });
+        }
+      } else if (kidType === "OBJR") {
+        element.objectCount += 1;
+      } else {
+        const child = readElement(kid, pageIndex);
+        if (child) element.children.push(child);
+      }
+    }
+  };
+
+  const readElement = (dict, inheritedPage) => {
+    if (visited.has(dict)) return null;
+    visited.add(dict);
+
+    const type = getName(dict, "S") || "";
+    const pageIndex = getPageIndex(dict, inheritedPage);
+    const element = {
+      dict,
+      type,
+      role: resolveRole(type, roleMap),
+      title: getText(dict, "T"),
+      alt: getText(dict, "Alt"),
+      actualText: getText(dict, "ActualText"),
+      lang: getText(dict, "Lang"),
+      content: [],
+      objectCount: 0,
+      children: [],
+    };
+    const kids = dict.get(PDFName.of("K"));
+    if (kids) readKids(kids, element, pageIndex);
+    return element;
+  };
+
+  // The root itself isn't an element; its K holds the top-level ones (usually one Document)
+  const top = { content: [], objectCount: 0, children: [] };
+  const kids = root.get(PDFName.of("K"));
+  if (kids) readKids(kids, top, null);
+  return assignIds(top.children);
+};
+
+/**
+ * Open a PDF with pdf-lib and read its structure tree
+ * @param {Uint8Array|ArrayBuffer} bytes - The PDF
+ * @returns {Promise<Array<Object>|null>} See readStructureTree
+ */
+export const loadStructureTree = async (bytes) => {
+  const pdfDoc = await PDFDocument.load(bytes, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  return readStructureTree(pdfDoc);
+};
+
+/**
+ * Every element of the tree in document (pre-)order
+ * @param {Array<Object>} elements - From readStructureTree
+ * @returns {Array<Object>}
+ */
+export const flattenStructureTree = (elements) =>
+  elements.flatMap((element) => [
+    element,
+    ...flattenStructureTree(element.children),
+  ]);
+
+/**
+ * Marked content of an element and everything inside it
+ * @param {Object} element - Element from readStructureTree
+ * @returns {Array<Object>} [{ pageIndex, mcid }]
+ */
+export const getElementContent = (element) =>
+  flattenStructureTree([element]).flatMap((item) => item.content);
+
+/**
+ * Problems a screen reader user would run into: headings that skip a level
+ * (H1 then H3, or a first heading below H1) and tags with no content at all
+ * @param {Array<Object>} elements - From readStructureTree
+ * @returns {Array<Object>} { kind, elementId, message } in document order
+ */
+export const findStructureIssues = (elements) => {
+  const issues = [];
+  let previousLevel = 0;
+
+  flattenStructureTree(elements).forEach((element) => {
+    const level = getHeadingLevel(element.role);
+    if (level !== null) {
+      if (level > previousLevel + 1) {
+        issues.push({
+          kind: STRUCTURE_ISSUE_KINDS.HEADING_SKIP,
+          elementId: element.id,
+          message: previousLevel
+            ? `${element.role} follows H${previousLevel}; H${
+                previousLevel + 1
+              } was skipped`
+            : `The first heading is ${element.role}, not H1`,
+        });
+      }
+      previousLevel = level;
+    }
+
+    const isEmpty =
+      element.children.length === 0 &&
+      element.content.length === 0 &&
+      element.objectCount === 0;
+    if (isEmpty) {
+      issues.push({
+        kind: STRUCTURE_ISSUE_KINDS.EMPTY_TAG,
+        elementId: element.id,
+        message: `Empty ${element.type || "untyped"} tag`,
+      });
+    }
+  });
+
+  return issues;
+};
@@ -0,0 +1,86 @@
+import { UploadsAPI } from "./constants";
+
+/**
+ * Act on one of the caller's uploads through the uploads API (manageUploads
+ * Lambda), which checks the key is theirs. The identity pool role can't delete
+ * objects or abort and list multipart uploads, so these replace the S3 calls against AWS.
+ * @param {Object} options - { idToken, action, bucket, key, uploadId }
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} S3-style error (name and $metadata.httpStatusCode), so
+ *   classifyS3Error treats it like the S3 call it replaces
+ */
+const callUploadsApi = async ({ idToken, ...body }) => {
+  if (!UploadsAPI) {
+    throw new Error(
+      "Uploads can't be changed: the uploads API is not configured (REACT_APP_UPLOADS_API)."
+    );
+  }
+  const res = await fetch(UploadsAPI, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.message || "Unable to change the upload.");
+    error.name =
+      res.status === 403
+        ? "AccessDenied"
+        : res.status === 404
+        ? "NoSuchUpload"
+        : "UploadsApiError";
+    error.$metadata = { httpStatusCode: res.status };
+    throw error;
+  }
+  return data;
+};
+
+/**
+ * @param {Object} options - { idToken, bucket, key, uploadId }
+ * @returns {Promise<Array<Object>>} [{ partNumber, etag }]
+ */
+export const listUploadParts = async ({ idToken, bucket, key, uploadId }) => {
+  const data = await callUploadsApi({
+    idToken,
+    action: "listParts",
+    bucket,
+    key,
+    uploadId,
+  });
+  return data.parts || [];
+};
+
+/**
+ * @param {Object} options - { idToken, bucket, key, uploadId }
+ * @returns {Promise<void>}
+ */
+export const abortUpload = async ({ idToken, bucket, key, uploadId }) => {
+  await callUploadsApi({ idToken, action: "abort", bucket, key, uploadId });
+};
+
+/**
+ * Write the cancellation marker, abort unfinished parts and delete the upload.
+ * The Lambda first checks whether the pipeline already wrote anything for it.
+ * @param {Object} options - { idToken, bucket, key }
+ * @returns {Promise<Object>} { cancelledAt (Date), started }: started is true
+ *   when a stage had already begun, so the upload keeps counting toward the quota
+ */
+export const cancelUpload = async ({ idToken, bucket, key }) => {
+  const data = await callUploadsApi({ idToken, action: "cancel", bucket, key });
+  return { cancelledAt: new Date(data.cancelledAt), started: !!data.started };
+};
+
+/**
+ * Start a failed run again. The Lambda refuses (409) unless a run failed since the
+ * upload was last triggered, or if the file was password-protected.
+ * @param {Object} options - { idToken, bucket, key }
+ * @returns {Promise<Date>} Time of the retry
+ */
+export const retryUpload = async ({ idToken, bucket, key }) => {
+  const data = await callUploadsApi({ idToken, action: "retry", bucket, key });
+  return new Date(data.retriedAt);
+};
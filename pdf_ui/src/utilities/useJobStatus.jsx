@@ -0,0 +1,389 @@
+import { useRef, useState } from "react";
+import { HTMLBucket, PDFBucket } from "./constants";
+import { useNotificationOptIn } from "./notifications";
+import {
+  cancelPipeline,
+  fetchPipelineStatus,
+  getRemediationPollingSchedule,
+  markAllStagesCompleted,
+  retriggerPipeline,
+} from "./pipelineStatus";
+import { findLatestRevision, getPdfVersion } from "./revisions";
+import { S3_ERROR_KINDS, classifyS3Error } from "./s3Errors";
+import {
+  getJobPipelines,
+  getResultDownloadName,
+  getResultKey,
+  getUploadKey,
+} from "./s3Keys";
+import { createStorage } from "./storage";
+import { usePolling } from "./usePolling";
+
+// Give up after this many checks in a row without any answer from S3
+const MAX_CONSECUTIVE_NETWORK_ERRORS = 4;
+
+const PIPELINE_BUCKETS = { pdf: PDFBucket, html: HTMLBucket };
+
+/**
+ * Where a job's results end up. One output per pipeline: "both" waits for the
+ * accessible PDF and the HTML zip.
+ * @param {Object} job - { name, updatedName, format }
+ * @returns {Array<Object>} { format, bucket, objectKey, desiredFilename, name, updatedName }
+ */
+export const getJobOutputs = ({ name, updatedName, format }) =>
+  getJobPipelines(format).map((pipeline) => ({
+    format: pipeline,
+    bucket: PIPELINE_BUCKETS[pipeline],
+    objectKey: getResultKey(updatedName, pipeline),
+    desiredFilename: getResultDownloadName(name, pipeline),
+    name,
+    updatedName,
+  }));
+
+/**
+ * Every copy of the file a job uploaded: "both" sends it to the PDF and the HTML bucket
+ * @param {Object} job - { updatedName, format }
+ * @returns {Array<Object>} { pipeline, bucket, key }, primary upload first
+ */
+export const getJobUploads = ({ updatedName, format }) =>
+  getJobPipelines(format).map((pipeline) => ({
+    pipeline,
+    bucket: PIPELINE_BUCKETS[pipeline],
+    key: getUploadKey(updatedName, pipeline),
+  }));
+
+/**
+ * Pipeline status of a job. Each upload is checked, since either run of a "both"
+ * job can fail on its own; stage progress is that of the primary upload.
+ * @param {Object} options - { storage, job ({ updatedName, format }), since }
+ * @returns {Promise<Object>} As fetchPipelineStatus, with failedStage and
+ *   errorMessage of the first failed run, plus failedPipelines (e.g. ['html'])
+ * @throws When a bucket doesn't exist or S3 can't be reached
+ */
+export const fetchJobStatus = async ({ storage, job, since }) => {
+  const runs = [];
+  for (const { pipeline, bucket } of getJobUploads(job)) {
+    const status = await fetchPipelineStatus({
+      storage,
+      bucket,
+      uniqueFilename: job.updatedName,
+      format: pipeline,
+      since,
+    });
+    runs.push({ pipeline, status });
+  }
+
+  const [primary, ...others] = runs;
+  const failedOther = others.find(({ status }) => status.failedStage);
+  const failure =
+    primary.status.failedStage || !failedOther
+      ? primary.status
+      : {
+          failedStage: failedOther.status.failedStage,
+          errorMessage: `The ${failedOther.pipeline.toUpperCase()} version failed${
+            failedOther.status.errorMessage
+              ? `: ${failedOther.status.errorMessage}`
+              : "."
+          }`,
+        };
+  return {
+    ...primary.status,
+    failedStage: failure.failedStage,
+    errorMessage: failure.errorMessage,
+    failedPipelines: runs
+      .filter(({ status }) => status.failedStage)
+      .map(({ pipeline }) => pipeline),
+  };
+};
+
+/**
+ * Start a job's failed pipeline runs again. Only the uploads whose run failed are
+ * retried, so a "both" job doesn't remediate its PDF twice when only the HTML run
+ * failed. A job without a failed run is not retried, since nothing was reserved for it.
+ * @param {Object} job - { updatedName, format, retriedAt }
+ * @param {Object} awsCredentials - The user's temporary AWS credentials
+ * @param {Date} [since] - Start of the current run; earlier failures are ignored.
+ *   Defaults to the job's last retry.
+ * @returns {Promise<Date>} Start of the new run
+ */
+export const retryJob = async (
+  job,
+  awsCredentials,
+  since = job.retriedAt ? new Date(job.retriedAt) : undefined
+) => {
+  const storage = createStorage(awsCredentials);
+  const { failedPipelines } = await fetchJobStatus({ storage, job, since });
+  if (failedPipelines.length === 0) {
+    throw new Error(
+      "No failed run was found for this file, so it can't be retried. Please upload it again."
+    );
+  }
+  const uploads = getJobUploads(job).filter(({ pipeline }) =>
+    failedPipelines.includes(pipeline)
+  );
+
+  let retriedAt;
+  for (const { bucket, key } of uploads) {
+    const startedAt = await retriggerPipeline({
+      storage,
+      bucket,
+      uploadKey: key,
+    });
+    // The earliest start, so no status of the new runs is ignored
+    if (!retriedAt || startedAt < retriedAt) retriedAt = startedAt;
+  }
+  return retriedAt;
+};
+
+/**
+ * Stop a job's pipeline runs and remove its uploaded file(s). Quota is refunded separately,
+ * and only when no stage had started.
+ * @param {Object} job - { updatedName, format }
+ * @param {Object} awsCredentials - The user's temporary AWS credentials
+ * @returns {Promise<Object>} { started }: true when any of the job's runs had begun
+ */
+export const cancelJob = async (job, awsCredentials) => {
+  const storage = createStorage(awsCredentials);
+  let started = false;
+  for (const { pipeline, bucket, key } of getJobUploads(job)) {
+    const result = await cancelPipeline({
+      storage,
+      bucket,
+      pipeline,
+      uploadKey: key,
+      uniqueFilename: job.updatedName,
+    });
+    started = started || result.started;
+  }
+  return { started };
+};
+
+/**
+ * @param {Error} error - Error thrown by retryJob
+ * @returns {string} Message to show the user
+ */
+export const describeRetryError = (error) =>
+  // 409: the uploads API found no failed run or a password-protected file
+  error.$metadata && error.$metadata.httpStatusCode !== 409
+    ? "The remediation could not be restarted. Please try again or start over."
+    : error.message;
+
+/**
+ * Presigned link that downloads one of a job's outputs. A PDF whose alt text was
+ * reviewed is downloaded as its latest saved revision.
+ * @param {Object} output - Entry from getJobOutputs
+ * @param {Object} awsCredentials - The user's temporary AWS credentials
+ * @returns {Promise<string>} URL valid for about 8 hours
+ */
+export const getOutputDownloadUrl = async (output, awsCredentials) => {
+  const storage = createStorage(awsCredentials);
+  let { objectKey: key, desiredFilename: fileName } = output;
+  if (output.format === "pdf") {
+    const revision = await findLatestRevision(
+      storage,
+      output.updatedName
+    ).catch((error) => {
+      console.warn("Unable to list revisions:", error);
+      return 0;
+    });
+    ({ key, fileName } = getPdfVersion(
+      output.updatedName,
+      output.name,
+      revision
+    ));
+  }
+  return storage.getDownloadUrl({
+    bucket: output.bucket,
+    key,
+    fileName,
+    expiresIn: 30000, // 8.33 hours expiration
+  });
+};
+
+// Listed rather than fetched: without s3:ListBucket a missing key is a 403, not a 404
+const findOutputObject = async (storage, { bucket, objectKey }) => {
+  const objects = await storage.listObjects({ bucket, prefix: objectKey });
+  return objects.find(({ key }) => key === objectKey) || null;
+};
+
+/**
+ * Poll a remediation job until its outputs exist or it fails
+ * @param {Object} job - { name, updatedName, format, pageCount, retriedAt }, or null
+ * @param {Object} options - { awsCredentials, enabled }
+ * @returns {Object} {
+ *   pipelineStatus, readyUrls ({ pdf, html } presigned URLs), isReady,
+ *   completedAt (ms; when the last output was written),
+ *   error ({ kind: 'timeout' | 'pipeline' | 'access-denied' | 'missing-bucket' | 'network', message }),
+ *   hasConnectionIssue, isRetrying, retry
+ * }
+ */
+export const useJobStatus = (job, { awsCredentials, enabled = true } = {}) => {
+  // Presigned download URLs by output format ('pdf' / 'html') as each output appears
+  const [readyUrls, setReadyUrls] = useState({});
+  const readyUrlsRef = useRef({});
+  const completedAtRef = useRef(null);
+  const [isReady, setIsReady] = useState(false);
+  const [completedAt, setCompletedAt] = useState(null);
+  // Real stage progress reported by (or inferred from) the pipeline
+  const [pipelineStatus, setPipelineStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [hasConnectionIssue, setHasConnectionIssue] = useState(false);
+  const [isRetrying, setIsRetrying] = useState(false);
+  // Start of the current pipeline run; status left behind by an earlier, failed run is ignored
+  const [runStartedAt, setRunStartedAt] = useState(() =>
+    job?.retriedAt ? new Date(job.retriedAt) : null
+  );
+  const consecutiveNetworkErrorsRef = useRef(0);
+  const { isEnabled: notificationsEnabled } = useNotificationOptIn();
+
+  const fail = (kind, message) => setError({ kind, message });
+
+  const waitForOutput = () => {
+    consecutiveNetworkErrorsRef.current = 0;
+    setHasConnectionIssue(false);
+    return false;
+  };
+
+  // One polling attempt; returns true once there is nothing left to wait for
+  const checkJob = async ({ attempt }) => {
+    if (
+      (job.format !== "html" && PDFBucket === "Null") ||
+      (job.format !== "pdf" && HTMLBucket === "Null")
+    ) {
+      console.error("Bucket is not defined. Check environment variables.");
+      fail("missing-bucket");
+      return true;
+    }
+
+    // Credentials may still be loading; the next attempt checks again
+    if (!awsCredentials?.accessKeyId) return false;
+
+    const storage = createStorage(awsCredentials);
+
+    try {
+      const status = await fetchJobStatus({
+        storage,
+        job,
+        since: runStartedAt,
+      });
+      setPipelineStatus(status);
+      if (status.failedStage) {
+        console.error(
+          `Remediation failed during stage "${status.failedStage}":`,
+          status.errorMessage
+        );
+        fail("pipeline", status.errorMessage);
+        return true;
+      }
+
+      // Outputs found on earlier polls are not checked again
+      for (const output of getJobOutputs(job)) {
+        if (readyUrlsRef.current[output.format]) continue;
+
+        // Check if the processed file exists
+        const result = await findOutputObject(storage, output);
+        if (!result) return waitForOutput();
+        const { lastModified } = result;
+        // The job finished when its last output was written, not when polling noticed
+        if (lastModified) {
+          completedAtRef.current = Math.max(
+            completedAtRef.current || 0,
+            new Date(lastModified).getTime()
+          );
+        }
+
+        const url = await getOutputDownloadUrl(output, awsCredentials);
+        readyUrlsRef.current = {
+          ...readyUrlsRef.current,
+          [output.format]: url,
+        };
+        setReadyUrls(readyUrlsRef.current);
+      }
+
+      setPipelineStatus(
+        (current) => current && markAllStagesCompleted(current)
+      );
+      setCompletedAt(completedAtRef.current || Date.now());
+      setIsReady(true);
+      return true;
+    } catch (err) {
+      const kind = classifyS3Error(err);
+
+      if (
+        kind === S3_ERROR_KINDS.ACCESS_DENIED ||
+        kind === S3_ERROR_KINDS.MISSING_BUCKET
+      ) {
+        console.error(
+          `Stopped checking for the remediated file (${kind}):`,
+          err
+        );
+        fail(kind);
+        return true;
+      }
+
+      if (kind === S3_ERROR_KINDS.NOT_FOUND) return waitForOutput();
+
+      // Network hiccups and temporary AWS errors are retried for a while before giving up
+      consecutiveNetworkErrorsRef.current += 1;
+      console.warn(`Unable to reach S3 (attempt ${attempt}):`, err);
+      setHasConnectionIssue(true);
+      if (
+        consecutiveNetworkErrorsRef.current >= MAX_CONSECUTIVE_NETWORK_ERRORS
+      ) {
+        fail("network");
+        return true;
+      }
+      return false;
+    }
+  };
+
+  // Checks start after a delay and back off over time, both scaled to the document's length
+  usePolling(checkJob, {
+    ...getRemediationPollingSchedule(job?.pageCount),
+    enabled: enabled && !!job?.updatedName && !isReady && !error,
+    resetKey: `${job?.updatedName}|${runStartedAt}`,
+    // Users who asked to be notified should hear about the result while the tab is in the background
+    pauseWhenHidden: !notificationsEnabled,
+    onGiveUp: () => {
+      console.error("Remediation timed out");
+      fail("timeout");
+    },
+  });
+
+  /**
+   * Resume polling after it stopped; a failed run is started again first
+   * @returns {Promise<Date|undefined>} Start of the new run, if one was started
+   */
+  const retry = async () => {
+    let retriedAt;
+    if (error?.kind === "pipeline") {
+      setIsRetrying(true);
+      try {
+        retriedAt = await retryJob(job, awsCredentials, runStartedAt);
+        setRunStartedAt(retriedAt);
+        setPipelineStatus(null);
+      } catch (err) {
+        console.error("Error restarting remediation:", err);
+        setError({ kind: "pipeline", message: describeRetryError(err) });
+        return undefined;
+      } finally {
+        setIsRetrying(false);
+      }
+    }
+    consecutiveNetworkErrorsRef.current = 0;
+    setHasConnectionIssue(false);
+    setError(null);
+    return retriedAt;
+  };
+
+  return {
+    pipelineStatus,
+    readyUrls,
+    isReady,
+    completedAt,
+    error,
+    hasConnectionIssue,
+    isRetrying,
+    retry,
+  };
+};
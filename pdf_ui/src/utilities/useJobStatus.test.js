@@ -0,0 +1,158 @@
+import { clearMemoryStorage, createMemoryStorage } from "./memoryStorage";
+import {
+  getFailureMarkerKey,
+  getResultKey,
+  getRevisionKey,
+  getUploadKey,
+} from "./s3Keys";
+import {
+  fetchJobStatus,
+  getJobOutputs,
+  getJobUploads,
+  getOutputDownloadUrl,
+  retryJob,
+} from "./useJobStatus";
+
+// Separate buckets per pipeline, so each side of a "both" job has its own markers
+jest.mock("./constants", () => ({
+  ...jest.requireActual("./constants"),
+  PDFBucket: "pdf-bucket",
+  HTMLBucket: "html-bucket",
+  StorageBackend: "memory",
+}));
+
+const job = {
+  name: "report.pdf",
+  updatedName: "jane_20250102093015123_report.pdf",
+  format: "both",
+};
+
+const uploadBoth = async (storage) => {
+  for (const { bucket, key } of getJobUploads(job)) {
+    await storage.putObject({
+      bucket,
+      key,
+      body: "%PDF-1.7",
+      contentType: "application/pdf",
+      metadata: { sha256: "abc" },
+    });
+  }
+};
+
+const failHtmlRun = (storage) =>
+  storage.putObject({
+    bucket: "html-bucket",
+    key: getFailureMarkerKey(job.updatedName),
+    body: JSON.stringify({ message: "Conversion timed out" }),
+    contentType: "application/json",
+  });
+
+const getRetriedAt = async (storage, bucket, pipeline) =>
+  (
+    await storage.headObject({
+      bucket,
+      key: getUploadKey(job.updatedName, pipeline),
+    })
+  ).metadata["retried-at"];
+
+afterEach(() => {
+  clearMemoryStorage();
+});
+
+test("lists one upload per pipeline of a both job", () => {
+  expect(getJobUploads(job)).toEqual([
+    { pipeline: "pdf", bucket: "pdf-bucket", key: `pdf/${job.updatedName}` },
+    {
+      pipeline: "html",
+      bucket: "html-bucket",
+      key: `uploads/${job.updatedName}`,
+    },
+  ]);
+});
+
+test("a both job fails when only its HTML run fails", async () => {
+  const storage = createMemoryStorage();
+  await uploadBoth(storage);
+  await failHtmlRun(storage);
+
+  const status = await fetchJobStatus({ storage, job });
+
+  expect(status.failedPipelines).toEqual(["html"]);
+  expect(status.failedStage).toBe("convert");
+  expect(status.errorMessage).toBe(
+    "The HTML version failed: Conversion timed out"
+  );
+  // Progress still comes from the PDF run, which hasn't failed
+  expect(status.stages[0].id).toBe("split");
+  expect(status.stages.some((stage) => stage.status === "failed")).toBe(false);
+});
+
+test("a both job without failures reports none", async () => {
+  const storage = createMemoryStorage();
+  await uploadBoth(storage);
+
+  const status = await fetchJobStatus({ storage, job });
+
+  expect(status.failedPipelines).toEqual([]);
+  expect(status.failedStage).toBeNull();
+});
+
+test("retrying a both job only restarts the run that failed", async () => {
+  const storage = createMemoryStorage();
+  await uploadBoth(storage);
+  await failHtmlRun(storage);
+
+  const retriedAt = await retryJob(job, {});
+
+  expect(await getRetriedAt(storage, "html-bucket", "html")).toBe(
+    retriedAt.toISOString()
+  );
+  expect(await getRetriedAt(storage, "pdf-bucket", "pdf")).toBeUndefined();
+});
+
+test("refuses to retry without a recorded failure", async () => {
+  const storage = createMemoryStorage();
+  await uploadBoth(storage);
+
+  await expect(retryJob(job, {})).rejects.toThrow("No failed run");
+
+  expect(await getRetriedAt(storage, "pdf-bucket", "pdf")).toBeUndefined();
+  expect(await getRetriedAt(storage, "html-bucket", "html")).toBeUndefined();
+});
+
+describe("getOutputDownloadUrl", () => {
+  const [pdfOutput, htmlOutput] = getJobOutputs(job);
+  const { createObjectURL, revokeObjectURL } = URL;
+
+  // Memory storage links to blobs; the size tells which object a link is for
+  beforeEach(() => {
+    URL.createObjectURL = (blob) => `blob:${blob.size}`;
+    URL.revokeObjectURL = () => {};
+  });
+  afterEach(() => {
+    clearMemoryStorage();
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+  });
+
+  const put = (storage, bucket, key, body) =>
+    storage.putObject({ bucket, key, body, contentType: "application/pdf" });
+
+  test("links the pipeline's PDF until a revision is saved", async () => {
+    const storage = createMemoryStorage();
+    await put(storage, "pdf-bucket", getResultKey(job.updatedName, "pdf"), "1");
+
+    expect(await getOutputDownloadUrl(pdfOutput, {})).toBe("blob:1");
+  });
+
+  test("links the latest reviewed revision of the PDF", async () => {
+    const storage = createMemoryStorage();
+    await put(storage, "pdf-bucket", getResultKey(job.updatedName, "pdf"), "1");
+    await put(storage, "pdf-bucket", getRevisionKey(job.updatedName, 1), "22");
+    await put(storage, "pdf-bucket", getRevisionKey(job.updatedName, 2), "333");
+    await put(storage, "html-bucket", htmlOutput.objectKey, "4444");
+
+    expect(await getOutputDownloadUrl(pdfOutput, {})).toBe("blob:3");
+    // The HTML zip has no revisions
+    expect(await getOutputDownloadUrl(htmlOutput, {})).toBe("blob:4");
+  });
+});
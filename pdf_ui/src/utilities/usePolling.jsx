@@ -0,0 +1,148 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * Call `poll` repeatedly until it returns true, with exponential backoff and
+ * jitter between attempts. While the tab is hidden no attempts are made (unless
+ * pauseWhenHidden is false); when it becomes visible again it polls right away
+ * and resumes the schedule.
+ * @param {Function} poll - async ({ attempt }) => boolean; true stops polling.
+ *   It should handle its own errors; a thrown error counts as "not done".
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Polling runs only while true
+ * @param {boolean} [options.immediate=false] - Make the first attempt right away
+ * @param {number} [options.initialDelay] - Delay before the first attempt in ms (defaults to interval)
+ * @param {number} [options.interval=15000] - Delay after the first attempt in ms
+ * @param {number} [options.maxInterval] - Upper bound for the delay (defaults to interval)
+ * @param {number} [options.backoff=1] - Factor the delay grows by after each attempt
+ * @param {number} [options.jitter=0.2] - Random spread of each delay, as a fraction of it
+ * @param {number} [options.maxAttempts=Infinity] - Give up after this many attempts
+ * @param {number} [options.maxDuration=Infinity] - Give up after this many ms
+ * @param {*} [options.resetKey] - Start over (attempt count, backoff, deadline) when this changes
+ * @param {Function} [options.onGiveUp] - Called when maxAttempts or maxDuration is reached
+ * @param {boolean} [options.pauseWhenHidden=true] - Skip attempts while the tab is hidden
+ * @returns {Object} { attempts, pollNow } - pollNow() makes an attempt right away
+ */
+export const usePolling = (
+  poll,
+  {
+    enabled = true,
+    immediate = false,
+    initialDelay,
+    interval = 15000,
+    maxInterval = interval,
+    backoff = 1,
+    jitter = 0.2,
+    maxAttempts = Infinity,
+    maxDuration = Infinity,
+    resetKey,
+    onGiveUp,
+    pauseWhenHidden = true,
+  } = {}
+) => {
+  const [attempts, setAttempts] = useState(0);
+  // Latest callbacks, so re-renders don't restart the schedule
+  const pollRef = useRef(poll);
+  const onGiveUpRef = useRef(onGiveUp);
+  // Read when scheduling, so toggling it doesn't restart the schedule
+  const pauseWhenHiddenRef = useRef(pauseWhenHidden);
+  const pollNowRef = useRef(() => {});
+
+  useEffect(() => {
+    pollRef.current = poll;
+    onGiveUpRef.current = onGiveUp;
+    pauseWhenHiddenRef.current = pauseWhenHidden;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let timeoutId = null;
+    let stopped = false;
+    let inFlight = false;
+    let attempt = 0;
+    const startedAt = Date.now();
+    setAttempts(0);
+
+    const delayAfter = (attemptNumber) => {
+      const base = Math.min(
+        interval * backoff ** (attemptNumber - 1),
+        maxInterval
+      );
+      return base * (1 - jitter + Math.random() * 2 * jitter);
+    };
+
+    const isPaused = () => pauseWhenHiddenRef.current && document.hidden;
+
+    const schedule = (delay) => {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+      // Hidden tabs wait for the visibilitychange handler instead
+      if (stopped || isPaused()) return;
+      timeoutId = setTimeout(run, delay);
+    };
+
+    const run = async () => {
+      clearTimeout(timeoutId);
+      timeoutId = null;
+      if (stopped || inFlight) return;
+
+      inFlight = true;
+      attempt += 1;
+      setAttempts(attempt);
+      let done = false;
+      try {
+        done = await pollRef.current({ attempt });
+      } catch (error) {
+        console.warn(`Polling attempt ${attempt} failed:`, error);
+      }
+      inFlight = false;
+
+      if (stopped) return;
+      if (done) {
+        stopped = true;
+        return;
+      }
+      if (attempt >= maxAttempts || Date.now() - startedAt >= maxDuration) {
+        stopped = true;
+        onGiveUpRef.current?.();
+        return;
+      }
+      schedule(delayAfter(attempt));
+    };
+
+    const handleVisibilityChange = () => {
+      if (isPaused()) {
+        clearTimeout(timeoutId);
+        timeoutId = null;
+      } else if (!document.hidden) {
+        run();
+      }
+    };
+
+    pollNowRef.current = run;
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    schedule(immediate ? 0 : initialDelay ?? interval);
+
+    return () => {
+      stopped = true;
+      clearTimeout(timeoutId);
+      pollNowRef.current = () => {};
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [
+    enabled,
+    immediate,
+    initialDelay,
+    interval,
+    maxInterval,
+    backoff,
+    jitter,
+    maxAttempts,
+    maxDuration,
+    resetKey,
+  ]);
+
+  const pollNow = useCallback(() => pollNowRef.current(), []);
+
+  return { attempts, pollNow };
+};